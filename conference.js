@@ -130,6 +130,7 @@ import { disableReceiver, stopReceiver } from './react/features/remote-control';
 import { setScreenAudioShareState, isScreenAudioShared } from './react/features/screen-share/';
 import { toggleScreenshotCaptureEffect } from './react/features/screenshot-capture';
 import { setSharedVideoStatus } from './react/features/shared-video/actions';
+import { SHARED_MEDIA_PROPERTY, canSeparateScreenAudio } from './react/features/spatial-audio';
 import { AudioMixerEffect } from './react/features/stream-effects/audio-mixer/AudioMixerEffect';
 import { createPresenterEffect } from './react/features/stream-effects/presenter';
 import { endpointMessageReceived } from './react/features/subtitles';
@@ -1544,6 +1545,7 @@ export default {
             await this.localAudio.setEffect(undefined);
             await this._desktopAudioStream.dispose();
             this._mixerEffect = undefined;
+            room.setLocalParticipantProperty(SHARED_MEDIA_PROPERTY, false);
             this._desktopAudioStream = undefined;
 
         // In case there was no local audio when screen sharing was started the fact that we set the audio stream to
@@ -1879,9 +1881,14 @@ export default {
                     // If there is a localAudio stream, mix in the desktop audio stream captured by the screen sharing
                     // api.
                     if (this.localAudio) {
-                        this._mixerEffect = new AudioMixerEffect(this._desktopAudioStream);
+                        // With stereo audio the desktop audio can go on a channel of its own, which the others
+                        // play from the stage.
+                        const separateChannels = canSeparateScreenAudio(APP.store.getState());
+
+                        this._mixerEffect = new AudioMixerEffect(this._desktopAudioStream, { separateChannels });
 
                         await this.localAudio.setEffect(this._mixerEffect);
+                        separateChannels && room.setLocalParticipantProperty(SHARED_MEDIA_PROPERTY, true);
                     } else {
                         // If no local stream is present ( i.e. no input audio devices) we use the screen share audio
                         // stream as we would use a regular stream.
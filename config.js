@@ -614,9 +614,179 @@ var config = {
     //
 
     // The recording format, can be one of 'ogg', 'flac' or 'wav'.
-    //     format: 'flac'
+    //     format: 'flac',
     //
 
+    // What each participant records, can be 'microphone' or
+    // 'conference-mix', the stereo mix of the conference exactly as the
+    // participant hears it with spatial audio. Participants can change it in
+    // the local recording dialog.
+    //     source: 'microphone',
+    //
+
+    // Whether each participant also records every remote participant in a
+    // separate file, before spatialization, along with a JSON timeline of the
+    // spatial scene (positions, gains, mute states and the listener pose) so
+    // that the session can be rendered again offline.
+    //     multitrack: false
+    //
+
+    // },
+
+    // Spatial Audio
+    //
+
+    // spatialAudio: {
+    // How remote participants are seated around the listener, can be one of
+    // 'join-order', 'alphabetical' or 'moderator'. With 'moderator' the seats
+    // follow the order which a moderator of the conference sets through the
+    // 'setSpatialSeats' command of the external API, the only way to set it.
+    //     seatStrategy: 'join-order',
+    //
+
+    // How sources are placed in the stereo image, can be one of 'HRTF',
+    // 'equalpower', 'itd-ild' (interaural time and level differences of a
+    // spherical head), 'sofa' (convolution with the HRIRs of a SOFA file),
+    // 'ambisonics' (the whole scene encoded into Ambisonics, then decoded) or
+    // 'vbap' (amplitude panning between the loudspeakers of the layout).
+    //     panningModel: 'HRTF',
+    //
+
+    // The Ambisonic renderer. The order can be 1 to 3 and the decoder either
+    // 'binaural' for headphones or 'loudspeakers' for the loudspeaker layout.
+    //     ambisonics: {
+    //         order: 1,
+    //         decoder: 'binaural'
+    //     },
+    //
+
+    // Whether notification sounds, like a participant joining or a chat
+    // message, come from where the participant they are about sits. Users can
+    // change it in the audio settings.
+    //     spatializeSounds: true,
+    //
+
+    // Whether screen audio is sent on its own channel, next to the voice of
+    // its sharer, so that the others hear it from the stage, at the volume
+    // they choose for shared media. It needs stereo audio (see audioQuality).
+    //     separateScreenAudio: true,
+    //
+
+    // The loudspeakers fed by the 'vbap' panning model and the 'loudspeakers'
+    // Ambisonic decoder, one of 'stereo', 'quad' and '5.1' or the azimuths, in
+    // degrees to the right, of the loudspeakers in the order of the output
+    // channels. Use null for a channel without direction, like LFE. When it is
+    // not set, the former 'layout' of 'ambisonics' is used instead.
+    //     loudspeakerLayout: 'stereo',
+    //
+
+    // The URL of the HRTF dataset used by the 'sofa' panning model: a SOFA
+    // file converted to JSON, either flat or in the layout of the SOFA JSON
+    // API. Users can load their own file from the audio settings as well.
+    //     hrtfUrl: 'https://example.com/hrtf.sofa.json',
+    //
+
+    // How the volume of a source decreases with its distance, can be one of
+    // 'linear', 'inverse' or 'exponential'.
+    //     distanceModel: 'inverse',
+    //
+
+    // The parameters of the distance model, in meters for the distances.
+    //     refDistance: 1,
+    //     maxDistance: 10000,
+    //     rolloffFactor: 1,
+    //
+
+    // The acoustics of the virtual room. The preset can be one of 'none',
+    // 'small-office', 'meeting-room' or 'hall' and the mix goes from 0 (dry
+    // voices) to 1 (reverb only).
+    //     reverb: {
+    //         preset: 'none',
+    //         mix: 0.3
+    //     },
+    //
+
+    // The attention mode, which brings the dominant speaker forward and
+    // toward the centre of the scene and ducks the others so that overlapping
+    // talkers stay intelligible. The speaker moves by 'centering' of the way
+    // toward the front and by 'approach' of the way toward the listener, the
+    // others are attenuated to 'duckGain'. The transitions take 'attackTime'
+    // seconds when a speaker takes the floor and 'releaseTime' seconds when
+    // they give it up. Users can toggle it in the audio settings.
+    //     attention: {
+    //         enabled: false,
+    //         centering: 0.5,
+    //         approach: 0.25,
+    //         duckGain: 0.6,
+    //         attackTime: 0.3,
+    //         releaseTime: 1.2
+    //     },
+    //
+
+    // Conversations in the virtual room. When 'clusters' is enabled the
+    // participants who sit within 'radius' meters of each other, directly or
+    // through a neighbour, form a conversation and the ones outside of the
+    // local user's are turned down to 'murmurGain'. A participant who
+    // whispers to somebody is heard by the others at 'whisperGain'. The
+    // whisper is enforced by the clients of the other participants and is
+    // not private.
+    //     proximity: {
+    //         clusters: false,
+    //         radius: 2.5,
+    //         murmurGain: 0.15,
+    //         whisperGain: 0.05
+    //     },
+    //
+
+    // A blind listening study. Every participant goes through one block per
+    // condition ('mono', 'hrtf' or 'stereo') in an order drawn for them,
+    // without being told the condition nor being able to change it. A block
+    // lasts 'blockDuration' seconds, or until a moderator ends it from the
+    // toolbar when set to 0, and is followed by a questionnaire rating each
+    // of 'questions' with 1 to 5 stars. The answers and the timings are
+    // downloaded as JSON or CSV at the end.
+    //     study: {
+    //         enabled: false,
+    //         conditions: [ 'mono', 'hrtf', 'stereo' ],
+    //         blockDuration: 300,
+    //         questions: [ 'quality', 'intelligibility', 'localization' ]
+    //     },
+    //
+
+    // The reaction to the audio output device, which is guessed to be
+    // headphones or loudspeakers from its label unless the user tells. On
+    // loudspeakers binaural rendering is replaced with 'fallback' ('stereo'
+    // or 'mono'), without asking when 'autoFallback' is enabled, and is
+    // restored once headphones are in use again.
+    //     outputDevice: {
+    //         autoFallback: false,
+    //         fallback: 'stereo'
+    //     },
+    //
+
+    // The orientation test in the device settings, which plays 'sample', a
+    // short recording of a voice, from 'distance' meters in front, left,
+    // behind, right and above. A synthesized vowel is played without one.
+    //     orientationTest: {
+    //         distance: 1.5,
+    //         sample: 'https://example.com/voice.wav'
+    //     },
+    //
+
+    // Loudness normalization, which brings every participant toward 'target'
+    // LUFS of short-term loudness before they are panned. The gain rises by
+    // at most 'riseRate' and falls by at most 'fallRate' dB per second,
+    // within 'maxGain' dB either way, and holds while the participant is
+    // quieter than 'gate' LUFS. The measured loudness of each participant is
+    // shown in their connection stats.
+    //     loudness: {
+    //         enabled: false,
+    //         target: -23,
+    //         maxGain: 12,
+    //         riseRate: 1,
+    //         fallRate: 3,
+    //         gate: -50
+    //     }
     // },
 
     // Options related to end-to-end (participant to participant) ping.
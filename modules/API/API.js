@@ -44,7 +44,15 @@ import {
 import { toggleLobbyMode } from '../../react/features/lobby/actions';
 import { RECORDING_TYPES } from '../../react/features/recording/constants';
 import { getActiveSession } from '../../react/features/recording/functions';
-import { toggleTileView, setTileView, toggleSpatialAudio } from '../../react/features/video-layout';
+import {
+    SEAT_STRATEGIES,
+    setListenerPose,
+    setSeatOrder,
+    setSeatStrategy,
+    setSpatialAudioEnabled,
+    toggleSpatialAudio
+} from '../../react/features/spatial-audio';
+import { toggleTileView, setTileView } from '../../react/features/video-layout';
 import { muteAllParticipants } from '../../react/features/video-menu/actions';
 import { setVideoQuality } from '../../react/features/video-quality';
 import { getJitsiMeetTransport } from '../transport';
@@ -235,6 +243,46 @@ function initCommands() {
         'set-tile-view': enabled => {
             APP.store.dispatch(setTileView(enabled));
         },
+        'set-spatial-audio': enabled => {
+            APP.store.dispatch(setSpatialAudioEnabled(Boolean(enabled)));
+        },
+
+        /**
+         * Moves and/or turns the local listener. In room view the local
+         * participant moves in the virtual room.
+         *
+         * @param {Object} pose - The new pose: the heading, in degrees
+         * clockwise from straight ahead, and the x and z coordinates, in
+         * meters. Omitted fields and fields which are not finite numbers
+         * are left unchanged.
+         * @returns {void}
+         */
+        'set-spatial-listener': pose => {
+            APP.store.dispatch(setListenerPose(pose || {}));
+        },
+
+        /**
+         * Selects how the remote participants are seated around the listener.
+         *
+         * @param {string} strategy - One of 'join-order', 'alphabetical' or
+         * 'moderator'.
+         * @param {Array<string>} order - The IDs of the participants, used by
+         * the 'moderator' strategy. The first one takes the seat in front of
+         * the listener, the next ones alternate to its left and right, moving
+         * outwards. This command is the only way to define that order, there
+         * is no control for it in the app itself.
+         * @returns {void}
+         */
+        'set-spatial-seats': (strategy, order) => {
+            if (!Object.values(SEAT_STRATEGIES).includes(strategy)) {
+                logger.warn(`Unknown seat strategy: ${strategy}`);
+
+                return;
+            }
+
+            Array.isArray(order) && APP.store.dispatch(setSeatOrder(order));
+            APP.store.dispatch(setSeatStrategy(strategy));
+        },
         'video-hangup': (showFeedbackDialog = true) => {
             sendAnalytics(createApiEvent('video.hangup'));
             APP.conference.hangup(showFeedbackDialog);
@@ -1145,6 +1193,21 @@ class API {
         });
     }
 
+    /**
+     * Notify external application (if API is enabled) that spatial audio has
+     * been enabled or disabled.
+     *
+     * @param {boolean} enabled - True if the local user has enabled spatial
+     * audio, false otherwise.
+     * @returns {void}
+     */
+    notifySpatialAudioChanged(enabled: boolean) {
+        this._sendEvent({
+            name: 'spatial-audio-changed',
+            enabled
+        });
+    }
+
     /**
      * Notify external application (if API is enabled) that the localStorage has changed.
      *
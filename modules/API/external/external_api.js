@@ -44,6 +44,9 @@ const commands = {
     sendEndpointTextMessage: 'send-endpoint-text-message',
     sendTones: 'send-tones',
     setLargeVideoParticipant: 'set-large-video-participant',
+    setSpatialAudio: 'set-spatial-audio',
+    setSpatialListener: 'set-spatial-listener',
+    setSpatialSeats: 'set-spatial-seats',
     setTileView: 'set-tile-view',
     setVideoQuality: 'set-video-quality',
     startRecording: 'start-recording',
@@ -102,7 +105,8 @@ const events = {
     'dominant-speaker-changed': 'dominantSpeakerChanged',
     'subject-change': 'subjectChange',
     'suspend-detected': 'suspendDetected',
-    'tile-view-changed': 'tileViewChanged'
+    'tile-view-changed': 'tileViewChanged',
+    'spatial-audio-changed': 'spatialAudioChanged'
 };
 
 /**
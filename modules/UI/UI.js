@@ -435,6 +435,17 @@ UI.onSharedVideoUpdate = function(id, url, attributes) {
     }
 };
 
+/**
+ * Sets the gain at which the local user hears a video shared by another
+ * participant.
+ * @param {number} gain the gain, from 0 to 1
+ */
+UI.setSharedVideoGain = function(gain) {
+    if (sharedVideoManager) {
+        sharedVideoManager.setLocalGain(gain);
+    }
+};
+
 /**
  * Stop showing shared video.
  * @param {string} id the id of the sender of the command
@@ -13,6 +13,7 @@ import {
     pinParticipant
 } from '../../../react/features/base/participants';
 import { VIDEO_PLAYER_PARTICIPANT_NAME } from '../../../react/features/shared-video/constants';
+import { getSharedMediaGain } from '../../../react/features/spatial-audio/functions';
 import { dockToolbox, showToolbox } from '../../../react/features/toolbox/actions.web';
 import { getToolboxHeight } from '../../../react/features/toolbox/functions.web';
 import UIEvents from '../../../service/UI/UIEvents';
@@ -329,14 +330,17 @@ export default class SharedVideoManager {
                 this.smartPlayerMute(isAttrMuted, true);
             }
 
-            // Process volume
-            if (!isAttrMuted
-                && attributes.volume !== undefined
-                // eslint-disable-next-line eqeqeq
-                && player.getVolume() != attributes.volume) {
+            // Process volume, scaled by the local gain
+            if (!isAttrMuted && attributes.volume !== undefined) {
+                this.sharedVolume = Number(attributes.volume);
+
+                const volume = this.getLocalVolume();
 
-                player.setVolume(attributes.volume);
-                logger.info(`Player change of volume:${attributes.volume}`);
+                // eslint-disable-next-line eqeqeq
+                if (player.getVolume() != volume) {
+                    player.setVolume(volume);
+                    logger.info(`Player change of volume:${volume}`);
+                }
             }
 
             if (isPlayerPaused) {
@@ -351,6 +355,36 @@ export default class SharedVideoManager {
         }
     }
 
+    /**
+     * Returns the volume the local user hears the shared video at: the one
+     * the owner plays it at, scaled by the local gain.
+     * @returns {number}
+     */
+    getLocalVolume() {
+        return Math.round(
+            this.sharedVolume * getSharedMediaGain(APP.store.getState()));
+    }
+
+    /**
+     * Applies a new local gain to the shared video if another participant
+     * shares it. The owner sets the volume for everyone through the player
+     * controls instead.
+     * @param {number} gain the gain, from 0 to 1
+     */
+    setLocalGain(gain) {
+        if (!this.player
+            || APP.conference.isLocalId(this.from)
+            || this.sharedVolume === undefined
+            || this.player.isMuted()) {
+            return;
+        }
+
+        const volume = Math.round(this.sharedVolume * gain);
+
+        this.player.setVolume(volume);
+        logger.info(`Player change of local volume:${volume}`);
+    }
+
     /**
      * Check for time in attributes and if needed seek in current player
      * @param player the player to operate over
@@ -492,6 +526,7 @@ export default class SharedVideoManager {
         this.url = null;
         this.isSharedVideoShown = false;
         this.initialAttributes = null;
+        this.sharedVolume = undefined;
     }
 
     /**
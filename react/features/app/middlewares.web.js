@@ -12,7 +12,9 @@ import '../old-client-notification/middleware';
 import '../power-monitor/middleware';
 import '../prejoin/middleware';
 import '../remote-control/middleware';
+import '../session-log/middleware';
 import '../shared-video/middleware';
+import '../spatial-study/middleware';
 import '../talk-while-muted/middleware';
 
 import './middlewares.any';
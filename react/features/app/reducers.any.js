@@ -43,6 +43,8 @@ import '../overlay/reducer';
 import '../recent-list/reducer';
 import '../recording/reducer';
 import '../settings/reducer';
+import '../spatial-audio/reducer';
+import '../spatial-study/reducer';
 import '../subtitles/reducer';
 import '../screen-share/reducer';
 import '../toolbox/reducer';
@@ -151,6 +151,7 @@ export default [
     'remoteVideoMenu',
     'roomPasswordNumberOfDigits',
     'resolution',
+    'spatialAudio',
     'startAudioMuted',
     'startAudioOnly',
     'startLastN',
@@ -53,6 +53,16 @@ export default class Audio extends AbstractAudio {
         );
     }
 
+    /**
+     * Returns the HTML audio element, e.g. to route its output through the Web
+     * Audio API.
+     *
+     * @returns {?HTMLAudioElement}
+     */
+    getAudioElement() {
+        return this._ref;
+    }
+
     /**
      * Stops the audio HTML element.
      *
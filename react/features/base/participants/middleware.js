@@ -132,9 +132,13 @@ MiddlewareRegistry.register(store => next => action => {
     }
 
     case PARTICIPANT_JOINED: {
+        const result = _participantJoinedOrUpdated(store, next, action);
+
+        // The sound is played once the participant is in the state so that it
+        // can come from where they are seated.
         _maybePlaySounds(store, action);
 
-        return _participantJoinedOrUpdated(store, next, action);
+        return result;
     }
 
     case PARTICIPANT_LEFT:
@@ -233,6 +237,12 @@ StateListenerRegistry.register(
                         conference,
                         id: participant.getId(),
                         remoteControlSessionStatus: value
+                    })),
+                'spatialSharedMedia': (participant, value) =>
+                    store.dispatch(participantUpdated({
+                        conference,
+                        id: participant.getId(),
+                        spatialSharedMedia: value === 'true'
                     }))
             };
 
@@ -351,22 +361,25 @@ function _maybePlaySounds({ getState, dispatch }, action) {
         return;
     }
 
+    // A participant who joined is already counted.
+    const participantCount = getParticipantCount(state) - (action.type === PARTICIPANT_JOINED ? 1 : 0);
+
     // We're not playing sounds for local participant
     // nor when the user is joining past the "startAudioMuted" limit.
     // The intention there was to not play user joined notification in big
     // conferences where 100th person is joining.
     if (!action.participant.local
             && (!startAudioMuted
-                || getParticipantCount(state) < startAudioMuted)) {
+                || participantCount < startAudioMuted)) {
         if (action.type === PARTICIPANT_JOINED) {
             const { presence } = action.participant;
 
             // The sounds for the poltergeist are handled by features/invite.
             if (presence !== INVITED && presence !== CALLING) {
-                dispatch(playSound(PARTICIPANT_JOINED_SOUND_ID));
+                dispatch(playSound(PARTICIPANT_JOINED_SOUND_ID, action.participant.id));
             }
         } else if (action.type === PARTICIPANT_LEFT) {
-            dispatch(playSound(PARTICIPANT_LEFT_SOUND_ID));
+            dispatch(playSound(PARTICIPANT_LEFT_SOUND_ID, action.participant.id));
         }
     }
 }
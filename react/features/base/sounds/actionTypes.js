@@ -26,6 +26,7 @@ export const _REMOVE_AUDIO_ELEMENT = '_REMOVE_AUDIO_ELEMENT';
  *
  * {
  *     type: PLAY_SOUND,
+ *     participantId: ?string,
  *     soundId: string
  * }
  */
@@ -63,14 +63,18 @@ export function _removeAudioElement(soundId: string) {
  *
  * @param {string} soundId - The id of the sound to be played (the same one
  * which was used in {@link registerSound} to register the sound).
+ * @param {string} [participantId] - The ID of the participant the sound is
+ * about, if any, so that it can be played from where they are.
  * @returns {{
  *     type: PLAY_SOUND,
+ *     participantId: ?string,
  *     soundId: string
  * }}
  */
-export function playSound(soundId: string): Object {
+export function playSound(soundId: string, participantId: ?string): Object {
     return {
         type: PLAY_SOUND,
+        participantId,
         soundId
     };
 }
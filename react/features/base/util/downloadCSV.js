@@ -0,0 +1,37 @@
+// @flow
+
+/**
+ * Formats a value as a field of a CSV file, quoting it when it contains a
+ * separator, a quote or a line break.
+ *
+ * @param {any} value - The value to format.
+ * @returns {string}
+ */
+function formatCSVField(value: any) {
+    const field = value === null || value === undefined ? '' : String(value);
+
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+/**
+ * Downloads rows of values as a CSV file.
+ *
+ * @param {Array<Array<any>>} rows - The rows to download, the header first.
+ * @param {string} filename - The filename to give to the downloaded file.
+ * @returns {void}
+ */
+export function downloadCSV(rows: Array<Array<any>>, filename: string) {
+    const data = encodeURIComponent(
+        rows.map(row => row.map(formatCSVField).join(',')).join('\r\n'));
+
+    const elem = document.createElement('a');
+
+    elem.download = filename;
+    elem.href = `data:text/csv;charset=utf-8,${data}`;
+    elem.dataset.downloadurl = [ 'text/csv', elem.download, elem.href ].join(':');
+    elem.dispatchEvent(new MouseEvent('click', {
+        view: window,
+        bubbles: true,
+        cancelable: false
+    }));
+}
@@ -255,7 +255,7 @@ function _handleReceivedMessage({ dispatch, getState }, { id, message, privateMe
     const { isOpen: isChatOpen } = state['features/chat'];
 
     if (!isChatOpen) {
-        dispatch(playSound(INCOMING_MSG_SOUND_ID));
+        dispatch(playSound(INCOMING_MSG_SOUND_ID, id));
     }
 
     // Provide a default for for the case when a message is being
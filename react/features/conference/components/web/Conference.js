@@ -17,6 +17,7 @@ import { KnockingParticipantList, LobbyScreen } from '../../../lobby';
 import { ParticipantsPane } from '../../../participants-pane/components';
 import { getParticipantsPaneOpen } from '../../../participants-pane/functions';
 import { Prejoin, isPrejoinPageVisible } from '../../../prejoin';
+import { RoomView } from '../../../spatial-audio/components/web';
 import { fullScreenChanged, showToolbox } from '../../../toolbox/actions.web';
 import { Toolbox } from '../../../toolbox/components/web';
 import { LAYOUTS, getCurrentLayout } from '../../../video-layout';
@@ -55,6 +56,7 @@ const FULL_SCREEN_EVENTS = [
  */
 const LAYOUT_CLASSNAMES = {
     [LAYOUTS.HORIZONTAL_FILMSTRIP_VIEW]: 'horizontal-filmstrip',
+    [LAYOUTS.ROOM_VIEW]: 'horizontal-filmstrip',
     [LAYOUTS.TILE_VIEW]: 'tile-view',
     [LAYOUTS.VERTICAL_FILMSTRIP_VIEW]: 'vertical-filmstrip'
 };
@@ -90,6 +92,11 @@ type Props = AbstractProps & {
      */
     _roomName: string,
 
+    /**
+     * Whether the virtual room is displayed.
+     */
+    _roomViewVisible: boolean,
+
     /**
      * If prejoin page is visible or not.
      */
@@ -188,6 +195,7 @@ class Conference extends AbstractConference<Props, *> {
             _isLobbyScreenVisible,
             _isParticipantsPaneVisible,
             _layoutClassName,
+            _roomViewVisible,
             _showPrejoin
         } = this.props;
 
@@ -203,6 +211,7 @@ class Conference extends AbstractConference<Props, *> {
                     <Notice />
                     <div id = 'videospace'>
                         <LargeVideo />
+                        { _roomViewVisible && <RoomView /> }
                         {!_isParticipantsPaneVisible && <KnockingParticipantList />}
                         <Filmstrip />
                     </div>
@@ -312,6 +321,7 @@ function _mapStateToProps(state) {
         _isParticipantsPaneVisible: getParticipantsPaneOpen(state),
         _layoutClassName: LAYOUT_CLASSNAMES[getCurrentLayout(state)],
         _roomName: getConferenceNameForTitle(state),
+        _roomViewVisible: getCurrentLayout(state) === LAYOUTS.ROOM_VIEW,
         _showPrejoin: isPrejoinPageVisible(state)
     };
 }
@@ -12,6 +12,7 @@ import { Popover } from '../../../base/popover';
 import { connect } from '../../../base/redux';
 import { getTrackByMediaTypeAndParticipant } from '../../../base/tracks';
 import { ConnectionStatsTable } from '../../../connection-stats';
+import { spatialAudioEngine } from '../../../spatial-audio';
 import { saveLogs } from '../../actions';
 import AbstractConnectionIndicator, {
     INDICATOR_DISPLAY_THRESHOLD,
@@ -395,6 +396,8 @@ class ConnectionIndicator extends AbstractConnectionIndicator<Props, State> {
                 enableSaveLogs = { this.props.enableSaveLogs }
                 framerate = { framerate }
                 isLocalVideo = { this.props.isLocalVideo }
+                loudness = { this.props.isLocalVideo
+                    ? undefined : spatialAudioEngine.getSourceLoudness(this.props.participantId) }
                 maxEnabledResolution = { maxEnabledResolution }
                 onSaveLogs = { this.props._onSaveLogs }
                 onShowMore = { this._onToggleShowMore }
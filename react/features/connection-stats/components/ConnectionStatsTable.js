@@ -77,6 +77,16 @@ type Props = {
      */
     isLocalVideo: boolean,
 
+    /**
+     * The short-term loudness of the participant, as received, and the gain
+     * which normalizes it, while loudness normalization is enabled.
+     * {{
+     *     gain: Number,
+     *     loudness: ?Number
+     * }}
+     */
+    loudness: ?Object,
+
     /**
      * The send-side max enabled resolution (aka the highest layer that is not
      * suspended on the send-side).
@@ -486,6 +496,38 @@ class ConnectionStatsTable extends Component<Props> {
         );
     }
 
+    /**
+     * Creates a table row as a ReactElement for displaying the loudness of a
+     * remote participant and the gain which normalizes it.
+     *
+     * @private
+     * @returns {ReactElement|null}
+     */
+    _renderLoudness() {
+        const { loudness, t } = this.props;
+
+        if (!loudness) {
+            return null;
+        }
+
+        const { gain } = loudness;
+        const loudnessString = typeof loudness.loudness === 'number'
+            ? t('connectionindicator.loudnessValue', {
+                gain: `${gain >= 0 ? '+' : ''}${gain.toFixed(1)}`,
+                loudness: loudness.loudness.toFixed(1)
+            })
+            : 'N/A';
+
+        return (
+            <tr>
+                <td>
+                    <span>{ t('connectionindicator.loudness') }</span>
+                </td>
+                <td>{ loudnessString }</td>
+            </tr>
+        );
+    }
+
     /**
      * Creates a tables row as a ReactElement for displaying packet loss related
      * statistics.
@@ -623,6 +665,7 @@ class ConnectionStatsTable extends Component<Props> {
                     { this._renderResolution() }
                     { this._renderFrameRate() }
                     { this._renderCodecs() }
+                    { isRemoteVideo ? this._renderLoudness() : null }
                     { isRemoteVideo ? null : this._renderBridgeCount() }
                 </tbody>
             </table>
@@ -7,6 +7,7 @@ import AbstractDialogTab, {
 } from '../../base/dialog/components/web/AbstractDialogTab';
 import { translate } from '../../base/i18n/functions';
 import { createLocalTrack } from '../../base/lib-jitsi-meet/functions';
+import { SpatialAudioTest } from '../../spatial-audio/components/web';
 import logger from '../logger';
 
 import AudioInputPreview from './AudioInputPreview';
@@ -223,6 +224,7 @@ class DeviceSelection extends AbstractDialogTab<Props, State> {
                     { !hideAudioOutputSelect
                         && <AudioOutputPreview
                             deviceId = { selectedAudioOutputId } /> }
+                    <SpatialAudioTest />
                 </div>
             </div>
         );
@@ -20,6 +20,16 @@ StateListenerRegistry.register(
         APP.API.notifyTileViewChanged(displayTileView);
     });
 
+/**
+ * Reports the local user's own spatial audio preference, so that the
+ * embedding page cannot tell the condition of a listening study.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => Boolean(state['features/spatial-audio'].enabled),
+    /* listener */ enabled => {
+        APP.API.notifySpatialAudioChanged(enabled);
+    });
+
 StateListenerRegistry.register(
     /* selector */ state => state['features/base/settings'].displayName,
     /* listener */ (displayName, store) => {
@@ -1,8 +1,6 @@
 // @flow
 
 import { FieldTextAreaStateless } from '@atlaskit/field-text-area';
-import StarIcon from '@atlaskit/icon/glyph/star';
-import StarFilledIcon from '@atlaskit/icon/glyph/star-filled';
 import React, { Component } from 'react';
 import type { Dispatch } from 'redux';
 
@@ -15,25 +13,9 @@ import { translate } from '../../base/i18n';
 import { connect } from '../../base/redux';
 import { cancelFeedback, submitFeedback } from '../actions';
 
-declare var APP: Object;
-declare var interfaceConfig: Object;
-
-const scoreAnimationClass
-    = interfaceConfig.ENABLE_FEEDBACK_ANIMATION ? 'shake-rotate' : '';
+import StarRating from './StarRating';
 
-/**
- * The scores to display for selecting. The score is the index in the array and
- * the value of the index is a translation key used for display in the dialog.
- *
- * @types {string[]}
- */
-const SCORES = [
-    'feedback.veryBad',
-    'feedback.bad',
-    'feedback.average',
-    'feedback.good',
-    'feedback.veryGood'
-];
+declare var APP: Object;
 
 /**
  * The type of the React {@code Component} props of {@link FeedbackDialog}.
@@ -85,16 +67,9 @@ type State = {
      */
     message: string,
 
-    /**
-     * The score selection index which is currently being hovered. The value -1
-     * is used as a sentinel value to match store behavior of using -1 for no
-     * score having been selected.
-     */
-    mousedOverScore: number,
-
     /**
      * The currently selected score selection index. The score will not be 0
-     * indexed so subtract one to map with SCORES.
+     * indexed so subtract one to map with the scores of {@code StarRating}.
      */
     score: number
 };
@@ -107,13 +82,6 @@ type State = {
  * @extends Component
  */
 class FeedbackDialog extends Component<Props, State> {
-    /**
-     * An array of objects with click handlers for each of the scores listed in
-     * the constant SCORES. This pattern is used for binding event handlers only
-     * once for each score selection icon.
-     */
-    _scoreClickConfigurations: Array<Object>;
-
     /**
      * Initializes a new {@code FeedbackDialog} instance.
      *
@@ -133,36 +101,20 @@ class FeedbackDialog extends Component<Props, State> {
              */
             message: _message,
 
-            /**
-             * The score selection index which is currently being hovered. The
-             * value -1 is used as a sentinel value to match store behavior of
-             * using -1 for no score having been selected.
-             *
-             * @type {number}
-             */
-            mousedOverScore: -1,
-
             /**
              * The currently selected score selection index. The score will not
-             * be 0 indexed so subtract one to map with SCORES.
+             * be 0 indexed so subtract one to map with the scores of
+             * {@code StarRating}.
              *
              * @type {number}
              */
             score: _score > -1 ? _score - 1 : _score
         };
 
-        this._scoreClickConfigurations = SCORES.map((textKey, index) => {
-            return {
-                _onClick: () => this._onScoreSelect(index),
-                _onMouseOver: () => this._onScoreMouseOver(index)
-            };
-        });
-
         // Bind event handlers so they are only bound once for every instance.
         this._onCancel = this._onCancel.bind(this);
         this._onMessageChange = this._onMessageChange.bind(this);
-        this._onScoreContainerMouseLeave
-            = this._onScoreContainerMouseLeave.bind(this);
+        this._onScoreSelect = this._onScoreSelect.bind(this);
         this._onSubmit = this._onSubmit.bind(this);
     }
 
@@ -196,34 +148,7 @@ class FeedbackDialog extends Component<Props, State> {
      * @returns {ReactElement}
      */
     render() {
-        const { message, mousedOverScore, score } = this.state;
-        const scoreToDisplayAsSelected
-            = mousedOverScore > -1 ? mousedOverScore : score;
-
-        const scoreIcons = this._scoreClickConfigurations.map(
-            (config, index) => {
-                const isFilled = index <= scoreToDisplayAsSelected;
-                const activeClass = isFilled ? 'active' : '';
-                const className
-                    = `star-btn ${scoreAnimationClass} ${activeClass}`;
-
-                return (
-                    <a
-                        className = { className }
-                        key = { index }
-                        onClick = { config._onClick }
-                        onMouseOver = { config._onMouseOver }>
-                        { isFilled
-                            ? <StarFilledIcon
-                                label = 'star-filled'
-                                size = 'xlarge' />
-                            : <StarIcon
-                                label = 'star'
-                                size = 'xlarge' /> }
-                    </a>
-                );
-            });
-
+        const { message, score } = this.state;
         const { t } = this.props;
 
         return (
@@ -233,18 +158,10 @@ class FeedbackDialog extends Component<Props, State> {
                 onSubmit = { this._onSubmit }
                 titleKey = 'feedback.rateExperience'>
                 <div className = 'feedback-dialog'>
-                    <div className = 'rating'>
-                        <div className = 'star-label'>
-                            <p id = 'starLabel'>
-                                { t(SCORES[scoreToDisplayAsSelected]) }
-                            </p>
-                        </div>
-                        <div
-                            className = 'stars'
-                            onMouseLeave = { this._onScoreContainerMouseLeave }>
-                            { scoreIcons }
-                        </div>
-                    </div>
+                    <StarRating
+                        labelId = 'starLabel'
+                        onChange = { this._onScoreSelect }
+                        score = { score } />
                     <div className = 'details'>
                         <FieldTextAreaStateless
                             autoFocus = { true }
@@ -293,10 +210,13 @@ class FeedbackDialog extends Component<Props, State> {
         this.setState({ message: event.target.value });
     }
 
+    _onScoreSelect: (number) => void;
+
     /**
      * Updates the currently selected score.
      *
-     * @param {number} score - The index of the selected score in SCORES.
+     * @param {number} score - The index of the selected score in the scores of
+     * {@code StarRating}.
      * @private
      * @returns {void}
      */
@@ -304,31 +224,6 @@ class FeedbackDialog extends Component<Props, State> {
         this.setState({ score });
     }
 
-    _onScoreContainerMouseLeave: () => void;
-
-    /**
-     * Sets the currently hovered score to null to indicate no hover is
-     * occurring.
-     *
-     * @private
-     * @returns {void}
-     */
-    _onScoreContainerMouseLeave() {
-        this.setState({ mousedOverScore: -1 });
-    }
-
-    /**
-     * Updates the known state of the score icon currently behind hovered over.
-     *
-     * @param {number} mousedOverScore - The index of the SCORES value currently
-     * being moused over.
-     * @private
-     * @returns {void}
-     */
-    _onScoreMouseOver(mousedOverScore) {
-        this.setState({ mousedOverScore });
-    }
-
     _onSubmit: () => void;
 
     /**
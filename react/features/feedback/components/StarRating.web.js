@@ -0,0 +1,185 @@
+// @flow
+
+import StarIcon from '@atlaskit/icon/glyph/star';
+import StarFilledIcon from '@atlaskit/icon/glyph/star-filled';
+import React, { Component } from 'react';
+
+import { translate } from '../../base/i18n';
+
+declare var interfaceConfig: Object;
+
+const scoreAnimationClass
+    = interfaceConfig.ENABLE_FEEDBACK_ANIMATION ? 'shake-rotate' : '';
+
+/**
+ * The scores to display for selecting. The score is the index in the array and
+ * the value of the index is a translation key used for display in the dialog.
+ *
+ * @types {string[]}
+ */
+const SCORES = [
+    'feedback.veryBad',
+    'feedback.bad',
+    'feedback.average',
+    'feedback.good',
+    'feedback.veryGood'
+];
+
+/**
+ * The type of the React {@code Component} props of {@link StarRating}.
+ */
+type Props = {
+
+    /**
+     * The ID of the element which displays the label of the score.
+     */
+    labelId: string,
+
+    /**
+     * Invoked with the index of the score the user selects.
+     */
+    onChange: Function,
+
+    /**
+     * The currently selected score selection index. The value -1 is used when
+     * no score has been selected.
+     */
+    score: number,
+
+    /**
+     * Invoked to obtain translated strings.
+     */
+    t: Function
+};
+
+/**
+ * The type of the React {@code Component} state of {@link StarRating}.
+ */
+type State = {
+
+    /**
+     * The score selection index which is currently being hovered. The value -1
+     * is used as a sentinel value to match store behavior of using -1 for no
+     * score having been selected.
+     */
+    mousedOverScore: number
+};
+
+/**
+ * A React {@code Component} for displaying a row of stars the user rates
+ * something with, along with the label of the score hovered or selected.
+ *
+ * @extends Component
+ */
+class StarRating extends Component<Props, State> {
+    /**
+     * An array of objects with click handlers for each of the scores listed in
+     * the constant SCORES. This pattern is used for binding event handlers only
+     * once for each score selection icon.
+     */
+    _scoreClickConfigurations: Array<Object>;
+
+    state = {
+        mousedOverScore: -1
+    };
+
+    /**
+     * Initializes a new {@code StarRating} instance.
+     *
+     * @param {Object} props - The read-only React {@code Component} props with
+     * which the new instance is to be initialized.
+     */
+    constructor(props: Props) {
+        super(props);
+
+        this._scoreClickConfigurations = SCORES.map((textKey, index) => {
+            return {
+                _onClick: () => this.props.onChange(index),
+                _onMouseOver: () => this._onScoreMouseOver(index)
+            };
+        });
+
+        // Bind event handlers so they are only bound once for every instance.
+        this._onScoreContainerMouseLeave
+            = this._onScoreContainerMouseLeave.bind(this);
+    }
+
+    /**
+     * Implements React's {@link Component#render()}.
+     *
+     * @inheritdoc
+     * @returns {ReactElement}
+     */
+    render() {
+        const { labelId, score, t } = this.props;
+        const { mousedOverScore } = this.state;
+        const scoreToDisplayAsSelected
+            = mousedOverScore > -1 ? mousedOverScore : score;
+
+        const scoreIcons = this._scoreClickConfigurations.map(
+            (config, index) => {
+                const isFilled = index <= scoreToDisplayAsSelected;
+                const activeClass = isFilled ? 'active' : '';
+                const className
+                    = `star-btn ${scoreAnimationClass} ${activeClass}`;
+
+                return (
+                    <a
+                        className = { className }
+                        key = { index }
+                        onClick = { config._onClick }
+                        onMouseOver = { config._onMouseOver }>
+                        { isFilled
+                            ? <StarFilledIcon
+                                label = 'star-filled'
+                                size = 'xlarge' />
+                            : <StarIcon
+                                label = 'star'
+                                size = 'xlarge' /> }
+                    </a>
+                );
+            });
+
+        return (
+            <div className = 'rating'>
+                <div className = 'star-label'>
+                    <p id = { labelId }>
+                        { t(SCORES[scoreToDisplayAsSelected]) }
+                    </p>
+                </div>
+                <div
+                    className = 'stars'
+                    onMouseLeave = { this._onScoreContainerMouseLeave }>
+                    { scoreIcons }
+                </div>
+            </div>
+        );
+    }
+
+    _onScoreContainerMouseLeave: () => void;
+
+    /**
+     * Sets the currently hovered score to null to indicate no hover is
+     * occurring.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onScoreContainerMouseLeave() {
+        this.setState({ mousedOverScore: -1 });
+    }
+
+    /**
+     * Updates the known state of the score icon currently behind hovered over.
+     *
+     * @param {number} mousedOverScore - The index of the SCORES value currently
+     * being moused over.
+     * @private
+     * @returns {void}
+     */
+    _onScoreMouseOver(mousedOverScore) {
+        this.setState({ mousedOverScore });
+    }
+}
+
+export default translate(StarRating);
@@ -468,7 +468,8 @@ class Thumbnail extends Component<Props, State> {
 
         switch (_currentLayout) {
         case LAYOUTS.TILE_VIEW:
-        case LAYOUTS.HORIZONTAL_FILMSTRIP_VIEW: {
+        case LAYOUTS.HORIZONTAL_FILMSTRIP_VIEW:
+        case LAYOUTS.ROOM_VIEW: {
             const avatarSize = _height / 2;
 
             styles = {
@@ -974,7 +975,8 @@ function _mapStateToProps(state, ownProps): Object {
 
 
     switch (_currentLayout) {
-    case LAYOUTS.HORIZONTAL_FILMSTRIP_VIEW: {
+    case LAYOUTS.HORIZONTAL_FILMSTRIP_VIEW:
+    case LAYOUTS.ROOM_VIEW: {
         const {
             horizontalViewDimensions = {
                 local: {},
@@ -42,6 +42,7 @@ MiddlewareRegistry.register(store => next => action => {
             break;
         }
         case LAYOUTS.HORIZONTAL_FILMSTRIP_VIEW:
+        case LAYOUTS.ROOM_VIEW:
             store.dispatch(setHorizontalViewDimensions(state['features/base/responsive-ui'].clientHeight));
             break;
         }
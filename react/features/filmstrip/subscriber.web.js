@@ -69,6 +69,7 @@ StateListenerRegistry.register(
             break;
         }
         case LAYOUTS.HORIZONTAL_FILMSTRIP_VIEW:
+        case LAYOUTS.ROOM_VIEW:
             store.dispatch(setHorizontalViewDimensions(state['features/base/responsive-ui'].clientHeight));
             break;
         }
@@ -30,3 +30,25 @@ export const LOCAL_RECORDING_UNENGAGED = 'LOCAL_RECORDING_UNENGAGED';
  */
 export const LOCAL_RECORDING_STATS_UPDATE
     = 'LOCAL_RECORDING_STATS_UPDATE';
+
+/**
+ * Action to choose the audio recorded locally from the next local recording
+ * session on.
+ *
+ * {
+ *     type: SET_LOCAL_RECORDING_SOURCE,
+ *     source: string
+ * }
+ */
+export const SET_LOCAL_RECORDING_SOURCE = 'SET_LOCAL_RECORDING_SOURCE';
+
+/**
+ * Action to record the stems of the remote participants and the timeline of
+ * the spatial scene too, from the next local recording session on.
+ *
+ * {
+ *     type: SET_LOCAL_RECORDING_MULTITRACK,
+ *     multitrack: boolean
+ * }
+ */
+export const SET_LOCAL_RECORDING_MULTITRACK = 'SET_LOCAL_RECORDING_MULTITRACK';
@@ -3,7 +3,9 @@
 import {
     LOCAL_RECORDING_ENGAGED,
     LOCAL_RECORDING_UNENGAGED,
-    LOCAL_RECORDING_STATS_UPDATE
+    LOCAL_RECORDING_STATS_UPDATE,
+    SET_LOCAL_RECORDING_MULTITRACK,
+    SET_LOCAL_RECORDING_SOURCE
 } from './actionTypes';
 
 // The following two actions signal state changes in local recording engagement.
@@ -41,6 +43,40 @@ export function localRecordingUnengaged() {
     };
 }
 
+/**
+ * Records the stems of the remote participants and the timeline of the
+ * spatial scene too, or not, from the next local recording session on.
+ *
+ * @param {boolean} multitrack - Whether to record multitrack.
+ * @returns {{
+ *     type: SET_LOCAL_RECORDING_MULTITRACK,
+ *     multitrack: boolean
+ * }}
+ */
+export function setLocalRecordingMultitrack(multitrack: boolean) {
+    return {
+        type: SET_LOCAL_RECORDING_MULTITRACK,
+        multitrack
+    };
+}
+
+/**
+ * Chooses the audio recorded locally from the next local recording session
+ * on.
+ *
+ * @param {string} source - One of {@code RECORDING_SOURCES}.
+ * @returns {{
+ *     type: SET_LOCAL_RECORDING_SOURCE,
+ *     source: string
+ * }}
+ */
+export function setLocalRecordingSource(source: string) {
+    return {
+        type: SET_LOCAL_RECORDING_SOURCE,
+        source
+    };
+}
+
 /**
  * Updates the the local recording stats from each client,
  * to be displayed on {@code LocalRecordingInfoDialog}.
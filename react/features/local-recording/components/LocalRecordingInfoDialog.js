@@ -11,7 +11,13 @@ import {
     getLocalParticipant
 } from '../../base/participants';
 import { connect } from '../../base/redux';
-import { statsUpdate } from '../actions';
+import { getAudioContext } from '../../spatial-audio';
+import {
+    setLocalRecordingMultitrack,
+    setLocalRecordingSource,
+    statsUpdate
+} from '../actions';
+import { RECORDING_SOURCES } from '../constants';
 import { recordingController } from '../controller';
 
 
@@ -21,6 +27,12 @@ import { recordingController } from '../controller';
  */
 type Props = {
 
+    /**
+     * Whether the conference mix rendered by the spatial audio engine can be
+     * recorded.
+     */
+    canRecordConferenceMix: boolean,
+
     /**
      * Redux store dispatch function.
      */
@@ -41,12 +53,23 @@ type Props = {
      */
     isEngaged: boolean,
 
+    /**
+     * Whether the stems of the remote participants and the timeline of the
+     * spatial scene are recorded too.
+     */
+    multitrack: boolean,
+
     /**
      * The start time of the current local recording session.
      * Used to calculate the duration of recording.
      */
     recordingEngagedAt: Date,
 
+    /**
+     * The audio recorded locally, one of {@code RECORDING_SOURCES}.
+     */
+    recordingSource: string,
+
     /**
      * Stats of all the participant.
      */
@@ -96,6 +119,11 @@ class LocalRecordingInfoDialog extends Component<Props, State> {
         this.state = {
             durationString: ''
         };
+
+        this._onDisableMultitrack = this._onDisableMultitrack.bind(this);
+        this._onEnableMultitrack = this._onEnableMultitrack.bind(this);
+        this._onSelectConferenceMix = this._onSelectConferenceMix.bind(this);
+        this._onSelectMicrophone = this._onSelectMicrophone.bind(this);
     }
 
     /**
@@ -162,6 +190,8 @@ class LocalRecordingInfoDialog extends Component<Props, State> {
                             : t('localRecording.no') }
                     </span>
                 </div>
+                { this._renderSource() }
+                { this._renderMultitrack() }
                 { this._renderModeratorControls() }
                 { this._renderDurationAndFormat() }
             </Dialog>
@@ -207,6 +237,95 @@ class LocalRecordingInfoDialog extends Component<Props, State> {
         );
     }
 
+    /**
+     * Renders the choice of the audio recorded locally, which takes effect
+     * from the next recording session.
+     *
+     * @private
+     * @returns {ReactElement|null}
+     */
+    _renderSource() {
+        const { canRecordConferenceMix, recordingSource, t } = this.props;
+
+        if (!canRecordConferenceMix) {
+            return null;
+        }
+
+        return this._renderChoice('localRecording.source', [
+            {
+                key: RECORDING_SOURCES.MICROPHONE,
+                label: t('localRecording.sources.microphone'),
+                onClick: this._onSelectMicrophone
+            },
+            {
+                key: RECORDING_SOURCES.CONFERENCE_MIX,
+                label: t('localRecording.sources.conferenceMix'),
+                onClick: this._onSelectConferenceMix
+            }
+        ], recordingSource);
+    }
+
+    /**
+     * Renders the choice of recording the stems of the remote participants
+     * and the timeline of the spatial scene too, which takes effect from the
+     * next recording session.
+     *
+     * @private
+     * @returns {ReactElement|null}
+     */
+    _renderMultitrack() {
+        const { canRecordConferenceMix, multitrack, t } = this.props;
+
+        if (!canRecordConferenceMix) {
+            return null;
+        }
+
+        return this._renderChoice('localRecording.multitrack', [
+            {
+                key: 'off',
+                label: t('localRecording.multitrackOff'),
+                onClick: this._onDisableMultitrack
+            },
+            {
+                key: 'on',
+                label: t('localRecording.multitrackOn'),
+                onClick: this._onEnableMultitrack
+            }
+        ], multitrack ? 'on' : 'off');
+    }
+
+    /**
+     * Renders a labelled choice between options, of which the selected one
+     * is not a link.
+     *
+     * @private
+     * @param {string} labelKey - The translation key of the label.
+     * @param {Array<Object>} options - The options, each with a key, a label
+     * and a click handler.
+     * @param {string} selected - The key of the selected option.
+     * @returns {ReactElement}
+     */
+    _renderChoice(labelKey, options, selected) {
+        return (
+            <div>
+                <span className = 'localrec-control-info-label'>
+                    {`${this.props.t(labelKey)}:`}
+                </span>
+                <span className = 'localrec-control-action-links'>
+                    { options.map(({ key, label, onClick }) => (
+                        <div
+                            className = 'localrec-control-action-link'
+                            key = { key }>
+                            { key === selected
+                                ? <span className = 'info-value'>{ label }</span>
+                                : <a onClick = { onClick }>{ label }</a> }
+                        </div>
+                    )) }
+                </span>
+            </div>
+        );
+    }
+
     /**
      * Returns React elements for displaying the local recording stats of
      * each participant.
@@ -345,6 +464,57 @@ class LocalRecordingInfoDialog extends Component<Props, State> {
             .format('HH:mm:ss');
     }
 
+    _onDisableMultitrack: () => void;
+
+    /**
+     * Records only the selected source from the next recording session on.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onDisableMultitrack() {
+        this.props.dispatch(setLocalRecordingMultitrack(false));
+    }
+
+    _onEnableMultitrack: () => void;
+
+    /**
+     * Records the stems of the remote participants and the timeline of the
+     * spatial scene too from the next recording session on.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onEnableMultitrack() {
+        this.props.dispatch(setLocalRecordingMultitrack(true));
+    }
+
+    _onSelectConferenceMix: () => void;
+
+    /**
+     * Records what the local user hears from the next recording session on.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onSelectConferenceMix() {
+        this.props.dispatch(
+            setLocalRecordingSource(RECORDING_SOURCES.CONFERENCE_MIX));
+    }
+
+    _onSelectMicrophone: () => void;
+
+    /**
+     * Records the local microphone from the next recording session on.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onSelectMicrophone() {
+        this.props.dispatch(
+            setLocalRecordingSource(RECORDING_SOURCES.MICROPHONE));
+    }
+
     /**
      * Callback function for the Start UI action.
      *
@@ -374,10 +544,13 @@ class LocalRecordingInfoDialog extends Component<Props, State> {
  * @param {Object} state - The Redux state.
  * @private
  * @returns {{
+ *     canRecordConferenceMix: boolean,
  *     encodingFormat: string,
  *     isModerator: boolean,
  *     isEngaged: boolean,
+ *     multitrack: boolean,
  *     recordingEngagedAt: Date,
+ *     recordingSource: string,
  *     stats: Object
  * }}
  */
@@ -385,17 +558,22 @@ function _mapStateToProps(state) {
     const {
         encodingFormat,
         isEngaged,
+        multitrack = false,
         recordingEngagedAt,
+        recordingSource = RECORDING_SOURCES.MICROPHONE,
         stats
     } = state['features/local-recording'];
     const isModerator
         = getLocalParticipant(state).role === PARTICIPANT_ROLE.MODERATOR;
 
     return {
+        canRecordConferenceMix: Boolean(getAudioContext(state)),
         encodingFormat,
         isModerator,
         isEngaged,
+        multitrack,
         recordingEngagedAt,
+        recordingSource,
         stats
     };
 }
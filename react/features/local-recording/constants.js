@@ -0,0 +1,13 @@
+// @flow
+
+/**
+ * The audio local recording can capture: the local microphone or the
+ * conference mix rendered by the spatial audio engine, which is exactly what
+ * the local user hears.
+ *
+ * @enum {string}
+ */
+export const RECORDING_SOURCES = {
+    CONFERENCE_MIX: 'conference-mix',
+    MICROPHONE: 'microphone'
+};
@@ -1,9 +1,12 @@
 /* @flow */
 
 import { i18next } from '../../base/i18n';
+import { spatialAudioEngine } from '../../spatial-audio';
+import { RECORDING_SOURCES } from '../constants';
 import logger from '../logger';
 import {
     FlacAdapter,
+    MultitrackRecorder,
     OggAdapter,
     WavAdapter,
     downloadBlob
@@ -123,6 +126,15 @@ class RecordingController {
      */
     _adapters = {};
 
+    /**
+     * For each multitrack recording session, the {@code MultitrackRecorder}
+     * which records the stems of the remote participants and the timeline of
+     * the spatial scene, kept for the same reason as the adapters.
+     *
+     * @private
+     */
+    _multitrackRecorders = {};
+
     /**
      * The {@code JitsiConference} instance.
      *
@@ -169,6 +181,24 @@ class RecordingController {
      */
     _format = DEFAULT_RECORDING_FORMAT;
 
+    /**
+     * The audio recorded locally, one of {@code RECORDING_SOURCES}. Like the
+     * format, a change takes effect from the next recording session. Unlike
+     * the format, it is chosen by each participant rather than the moderator.
+     *
+     * @private
+     */
+    _source = RECORDING_SOURCES.MICROPHONE;
+
+    /**
+     * Whether the stems of the remote participants and the timeline of the
+     * spatial scene are recorded too. Like the source, a change takes effect
+     * from the next recording session and is chosen by each participant.
+     *
+     * @private
+     */
+    _multitrack = false;
+
     /**
      * Whether or not the {@code RecordingController} has registered for
      * XMPP events. Prevents initialization from happening multiple times.
@@ -323,8 +353,12 @@ class RecordingController {
                 .then(args => {
                     const { data, format } = args;
 
+                    const source
+                        = this._adapters[sessionToken].getSource()
+                            === RECORDING_SOURCES.CONFERENCE_MIX
+                            ? '_mix' : '';
                     const filename = `session_${sessionToken}`
-                        + `_${this._conference.myUserId()}.${format}`;
+                        + `_${this._conference.myUserId()}${source}.${format}`;
 
                     downloadBlob(data, filename);
                 })
@@ -332,6 +366,19 @@ class RecordingController {
                     logger.error('Failed to download audio for'
                         + ` session ${sessionToken}. Error: ${error}`);
                 });
+
+            this._multitrackRecorders[sessionToken]
+                && this._multitrackRecorders[sessionToken]
+                    .exportRecordedData(`session_${sessionToken}`
+                        + `_${this._conference.myUserId()}`)
+                    .then(files => {
+                        files.forEach(({ data, filename }) =>
+                            downloadBlob(data, filename));
+                    })
+                    .catch(error => {
+                        logger.error('Failed to download stems for'
+                            + ` session ${sessionToken}. Error: ${error}`);
+                    });
         } else {
             logger.error(`Invalid session token for download ${sessionToken}`);
         }
@@ -347,7 +394,8 @@ class RecordingController {
         if (micDeviceId !== this._micDeviceId) {
             this._micDeviceId = String(micDeviceId);
 
-            if (this._state === ControllerState.RECORDING) {
+            if (this._state === ControllerState.RECORDING
+                    && this._isRecordingMicrophone()) {
                 // sessionManager.endSegment(this._currentSessionToken);
                 logger.log('Before switching microphone...');
                 this._adapters[this._currentSessionToken]
@@ -375,7 +423,8 @@ class RecordingController {
     setMuted(muted: boolean) {
         this._isMuted = Boolean(muted);
 
-        if (this._state === ControllerState.RECORDING) {
+        if (this._state === ControllerState.RECORDING
+                && this._isRecordingMicrophone()) {
             this._adapters[this._currentSessionToken].setMuted(this._isMuted);
         }
     }
@@ -398,6 +447,39 @@ class RecordingController {
         // the new format will be used in the next recording session
     }
 
+    /**
+     * Switches the audio recorded locally.
+     *
+     * @param {string} newSource - The new source, one of
+     * {@code RECORDING_SOURCES}.
+     * @returns {void}
+     */
+    switchSource(newSource: string) {
+        if (!Object.values(RECORDING_SOURCES).includes(newSource)) {
+            logger.log(`Unknown source ${newSource}. Ignoring...`);
+
+            return;
+        }
+        this._source = newSource;
+        logger.log(`Recording source switched to ${newSource}`);
+
+        // the new source will be used in the next recording session
+    }
+
+    /**
+     * Enables or disables the recording of the stems of the remote
+     * participants and of the timeline of the spatial scene.
+     *
+     * @param {boolean} enabled - Whether to record multitrack.
+     * @returns {void}
+     */
+    setMultitrack(enabled: boolean) {
+        this._multitrack = Boolean(enabled);
+        logger.log(`Multitrack recording ${this._multitrack ? 'en' : 'dis'}abled`);
+
+        // takes effect in the next recording session
+    }
+
     /**
      * Returns the local recording stats.
      *
@@ -544,6 +626,20 @@ class RecordingController {
         }
     }
 
+    /**
+     * Whether the current recording session records the local microphone,
+     * which follows the mute state and the selected device.
+     *
+     * @private
+     * @returns {boolean}
+     */
+    _isRecordingMicrophone() {
+        const adapter = this._adapters[this._currentSessionToken];
+
+        return Boolean(adapter)
+            && adapter.getSource() === RECORDING_SOURCES.MICROPHONE;
+    }
+
     /**
      * Generates a token that can be used to distinguish each local recording
      * session.
@@ -570,6 +666,11 @@ class RecordingController {
             .then(() => {
                 this._changeState(ControllerState.RECORDING);
                 sessionManager.beginSegment(this._currentSessionToken);
+
+                const multitrackRecorder
+                    = this._multitrackRecorders[this._currentSessionToken];
+
+                multitrackRecorder && multitrackRecorder.start();
                 logger.log('Local recording engaged.');
 
                 if (this._onNotify) {
@@ -579,7 +680,8 @@ class RecordingController {
                     this._onStateChanged(true);
                 }
 
-                delegate.setMuted(this._isMuted);
+                this._isRecordingMicrophone()
+                    && delegate.setMuted(this._isMuted);
                 this._updateStats();
             })
             .catch(err => {
@@ -600,9 +702,12 @@ class RecordingController {
     _doStopRecording() {
         if (this._state === ControllerState.STOPPING) {
             const token = this._currentSessionToken;
+            const multitrackRecorder = this._multitrackRecorders[token];
 
-            return this._adapters[this._currentSessionToken]
-                .stop()
+            return Promise.all([
+                this._adapters[token].stop(),
+                multitrackRecorder && multitrackRecorder.stop()
+            ])
                 .then(() => {
                     this._changeState(ControllerState.IDLE);
                     sessionManager.endSegment(this._currentSessionToken);
@@ -650,29 +755,54 @@ class RecordingController {
         this._format = format;
         this._currentSessionToken = sessionToken;
         logger.log(`New session: ${this._currentSessionToken}, `
-            + `format: ${this._format}`);
+            + `format: ${this._format}, source: ${this._source}, `
+            + `multitrack: ${String(this._multitrack)}`);
         this._adapters[sessionToken]
              = this._createRecordingAdapter();
-        sessionManager.createSession(sessionToken, this._format);
+        sessionManager.createSession(sessionToken, this._format, this._source);
+
+        if (this._multitrack && spatialAudioEngine.isReady()) {
+            this._multitrackRecorders[sessionToken] = new MultitrackRecorder(
+                sessionToken,
+                participantId => this._createRecordingAdapter(participantId),
+                participantId => this._getDisplayName(participantId));
+        }
+    }
+
+    /**
+     * Returns the display name of a remote participant.
+     *
+     * @private
+     * @param {string} participantId - The ID of the participant.
+     * @returns {string}
+     */
+    _getDisplayName(participantId: string) {
+        const participant = this._conference
+            && this._conference.getParticipantById(participantId);
+
+        return (participant && participant.getDisplayName()) || '';
     }
 
     /**
-     * Creates a recording adapter according to the current recording format.
+     * Creates a recording adapter according to the current recording format
+     * and source.
      *
      * @private
+     * @param {string} participantId - The remote participant to record as a
+     * stem instead of the source, if any.
      * @returns {RecordingAdapter}
      */
-    _createRecordingAdapter() {
+    _createRecordingAdapter(participantId: ?string = null) {
         logger.debug('[RecordingController] creating recording'
             + ` adapter for ${this._format} format.`);
 
         switch (this._format) {
         case 'ogg':
-            return new OggAdapter();
+            return new OggAdapter(this._source, participantId);
         case 'flac':
-            return new FlacAdapter();
+            return new FlacAdapter(this._source, participantId);
         case 'wav':
-            return new WavAdapter();
+            return new WavAdapter(this._source, participantId);
         default:
             throw new Error(`Unknown format: ${this._format}`);
         }
@@ -10,7 +10,16 @@ import { MiddlewareRegistry } from '../base/redux';
 import { SETTINGS_UPDATED } from '../base/settings/actionTypes';
 import { showNotification } from '../notifications/actions';
 
-import { localRecordingEngaged, localRecordingUnengaged } from './actions';
+import {
+    localRecordingEngaged,
+    localRecordingUnengaged,
+    setLocalRecordingMultitrack,
+    setLocalRecordingSource
+} from './actions';
+import {
+    SET_LOCAL_RECORDING_MULTITRACK,
+    SET_LOCAL_RECORDING_SOURCE
+} from './actionTypes';
 import { LocalRecordingInfoDialog } from './components';
 import { recordingController } from './controller';
 
@@ -68,6 +77,14 @@ MiddlewareRegistry.register(({ getState, dispatch }) => next => action => {
             recordingController.switchFormat(localRecording.format);
         }
 
+        if (localRecording.source) {
+            dispatch(setLocalRecordingSource(localRecording.source));
+        }
+
+        if (localRecording.multitrack) {
+            dispatch(setLocalRecordingMultitrack(true));
+        }
+
         const { conference } = getState()['features/base/conference'];
 
         recordingController.registerEvents(conference);
@@ -82,6 +99,12 @@ MiddlewareRegistry.register(({ getState, dispatch }) => next => action => {
     case SET_AUDIO_MUTED:
         recordingController.setMuted(action.muted);
         break;
+    case SET_LOCAL_RECORDING_MULTITRACK:
+        recordingController.setMultitrack(action.multitrack);
+        break;
+    case SET_LOCAL_RECORDING_SOURCE:
+        recordingController.switchSource(action.source);
+        break;
     case SETTINGS_UPDATED: {
         const { micDeviceId } = getState()['features/base/settings'];
 
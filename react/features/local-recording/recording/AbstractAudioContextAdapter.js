@@ -1,3 +1,4 @@
+import { spatialAudioEngine } from '../../spatial-audio';
 import logger from '../logger';
 
 import { RecordingAdapter } from './RecordingAdapter';
@@ -33,9 +34,14 @@ export class AbstractAudioContextAdapter extends RecordingAdapter {
 
     /**
      * Constructor.
+     *
+     * @param {string} source - The audio to record, one of
+     * {@code RECORDING_SOURCES}.
+     * @param {string} participantId - The remote participant to record as a
+     * stem instead, if any.
      */
-    constructor() {
-        super();
+    constructor(source, participantId) {
+        super(source, participantId);
 
         // sampleRate is browser and OS dependent.
         // Setting sampleRate explicitly is in the specs but not implemented
@@ -44,7 +50,10 @@ export class AbstractAudioContextAdapter extends RecordingAdapter {
         //    AudioContext#Browser_compatibility
         // And https://bugs.chromium.org/p/chromium/issues/detail?id=432248
 
-        this._audioContext = new AudioContext();
+        // A stem is recorded in the context of the spatial audio engine which
+        // produces it, rather than in a new context for every participant.
+        this._audioContext = (participantId && spatialAudioEngine.getContext())
+            || new AudioContext();
         this._sampleRate = this._audioContext.sampleRate;
         logger.log(`Current sampleRate ${this._sampleRate}.`);
     }
@@ -69,7 +78,8 @@ export class AbstractAudioContextAdapter extends RecordingAdapter {
             this._audioSource
                 = this._audioContext.createMediaStreamSource(stream);
             this._audioProcessingNode
-                = this._audioContext.createScriptProcessor(4096, 1, 1);
+                = this._audioContext.createScriptProcessor(
+                    4096, this._getChannelCount(), this._getChannelCount());
             this._audioProcessingNode.onaudioprocess = callback;
             logger.debug('AudioContext is set up.');
         })
@@ -126,4 +136,35 @@ export class AbstractAudioContextAdapter extends RecordingAdapter {
 
         return Promise.resolve();
     }
+
+    /**
+     * Returns the samples of an {@code AudioProcessingEvent}, interleaved if
+     * there is more than one channel.
+     *
+     * @protected
+     * @param {AudioProcessingEvent} e - The event containing the raw PCM.
+     * @returns {Float32Array}
+     */
+    _getSamples(e) {
+        const channelCount = this._getChannelCount();
+        const channels = [];
+
+        for (let c = 0; c < channelCount; ++c) {
+            channels.push(e.inputBuffer.getChannelData(c));
+        }
+
+        if (channelCount === 1) {
+            return channels[0];
+        }
+
+        const samples = new Float32Array(channels[0].length * channelCount);
+
+        for (let i = 0; i < channels[0].length; ++i) {
+            for (let c = 0; c < channelCount; ++c) {
+                samples[(i * channelCount) + c] = channels[c][i];
+            }
+        }
+
+        return samples;
+    }
 }
@@ -0,0 +1,323 @@
+// @flow
+
+import { equals } from '../../base/redux';
+import { spatialAudioEngine } from '../../spatial-audio';
+import logger from '../logger';
+import { sessionManager } from '../session';
+
+import { RecordingAdapter } from './RecordingAdapter';
+
+/**
+ * How often, in milliseconds, the spatial scene is sampled into the timeline.
+ */
+const SCENE_SAMPLE_INTERVAL = 100;
+
+/**
+ * The version of the format of the scene timeline, to be bumped whenever it
+ * changes in a way offline renderers have to know about.
+ */
+const SCENE_TIMELINE_VERSION = 1;
+
+/**
+ * The audio of a single remote participant, recorded separately.
+ */
+type Stem = {
+
+    /**
+     * The adapter which records and encodes the stem.
+     */
+    adapter: RecordingAdapter,
+
+    /**
+     * The display name of the participant when the stem started.
+     */
+    displayName: string,
+
+    /**
+     * The end of the stem, in seconds from the start of the session. Null
+     * while the stem is being recorded.
+     */
+    end: ?number,
+
+    /**
+     * The ID of the participant.
+     */
+    participantId: string,
+
+    /**
+     * The start of the stem, in seconds from the start of the session.
+     */
+    start: number
+};
+
+/**
+ * Records the audio of every remote participant as a separate stem, together
+ * with a timeline of the spatial scene, so that a local recording session can
+ * be rendered again offline with different spatial settings. Participants who
+ * join during the session get a stem from then on. A stem stays open until
+ * recording stops, through the gaps where the participant is missing from the
+ * scene, e.g. while their track is replaced.
+ */
+export class MultitrackRecorder {
+
+    /**
+     * Creates the adapter which records the stem of a participant.
+     *
+     * @private
+     */
+    _createAdapter: string => RecordingAdapter;
+
+    /**
+     * The timeline of the spatial scene: a frame every time the scene
+     * changes.
+     *
+     * @private
+     */
+    _frames: Array<Object> = [];
+
+    /**
+     * Returns the display name of a participant.
+     *
+     * @private
+     */
+    _getDisplayName: string => string;
+
+    /**
+     * The interval which samples the scene.
+     *
+     * @private
+     */
+    _interval: ?IntervalID = null;
+
+    /**
+     * The scene sampled last.
+     *
+     * @private
+     */
+    _lastScene: ?Object = null;
+
+    /**
+     * The stems being recorded, keyed by participant ID.
+     *
+     * @private
+     */
+    _openStems: Map<string, Stem> = new Map();
+
+    /**
+     * The token of the local recording session.
+     *
+     * @private
+     */
+    _sessionToken: number;
+
+    /**
+     * The wall clock time at which recording started.
+     *
+     * @private
+     */
+    _startedAt: number = 0;
+
+    /**
+     * The high resolution time at which recording started, which the times
+     * of the timeline are relative to.
+     *
+     * @private
+     */
+    _startTime: number = 0;
+
+    /**
+     * The stems, in the order they started.
+     *
+     * @private
+     */
+    _stems: Array<Stem> = [];
+
+    /**
+     * Constructor.
+     *
+     * @param {number} sessionToken - The token of the local recording session.
+     * @param {Function} createAdapter - Creates the adapter which records the
+     * stem of a participant, given the participant's ID.
+     * @param {Function} getDisplayName - Returns the display name of a
+     * participant, given the participant's ID.
+     */
+    constructor(
+            sessionToken: number,
+            createAdapter: string => RecordingAdapter,
+            getDisplayName: string => string) {
+        this._sessionToken = sessionToken;
+        this._createAdapter = createAdapter;
+        this._getDisplayName = getDisplayName;
+        this._sample = this._sample.bind(this);
+    }
+
+    /**
+     * Starts recording the stems of the participants in the scene and
+     * sampling the scene.
+     *
+     * @returns {void}
+     */
+    start() {
+        this._startedAt = Date.now();
+        this._startTime = window.performance.now();
+        this._sample();
+        this._interval = setInterval(this._sample, SCENE_SAMPLE_INTERVAL);
+    }
+
+    /**
+     * Stops recording.
+     *
+     * @returns {Promise}
+     */
+    stop() {
+        const stems = Array.from(this._openStems.values());
+
+        clearInterval(this._interval);
+        this._interval = null;
+        this._openStems.clear();
+
+        return Promise.all(stems.map(stem => this._stopStem(stem)));
+    }
+
+    /**
+     * Exports the encoded stems and the timeline of the scene, which refers
+     * to the stems by file name.
+     *
+     * @param {string} prefix - The prefix of the names of the files.
+     * @returns {Promise<Array<{ data: Blob, filename: string }>>}
+     */
+    exportRecordedData(prefix: string) {
+        return Promise.all(this._stems.map((stem, index) =>
+            stem.adapter.exportRecordedData()
+                .then(({ data, format }) => {
+                    return {
+                        data,
+                        filename: `${prefix}_stem${index + 1}`
+                            + `_${stem.participantId}.${format}`
+                    };
+                })
+                .catch(error => {
+                    logger.error('Failed to export the stem of'
+                        + ` ${stem.participantId}. Error: ${error}`);
+
+                    return null;
+                })))
+            .then(files => {
+                const timeline = {
+                    version: SCENE_TIMELINE_VERSION,
+                    sessionToken: this._sessionToken,
+                    startedAt: new Date(this._startedAt).toISOString(),
+                    stems: this._stems.map((stem, index) => {
+                        return {
+                            displayName: stem.displayName,
+                            end: stem.end,
+                            file: files[index] ? files[index].filename : null,
+                            participantId: stem.participantId,
+                            start: stem.start
+                        };
+                    }),
+                    frames: this._frames
+                };
+
+                return [
+                    ...files.filter(Boolean),
+                    {
+                        data: new Blob([ JSON.stringify(timeline, null, 2) ], {
+                            type: 'application/json'
+                        }),
+                        filename: `${prefix}_scene.json`
+                    }
+                ];
+            });
+    }
+
+    /**
+     * Returns the time elapsed since recording started.
+     *
+     * @private
+     * @returns {number} The time, in seconds.
+     */
+    _getTime() {
+        return Math.round(window.performance.now() - this._startTime) / 1000;
+    }
+
+    _sample: () => void;
+
+    /**
+     * Starts the stems of the participants who appeared in the scene and adds
+     * a frame to the timeline if the scene changed.
+     *
+     * @private
+     * @returns {void}
+     */
+    _sample() {
+        const scene = spatialAudioEngine.getSceneSnapshot();
+        const time = this._getTime();
+
+        Object.keys(scene.sources).forEach(participantId => {
+            this._openStems.has(participantId) || this._startStem(participantId, time);
+        });
+
+        if (!equals(scene, this._lastScene)) {
+            this._frames.push({
+                time,
+                ...scene
+            });
+            this._lastScene = scene;
+        }
+    }
+
+    /**
+     * Starts recording the stem of a participant.
+     *
+     * @private
+     * @param {string} participantId - The ID of the participant.
+     * @param {number} time - The time, in seconds from the start of the
+     * session.
+     * @returns {void}
+     */
+    _startStem(participantId: string, time: number) {
+        const stem = {
+            adapter: this._createAdapter(participantId),
+            displayName: this._getDisplayName(participantId),
+            end: null,
+            participantId,
+            start: time
+        };
+
+        this._openStems.set(participantId, stem);
+        this._stems.push(stem);
+        sessionManager.addStem(
+            this._sessionToken, participantId, stem.displayName);
+        stem.adapter.start()
+            .then(() => {
+                // Getting the stream and the encoder ready takes a while.
+                stem.start = this._getTime();
+            })
+            .catch(error => {
+                logger.error('Failed to record the stem of'
+                    + ` ${participantId}. Error: ${error}`);
+            });
+    }
+
+    /**
+     * Stops recording the stem of a participant.
+     *
+     * @private
+     * @param {Stem} stem - The stem.
+     * @returns {Promise}
+     */
+    _stopStem(stem: Stem) {
+        stem.end = this._getTime();
+        sessionManager.endStem(this._sessionToken, stem.participantId);
+
+        return Promise.resolve()
+            .then(() => stem.adapter.stop())
+            .catch(error => {
+                logger.error('Failed to stop the stem of'
+                    + ` ${stem.participantId}. Error: ${error}`);
+            })
+            .then(() => spatialAudioEngine.releaseSourceStream(
+                stem.participantId));
+    }
+}
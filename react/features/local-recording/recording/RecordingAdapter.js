@@ -1,10 +1,45 @@
 import JitsiMeetJS from '../../base/lib-jitsi-meet';
+import { spatialAudioEngine } from '../../spatial-audio';
+import { RECORDING_SOURCES } from '../constants';
 
 /**
  * Base class for recording backends.
  */
 export class RecordingAdapter {
 
+    /**
+     * The audio being recorded, one of {@code RECORDING_SOURCES}.
+     */
+    _source = RECORDING_SOURCES.MICROPHONE;
+
+    /**
+     * The ID of the remote participant whose audio is recorded as a stem of a
+     * multitrack recording. The source is ignored then.
+     */
+    _participantId = null;
+
+    /**
+     * Constructor.
+     *
+     * @param {string} source - The audio to record, one of
+     * {@code RECORDING_SOURCES}.
+     * @param {string} participantId - The remote participant to record as a
+     * stem instead, if any.
+     */
+    constructor(source = RECORDING_SOURCES.MICROPHONE, participantId = null) {
+        this._source = source;
+        this._participantId = participantId;
+    }
+
+    /**
+     * Returns the audio being recorded.
+     *
+     * @returns {string} One of {@code RECORDING_SOURCES}.
+     */
+    getSource() {
+        return this._source;
+    }
+
     /**
      * Starts recording.
      *
@@ -56,6 +91,19 @@ export class RecordingAdapter {
         throw new Error('Not implemented');
     }
 
+    /**
+     * Returns the number of channels of the recorded audio: two for the
+     * conference mix, which is binaural, one for the microphone and the
+     * stems.
+     *
+     * @protected
+     * @returns {number}
+     */
+    _getChannelCount() {
+        return this._source === RECORDING_SOURCES.CONFERENCE_MIX
+            && !this._participantId ? 2 : 1;
+    }
+
     /**
      * Helper method for getting an audio {@code MediaStream}. Use this instead
      * of calling browser APIs directly.
@@ -65,6 +113,24 @@ export class RecordingAdapter {
      * @returns {Promise}
      */
     _getAudioStream(micDeviceId) {
+        if (this._participantId) {
+            const stream
+                = spatialAudioEngine.getSourceStream(this._participantId);
+
+            return stream
+                ? Promise.resolve(stream)
+                : Promise.reject(new Error('The audio of participant '
+                    + `${this._participantId} is not available.`));
+        }
+
+        if (this._source === RECORDING_SOURCES.CONFERENCE_MIX) {
+            const stream = spatialAudioEngine.getRecordingStream();
+
+            return stream
+                ? Promise.resolve(stream)
+                : Promise.reject(new Error('The conference mix is not available.'));
+        }
+
         return JitsiMeetJS.createLocalTracks({
             devices: [ 'audio' ],
             micDeviceId
@@ -31,9 +31,14 @@ export class WavAdapter extends AbstractAudioContextAdapter {
 
     /**
      * Constructor.
+     *
+     * @param {string} source - The audio to record, one of
+     * {@code RECORDING_SOURCES}.
+     * @param {string} participantId - The remote participant to record as a
+     * stem instead, if any.
      */
-    constructor() {
-        super();
+    constructor(source, participantId) {
+        super(source, participantId);
         this._onAudioProcess = this._onAudioProcess.bind(this);
     }
 
@@ -62,7 +67,7 @@ export class WavAdapter extends AbstractAudioContextAdapter {
      */
     stop() {
         this._disconnectAudioGraph();
-        this._data = this._exportMonoWAV(this._wavBuffers, this._wavLength);
+        this._data = this._exportWAV(this._wavBuffers, this._wavLength);
         this._audioProcessingNode = null;
         this._audioSource = null;
         this._isInitialized = false;
@@ -151,18 +156,22 @@ export class WavAdapter extends AbstractAudioContextAdapter {
         view.setUint32(16, 16, true);
         view.setUint16(20, 1, true);
 
+        const channelCount = this._getChannelCount();
+
         // NumChannels
-        view.setUint16(22, 1, true);
+        view.setUint16(22, channelCount, true);
 
         // SampleRate
         view.setUint32(24, this._sampleRate, true);
 
         // ByteRate
         view.setUint32(28,
-            Number(this._sampleRate) * 1 * WAV_BITS_PER_SAMPLE / 8, true);
+            Number(this._sampleRate) * channelCount * WAV_BITS_PER_SAMPLE / 8,
+            true);
 
         // BlockAlign
-        view.setUint16(32, 1 * Number(WAV_BITS_PER_SAMPLE) / 8, true);
+        view.setUint16(32,
+            channelCount * Number(WAV_BITS_PER_SAMPLE) / 8, true);
 
         view.setUint16(34, WAV_BITS_PER_SAMPLE, true);
 
@@ -206,26 +215,29 @@ export class WavAdapter extends AbstractAudioContextAdapter {
     _onAudioProcess(e) {
         // See: https://developer.mozilla.org/en-US/docs/Web/API/
         //      AudioBuffer/getChannelData
-        // The returned value is an Float32Array.
-        const channelLeft = e.inputBuffer.getChannelData(0);
+        // The returned value is an Float32Array, with the channels
+        // interleaved if there are several.
+        const samples = this._getSamples(e);
 
         // Need to copy the Float32Array:
         // unlike passing to WebWorker, this data is passed by reference,
         // so we need to copy it, otherwise the resulting audio file will be
         // just repeating the last segment.
-        this._wavBuffers.push(new Float32Array(channelLeft));
-        this._wavLength += channelLeft.length;
+        this._wavBuffers.push(new Float32Array(samples));
+        this._wavLength += samples.length;
     }
 
     /**
      * Combines buffers and export to a wav file.
      *
      * @private
-     * @param {Float32Array[]} buffers - The stored buffers.
-     * @param {number} length - Total length (number of samples).
+     * @param {Float32Array[]} buffers - The stored buffers, with the channels
+     * interleaved.
+     * @param {number} length - Total length (number of samples, all channels
+     * included).
      * @returns {Blob}
      */
-    _exportMonoWAV(buffers, length) {
+    _exportWAV(buffers, length) {
         const dataLength = length * 2; // each sample = 16 bit = 2 bytes
         const buffer = new ArrayBuffer(44 + dataLength);
         const view = new DataView(buffer);
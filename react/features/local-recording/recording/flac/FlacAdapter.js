@@ -39,9 +39,14 @@ export class FlacAdapter extends AbstractAudioContextAdapter {
 
     /**
      * Constructor.
+     *
+     * @param {string} source - The audio to record, one of
+     * {@code RECORDING_SOURCES}.
+     * @param {string} participantId - The remote participant to record as a
+     * stem instead, if any.
      */
-    constructor() {
-        super();
+    constructor(source, participantId) {
+        super(source, participantId);
         this._onAudioProcess = this._onAudioProcess.bind(this);
         this._onWorkerMessage = this._onWorkerMessage.bind(this);
     }
@@ -167,7 +172,8 @@ export class FlacAdapter extends AbstractAudioContextAdapter {
                 command: MAIN_THREAD_INIT,
                 config: {
                     sampleRate: this._sampleRate,
-                    bps: 16
+                    bps: 16,
+                    channels: this._getChannelCount()
                 }
             });
         });
@@ -191,13 +197,11 @@ export class FlacAdapter extends AbstractAudioContextAdapter {
      */
     _onAudioProcess(e) {
         // Delegates to the WebWorker to do the encoding.
-        // The return of getChannelData() is a Float32Array,
-        // each element representing one sample.
-        const channelLeft = e.inputBuffer.getChannelData(0);
-
+        // The samples are a Float32Array, each element representing one
+        // sample, with the channels interleaved if there are several.
         this._encoder.postMessage({
             command: MAIN_THREAD_NEW_DATA_ARRIVED,
-            buf: channelLeft
+            buf: this._getSamples(e)
         });
     }
 
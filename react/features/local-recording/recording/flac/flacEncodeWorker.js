@@ -131,6 +131,12 @@ class Encoder {
      */
     _bitDepth;
 
+    /**
+     * Number of channels.
+     * @private
+     */
+    _channels;
+
     /**
      * Buffer size.
      * @private
@@ -164,23 +170,24 @@ class Encoder {
      *
      * @param {number} sampleRate - Sample rate of the raw audio data.
      * @param {number} bitDepth - Bit depth (bit per sample).
+     * @param {number} channels - Number of channels, interleaved in the raw
+     * audio data.
      * @param {number} bufferSize - The size of each batch.
      */
-    constructor(sampleRate, bitDepth = 16, bufferSize = 4096) {
+    constructor(sampleRate, bitDepth = 16, channels = 1, bufferSize = 4096) {
         if (!Flac.isReady()) {
             throw new Error('libflac is not ready yet!');
         }
 
         this._sampleRate = sampleRate;
         this._bitDepth = bitDepth;
+        this._channels = channels;
         this._bufferSize = bufferSize;
 
         // create the encoder
         this._encoderId = Flac.init_libflac_encoder(
             this._sampleRate,
-
-            // Mono channel
-            1,
+            this._channels,
             this._bitDepth,
 
             FLAC_COMPRESSION_LEVEL,
@@ -216,7 +223,8 @@ class Encoder {
     /**
      * Receive and encode new data.
      *
-     * @param {Float32Array} audioData - Raw audio data.
+     * @param {Float32Array} audioData - Raw audio data, with the channels
+     * interleaved.
      * @returns {void}
      */
     encode(audioData) {
@@ -249,11 +257,11 @@ class Encoder {
             index += 4; // 4 bytes (32-bit)
         }
 
-        // pass it to libflac
+        // pass it to libflac, which counts the samples of a single channel
         const status = Flac.FLAC__stream_encoder_process_interleaved(
             this._encoderId,
             bufferI32,
-            bufferI32.length
+            bufferI32.length / this._channels
         );
 
         if (status !== 1) {
@@ -349,17 +357,18 @@ self.onmessage = function(e) {
     case MAIN_THREAD_INIT:
     {
         const bps = e.data.config.bps;
+        const channels = e.data.config.channels || 1;
         const sampleRate = e.data.config.sampleRate;
 
         if (Flac.isReady()) {
-            encoder = new Encoder(sampleRate, bps);
+            encoder = new Encoder(sampleRate, bps, channels);
             self.postMessage({
                 command: WORKER_LIBFLAC_READY
             });
         } else {
             Flac.onready = function() {
                 setTimeout(() => {
-                    encoder = new Encoder(sampleRate, bps);
+                    encoder = new Encoder(sampleRate, bps, channels);
                     self.postMessage({
                         command: WORKER_LIBFLAC_READY
                     });
@@ -1,3 +1,4 @@
+export * from './MultitrackRecorder';
 export * from './OggAdapter';
 export * from './RecordingAdapter';
 export * from './Utils';
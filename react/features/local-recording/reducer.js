@@ -5,7 +5,9 @@ import { ReducerRegistry } from '../base/redux';
 import {
     LOCAL_RECORDING_ENGAGED,
     LOCAL_RECORDING_STATS_UPDATE,
-    LOCAL_RECORDING_UNENGAGED
+    LOCAL_RECORDING_UNENGAGED,
+    SET_LOCAL_RECORDING_MULTITRACK,
+    SET_LOCAL_RECORDING_SOURCE
 } from './actionTypes';
 import { recordingController } from './controller';
 
@@ -30,6 +32,16 @@ ReducerRegistry.register('features/local-recording', (state = {}, action) => {
             ...state,
             stats: action.stats
         };
+    case SET_LOCAL_RECORDING_MULTITRACK:
+        return {
+            ...state,
+            multitrack: action.multitrack
+        };
+    case SET_LOCAL_RECORDING_SOURCE:
+        return {
+            ...state,
+            recordingSource: action.source
+        };
     default:
         return state;
     }
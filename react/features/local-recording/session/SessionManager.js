@@ -2,6 +2,7 @@
 
 import { jitsiLocalStorage } from '@jitsi/js-utils';
 
+import { RECORDING_SOURCES } from '../constants';
 import logger from '../logger';
 
 /**
@@ -94,6 +95,34 @@ type SegmentInfo = {
     end?: ?number
 };
 
+/**
+ * Representation of the metadata of the stem of a remote participant, in a
+ * multitrack local recording session.
+ */
+type StemInfo = {
+
+    /**
+     * The ID of the participant.
+     */
+    participantId: string,
+
+    /**
+     * The display name of the participant when the stem started.
+     */
+    displayName: string,
+
+    /**
+     * The start time, in milliseconds.
+     */
+    start: number,
+
+    /**
+     * The end time, in milliseconds.
+     * null if the stem is not finished or the recording is interrupted.
+     */
+    end: ?number
+};
+
 /**
  * Representation of metadata of a local recording session.
  */
@@ -114,10 +143,21 @@ type SessionInfo = {
      */
     format: string,
 
+    /**
+     * The recorded audio, one of {@code RECORDING_SOURCES}.
+     */
+    source: string,
+
     /**
      * Array of segments in the session.
      */
-    segments: SegmentInfo[]
+    segments: SegmentInfo[],
+
+    /**
+     * Array of the stems of the remote participants, if the session is
+     * multitrack.
+     */
+    stems: StemInfo[]
 }
 
 /**
@@ -190,12 +230,18 @@ class SessionManager {
      *
      * @param {string} sessionToken - The local recording session token.
      * @param {string} format - The local recording format.
+     * @param {string} source - The recorded audio, one of
+     * {@code RECORDING_SOURCES}.
      * @returns {void}
      */
-    createSession(sessionToken: string, format: string) {
+    createSession(
+            sessionToken: string,
+            format: string,
+            source: string = RECORDING_SOURCES.MICROPHONE) {
         if (this._sessionsMetadata[sessionToken] === undefined) {
             this._sessionsMetadata[sessionToken] = {
                 format,
+                source,
                 events: []
             };
             this._sessionsMetadata[sessionToken].events.push({
@@ -222,8 +268,13 @@ class SessionManager {
             const newSessionInfo: SessionInfo = {
                 start: thisSession.events[0].timestamp,
                 format: thisSession.format,
+
+                // Sessions saved before the source could be chosen recorded
+                // the microphone.
+                source: thisSession.source || RECORDING_SOURCES.MICROPHONE,
                 sessionToken: sessionTokens[i],
-                segments: this.getSegments(sessionTokens[i])
+                segments: this.getSegments(sessionTokens[i]),
+                stems: thisSession.stems || []
             };
 
             output.push(newSessionInfo);
@@ -333,6 +384,57 @@ class SessionManager {
         }
     }
 
+    /**
+     * Marks the start of the stem of a remote participant.
+     * This should be invoked by the {@code MultitrackRecorder} when a
+     * participant appears in the spatial scene.
+     *
+     * @param {string} sessionToken - The session token.
+     * @param {string} participantId - The ID of the participant.
+     * @param {string} displayName - The display name of the participant.
+     * @returns {void}
+     */
+    addStem(sessionToken: string, participantId: string, displayName: string) {
+        const thisSession = this._sessionsMetadata[sessionToken];
+
+        if (thisSession === undefined) {
+            logger.warn('Attempting to add a stem to nonexistent'
+                + ` session ${sessionToken}`);
+
+            return;
+        }
+        thisSession.stems = thisSession.stems || [];
+        thisSession.stems.push({
+            participantId,
+            displayName,
+            start: highPrecisionTime(),
+            end: null
+        });
+        this._saveMetadata();
+    }
+
+    /**
+     * Marks the end of the last stem of a remote participant.
+     *
+     * @param {string} sessionToken - The session token.
+     * @param {string} participantId - The ID of the participant.
+     * @returns {void}
+     */
+    endStem(sessionToken: string, participantId: string) {
+        const thisSession = this._sessionsMetadata[sessionToken];
+        const stem = thisSession && (thisSession.stems || [])
+            .filter(s => s.participantId === participantId && !s.end)
+            .pop();
+
+        if (stem) {
+            stem.end = highPrecisionTime();
+            this._saveMetadata();
+        } else {
+            logger.warn(`Attempting to end nonexistent stem of ${participantId}`
+                + ` in session ${sessionToken}`);
+        }
+    }
+
     /**
      * Constructs an array of {@code SegmentInfo} from an array of
      * {@code SessionEvent}s.
@@ -0,0 +1,115 @@
+// @flow
+
+import { MAX_SESSION_LOG_EVENTS } from './constants';
+
+/**
+ * An event of the session log.
+ */
+type SessionLogEvent = {
+
+    /**
+     * The details of the event.
+     */
+    data: Object,
+
+    /**
+     * The ID of the participant the event is about, if any.
+     */
+    participantId: ?string,
+
+    /**
+     * The time of the event, in milliseconds since the epoch.
+     */
+    timestamp: number,
+
+    /**
+     * The type of the event, one of {@code SESSION_LOG_EVENTS}.
+     */
+    type: string
+};
+
+/**
+ * Keeps, in memory only, the events which shape the listening experience of
+ * the local user during a conference, for the local user to download. Nothing
+ * is ever sent anywhere. The events are kept in a ring buffer of
+ * {@code MAX_SESSION_LOG_EVENTS}, so the oldest ones are dropped first.
+ */
+class SessionEventLog {
+    /**
+     * The ring buffer of the events.
+     */
+    _events: Array<SessionLogEvent> = [];
+
+    /**
+     * The index in {@code _events} of the oldest event.
+     */
+    _first: number = 0;
+
+    /**
+     * The time at which the log started.
+     */
+    _startedAt: number = Date.now();
+
+    /**
+     * Adds an event to the log.
+     *
+     * @param {string} type - The type of the event, one of
+     * {@code SESSION_LOG_EVENTS}.
+     * @param {?string} participantId - The ID of the participant the event is
+     * about, if any.
+     * @param {Object} data - The details of the event.
+     * @returns {void}
+     */
+    add(type: string, participantId: ?string, data: Object = {}) {
+        const event = {
+            data,
+            participantId,
+            timestamp: Date.now(),
+            type
+        };
+
+        if (this._events.length < MAX_SESSION_LOG_EVENTS) {
+            this._events.push(event);
+        } else {
+            this._events[this._first] = event;
+            this._first = (this._first + 1) % MAX_SESSION_LOG_EVENTS;
+        }
+    }
+
+    /**
+     * Empties the log, for a new conference.
+     *
+     * @returns {void}
+     */
+    clear() {
+        this._events = [];
+        this._first = 0;
+        this._startedAt = Date.now();
+    }
+
+    /**
+     * Returns the events of the log, oldest first.
+     *
+     * @returns {Array<SessionLogEvent>}
+     */
+    getEvents(): Array<SessionLogEvent> {
+        return [
+            ...this._events.slice(this._first),
+            ...this._events.slice(0, this._first)
+        ];
+    }
+
+    /**
+     * Returns the time at which the log started.
+     *
+     * @returns {number}
+     */
+    getStartTime() {
+        return this._startedAt;
+    }
+}
+
+/**
+ * The session log of the application.
+ */
+export const sessionEventLog = new SessionEventLog();
@@ -0,0 +1,38 @@
+// @flow
+
+import type { Dispatch } from 'redux';
+
+import { sessionEventLog } from './SessionEventLog';
+import { getSessionLog, getSessionLogCSV } from './functions';
+
+/**
+ * Downloads the session log. The log only ever leaves the application this
+ * way. It is handed to the browser as a {@code Blob}, which unlike a data URL
+ * does not have to fit a URL however long the conference was.
+ *
+ * @param {string} format - Either 'json' or 'csv'.
+ * @returns {Function}
+ */
+export function downloadSessionLog(format: string) {
+    return (dispatch: Dispatch<any>, getState: Function) => {
+        const state = getState();
+        const filename = `session-log-${state['features/base/conference'].room}`
+            + `-${sessionEventLog.getStartTime()}.${format}`;
+        const blob = format === 'csv'
+            ? new Blob([ getSessionLogCSV(state) ], { type: 'text/csv;charset=utf-8' })
+            : new Blob([ JSON.stringify(getSessionLog(state), null, '  ') ], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const elem = document.createElement('a');
+
+        elem.download = filename;
+        elem.href = url;
+        elem.dispatchEvent(new MouseEvent('click', {
+            view: window,
+            bubbles: true,
+            cancelable: false
+        }));
+
+        // Give the browser time to start the download before the URL goes.
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+}
@@ -0,0 +1,45 @@
+// @flow
+
+import type { Dispatch } from 'redux';
+
+import { openDialog } from '../../../base/dialog';
+import { translate } from '../../../base/i18n';
+import { IconDownload } from '../../../base/icons';
+import { connect } from '../../../base/redux';
+import { AbstractButton, type AbstractButtonProps } from '../../../base/toolbox/components';
+
+import SessionLogDialog from './SessionLogDialog';
+
+/**
+ * The type of the React {@code Component} props of {@link SessionLogButton}.
+ */
+type Props = AbstractButtonProps & {
+
+    /**
+     * The redux {@code dispatch} function.
+     */
+    dispatch: Dispatch<any>
+};
+
+/**
+ * Implements a button which opens the dialog to download the session log.
+ */
+class SessionLogButton<P: Props> extends AbstractButton<P, *> {
+    accessibilityLabel = 'toolbar.accessibilityLabel.sessionLog';
+    icon = IconDownload;
+    label = 'toolbar.sessionLog';
+    tooltip = 'toolbar.sessionLog';
+
+    /**
+     * Handles clicking / pressing the button.
+     *
+     * @override
+     * @protected
+     * @returns {void}
+     */
+    _handleClick() {
+        this.props.dispatch(openDialog(SessionLogDialog));
+    }
+}
+
+export default translate(connect()(SessionLogButton));
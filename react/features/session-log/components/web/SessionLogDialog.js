@@ -0,0 +1,109 @@
+// @flow
+
+import Button from '@atlaskit/button/standard-button';
+import React, { Component } from 'react';
+
+import { Dialog } from '../../../base/dialog';
+import { translate } from '../../../base/i18n';
+import { connect } from '../../../base/redux';
+import { downloadSessionLog } from '../../actions';
+import { sessionEventLog } from '../../SessionEventLog';
+
+/**
+ * The type of the React {@code Component} props of {@link SessionLogDialog}.
+ */
+type Props = {
+
+    /**
+     * The redux {@code dispatch} function.
+     */
+    dispatch: Function,
+
+    /**
+     * Invoked to obtain translated strings.
+     */
+    t: Function
+};
+
+/**
+ * Implements a React {@link Component} which lets the local user download
+ * the session log as JSON or CSV.
+ *
+ * @extends Component
+ */
+class SessionLogDialog extends Component<Props> {
+    /**
+     * Initializes a new {@code SessionLogDialog} instance.
+     *
+     * @param {Object} props - The read-only properties with which the new
+     * instance is to be initialized.
+     */
+    constructor(props: Props) {
+        super(props);
+
+        // Bind event handlers so they are only bound once for every instance.
+        this._onDownloadCSV = this._onDownloadCSV.bind(this);
+        this._onDownloadJSON = this._onDownloadJSON.bind(this);
+    }
+
+    /**
+     * Implements React's {@link Component#render}.
+     *
+     * @inheritdoc
+     */
+    render() {
+        const { t } = this.props;
+
+        return (
+            <Dialog
+                hideCancelButton = { true }
+                okKey = 'dialog.done'
+                titleKey = 'sessionLog.title'
+                width = 'small'>
+                <div>
+                    <p>
+                        { t('sessionLog.description', { count: sessionEventLog.getEvents().length }) }
+                    </p>
+                    <div className = 'download-choices'>
+                        <Button
+                            appearance = 'primary'
+                            onClick = { this._onDownloadJSON }>
+                            { t('sessionLog.downloadJSON') }
+                        </Button>
+                        <Button
+                            appearance = 'default'
+                            onClick = { this._onDownloadCSV }>
+                            { t('sessionLog.downloadCSV') }
+                        </Button>
+                    </div>
+                </div>
+            </Dialog>
+        );
+    }
+
+    _onDownloadCSV: () => void;
+
+    /**
+     * Downloads the session log as a CSV file.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onDownloadCSV() {
+        this.props.dispatch(downloadSessionLog('csv'));
+    }
+
+    _onDownloadJSON: () => void;
+
+    /**
+     * Downloads the session log as a JSON file.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onDownloadJSON() {
+        this.props.dispatch(downloadSessionLog('json'));
+    }
+}
+
+export default translate(connect()(SessionLogDialog));
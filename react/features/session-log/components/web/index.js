@@ -0,0 +1,4 @@
+// @flow
+
+export { default as SessionLogButton } from './SessionLogButton';
+export { default as SessionLogDialog } from './SessionLogDialog';
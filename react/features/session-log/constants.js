@@ -0,0 +1,57 @@
+// @flow
+
+/**
+ * The minimum time, in milliseconds, between two audio levels of the same
+ * participant in the session log, so that the log stays readable.
+ *
+ * @type {number}
+ */
+export const AUDIO_LEVEL_LOG_INTERVAL = 1000;
+
+/**
+ * The maximum number of events the session log keeps. Once it is reached, the
+ * oldest events make room for the new ones, so that a long conference does
+ * not fill the memory.
+ *
+ * @type {number}
+ */
+export const MAX_SESSION_LOG_EVENTS = 20000;
+
+/**
+ * The minimum time, in milliseconds, between two positions of the same
+ * participant, or two poses of the listener, in the session log. Dragging
+ * and walking around the room change them on every frame.
+ *
+ * @type {number}
+ */
+export const POSITION_LOG_INTERVAL = 500;
+
+/**
+ * The version of the format of the exported log, to be bumped whenever it
+ * changes in a way analysis scripts have to know about.
+ *
+ * @type {number}
+ */
+export const SESSION_LOG_VERSION = 1;
+
+/**
+ * The types of the events of the session log.
+ *
+ * @type {Object}
+ */
+export const SESSION_LOG_EVENTS = {
+    AUDIO_LEVEL: 'audio-level',
+    DOMINANT_SPEAKER: 'dominant-speaker',
+    LISTENER: 'listener',
+    MUTE: 'mute',
+    PARTICIPANT_JOINED: 'participant-joined',
+    PARTICIPANT_LEFT: 'participant-left',
+    ROOM_POSITION: 'room-position',
+    ROOM_SCENE: 'room-scene',
+    SEATS: 'seats',
+    SPATIAL_AUDIO: 'spatial-audio',
+    SPATIAL_OVERRIDE: 'spatial-override',
+    SPATIAL_SETTINGS: 'spatial-settings',
+    SPEAKING_TIME: 'speaking-time',
+    WHISPER: 'whisper'
+};
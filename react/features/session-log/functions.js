@@ -0,0 +1,101 @@
+// @flow
+
+import { getCurrentConference } from '../base/conference';
+import { toState } from '../base/redux';
+
+import { sessionEventLog } from './SessionEventLog';
+import { SESSION_LOG_EVENTS, SESSION_LOG_VERSION } from './constants';
+
+/**
+ * Formats a value as a field of a CSV file, quoting it when it contains a
+ * separator, a quote or a line break.
+ *
+ * @param {any} value - The value to format.
+ * @private
+ * @returns {string}
+ */
+function _formatCSVField(value: any) {
+    const field = value === null || value === undefined ? '' : String(value);
+
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+/**
+ * Returns the session log: the events collected since the local participant
+ * joined the conference, followed by the time every participant has spent
+ * speaking according to the speaker stats of the conference.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Object}
+ */
+export function getSessionLog(stateful: Object | Function): Object {
+    const state = toState(stateful);
+    const now = Date.now();
+
+    return {
+        version: SESSION_LOG_VERSION,
+        room: state['features/base/conference'].room,
+        startedAt: new Date(sessionEventLog.getStartTime()).toISOString(),
+        exportedAt: new Date(now).toISOString(),
+        events: [
+            ...sessionEventLog.getEvents(),
+            ...getSpeakingTimes(state).map(({ participantId, ...data }) => {
+                return {
+                    data,
+                    participantId,
+                    timestamp: now,
+                    type: SESSION_LOG_EVENTS.SPEAKING_TIME
+                };
+            })
+        ].map(({ timestamp, ...event }) => {
+            return {
+                time: new Date(timestamp).toISOString(),
+                ...event
+            };
+        })
+    };
+}
+
+/**
+ * Returns the session log as a CSV file: a header and a row for every event,
+ * with the details of the event as JSON.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {string}
+ */
+export function getSessionLogCSV(stateful: Object | Function) {
+    return [
+        [ 'time', 'type', 'participantId', 'data' ],
+        ...getSessionLog(stateful).events.map(({ data, participantId, time, type }) => [
+            time,
+            type,
+            participantId,
+            JSON.stringify(data)
+        ])
+    ].map(row => row.map(_formatCSVField).join(',')).join('\r\n');
+}
+
+/**
+ * Returns the time every participant of the conference has spent speaking,
+ * from the speaker stats of the conference.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Array<Object>} The display name, the ID of the participant,
+ * whether they left and the time they spent speaking, in seconds.
+ */
+export function getSpeakingTimes(stateful: Object | Function): Array<Object> {
+    const conference = getCurrentConference(stateful);
+    const stats = conference ? conference.getSpeakerStats() : {};
+
+    return Object.keys(stats).map(participantId => {
+        return {
+            displayName: stats[participantId].getDisplayName(),
+            hasLeft: stats[participantId].hasLeft(),
+            participantId,
+            speakingTime: stats[participantId].getTotalDominantSpeakerTime() / 1000
+        };
+    });
+}
@@ -0,0 +1,4 @@
+export * from './actions';
+export * from './constants';
+export * from './functions';
+export * from './SessionEventLog';
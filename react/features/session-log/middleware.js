@@ -0,0 +1,316 @@
+// @flow
+
+import { CONFERENCE_JOINED } from '../base/conference/actionTypes';
+import { JitsiTrackEvents } from '../base/lib-jitsi-meet';
+import { MEDIA_TYPE } from '../base/media';
+import {
+    DOMINANT_SPEAKER_CHANGED,
+    PARTICIPANT_JOINED,
+    PARTICIPANT_LEFT,
+    getLocalParticipant
+} from '../base/participants';
+import { MiddlewareRegistry } from '../base/redux';
+import { TRACK_ADDED, TRACK_REMOVED, TRACK_UPDATED } from '../base/tracks';
+import {
+    SET_AMBISONIC_SETTINGS,
+    SET_ATTENTION_SETTINGS,
+    SET_LOUDNESS_SETTINGS,
+    SET_PANNER_SETTINGS,
+    SET_PROXIMITY_SETTINGS,
+    SET_REMOTE_WHISPER,
+    SET_REVERB_SETTINGS,
+    SET_ROOM_POSITION,
+    SET_ROOM_SCENE,
+    SET_SEATS,
+    SET_SPATIAL_AUDIO_ENABLED,
+    SET_SPATIAL_OVERRIDE,
+    SET_WHISPER_TARGET,
+    UPDATE_SPATIAL_LISTENER,
+    getPannerSettings
+} from '../spatial-audio';
+
+import { sessionEventLog } from './SessionEventLog';
+import { AUDIO_LEVEL_LOG_INTERVAL, POSITION_LOG_INTERVAL, SESSION_LOG_EVENTS } from './constants';
+
+/**
+ * The kinds of spatial audio settings, keyed by the type of the action which
+ * changes them.
+ */
+const SPATIAL_SETTINGS_KINDS = {
+    [SET_AMBISONIC_SETTINGS]: 'ambisonic',
+    [SET_ATTENTION_SETTINGS]: 'attention',
+    [SET_LOUDNESS_SETTINGS]: 'loudness',
+    [SET_PANNER_SETTINGS]: 'panner',
+    [SET_PROXIMITY_SETTINGS]: 'proximity',
+    [SET_REVERB_SETTINGS]: 'reverb'
+};
+
+/**
+ * The listeners of the audio levels of the audio tracks, keyed by track.
+ */
+const _audioLevelListeners = new Map();
+
+/**
+ * The events logged at most once every {@code POSITION_LOG_INTERVAL}, keyed by
+ * type and participant: when each was logged last and the latest one waiting
+ * to be logged, if any.
+ */
+const _throttledEvents: Map<string, Object> = new Map();
+
+/**
+ * Implements the middleware of the feature session log, which collects the
+ * events shaping the listening experience from the redux actions.
+ *
+ * @param {Store} store - The redux store.
+ * @returns {Function}
+ */
+MiddlewareRegistry.register(({ getState }) => next => action => {
+    const result = next(action);
+
+    switch (action.type) {
+    case CONFERENCE_JOINED: {
+        const state = getState();
+
+        sessionEventLog.clear();
+        _clearThrottledEvents();
+
+        // The preferences of the local user, not the condition of a study,
+        // which only its results tell.
+        sessionEventLog.add(SESSION_LOG_EVENTS.SPATIAL_AUDIO, undefined, {
+            enabled: Boolean(state['features/spatial-audio'].enabled)
+        });
+        sessionEventLog.add(SESSION_LOG_EVENTS.SPATIAL_SETTINGS, undefined, {
+            kind: 'panner',
+            settings: getPannerSettings(state, false)
+        });
+
+        // The local tracks were created before the conference was joined.
+        state['features/base/tracks'].forEach(track => _onTrackMuted(track.jitsiTrack, track.muted, state));
+        break;
+    }
+
+    case DOMINANT_SPEAKER_CHANGED:
+        sessionEventLog.add(SESSION_LOG_EVENTS.DOMINANT_SPEAKER, action.participant.id);
+        break;
+
+    case PARTICIPANT_JOINED:
+        sessionEventLog.add(SESSION_LOG_EVENTS.PARTICIPANT_JOINED, action.participant.id, {
+            local: Boolean(action.participant.local),
+            name: action.participant.name
+        });
+        break;
+
+    case PARTICIPANT_LEFT:
+        sessionEventLog.add(SESSION_LOG_EVENTS.PARTICIPANT_LEFT, action.participant.id);
+        break;
+
+    case SET_AMBISONIC_SETTINGS:
+    case SET_ATTENTION_SETTINGS:
+    case SET_LOUDNESS_SETTINGS:
+    case SET_PANNER_SETTINGS:
+    case SET_PROXIMITY_SETTINGS:
+    case SET_REVERB_SETTINGS:
+        sessionEventLog.add(SESSION_LOG_EVENTS.SPATIAL_SETTINGS, undefined, {
+            kind: SPATIAL_SETTINGS_KINDS[action.type],
+            settings: action.settings
+        });
+        break;
+
+    case SET_REMOTE_WHISPER:
+        sessionEventLog.add(SESSION_LOG_EVENTS.WHISPER, action.participantId, {
+            targetId: action.targetId
+        });
+        break;
+
+    case SET_ROOM_POSITION:
+        _addThrottledEvent(SESSION_LOG_EVENTS.ROOM_POSITION, action.participantId, {
+            position: action.position
+        });
+        break;
+
+    case SET_ROOM_SCENE:
+        sessionEventLog.add(SESSION_LOG_EVENTS.ROOM_SCENE, action.author, {
+            positions: action.positions,
+            version: action.version
+        });
+        break;
+
+    case SET_SEATS:
+        sessionEventLog.add(SESSION_LOG_EVENTS.SEATS, undefined, {
+            seats: action.seats
+        });
+        break;
+
+    case SET_SPATIAL_AUDIO_ENABLED:
+        sessionEventLog.add(SESSION_LOG_EVENTS.SPATIAL_AUDIO, undefined, {
+            enabled: action.enabled
+        });
+        break;
+
+    case SET_SPATIAL_OVERRIDE:
+        sessionEventLog.add(SESSION_LOG_EVENTS.SPATIAL_OVERRIDE, action.participantId, {
+            override: action.override
+        });
+        break;
+
+    case SET_WHISPER_TARGET: {
+        const localParticipant = getLocalParticipant(getState());
+
+        sessionEventLog.add(SESSION_LOG_EVENTS.WHISPER, localParticipant && localParticipant.id, {
+            targetId: action.participantId
+        });
+        break;
+    }
+
+    case TRACK_ADDED:
+        _onTrackMuted(action.track.jitsiTrack, action.track.muted, getState());
+        action.track.mediaType === MEDIA_TYPE.AUDIO && _addAudioLevelListener(action.track.jitsiTrack, getState);
+        break;
+
+    case TRACK_REMOVED:
+        _removeAudioLevelListener(action.track.jitsiTrack);
+        break;
+
+    case TRACK_UPDATED:
+        typeof action.track.muted === 'boolean'
+            && _onTrackMuted(action.track.jitsiTrack, action.track.muted, getState());
+        break;
+
+    case UPDATE_SPATIAL_LISTENER:
+        _addThrottledEvent(SESSION_LOG_EVENTS.LISTENER, undefined, {
+            listener: action.listener
+        });
+        break;
+    }
+
+    return result;
+});
+
+/**
+ * Logs the audio level of a track at most once every
+ * {@code AUDIO_LEVEL_LOG_INTERVAL}.
+ *
+ * @param {JitsiTrack} jitsiTrack - The audio track.
+ * @param {Function} getState - The redux {@code getState} function.
+ * @private
+ * @returns {void}
+ */
+function _addAudioLevelListener(jitsiTrack, getState) {
+    if (!jitsiTrack || _audioLevelListeners.has(jitsiTrack)) {
+        return;
+    }
+
+    let lastLogged = 0;
+    const listener = level => {
+        const now = Date.now();
+
+        if (now - lastLogged >= AUDIO_LEVEL_LOG_INTERVAL) {
+            lastLogged = now;
+            sessionEventLog.add(SESSION_LOG_EVENTS.AUDIO_LEVEL, _getParticipantId(jitsiTrack, getState()), {
+                level
+            });
+        }
+    };
+
+    jitsiTrack.on(JitsiTrackEvents.TRACK_AUDIO_LEVEL_CHANGED, listener);
+    _audioLevelListeners.set(jitsiTrack, listener);
+}
+
+/**
+ * Logs an event at most once every {@code POSITION_LOG_INTERVAL} per type and
+ * participant. An event which comes too early is held back until the interval
+ * is over, and replaced by any later one meanwhile, so that the last position
+ * is always logged.
+ *
+ * @param {string} type - The type of the event, one of
+ * {@code SESSION_LOG_EVENTS}.
+ * @param {?string} participantId - The ID of the participant the event is
+ * about, if any.
+ * @param {Object} data - The details of the event.
+ * @private
+ * @returns {void}
+ */
+function _addThrottledEvent(type, participantId, data) {
+    const key = `${type}:${participantId || ''}`;
+    const throttled = _throttledEvents.get(key) || { data, lastLogged: 0, timeout: undefined };
+    const wait = throttled.lastLogged + POSITION_LOG_INTERVAL - Date.now();
+
+    _throttledEvents.set(key, throttled);
+    throttled.data = data;
+
+    if (throttled.timeout) {
+        return;
+    }
+
+    if (wait <= 0) {
+        throttled.lastLogged = Date.now();
+        sessionEventLog.add(type, participantId, data);
+    } else {
+        throttled.timeout = setTimeout(() => {
+            throttled.lastLogged = Date.now();
+            throttled.timeout = undefined;
+            sessionEventLog.add(type, participantId, throttled.data);
+        }, wait);
+    }
+}
+
+/**
+ * Drops the events held back by {@link _addThrottledEvent}.
+ *
+ * @private
+ * @returns {void}
+ */
+function _clearThrottledEvents() {
+    _throttledEvents.forEach(({ timeout }) => clearTimeout(timeout));
+    _throttledEvents.clear();
+}
+
+/**
+ * Returns the ID of the participant a track belongs to.
+ *
+ * @param {JitsiTrack} jitsiTrack - The track.
+ * @param {Object} state - The redux state.
+ * @private
+ * @returns {?string}
+ */
+function _getParticipantId(jitsiTrack, state) {
+    if (jitsiTrack.isLocal()) {
+        const localParticipant = getLocalParticipant(state);
+
+        return localParticipant && localParticipant.id;
+    }
+
+    return jitsiTrack.getParticipantId();
+}
+
+/**
+ * Logs that a track was muted or unmuted.
+ *
+ * @param {JitsiTrack} jitsiTrack - The track.
+ * @param {boolean} muted - Whether the track is muted.
+ * @param {Object} state - The redux state.
+ * @private
+ * @returns {void}
+ */
+function _onTrackMuted(jitsiTrack, muted, state) {
+    jitsiTrack && sessionEventLog.add(SESSION_LOG_EVENTS.MUTE, _getParticipantId(jitsiTrack, state), {
+        mediaType: jitsiTrack.getType(),
+        muted
+    });
+}
+
+/**
+ * Stops logging the audio level of a track.
+ *
+ * @param {JitsiTrack} jitsiTrack - The audio track.
+ * @private
+ * @returns {void}
+ */
+function _removeAudioLevelListener(jitsiTrack) {
+    const listener = _audioLevelListeners.get(jitsiTrack);
+
+    if (listener) {
+        jitsiTrack.off(JitsiTrackEvents.TRACK_AUDIO_LEVEL_CHANGED, listener);
+        _audioLevelListeners.delete(jitsiTrack);
+    }
+}
@@ -10,6 +10,7 @@ import { createLocalAudioTracks } from '../../../functions';
 
 import AudioSettingsHeader from './AudioSettingsHeader';
 import MicrophoneEntry from './MicrophoneEntry';
+import SpatialAudioSettings from './SpatialAudioSettings';
 import SpeakerEntry from './SpeakerEntry';
 
 const browser = JitsiMeetJS.util.browser;
@@ -265,6 +266,7 @@ class AudioSettingsContent extends Component<Props, State> {
                     {outputDevices.map((data, i) =>
                         this._renderSpeakerEntry(data, i),
                     )}
+                    <SpatialAudioSettings />
                 </div>
             </div>
         );
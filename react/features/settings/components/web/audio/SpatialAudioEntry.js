@@ -0,0 +1,81 @@
+// @flow
+
+import React, { Component } from 'react';
+
+import AudioSettingsEntry from './AudioSettingsEntry';
+
+/**
+ * The type of the React {@code Component} props of {@link SpatialAudioEntry}.
+ */
+type Props = {
+
+    /**
+     * The text label for the entry.
+     */
+    children: React$Node,
+
+    /**
+     * Flag controlling the selection state of the entry.
+     */
+    isSelected: boolean,
+
+    /**
+     * Click handler for the component, invoked with the value of the entry.
+     */
+    onClick: Function,
+
+    /**
+     * The value the entry selects, e.g. a panning model.
+     */
+    value: string
+};
+
+/**
+ * Implements a React {@link Component} which displays a spatial audio
+ * settings entry.
+ *
+ * @extends Component
+ */
+export default class SpatialAudioEntry extends Component<Props> {
+    /**
+     * Initializes a new {@code SpatialAudioEntry} instance.
+     *
+     * @param {Object} props - The read-only properties with which the new
+     * instance is to be initialized.
+     */
+    constructor(props: Props) {
+        super(props);
+
+        this._onClick = this._onClick.bind(this);
+    }
+
+    _onClick: () => void;
+
+    /**
+     * Click handler for the entry.
+     *
+     * @returns {void}
+     */
+    _onClick() {
+        this.props.onClick(this.props.value);
+    }
+
+    /**
+     * Implements React's {@link Component#render}.
+     *
+     * @inheritdoc
+     */
+    render() {
+        const { children, isSelected } = this.props;
+
+        return (
+            <div
+                className = 'audio-preview-option'
+                onClick = { this._onClick }>
+                <AudioSettingsEntry isSelected = { isSelected }>
+                    {children}
+                </AudioSettingsEntry>
+            </div>
+        );
+    }
+}
@@ -0,0 +1,645 @@
+// @flow
+
+import React, { Component } from 'react';
+
+import { openDialog } from '../../../../base/dialog';
+import { translate } from '../../../../base/i18n';
+import {
+    IconDeviceHeadphone,
+    IconDominantSpeaker,
+    IconMeter,
+    IconOrbit,
+    IconParticipants,
+    IconShareVideo,
+    IconUserGroups,
+    IconVolume
+} from '../../../../base/icons';
+import { connect } from '../../../../base/redux';
+import {
+    AMBISONIC_DECODERS,
+    DISTANCE_MODELS,
+    OUTPUT_DEVICE_TYPES,
+    PANNING_MODELS,
+    REVERB_PRESETS,
+    areSpatialSoundsEnabled,
+    getAmbisonicSettings,
+    getAttentionSettings,
+    getLoudnessSettings,
+    getOutputDevice,
+    getPannerSettings,
+    getProximitySettings,
+    getReverbSettings,
+    getSharedMediaGain,
+    isSpatialAudioEnabled,
+    loadHrtfDataset,
+    setAmbisonicSettings,
+    setAttentionSettings,
+    setLoudnessSettings,
+    setOutputDeviceType,
+    setPannerSettings,
+    setProximitySettings,
+    setReverbSettings,
+    setSharedMediaGain,
+    setSpatialSoundsEnabled
+} from '../../../../spatial-audio';
+import { LoudspeakerCalibrationDialog } from '../../../../spatial-audio/components/web';
+import { isStudyRunning } from '../../../../spatial-study';
+
+import AudioSettingsEntry from './AudioSettingsEntry';
+import AudioSettingsHeader from './AudioSettingsHeader';
+import SpatialAudioEntry from './SpatialAudioEntry';
+
+/**
+ * The Ambisonic orders the local user can choose from.
+ *
+ * @type {Array<number>}
+ */
+const AMBISONIC_ORDERS = [ 1, 3 ];
+
+/**
+ * The types of audio output devices the local user can confirm.
+ *
+ * @type {Array<string>}
+ */
+const CONFIRMABLE_OUTPUT_DEVICE_TYPES = [ OUTPUT_DEVICE_TYPES.HEADPHONES, OUTPUT_DEVICE_TYPES.SPEAKERS ];
+
+/**
+ * The type of the React {@code Component} props of
+ * {@link SpatialAudioSettings}.
+ */
+type Props = {
+
+    /**
+     * The selected Ambisonic decoder.
+     */
+    _ambisonicDecoder: string,
+
+    /**
+     * The selected Ambisonic order.
+     */
+    _ambisonicOrder: number,
+
+    /**
+     * Whether the attention mode brings the dominant speaker forward and
+     * ducks the others.
+     */
+    _attentionEnabled: boolean,
+
+    /**
+     * Whether participants outside of the conversation of the local user in
+     * the virtual room are turned down to a murmur.
+     */
+    _clustersEnabled: boolean,
+
+    /**
+     * The selected distance model.
+     */
+    _distanceModel: string,
+
+    /**
+     * Whether spatial audio is enabled and the local user may change how it
+     * is rendered, which they may not during a study.
+     */
+    _enabled: boolean,
+
+    /**
+     * The URL or the file name of the loaded HRTF dataset, if any.
+     */
+    _hrtfName: ?string,
+
+    /**
+     * Whether every participant is brought toward the same loudness before
+     * being panned.
+     */
+    _loudnessEnabled: boolean,
+
+    /**
+     * The label of the audio output device the local user listens on.
+     */
+    _outputDeviceLabel: string,
+
+    /**
+     * Whether the audio output device the local user listens on is worn on
+     * the head, one of {@code OUTPUT_DEVICE_TYPES}.
+     */
+    _outputDeviceType: string,
+
+    /**
+     * Whether binaural rendering fell back to stereo or mono because
+     * loudspeakers are in use.
+     */
+    _outputFallback: boolean,
+
+    /**
+     * The selected panning model.
+     */
+    _panningModel: string,
+
+    /**
+     * The balance between the dry voices and the reverb, from 0 to 1.
+     */
+    _reverbMix: number,
+
+    /**
+     * The selected reverb preset.
+     */
+    _reverbPreset: string,
+
+    /**
+     * The gain at which the media shared by other participants are heard,
+     * from 0 to 1.
+     */
+    _sharedMediaGain: number,
+
+    /**
+     * Whether notification sounds are played from where the participants
+     * they are about sit.
+     */
+    _soundsEnabled: boolean,
+
+    /**
+     * The redux {@code dispatch} function.
+     */
+    dispatch: Function,
+
+    /**
+     * Invoked to obtain translated strings.
+     */
+    t: Function
+};
+
+/**
+ * Implements a React {@link Component} which displays the panning and distance
+ * models spatial audio can be rendered with.
+ *
+ * @extends Component
+ */
+class SpatialAudioSettings extends Component<Props> {
+    /**
+     * Initializes a new {@code SpatialAudioSettings} instance.
+     *
+     * @param {Object} props - The read-only properties with which the new
+     * instance is to be initialized.
+     */
+    constructor(props: Props) {
+        super(props);
+
+        this._onAmbisonicDecoderClick = this._onAmbisonicDecoderClick.bind(this);
+        this._onAmbisonicOrderClick = this._onAmbisonicOrderClick.bind(this);
+        this._onAttentionClick = this._onAttentionClick.bind(this);
+        this._onClustersClick = this._onClustersClick.bind(this);
+        this._onDistanceModelClick = this._onDistanceModelClick.bind(this);
+        this._onCalibrateClick = this._onCalibrateClick.bind(this);
+        this._onHrtfFileChange = this._onHrtfFileChange.bind(this);
+        this._onLoudnessClick = this._onLoudnessClick.bind(this);
+        this._onOutputDeviceTypeClick = this._onOutputDeviceTypeClick.bind(this);
+        this._onPanningModelClick = this._onPanningModelClick.bind(this);
+        this._onReverbMixChange = this._onReverbMixChange.bind(this);
+        this._onReverbPresetClick = this._onReverbPresetClick.bind(this);
+        this._onSharedMediaGainChange = this._onSharedMediaGainChange.bind(this);
+        this._onSoundsClick = this._onSoundsClick.bind(this);
+    }
+
+    _onAmbisonicDecoderClick: (string) => void;
+
+    /**
+     * Click handler for the Ambisonic decoder entries.
+     *
+     * @param {string} decoder - The clicked decoder.
+     * @returns {void}
+     */
+    _onAmbisonicDecoderClick(decoder) {
+        this.props.dispatch(setAmbisonicSettings({ decoder }));
+    }
+
+    _onAmbisonicOrderClick: (string) => void;
+
+    /**
+     * Click handler for the Ambisonic order entries.
+     *
+     * @param {string} order - The clicked order.
+     * @returns {void}
+     */
+    _onAmbisonicOrderClick(order) {
+        this.props.dispatch(setAmbisonicSettings({ order: Number(order) }));
+    }
+
+    _onAttentionClick: () => void;
+
+    /**
+     * Toggles the attention mode.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onAttentionClick() {
+        this.props.dispatch(setAttentionSettings({ enabled: !this.props._attentionEnabled }));
+    }
+
+    _onCalibrateClick: () => void;
+
+    /**
+     * Opens the dialog playing a test signal on every loudspeaker.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onCalibrateClick() {
+        this.props.dispatch(openDialog(LoudspeakerCalibrationDialog));
+    }
+
+    _onClustersClick: () => void;
+
+    /**
+     * Toggles the conversation clusters.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onClustersClick() {
+        this.props.dispatch(setProximitySettings({ clusters: !this.props._clustersEnabled }));
+    }
+
+    _onDistanceModelClick: (string) => void;
+
+    /**
+     * Click handler for the distance model entries.
+     *
+     * @param {string} distanceModel - The clicked distance model.
+     * @returns {void}
+     */
+    _onDistanceModelClick(distanceModel) {
+        this.props.dispatch(setPannerSettings({ distanceModel }));
+    }
+
+    _onHrtfFileChange: (Object) => void;
+
+    /**
+     * Loads the HRTF dataset picked by the local user.
+     *
+     * @param {Object} event - The change event of the file input.
+     * @returns {void}
+     */
+    _onHrtfFileChange(event) {
+        const [ file ] = event.target.files;
+
+        file && this.props.dispatch(loadHrtfDataset(file));
+
+        // Allow the same file to be picked again, e.g. after it was edited.
+        event.target.value = '';
+    }
+
+    _onLoudnessClick: () => void;
+
+    /**
+     * Toggles loudness normalization.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onLoudnessClick() {
+        this.props.dispatch(setLoudnessSettings({ enabled: !this.props._loudnessEnabled }));
+    }
+
+    _onOutputDeviceTypeClick: (string) => void;
+
+    /**
+     * Click handler for the output device type entries, which confirm or
+     * override the guess made from the label of the device.
+     *
+     * @param {string} deviceType - The clicked type.
+     * @returns {void}
+     */
+    _onOutputDeviceTypeClick(deviceType) {
+        this.props.dispatch(setOutputDeviceType(this.props._outputDeviceLabel, deviceType));
+    }
+
+    _onPanningModelClick: (string) => void;
+
+    /**
+     * Click handler for the panning model entries.
+     *
+     * @param {string} panningModel - The clicked panning model.
+     * @returns {void}
+     */
+    _onPanningModelClick(panningModel) {
+        this.props.dispatch(setPannerSettings({ panningModel }));
+    }
+
+    _onReverbMixChange: (Object) => void;
+
+    /**
+     * Change handler for the reverb mix slider.
+     *
+     * @param {Object} event - The change event of the slider.
+     * @returns {void}
+     */
+    _onReverbMixChange(event) {
+        this.props.dispatch(setReverbSettings({ mix: Number(event.currentTarget.value) }));
+    }
+
+    _onReverbPresetClick: (string) => void;
+
+    /**
+     * Click handler for the reverb preset entries.
+     *
+     * @param {string} preset - The clicked preset.
+     * @returns {void}
+     */
+    _onReverbPresetClick(preset) {
+        this.props.dispatch(setReverbSettings({ preset }));
+    }
+
+    _onSharedMediaGainChange: (Object) => void;
+
+    /**
+     * Change handler for the shared media volume slider.
+     *
+     * @param {Object} event - The change event of the slider.
+     * @returns {void}
+     */
+    _onSharedMediaGainChange(event) {
+        this.props.dispatch(setSharedMediaGain(Number(event.currentTarget.value)));
+    }
+
+    _onSoundsClick: () => void;
+
+    /**
+     * Toggles the spatialization of notification sounds.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onSoundsClick() {
+        this.props.dispatch(setSpatialSoundsEnabled(!this.props._soundsEnabled));
+    }
+
+    /**
+     * Renders the entries through which the local user tells whether they
+     * listen on headphones or loudspeakers.
+     *
+     * @private
+     * @returns {ReactElement|null}
+     */
+    _renderOutputDevice() {
+        const { _outputDeviceLabel, _outputDeviceType, t } = this.props;
+
+        if (!_outputDeviceLabel) {
+            return null;
+        }
+
+        return (
+            <>
+                <AudioSettingsHeader
+                    IconComponent = { IconDeviceHeadphone }
+                    text = { t('settings.outputDevice', { label: _outputDeviceLabel }) } />
+                {CONFIRMABLE_OUTPUT_DEVICE_TYPES.map(deviceType => (
+                    <SpatialAudioEntry
+                        isSelected = { deviceType === _outputDeviceType }
+                        key = { deviceType }
+                        onClick = { this._onOutputDeviceTypeClick }
+                        value = { deviceType }>
+                        {t(`settings.outputDeviceTypes.${deviceType}`)}
+                    </SpatialAudioEntry>
+                ))}
+            </>
+        );
+    }
+
+    /**
+     * Implements React's {@link Component#render}.
+     *
+     * @inheritdoc
+     */
+    render() {
+        const {
+            _ambisonicDecoder,
+            _ambisonicOrder,
+            _attentionEnabled,
+            _clustersEnabled,
+            _distanceModel,
+            _enabled,
+            _hrtfName,
+            _loudnessEnabled,
+            _outputFallback,
+            _panningModel,
+            _reverbMix,
+            _reverbPreset,
+            _sharedMediaGain,
+            _soundsEnabled,
+            t
+        } = this.props;
+
+        // Spatial audio is disabled while it falls back to mono, the local
+        // user may still tell that they listen on headphones after all.
+        if (!_enabled) {
+            return _outputFallback ? (
+                <>
+                    <hr className = 'audio-preview-hr' />
+                    {this._renderOutputDevice()}
+                </>
+            ) : null;
+        }
+
+        return (
+            <>
+                <hr className = 'audio-preview-hr' />
+                {this._renderOutputDevice()}
+                <AudioSettingsHeader
+                    IconComponent = { IconOrbit }
+                    text = { t('settings.panningModel') } />
+                {Object.values(PANNING_MODELS).map(String).map(model => (
+                    <SpatialAudioEntry
+                        isSelected = { model === _panningModel }
+                        key = { model }
+                        onClick = { this._onPanningModelClick }
+                        value = { model }>
+                        {t(`settings.panningModels.${model}`)}
+                    </SpatialAudioEntry>
+                ))}
+                {_panningModel === PANNING_MODELS.SOFA && (
+                    <label
+                        className = 'audio-preview-option'
+                        htmlFor = 'spatial-audio-hrtf-file'>
+                        <AudioSettingsEntry isSelected = { Boolean(_hrtfName) }>
+                            {_hrtfName
+                                ? t('settings.hrtfLoaded', { name: _hrtfName.split('/').pop() })
+                                : t('settings.loadHrtf')}
+                        </AudioSettingsEntry>
+                        <input
+                            accept = '.json'
+                            className = 'audio-preview-file'
+                            id = 'spatial-audio-hrtf-file'
+                            onChange = { this._onHrtfFileChange }
+                            type = 'file' />
+                    </label>
+                )}
+                {_panningModel === PANNING_MODELS.AMBISONICS && (
+                    <>
+                        {AMBISONIC_ORDERS.map(order => (
+                            <SpatialAudioEntry
+                                isSelected = { order === _ambisonicOrder }
+                                key = { order }
+                                onClick = { this._onAmbisonicOrderClick }
+                                value = { String(order) }>
+                                {t(`settings.ambisonicOrders.${order}`)}
+                            </SpatialAudioEntry>
+                        ))}
+                        <AudioSettingsHeader
+                            IconComponent = { IconDeviceHeadphone }
+                            text = { t('settings.ambisonicDecoder') } />
+                        {Object.values(AMBISONIC_DECODERS).map(String).map(decoder => (
+                            <SpatialAudioEntry
+                                isSelected = { decoder === _ambisonicDecoder }
+                                key = { decoder }
+                                onClick = { this._onAmbisonicDecoderClick }
+                                value = { decoder }>
+                                {t(`settings.ambisonicDecoders.${decoder}`)}
+                            </SpatialAudioEntry>
+                        ))}
+                    </>
+                )}
+                {(_panningModel === PANNING_MODELS.VBAP
+                        || (_panningModel === PANNING_MODELS.AMBISONICS
+                            && _ambisonicDecoder === AMBISONIC_DECODERS.LOUDSPEAKERS)) && (
+                    <div
+                        className = 'audio-preview-option'
+                        onClick = { this._onCalibrateClick }>
+                        <AudioSettingsEntry isSelected = { false }>
+                            {t('settings.calibrateLoudspeakers')}
+                        </AudioSettingsEntry>
+                    </div>
+                )}
+                <AudioSettingsHeader
+                    IconComponent = { IconOrbit }
+                    text = { t('settings.distanceModel') } />
+                {Object.values(DISTANCE_MODELS).map(String).map(model => (
+                    <SpatialAudioEntry
+                        isSelected = { model === _distanceModel }
+                        key = { model }
+                        onClick = { this._onDistanceModelClick }
+                        value = { model }>
+                        {t(`settings.distanceModels.${model}`)}
+                    </SpatialAudioEntry>
+                ))}
+                <AudioSettingsHeader
+                    IconComponent = { IconUserGroups }
+                    text = { t('settings.roomAcoustics') } />
+                {Object.values(REVERB_PRESETS).map(String).map(preset => (
+                    <SpatialAudioEntry
+                        isSelected = { preset === _reverbPreset }
+                        key = { preset }
+                        onClick = { this._onReverbPresetClick }
+                        value = { preset }>
+                        {t(`settings.reverbPresets.${preset}`)}
+                    </SpatialAudioEntry>
+                ))}
+                {_reverbPreset !== REVERB_PRESETS.NONE && (
+                    <div className = 'audio-preview-option'>
+                        <input
+                            aria-label = { t('settings.reverbMix') }
+                            className = 'audio-preview-slider'
+                            max = { 1 }
+                            min = { 0 }
+                            onChange = { this._onReverbMixChange }
+                            step = { 0.05 }
+                            title = { t('settings.reverbMix') }
+                            type = 'range'
+                            value = { _reverbMix } />
+                    </div>
+                )}
+                <AudioSettingsHeader
+                    IconComponent = { IconMeter }
+                    text = { t('settings.loudness') } />
+                <div
+                    className = 'audio-preview-option'
+                    onClick = { this._onLoudnessClick }>
+                    <AudioSettingsEntry isSelected = { _loudnessEnabled }>
+                        {t('settings.loudnessNormalization')}
+                    </AudioSettingsEntry>
+                </div>
+                <AudioSettingsHeader
+                    IconComponent = { IconDominantSpeaker }
+                    text = { t('settings.activeSpeaker') } />
+                <div
+                    className = 'audio-preview-option'
+                    onClick = { this._onAttentionClick }>
+                    <AudioSettingsEntry isSelected = { _attentionEnabled }>
+                        {t('settings.attention')}
+                    </AudioSettingsEntry>
+                </div>
+                <AudioSettingsHeader
+                    IconComponent = { IconParticipants }
+                    text = { t('settings.conversations') } />
+                <div
+                    className = 'audio-preview-option'
+                    onClick = { this._onClustersClick }>
+                    <AudioSettingsEntry isSelected = { _clustersEnabled }>
+                        {t('settings.clusters')}
+                    </AudioSettingsEntry>
+                </div>
+                <AudioSettingsHeader
+                    IconComponent = { IconVolume }
+                    text = { t('settings.notificationSounds') } />
+                <div
+                    className = 'audio-preview-option'
+                    onClick = { this._onSoundsClick }>
+                    <AudioSettingsEntry isSelected = { _soundsEnabled }>
+                        {t('settings.spatialSounds')}
+                    </AudioSettingsEntry>
+                </div>
+                <AudioSettingsHeader
+                    IconComponent = { IconShareVideo }
+                    text = { t('settings.sharedMedia') } />
+                <div className = 'audio-preview-option'>
+                    <input
+                        aria-label = { t('settings.sharedMediaVolume') }
+                        className = 'audio-preview-slider'
+                        max = { 1 }
+                        min = { 0 }
+                        onChange = { this._onSharedMediaGainChange }
+                        step = { 0.05 }
+                        title = { t('settings.sharedMediaVolume') }
+                        type = 'range'
+                        value = { _sharedMediaGain } />
+                </div>
+            </>
+        );
+    }
+}
+
+/**
+ * Maps (parts of) the redux state to the associated
+ * {@code SpatialAudioSettings}'s props.
+ *
+ * @param {Object} state - The redux state.
+ * @private
+ * @returns {Props}
+ */
+function _mapStateToProps(state) {
+    const { decoder, order } = getAmbisonicSettings(state);
+    const { distanceModel, panningModel } = getPannerSettings(state);
+    const { mix, preset } = getReverbSettings(state);
+    const { label, type } = getOutputDevice(state);
+
+    return {
+        _ambisonicDecoder: decoder,
+        _ambisonicOrder: order,
+        _attentionEnabled: getAttentionSettings(state).enabled,
+        _clustersEnabled: getProximitySettings(state).clusters,
+        _distanceModel: distanceModel,
+        _enabled: isSpatialAudioEnabled(state) && !isStudyRunning(state),
+        _hrtfName: state['features/spatial-audio'].hrtfName,
+        _loudnessEnabled: getLoudnessSettings(state).enabled,
+        _outputDeviceLabel: label,
+        _outputDeviceType: type,
+        _outputFallback: Boolean(state['features/spatial-audio'].outputFallback) && !isStudyRunning(state),
+        _panningModel: panningModel,
+        _reverbMix: mix,
+        _reverbPreset: preset,
+        _sharedMediaGain: getSharedMediaGain(state),
+        _soundsEnabled: areSpatialSoundsEnabled(state)
+    };
+}
+
+export default translate(connect(_mapStateToProps)(SpatialAudioSettings));
@@ -0,0 +1,305 @@
+/**
+ * The type of (redux) action which changes the order and the decoder of the
+ * Ambisonic renderer.
+ *
+ * {
+ *     type: SET_AMBISONIC_SETTINGS,
+ *     settings: {
+ *         decoder: ?string,
+ *         order: ?number
+ *     }
+ * }
+ */
+export const SET_AMBISONIC_SETTINGS = 'SET_AMBISONIC_SETTINGS';
+
+/**
+ * The type of (redux) action which changes the attention mode, which brings
+ * the dominant speaker forward and ducks the other participants.
+ *
+ * {
+ *     type: SET_ATTENTION_SETTINGS,
+ *     settings: Object
+ * }
+ */
+export const SET_ATTENTION_SETTINGS = 'SET_ATTENTION_SETTINGS';
+
+/**
+ * The type of (redux) action which stores the {@code AudioContext} shared by
+ * all the spatialized audio graphs of the application.
+ *
+ * {
+ *     type: SET_AUDIO_CONTEXT,
+ *     context: ?AudioContext
+ * }
+ */
+export const SET_AUDIO_CONTEXT = 'SET_AUDIO_CONTEXT';
+
+/**
+ * The type of (redux) action which swaps the left and right channels of
+ * stereo output, or stops swapping them.
+ *
+ * {
+ *     type: SET_CHANNELS_SWAPPED,
+ *     swapped: boolean
+ * }
+ */
+export const SET_CHANNELS_SWAPPED = 'SET_CHANNELS_SWAPPED';
+
+/**
+ * The type of (redux) action which records the name of the HRTF dataset the
+ * SOFA panning model renders with.
+ *
+ * {
+ *     type: SET_HRTF_DATASET,
+ *     name: ?string
+ * }
+ */
+export const SET_HRTF_DATASET = 'SET_HRTF_DATASET';
+
+/**
+ * The type of (redux) action which changes loudness normalization, which
+ * brings every participant toward a target loudness before they are panned.
+ *
+ * {
+ *     type: SET_LOUDNESS_SETTINGS,
+ *     settings: Object
+ * }
+ */
+export const SET_LOUDNESS_SETTINGS = 'SET_LOUDNESS_SETTINGS';
+
+/**
+ * The type of (redux) action which records whether the local user confirmed
+ * an audio output device to be headphones or loudspeakers.
+ *
+ * {
+ *     type: SET_OUTPUT_DEVICE_TYPE,
+ *     label: string,
+ *     deviceType: string
+ * }
+ */
+export const SET_OUTPUT_DEVICE_TYPE = 'SET_OUTPUT_DEVICE_TYPE';
+
+/**
+ * The type of (redux) action which records the spatial audio settings a
+ * fallback for loudspeakers replaced, so that they are restored once
+ * headphones are in use again.
+ *
+ * {
+ *     type: SET_OUTPUT_FALLBACK,
+ *     settings: ?{
+ *         enabled: boolean,
+ *         panningModel: string
+ *     }
+ * }
+ */
+export const SET_OUTPUT_FALLBACK = 'SET_OUTPUT_FALLBACK';
+
+/**
+ * The type of (redux) action which changes the models and parameters by which
+ * sources are spatialized.
+ *
+ * {
+ *     type: SET_PANNER_SETTINGS,
+ *     settings: Object
+ * }
+ */
+export const SET_PANNER_SETTINGS = 'SET_PANNER_SETTINGS';
+
+/**
+ * The type of (redux) action which changes the conversation clusters and the
+ * levels of murmurs and whispers.
+ *
+ * {
+ *     type: SET_PROXIMITY_SETTINGS,
+ *     settings: Object
+ * }
+ */
+export const SET_PROXIMITY_SETTINGS = 'SET_PROXIMITY_SETTINGS';
+
+/**
+ * The type of (redux) action which records whom a remote participant
+ * whispers to.
+ *
+ * {
+ *     type: SET_REMOTE_WHISPER,
+ *     participantId: string,
+ *     targetId: ?string
+ * }
+ */
+export const SET_REMOTE_WHISPER = 'SET_REMOTE_WHISPER';
+
+/**
+ * The type of (redux) action which changes the acoustics of the virtual room.
+ *
+ * {
+ *     type: SET_REVERB_SETTINGS,
+ *     settings: {
+ *         mix: ?number,
+ *         preset: ?string
+ *     }
+ * }
+ */
+export const SET_REVERB_SETTINGS = 'SET_REVERB_SETTINGS';
+
+/**
+ * The type of (redux) action which moves and/or turns a participant in the
+ * virtual room.
+ *
+ * {
+ *     type: SET_ROOM_POSITION,
+ *     participantId: string,
+ *     position: {
+ *         heading: ?number,
+ *         x: ?number,
+ *         z: ?number
+ *     }
+ * }
+ */
+export const SET_ROOM_POSITION = 'SET_ROOM_POSITION';
+
+/**
+ * The type of (redux) action which replaces the whole virtual room with a
+ * scene shared by another participant.
+ *
+ * {
+ *     type: SET_ROOM_SCENE,
+ *     author: ?string,
+ *     positions: Object,
+ *     version: number
+ * }
+ */
+export const SET_ROOM_SCENE = 'SET_ROOM_SCENE';
+
+/**
+ * The type of (redux) action which sets the order in which a moderator has
+ * seated the participants of the conference.
+ *
+ * {
+ *     type: SET_SEAT_ORDER,
+ *     order: Array<string>
+ * }
+ */
+export const SET_SEAT_ORDER = 'SET_SEAT_ORDER';
+
+/**
+ * The type of (redux) action which selects how participants are seated around
+ * the listener.
+ *
+ * {
+ *     type: SET_SEAT_STRATEGY,
+ *     strategy: string
+ * }
+ */
+export const SET_SEAT_STRATEGY = 'SET_SEAT_STRATEGY';
+
+/**
+ * The type of (redux) action which stores the seats allocated to the remote
+ * participants.
+ *
+ * {
+ *     type: SET_SEATS,
+ *     seats: Object
+ * }
+ */
+export const SET_SEATS = 'SET_SEATS';
+
+/**
+ * The type of (redux) action which sets the gain at which the local user hears
+ * the media shared by other participants: shared videos and screen audio.
+ *
+ * {
+ *     type: SET_SHARED_MEDIA_GAIN,
+ *     gain: number
+ * }
+ */
+export const SET_SHARED_MEDIA_GAIN = 'SET_SHARED_MEDIA_GAIN';
+
+/**
+ * The type of (redux) action which imposes spatial audio settings for a while,
+ * e.g. for a condition of a listening study, without changing the preferences
+ * of the local user.
+ *
+ * {
+ *     type: SET_SPATIAL_AUDIO_CONDITION,
+ *     condition: ?{
+ *         enabled: boolean,
+ *         pannerSettings: ?Object
+ *     }
+ * }
+ */
+export const SET_SPATIAL_AUDIO_CONDITION = 'SET_SPATIAL_AUDIO_CONDITION';
+
+/**
+ * The type of (redux) action which enables or disables the spatialization of
+ * remote participants' audio.
+ *
+ * {
+ *     type: SET_SPATIAL_AUDIO_ENABLED,
+ *     enabled: boolean
+ * }
+ */
+export const SET_SPATIAL_AUDIO_ENABLED = 'SET_SPATIAL_AUDIO_ENABLED';
+
+/**
+ * The type of (redux) action which changes how the local user hears a specific
+ * participant in the spatial audio scene.
+ *
+ * {
+ *     type: SET_SPATIAL_OVERRIDE,
+ *     participantId: string,
+ *     override: {
+ *         azimuth: ?number,
+ *         distance: ?number,
+ *         mono: ?boolean
+ *     }
+ * }
+ */
+export const SET_SPATIAL_OVERRIDE = 'SET_SPATIAL_OVERRIDE';
+
+/**
+ * The type of (redux) action which chooses whether notification sounds are
+ * played from where the participants they are about sit.
+ *
+ * {
+ *     type: SET_SPATIAL_SOUNDS_ENABLED,
+ *     enabled: boolean
+ * }
+ */
+export const SET_SPATIAL_SOUNDS_ENABLED = 'SET_SPATIAL_SOUNDS_ENABLED';
+
+/**
+ * The type of (redux) action which stores the positions of the remote
+ * participants derived from their tiles in tile view.
+ *
+ * {
+ *     type: SET_TILE_POSITIONS,
+ *     positions: ?Object
+ * }
+ */
+export const SET_TILE_POSITIONS = 'SET_TILE_POSITIONS';
+
+/**
+ * The type of (redux) action which makes the local participant whisper to a
+ * neighbour or stop whispering.
+ *
+ * {
+ *     type: SET_WHISPER_TARGET,
+ *     participantId: ?string
+ * }
+ */
+export const SET_WHISPER_TARGET = 'SET_WHISPER_TARGET';
+
+/**
+ * The type of (redux) action which updates the position and/or the orientation
+ * of the local listener in the spatial audio scene.
+ *
+ * {
+ *     type: UPDATE_SPATIAL_LISTENER,
+ *     listener: {
+ *         forward: Object,
+ *         position: Object,
+ *         up: Object
+ *     }
+ * }
+ */
+export const UPDATE_SPATIAL_LISTENER = 'UPDATE_SPATIAL_LISTENER';
@@ -0,0 +1,675 @@
+// @flow
+
+import type { Dispatch } from 'redux';
+
+import { getLocalParticipant } from '../base/participants';
+import { showErrorNotification } from '../notifications';
+import { shouldDisplayRoomView } from '../video-layout/functions';
+
+import {
+    SET_AMBISONIC_SETTINGS,
+    SET_ATTENTION_SETTINGS,
+    SET_AUDIO_CONTEXT,
+    SET_CHANNELS_SWAPPED,
+    SET_HRTF_DATASET,
+    SET_LOUDNESS_SETTINGS,
+    SET_OUTPUT_DEVICE_TYPE,
+    SET_OUTPUT_FALLBACK,
+    SET_PANNER_SETTINGS,
+    SET_PROXIMITY_SETTINGS,
+    SET_REMOTE_WHISPER,
+    SET_REVERB_SETTINGS,
+    SET_ROOM_POSITION,
+    SET_ROOM_SCENE,
+    SET_SEAT_ORDER,
+    SET_SEAT_STRATEGY,
+    SET_SEATS,
+    SET_SHARED_MEDIA_GAIN,
+    SET_SPATIAL_AUDIO_CONDITION,
+    SET_SPATIAL_AUDIO_ENABLED,
+    SET_SPATIAL_OVERRIDE,
+    SET_SPATIAL_SOUNDS_ENABLED,
+    SET_TILE_POSITIONS,
+    SET_WHISPER_TARGET,
+    UPDATE_SPATIAL_LISTENER
+} from './actionTypes';
+import { DEFAULT_LISTENER, OUTPUT_FALLBACKS, PANNING_MODELS } from './constants';
+import { HrtfDataset, spatialAudioEngine } from './engine';
+import {
+    getForwardVector,
+    getListenerPose,
+    getOutputDeviceSettings,
+    getPannerSettings,
+    isSpatialAudioEnabled,
+    normalizeHeading
+} from './functions';
+import logger from './logger';
+
+/**
+ * Stops rendering remote participants binaurally because loudspeakers are in
+ * use: they are panned in stereo or heard in mono, as configured. The
+ * settings replaced are kept to be restored once headphones are back.
+ *
+ * @returns {Function}
+ */
+export function fallBackToLoudspeakers() {
+    return (dispatch: Dispatch<any>, getState: Function) => {
+        const state = getState();
+        const { fallback } = getOutputDeviceSettings(state);
+
+        logger.info(`Falling back to ${fallback} on loudspeakers`);
+        dispatch(setOutputFallback({
+            enabled: isSpatialAudioEnabled(state),
+            panningModel: getPannerSettings(state).panningModel
+        }));
+
+        if (fallback === OUTPUT_FALLBACKS.MONO) {
+            dispatch(setSpatialAudioEnabled(false));
+        } else {
+            dispatch(setPannerSettings({ panningModel: PANNING_MODELS.EQUAL_POWER }));
+        }
+    };
+}
+
+/**
+ * Loads the head-related impulse responses of a SOFA file, converted to JSON,
+ * for the SOFA panning model.
+ *
+ * @param {string|File} source - The URL of the file or the file picked by the
+ * local user.
+ * @returns {Function}
+ */
+export function loadHrtfDataset(source: string | Object) {
+    return async (dispatch: Dispatch<any>) => {
+        const name = typeof source === 'string' ? source : source.name;
+
+        try {
+            let text;
+
+            if (typeof source === 'string') {
+                const response = await fetch(source);
+
+                if (!response.ok) {
+                    throw new Error(`Request failed with status ${response.status}`);
+                }
+
+                text = await response.text();
+            } else {
+                text = await source.text();
+            }
+
+            spatialAudioEngine.setHrtfDataset(new HrtfDataset(name, JSON.parse(text)));
+            dispatch(setHrtfDataset(name));
+            logger.info(`Loaded the HRTF dataset ${name}`);
+        } catch (error) {
+            logger.error(`Failed to load the HRTF dataset ${name}`, error);
+            dispatch(showErrorNotification({
+                descriptionKey: 'settings.hrtfLoadFailed',
+                titleKey: 'settings.hrtfLoadFailedTitle'
+            }));
+        }
+    };
+}
+
+/**
+ * Walks the local listener forward, or backward, in the direction they face.
+ *
+ * @param {number} distance - The distance to walk, in meters. Negative values
+ * walk backward.
+ * @returns {Function}
+ */
+export function moveListener(distance: number) {
+    return (dispatch: Dispatch<any>, getState: Function) => {
+        const { heading, x, z } = getListenerPose(getState());
+        const forward = getForwardVector(heading);
+
+        dispatch(setListenerPose({
+            x: x + (distance * forward.x),
+            z: z + (distance * forward.z)
+        }));
+    };
+}
+
+/**
+ * Restores the spatial audio settings a fallback for loudspeakers replaced.
+ *
+ * @returns {Function}
+ */
+export function restoreFromOutputFallback() {
+    return (dispatch: Dispatch<any>, getState: Function) => {
+        const { outputFallback } = getState()['features/spatial-audio'];
+
+        if (outputFallback) {
+            logger.info('Restoring spatial audio on headphones');
+            dispatch(setPannerSettings({ panningModel: outputFallback.panningModel }));
+            dispatch(setSpatialAudioEnabled(outputFallback.enabled));
+            dispatch(setOutputFallback(undefined));
+        }
+    };
+}
+
+/**
+ * Changes the order and the decoder of the Ambisonic renderer, on top of the
+ * ones from config.js.
+ *
+ * @param {Object} settings - The settings to change: the {@code decoder}, one
+ * of {@code AMBISONIC_DECODERS}, and/or the {@code order}.
+ * @returns {{
+ *     type: SET_AMBISONIC_SETTINGS,
+ *     settings: Object
+ * }}
+ */
+export function setAmbisonicSettings(settings: Object) {
+    return {
+        type: SET_AMBISONIC_SETTINGS,
+        settings
+    };
+}
+
+/**
+ * Changes the attention mode, on top of the one from config.js.
+ *
+ * @param {Object} settings - The settings to change, among the ones of
+ * {@code ATTENTION_SETTINGS}.
+ * @returns {{
+ *     type: SET_ATTENTION_SETTINGS,
+ *     settings: Object
+ * }}
+ */
+export function setAttentionSettings(settings: Object) {
+    return {
+        type: SET_ATTENTION_SETTINGS,
+        settings
+    };
+}
+
+/**
+ * Stores the {@code AudioContext} shared by all spatialized audio graphs.
+ *
+ * @param {?AudioContext} context - The audio context or undefined to clear it.
+ * @returns {{
+ *     type: SET_AUDIO_CONTEXT,
+ *     context: ?AudioContext
+ * }}
+ */
+export function setAudioContext(context: ?Object) {
+    return {
+        type: SET_AUDIO_CONTEXT,
+        context
+    };
+}
+
+/**
+ * Swaps the left and right channels of stereo output, for headphones worn or
+ * wired the wrong way round, or stops swapping them.
+ *
+ * @param {boolean} swapped - Whether the channels are swapped.
+ * @returns {{
+ *     type: SET_CHANNELS_SWAPPED,
+ *     swapped: boolean
+ * }}
+ */
+export function setChannelsSwapped(swapped: boolean) {
+    return {
+        type: SET_CHANNELS_SWAPPED,
+        swapped
+    };
+}
+
+/**
+ * Records the name of the HRTF dataset the SOFA panning model renders with.
+ *
+ * @param {?string} name - The URL or the file name of the dataset.
+ * @returns {{
+ *     type: SET_HRTF_DATASET,
+ *     name: ?string
+ * }}
+ */
+export function setHrtfDataset(name: ?string) {
+    return {
+        type: SET_HRTF_DATASET,
+        name
+    };
+}
+
+/**
+ * Moves and/or turns the local listener. In room view the local participant
+ * moves in the virtual room, so the rest of the conference sees the change.
+ *
+ * @param {Object} pose - The new pose. Omitted fields and fields which are not
+ * finite numbers are left unchanged.
+ * @param {number} [pose.heading] - The direction the listener faces, in
+ * degrees clockwise from straight ahead.
+ * @param {number} [pose.x] - The position of the listener along the X axis.
+ * @param {number} [pose.z] - The position of the listener along the Z axis.
+ * @returns {Function}
+ */
+export function setListenerPose({ heading, x, z }: Object) {
+    return (dispatch: Dispatch<any>, getState: Function) => {
+        const state = getState();
+        const current = getListenerPose(state);
+        const pose = {
+            heading: normalizeHeading(Number.isFinite(heading) ? heading : current.heading),
+            x: Number.isFinite(x) ? x : current.x,
+            z: Number.isFinite(z) ? z : current.z
+        };
+
+        if (shouldDisplayRoomView(state)) {
+            const localParticipant = getLocalParticipant(state);
+
+            localParticipant && dispatch(setRoomPosition(localParticipant.id, pose));
+        } else {
+            dispatch(updateSpatialListener({
+                forward: getForwardVector(pose.heading),
+                position: {
+                    x: pose.x,
+                    y: DEFAULT_LISTENER.position.y,
+                    z: pose.z
+                }
+            }));
+        }
+    };
+}
+
+/**
+ * Changes loudness normalization, on top of the settings from config.js.
+ *
+ * @param {Object} settings - The settings to change.
+ * @returns {{
+ *     type: SET_LOUDNESS_SETTINGS,
+ *     settings: Object
+ * }}
+ */
+export function setLoudnessSettings(settings: Object) {
+    return {
+        type: SET_LOUDNESS_SETTINGS,
+        settings
+    };
+}
+
+/**
+ * Records whether the local user confirmed an audio output device to be
+ * headphones or loudspeakers, overriding the guess made from its label.
+ *
+ * @param {string} label - The label of the device.
+ * @param {string} deviceType - One of {@code OUTPUT_DEVICE_TYPES}.
+ * @returns {{
+ *     type: SET_OUTPUT_DEVICE_TYPE,
+ *     label: string,
+ *     deviceType: string
+ * }}
+ */
+export function setOutputDeviceType(label: string, deviceType: string) {
+    return {
+        type: SET_OUTPUT_DEVICE_TYPE,
+        label,
+        deviceType
+    };
+}
+
+/**
+ * Records the spatial audio settings a fallback for loudspeakers replaced.
+ *
+ * @param {?Object} settings - Whether spatial audio was enabled and the
+ * panning model, or undefined once they are restored.
+ * @returns {{
+ *     type: SET_OUTPUT_FALLBACK,
+ *     settings: ?Object
+ * }}
+ */
+export function setOutputFallback(settings: ?Object) {
+    return {
+        type: SET_OUTPUT_FALLBACK,
+        settings
+    };
+}
+
+/**
+ * Changes the models and parameters by which sources are spatialized, on top
+ * of the ones from config.js.
+ *
+ * @param {Object} settings - The settings to change, e.g. {@code panningModel}
+ * or {@code distanceModel}.
+ * @returns {{
+ *     type: SET_PANNER_SETTINGS,
+ *     settings: Object
+ * }}
+ */
+export function setPannerSettings(settings: Object) {
+    return {
+        type: SET_PANNER_SETTINGS,
+        settings
+    };
+}
+
+/**
+ * Changes the conversation clusters and the levels of murmurs and whispers,
+ * on top of the ones from config.js.
+ *
+ * @param {Object} settings - The settings to change, among the ones of
+ * {@code PROXIMITY_SETTINGS}.
+ * @returns {{
+ *     type: SET_PROXIMITY_SETTINGS,
+ *     settings: Object
+ * }}
+ */
+export function setProximitySettings(settings: Object) {
+    return {
+        type: SET_PROXIMITY_SETTINGS,
+        settings
+    };
+}
+
+/**
+ * Records whom a remote participant whispers to.
+ *
+ * @param {string} participantId - The ID of the participant who whispers.
+ * @param {?string} targetId - The ID of the participant they whisper to or
+ * undefined if they stopped whispering.
+ * @returns {{
+ *     type: SET_REMOTE_WHISPER,
+ *     participantId: string,
+ *     targetId: ?string
+ * }}
+ */
+export function setRemoteWhisper(participantId: string, targetId: ?string) {
+    return {
+        type: SET_REMOTE_WHISPER,
+        participantId,
+        targetId
+    };
+}
+
+/**
+ * Changes the acoustics of the virtual room, on top of the ones from
+ * config.js.
+ *
+ * @param {Object} settings - The settings to change: the {@code preset}, one
+ * of {@code REVERB_PRESETS}, and/or the {@code mix} between the dry voices and
+ * the reverb.
+ * @returns {{
+ *     type: SET_REVERB_SETTINGS,
+ *     settings: Object
+ * }}
+ */
+export function setReverbSettings(settings: Object) {
+    return {
+        type: SET_REVERB_SETTINGS,
+        settings
+    };
+}
+
+/**
+ * Moves and/or turns a participant in the virtual room.
+ *
+ * @param {string} participantId - The ID of the participant to move.
+ * @param {Object} position - The spot on the floor of the room, in meters,
+ * and/or the heading of the participant, in degrees. Omitted fields are left
+ * unchanged.
+ * @returns {{
+ *     type: SET_ROOM_POSITION,
+ *     participantId: string,
+ *     position: Object
+ * }}
+ */
+export function setRoomPosition(participantId: string, position: Object) {
+    return {
+        type: SET_ROOM_POSITION,
+        participantId,
+        position
+    };
+}
+
+/**
+ * Replaces the whole virtual room with a scene shared by a participant.
+ *
+ * @param {Object} positions - The spots and headings of the participants,
+ * keyed by participant ID.
+ * @param {number} version - The version of the scene.
+ * @param {?string} author - The ID of the participant who edited the scene
+ * last.
+ * @returns {{
+ *     type: SET_ROOM_SCENE,
+ *     author: ?string,
+ *     positions: Object,
+ *     version: number
+ * }}
+ */
+export function setRoomScene(positions: Object, version: number, author: ?string) {
+    return {
+        type: SET_ROOM_SCENE,
+        author,
+        positions,
+        version
+    };
+}
+
+/**
+ * Sets the order in which a moderator has seated the participants.
+ *
+ * @param {Array<string>} order - The IDs of the participants. The first one
+ * takes the seat in front of the listener, the next ones alternate to its left
+ * and right, moving outwards.
+ * @returns {{
+ *     type: SET_SEAT_ORDER,
+ *     order: Array<string>
+ * }}
+ */
+export function setSeatOrder(order: Array<string>) {
+    return {
+        type: SET_SEAT_ORDER,
+        order
+    };
+}
+
+/**
+ * Selects how remote participants are seated around the listener.
+ *
+ * @param {string} strategy - One of {@code SEAT_STRATEGIES}.
+ * @returns {{
+ *     type: SET_SEAT_STRATEGY,
+ *     strategy: string
+ * }}
+ */
+export function setSeatStrategy(strategy: string) {
+    return {
+        type: SET_SEAT_STRATEGY,
+        strategy
+    };
+}
+
+/**
+ * Stores the seats allocated to the remote participants.
+ *
+ * @param {Object} seats - The seat index of each participant, keyed by
+ * participant ID.
+ * @returns {{
+ *     type: SET_SEATS,
+ *     seats: Object
+ * }}
+ */
+export function setSeats(seats: Object) {
+    return {
+        type: SET_SEATS,
+        seats
+    };
+}
+
+/**
+ * Sets the gain at which the local user hears the media shared by other
+ * participants, shared videos and screen audio, on top of the level the
+ * sharers play them at.
+ *
+ * @param {number} gain - The gain, from 0 to 1.
+ * @returns {{
+ *     type: SET_SHARED_MEDIA_GAIN,
+ *     gain: number
+ * }}
+ */
+export function setSharedMediaGain(gain: number) {
+    return {
+        type: SET_SHARED_MEDIA_GAIN,
+        gain
+    };
+}
+
+/**
+ * Imposes spatial audio settings for a while, e.g. for a condition of a
+ * listening study. The preferences of the local user are left untouched, so
+ * they apply again once the condition is cleared or the page is reloaded.
+ *
+ * @param {?Object} condition - Whether spatial audio is enabled and the
+ * panner settings, if any, or undefined to clear the condition.
+ * @returns {{
+ *     type: SET_SPATIAL_AUDIO_CONDITION,
+ *     condition: ?Object
+ * }}
+ */
+export function setSpatialAudioCondition(condition: ?Object) {
+    return {
+        type: SET_SPATIAL_AUDIO_CONDITION,
+        condition
+    };
+}
+
+/**
+ * Enables or disables the spatialization of remote participants' audio.
+ *
+ * @param {boolean} enabled - Whether spatial audio should be enabled.
+ * @returns {{
+ *     type: SET_SPATIAL_AUDIO_ENABLED,
+ *     enabled: boolean
+ * }}
+ */
+export function setSpatialAudioEnabled(enabled: boolean) {
+    return {
+        type: SET_SPATIAL_AUDIO_ENABLED,
+        enabled
+    };
+}
+
+/**
+ * Changes how the local user hears a specific participant: pinned to an
+ * azimuth, closer or farther, or excluded from spatialization.
+ *
+ * @param {string} participantId - The ID of the participant.
+ * @param {Object} override - The fields of the override to change. Fields set
+ * to undefined are cleared.
+ * @param {number} [override.azimuth] - The angle, in degrees to the right of
+ * where the listener faces, the participant is pinned to.
+ * @param {number} [override.distance] - The distance, in meters, between the
+ * listener and the participant.
+ * @param {boolean} [override.mono] - Whether the participant is heard in mono,
+ * centered.
+ * @returns {{
+ *     type: SET_SPATIAL_OVERRIDE,
+ *     participantId: string,
+ *     override: Object
+ * }}
+ */
+export function setSpatialOverride(participantId: string, override: Object) {
+    return {
+        type: SET_SPATIAL_OVERRIDE,
+        participantId,
+        override
+    };
+}
+
+/**
+ * Chooses whether notification sounds are played from where the participants
+ * they are about sit or centered.
+ *
+ * @param {boolean} enabled - Whether notification sounds should be
+ * spatialized.
+ * @returns {{
+ *     type: SET_SPATIAL_SOUNDS_ENABLED,
+ *     enabled: boolean
+ * }}
+ */
+export function setSpatialSoundsEnabled(enabled: boolean) {
+    return {
+        type: SET_SPATIAL_SOUNDS_ENABLED,
+        enabled
+    };
+}
+
+/**
+ * Stores the positions of the remote participants derived from their tiles in
+ * tile view.
+ *
+ * @param {?Object} positions - The positions keyed by participant ID, or
+ * undefined when tile view is not displayed.
+ * @returns {{
+ *     type: SET_TILE_POSITIONS,
+ *     positions: ?Object
+ * }}
+ */
+export function setTilePositions(positions: ?Object) {
+    return {
+        type: SET_TILE_POSITIONS,
+        positions
+    };
+}
+
+/**
+ * Switches between spatial and mono reproduction of remote participants'
+ * audio.
+ *
+ * @returns {Function}
+ */
+export function toggleSpatialAudio() {
+    return (dispatch: Dispatch<any>, getState: Function) => {
+        dispatch(setSpatialAudioEnabled(!getState()['features/spatial-audio'].enabled));
+    };
+}
+
+/**
+ * Turns the head of the local listener.
+ *
+ * @param {number} degrees - The angle to turn by, clockwise.
+ * @returns {Function}
+ */
+export function turnListener(degrees: number) {
+    return (dispatch: Dispatch<any>, getState: Function) => {
+        dispatch(setListenerPose({ heading: getListenerPose(getState()).heading + degrees }));
+    };
+}
+
+/**
+ * Updates the pose of the local listener in the spatial audio scene. The
+ * properties which are not specified retain their current values.
+ *
+ * @param {Object} listener - The new listener pose.
+ * @param {Object} [listener.forward] - The direction the listener faces.
+ * @param {Object} [listener.position] - The position of the listener.
+ * @param {Object} [listener.up] - The direction of the top of the listener's
+ * head.
+ * @returns {{
+ *     type: UPDATE_SPATIAL_LISTENER,
+ *     listener: Object
+ * }}
+ */
+export function updateSpatialListener(listener: Object) {
+    return {
+        type: UPDATE_SPATIAL_LISTENER,
+        listener
+    };
+}
+
+/**
+ * Makes the local participant whisper to a neighbour: the neighbour hears
+ * them at full level, everybody else barely.
+ *
+ * @param {?string} participantId - The ID of the neighbour or undefined to
+ * stop whispering.
+ * @returns {{
+ *     type: SET_WHISPER_TARGET,
+ *     participantId: ?string
+ * }}
+ */
+export function whisperTo(participantId: ?string) {
+    return {
+        type: SET_WHISPER_TARGET,
+        participantId
+    };
+}
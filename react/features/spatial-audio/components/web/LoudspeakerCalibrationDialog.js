@@ -0,0 +1,81 @@
+// @flow
+
+import React, { Component } from 'react';
+
+import { Dialog } from '../../../base/dialog';
+import { translate } from '../../../base/i18n';
+import { connect } from '../../../base/redux';
+import { getLoudspeakerLayout } from '../../functions';
+
+import LoudspeakerChannel from './LoudspeakerChannel';
+
+/**
+ * The type of the React {@code Component} props of
+ * {@link LoudspeakerCalibrationDialog}.
+ */
+type Props = {
+
+    /**
+     * The azimuths of the loudspeakers, in the order of the output channels.
+     */
+    _layout: Array<?number>,
+
+    /**
+     * Invoked to obtain translated strings.
+     */
+    t: Function
+};
+
+/**
+ * Implements a React {@link Component} which lets the local user play a test
+ * signal on every loudspeaker of the layout to check the wiring and the
+ * levels of a multichannel output.
+ *
+ * @extends Component
+ */
+class LoudspeakerCalibrationDialog extends Component<Props> {
+    /**
+     * Implements React's {@link Component#render}.
+     *
+     * @inheritdoc
+     */
+    render() {
+        const { _layout, t } = this.props;
+
+        return (
+            <Dialog
+                hideCancelButton = { true }
+                okKey = 'dialog.done'
+                titleKey = 'settings.loudspeakerCalibration'
+                width = 'small'>
+                <div className = 'loudspeaker-calibration'>
+                    <p>{ t('settings.loudspeakerCalibrationDescription') }</p>
+                    <ul className = 'loudspeaker-calibration__channels'>
+                        { _layout.map((azimuth, channel) => (
+                            <LoudspeakerChannel
+                                azimuth = { azimuth }
+                                channel = { channel }
+                                key = { channel } />
+                        )) }
+                    </ul>
+                </div>
+            </Dialog>
+        );
+    }
+}
+
+/**
+ * Maps (parts of) the redux state to the associated
+ * {@code LoudspeakerCalibrationDialog}'s props.
+ *
+ * @param {Object} state - The redux state.
+ * @private
+ * @returns {Props}
+ */
+function _mapStateToProps(state) {
+    return {
+        _layout: getLoudspeakerLayout(state)
+    };
+}
+
+export default translate(connect(_mapStateToProps)(LoudspeakerCalibrationDialog));
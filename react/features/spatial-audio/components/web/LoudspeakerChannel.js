@@ -0,0 +1,89 @@
+// @flow
+
+import Button from '@atlaskit/button/standard-button';
+import React, { Component } from 'react';
+
+import { translate } from '../../../base/i18n';
+import { spatialAudioEngine } from '../../engine';
+
+/**
+ * The type of the React {@code Component} props of {@link LoudspeakerChannel}.
+ */
+type Props = {
+
+    /**
+     * The azimuth of the loudspeaker, in degrees to the right, or null for a
+     * channel without direction.
+     */
+    azimuth: ?number,
+
+    /**
+     * The index of the output channel.
+     */
+    channel: number,
+
+    /**
+     * Invoked to obtain translated strings.
+     */
+    t: Function
+};
+
+/**
+ * Implements a React {@link Component} which displays a loudspeaker of the
+ * layout with a button playing a test signal on it.
+ *
+ * @extends Component
+ */
+class LoudspeakerChannel extends Component<Props> {
+    /**
+     * Initializes a new {@code LoudspeakerChannel} instance.
+     *
+     * @param {Object} props - The read-only properties with which the new
+     * instance is to be initialized.
+     */
+    constructor(props: Props) {
+        super(props);
+
+        this._onPlay = this._onPlay.bind(this);
+    }
+
+    _onPlay: () => void;
+
+    /**
+     * Plays the test signal on the loudspeaker.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onPlay() {
+        spatialAudioEngine.playTestSignal(this.props.channel);
+    }
+
+    /**
+     * Implements React's {@link Component#render}.
+     *
+     * @inheritdoc
+     */
+    render() {
+        const { azimuth, channel, t } = this.props;
+
+        return (
+            <li className = 'loudspeaker-calibration__channel'>
+                <span>
+                    { t('settings.loudspeakerChannel', { channel: channel + 1 }) }
+                    { ' · ' }
+                    { typeof azimuth === 'number'
+                        ? t('settings.loudspeakerAzimuth', { azimuth })
+                        : t('settings.loudspeakerLfe') }
+                </span>
+                <Button
+                    appearance = 'default'
+                    onClick = { this._onPlay }>
+                    { t('settings.loudspeakerTest') }
+                </Button>
+            </li>
+        );
+    }
+}
+
+export default translate(LoudspeakerChannel);
@@ -0,0 +1,285 @@
+// @flow
+
+import React, { Component } from 'react';
+
+import {
+    getLocalParticipant,
+    getParticipantDisplayName
+} from '../../../base/participants';
+import { connect } from '../../../base/redux';
+import { setListenerPose, setRoomPosition } from '../../actions';
+import { DEFAULT_LISTENER, ROOM_SIZE } from '../../constants';
+import { getLocalRoomPosition, getRoomPositions } from '../../functions';
+
+import RoomViewBubble from './RoomViewBubble';
+
+/**
+ * The type of the React {@code Component} props of {@link RoomView}.
+ */
+type Props = {
+
+    /**
+     * The height of the window.
+     */
+    _clientHeight: number,
+
+    /**
+     * The width of the window.
+     */
+    _clientWidth: number,
+
+    /**
+     * The ID of the local participant.
+     */
+    _localParticipantId: string,
+
+    /**
+     * The spot and the heading of the local participant in the room.
+     */
+    _localPosition: Object,
+
+    /**
+     * The display names of the remote participants, keyed by participant ID.
+     */
+    _names: Object,
+
+    /**
+     * The spots and the headings of the remote participants in the room,
+     * keyed by participant ID.
+     */
+    _positions: Object,
+
+    /**
+     * The redux {@code dispatch} function.
+     */
+    dispatch: Function
+};
+
+/**
+ * Implements a top-down view of a virtual room in which the participants can
+ * be dragged around. The local participant listens from wherever they stand
+ * and turns their head toward wherever the floor is dragged.
+ */
+class RoomView extends Component<Props> {
+    /**
+     * The ID of the participant being dragged, if any.
+     */
+    _draggedId: ?string;
+
+    /**
+     * Whether the floor is being dragged to turn the local participant.
+     */
+    _turning: boolean;
+
+    /**
+     * Initializes a new {@code RoomView} instance.
+     *
+     * @param {Object} props - The read-only properties with which the new
+     * instance is to be initialized.
+     */
+    constructor(props: Props) {
+        super(props);
+
+        // Bind event handlers so they are only bound once for every instance.
+        this._onFloorMouseDown = this._onFloorMouseDown.bind(this);
+        this._onMouseDown = this._onMouseDown.bind(this);
+        this._onMouseMove = this._onMouseMove.bind(this);
+        this._onMouseUp = this._onMouseUp.bind(this);
+    }
+
+    /**
+     * Stops listening for a drag which may be in progress.
+     *
+     * @inheritdoc
+     * @returns {void}
+     */
+    componentWillUnmount() {
+        this._stopDragging();
+    }
+
+    /**
+     * Implements React's {@link Component#render()}.
+     *
+     * @inheritdoc
+     * @returns {ReactElement}
+     */
+    render() {
+        const { _localParticipantId, _localPosition, _names, _positions } = this.props;
+
+        return (
+            <div
+                className = 'room-view'
+                onMouseDown = { this._onFloorMouseDown }>
+                { this._renderBubble(_localParticipantId, _localPosition, true) }
+                {
+                    Object.keys(_positions).map(id =>
+                        this._renderBubble(id, _positions[id], false, _names[id]))
+                }
+            </div>
+        );
+    }
+
+    /**
+     * Returns the scale of the room.
+     *
+     * @private
+     * @returns {number} The number of pixels per meter.
+     */
+    _getScale() {
+        const { _clientHeight, _clientWidth } = this.props;
+
+        return Math.min(_clientHeight, _clientWidth) / ROOM_SIZE;
+    }
+
+    _onFloorMouseDown: (Object) => void;
+
+    /**
+     * Starts turning the local participant toward the mouse, unless a
+     * participant was grabbed.
+     *
+     * @param {MouseEvent} event - The mousedown event.
+     * @private
+     * @returns {void}
+     */
+    _onFloorMouseDown(event) {
+        if (event.target !== event.currentTarget) {
+            return;
+        }
+
+        event.preventDefault();
+        this._turning = true;
+        window.addEventListener('mousemove', this._onMouseMove);
+        window.addEventListener('mouseup', this._onMouseUp);
+        this._onMouseMove(event);
+    }
+
+    _onMouseDown: (string, Object) => void;
+
+    /**
+     * Starts dragging a participant.
+     *
+     * @param {string} id - The ID of the participant to drag.
+     * @param {MouseEvent} event - The mousedown event.
+     * @private
+     * @returns {void}
+     */
+    _onMouseDown(id, event) {
+        event.preventDefault();
+        this._draggedId = id;
+        window.addEventListener('mousemove', this._onMouseMove);
+        window.addEventListener('mouseup', this._onMouseUp);
+    }
+
+    _onMouseMove: (Object) => void;
+
+    /**
+     * Moves the dragged participant to the spot under the mouse or turns the
+     * local participant toward it.
+     *
+     * @param {MouseEvent} event - The mousemove event.
+     * @private
+     * @returns {void}
+     */
+    _onMouseMove({ clientX, clientY }) {
+        const { _clientHeight, _clientWidth, _localPosition, dispatch } = this.props;
+        const scale = this._getScale();
+        const halfWidth = _clientWidth / scale / 2;
+        const halfHeight = _clientHeight / scale / 2;
+        const { position } = DEFAULT_LISTENER;
+        const x = position.x + Math.max(-halfWidth, Math.min(halfWidth, (clientX / scale) - halfWidth));
+        const z = position.z + Math.max(-halfHeight, Math.min(halfHeight, (clientY / scale) - halfHeight));
+
+        if (this._draggedId) {
+            dispatch(setRoomPosition(this._draggedId, {
+                x,
+                z
+            }));
+        } else if (this._turning) {
+            dispatch(setListenerPose({
+                heading: Math.atan2(x - _localPosition.x, _localPosition.z - z) * 180 / Math.PI
+            }));
+        }
+    }
+
+    _onMouseUp: () => void;
+
+    /**
+     * Drops the dragged participant.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onMouseUp() {
+        this._stopDragging();
+    }
+
+    /**
+     * Renders the bubble of a participant at its spot in the room.
+     *
+     * @param {string} id - The ID of the participant.
+     * @param {Object} roomPosition - The spot and the heading of the
+     * participant in the room.
+     * @param {boolean} local - Whether the participant is the local one.
+     * @param {string} name - The display name of the participant.
+     * @private
+     * @returns {ReactElement}
+     */
+    _renderBubble(id, { heading, x, z }, local, name) {
+        const { _clientHeight, _clientWidth } = this.props;
+        const scale = this._getScale();
+        const { position } = DEFAULT_LISTENER;
+
+        return (
+            <RoomViewBubble
+                heading = { heading }
+                id = { id }
+                key = { id }
+                local = { local }
+                name = { name }
+                onMouseDown = { this._onMouseDown }
+                x = { (_clientWidth / 2) + ((x - position.x) * scale) }
+                y = { (_clientHeight / 2) + ((z - position.z) * scale) } />
+        );
+    }
+
+    /**
+     * Stops listening for the mouse events of a drag.
+     *
+     * @private
+     * @returns {void}
+     */
+    _stopDragging() {
+        this._draggedId = undefined;
+        this._turning = false;
+        window.removeEventListener('mousemove', this._onMouseMove);
+        window.removeEventListener('mouseup', this._onMouseUp);
+    }
+}
+
+/**
+ * Maps (parts of) the redux state to the associated {@code RoomView}'s props.
+ *
+ * @param {Object} state - The redux state.
+ * @private
+ * @returns {Props}
+ */
+function _mapStateToProps(state) {
+    const { clientHeight, clientWidth } = state['features/base/responsive-ui'];
+    const positions = getRoomPositions(state);
+    const names = {};
+
+    Object.keys(positions).forEach(id => {
+        names[id] = getParticipantDisplayName(state, id);
+    });
+
+    return {
+        _clientHeight: clientHeight,
+        _clientWidth: clientWidth,
+        _localParticipantId: getLocalParticipant(state)?.id,
+        _localPosition: getLocalRoomPosition(state),
+        _names: names,
+        _positions: positions
+    };
+}
+
+export default connect(_mapStateToProps)(RoomView);
@@ -0,0 +1,116 @@
+// @flow
+
+import React, { Component } from 'react';
+
+import { Avatar } from '../../../base/avatar';
+
+/**
+ * The size, in pixels, of the avatars in the room.
+ *
+ * @type {number}
+ */
+const AVATAR_SIZE = 56;
+
+/**
+ * The type of the React {@code Component} props of {@link RoomViewBubble}.
+ */
+type Props = {
+
+    /**
+     * The direction the participant faces, in degrees clockwise.
+     */
+    heading: number,
+
+    /**
+     * The ID of the participant.
+     */
+    id: string,
+
+    /**
+     * Whether the participant is the local one.
+     */
+    local: boolean,
+
+    /**
+     * The display name of the participant.
+     */
+    name: ?string,
+
+    /**
+     * Invoked with the ID of the participant when the bubble is grabbed.
+     */
+    onMouseDown: (string, Object) => void,
+
+    /**
+     * The distance, in pixels, from the left edge of the room to the center
+     * of the bubble.
+     */
+    x: number,
+
+    /**
+     * The distance, in pixels, from the top edge of the room to the center of
+     * the bubble.
+     */
+    y: number
+};
+
+/**
+ * Implements a React {@link Component} which displays the bubble of a
+ * participant at its spot in the virtual room, with a pointer showing the
+ * direction the participant faces.
+ *
+ * @extends Component
+ */
+export default class RoomViewBubble extends Component<Props> {
+    /**
+     * Initializes a new {@code RoomViewBubble} instance.
+     *
+     * @param {Object} props - The read-only properties with which the new
+     * instance is to be initialized.
+     */
+    constructor(props: Props) {
+        super(props);
+
+        this._onMouseDown = this._onMouseDown.bind(this);
+    }
+
+    _onMouseDown: (Object) => void;
+
+    /**
+     * Lets the room start dragging the participant.
+     *
+     * @param {MouseEvent} event - The mousedown event.
+     * @private
+     * @returns {void}
+     */
+    _onMouseDown(event) {
+        this.props.onMouseDown(this.props.id, event);
+    }
+
+    /**
+     * Implements React's {@link Component#render}.
+     *
+     * @inheritdoc
+     */
+    render() {
+        const { heading, id, local, name, x, y } = this.props;
+
+        return (
+            <div
+                className = { `room-view__bubble${local ? ' room-view__bubble--local' : ''}` }
+                onMouseDown = { this._onMouseDown }
+                style = {{
+                    left: x - (AVATAR_SIZE / 2),
+                    top: y - (AVATAR_SIZE / 2)
+                }}>
+                <div
+                    className = 'room-view__heading'
+                    style = {{ transform: `rotate(${heading}deg)` }} />
+                <Avatar
+                    participantId = { id }
+                    size = { AVATAR_SIZE } />
+                { name && <div className = 'room-view__name'>{ name }</div> }
+            </div>
+        );
+    }
+}
@@ -0,0 +1,313 @@
+// @flow
+
+import Button from '@atlaskit/button/standard-button';
+import shuffle from 'lodash/shuffle';
+import React, { Component } from 'react';
+
+import { translate } from '../../../base/i18n';
+import { connect } from '../../../base/redux';
+import { setChannelsSwapped } from '../../actions';
+import { ORIENTATION_TEST_DIRECTIONS } from '../../constants';
+import { spatialAudioEngine } from '../../engine';
+import { getOrientationTestSettings, hasSpatialAudioCondition, isSpatialAudioEnabled } from '../../functions';
+
+/**
+ * The type of the React {@code Component} props of {@link SpatialAudioTest}.
+ */
+type Props = {
+
+    /**
+     * Whether the left and right channels of stereo output are swapped.
+     */
+    _channelsSwapped: boolean,
+
+    /**
+     * Whether spatial audio is enabled.
+     */
+    _enabled: boolean,
+
+    /**
+     * The distance at which the sample is played and its URL, if any.
+     */
+    _settings: Object,
+
+    /**
+     * The redux {@code dispatch} function.
+     */
+    dispatch: Function,
+
+    /**
+     * Invoked to obtain translated strings.
+     */
+    t: Function
+};
+
+/**
+ * The type of the React {@code Component} state of {@link SpatialAudioTest}.
+ */
+type State = {
+
+    /**
+     * The directions the local user heard the sample from, keyed by the
+     * directions it was played from.
+     */
+    answers: Object,
+
+    /**
+     * The directions the sample is played from, in the order drawn for the
+     * current test. Empty before the first test.
+     */
+    order: Array<string>,
+
+    /**
+     * The index in {@code order} of the direction the sample is played from.
+     */
+    step: number
+};
+
+/**
+ * Implements a React {@link Component} which plays a sample from directions
+ * around the local user, through the engine the conference is heard with,
+ * asks them where each one came from and offers to swap the left and right
+ * channels when they were heard the wrong way round.
+ *
+ * @extends Component
+ */
+class SpatialAudioTest extends Component<Props, State> {
+    /**
+     * Handlers for the answers, keyed by direction. This pattern is used for
+     * binding event handlers only once for each direction.
+     */
+    _onAnswer: Object;
+
+    /**
+     * Initializes a new {@code SpatialAudioTest} instance.
+     *
+     * @param {Object} props - The read-only properties with which the new
+     * instance is to be initialized.
+     */
+    constructor(props: Props) {
+        super(props);
+
+        this.state = {
+            answers: {},
+            order: [],
+            step: 0
+        };
+
+        this._onAnswer = {};
+        Object.keys(ORIENTATION_TEST_DIRECTIONS).forEach(direction => {
+            this._onAnswer[direction] = () => this.setState(({ answers, order, step }) => {
+                return {
+                    answers: {
+                        ...answers,
+                        [order[step]]: direction
+                    },
+                    step: step + 1
+                };
+            }, this._onPlay);
+        });
+
+        this._onPlay = this._onPlay.bind(this);
+        this._onStart = this._onStart.bind(this);
+        this._onSwapClick = this._onSwapClick.bind(this);
+    }
+
+    _onPlay: () => void;
+
+    /**
+     * Plays the sample from the direction of the current step, if the test
+     * is not over.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onPlay() {
+        const { order, step } = this.state;
+        const direction = ORIENTATION_TEST_DIRECTIONS[order[step]];
+
+        direction && spatialAudioEngine.playTestSample(
+            direction.azimuth, direction.elevation, this.props._settings);
+    }
+
+    _onStart: () => void;
+
+    /**
+     * Starts a test with the directions in a new order, so that the local
+     * user cannot guess them.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onStart() {
+        this.setState({
+            answers: {},
+            order: shuffle(Object.keys(ORIENTATION_TEST_DIRECTIONS)),
+            step: 0
+        }, this._onPlay);
+    }
+
+    _onSwapClick: () => void;
+
+    /**
+     * Swaps the left and right channels, or stops swapping them.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onSwapClick() {
+        this.props.dispatch(setChannelsSwapped(!this.props._channelsSwapped));
+    }
+
+    /**
+     * Implements React's {@link Component#render}.
+     *
+     * @inheritdoc
+     */
+    render() {
+        const { _enabled, t } = this.props;
+        const { order, step } = this.state;
+        let content;
+
+        if (!_enabled) {
+            content = <p>{ t('spatialAudioTest.disabled') }</p>;
+        } else if (order.length === 0) {
+            content = this._renderIntroduction();
+        } else if (step < order.length) {
+            content = this._renderQuestion();
+        } else {
+            content = this._renderResult();
+        }
+
+        return (
+            <div className = 'spatial-audio-test'>
+                <div className = 'spatial-audio-test__title'>{ t('spatialAudioTest.title') }</div>
+                { content }
+            </div>
+        );
+    }
+
+    /**
+     * Renders the explanation of the test and the button which starts it.
+     *
+     * @private
+     * @returns {ReactElement}
+     */
+    _renderIntroduction() {
+        const { _channelsSwapped, t } = this.props;
+
+        return (
+            <>
+                <p>{ t('spatialAudioTest.description') }</p>
+                <div className = 'spatial-audio-test__actions'>
+                    <Button
+                        appearance = 'primary'
+                        onClick = { this._onStart }>
+                        { t('spatialAudioTest.start') }
+                    </Button>
+                    { _channelsSwapped && (
+                        <Button
+                            appearance = 'subtle'
+                            onClick = { this._onSwapClick }>
+                            { t('spatialAudioTest.unswap') }
+                        </Button>
+                    ) }
+                </div>
+            </>
+        );
+    }
+
+    /**
+     * Renders the question where the sample of the current step came from.
+     *
+     * @private
+     * @returns {ReactElement}
+     */
+    _renderQuestion() {
+        const { t } = this.props;
+        const { order, step } = this.state;
+
+        return (
+            <>
+                <p>{ t('spatialAudioTest.question', { number: step + 1, total: order.length }) }</p>
+                <div className = 'spatial-audio-test__actions'>
+                    { Object.keys(ORIENTATION_TEST_DIRECTIONS).map(direction => (
+                        <Button
+                            appearance = 'default'
+                            key = { direction }
+                            onClick = { this._onAnswer[direction] }>
+                            { t(`spatialAudioTest.directions.${direction}`) }
+                        </Button>
+                    )) }
+                    <Button
+                        appearance = 'subtle'
+                        onClick = { this._onPlay }>
+                        { t('spatialAudioTest.replay') }
+                    </Button>
+                </div>
+            </>
+        );
+    }
+
+    /**
+     * Renders how many directions the local user got right and, when they
+     * heard left and right the wrong way round, the button which swaps them.
+     *
+     * @private
+     * @returns {ReactElement}
+     */
+    _renderResult() {
+        const { _channelsSwapped, t } = this.props;
+        const { answers, order } = this.state;
+        const correct = order.filter(direction => answers[direction] === direction).length;
+        const swapped = answers.left === 'right' && answers.right === 'left';
+        let verdict;
+
+        if (swapped) {
+            verdict = 'spatialAudioTest.swapped';
+        } else if (correct === order.length) {
+            verdict = 'spatialAudioTest.success';
+        } else {
+            verdict = 'spatialAudioTest.confusions';
+        }
+
+        return (
+            <>
+                <p>{ t('spatialAudioTest.result', { correct, total: order.length }) }</p>
+                <p>{ t(verdict) }</p>
+                <div className = 'spatial-audio-test__actions'>
+                    { swapped && (
+                        <Button
+                            appearance = 'primary'
+                            onClick = { this._onSwapClick }>
+                            { t(_channelsSwapped ? 'spatialAudioTest.unswap' : 'spatialAudioTest.swap') }
+                        </Button>
+                    ) }
+                    <Button
+                        appearance = { swapped ? 'default' : 'primary' }
+                        onClick = { this._onStart }>
+                        { t('spatialAudioTest.again') }
+                    </Button>
+                </div>
+            </>
+        );
+    }
+}
+
+/**
+ * Maps (parts of) the redux state to the associated
+ * {@code SpatialAudioTest}'s props.
+ *
+ * @param {Object} state - The redux state.
+ * @private
+ * @returns {Props}
+ */
+function _mapStateToProps(state) {
+    return {
+        _channelsSwapped: state['features/spatial-audio'].channelsSwapped,
+        _enabled: isSpatialAudioEnabled(state) && !hasSpatialAudioCondition(state),
+        _settings: getOrientationTestSettings(state)
+    };
+}
+
+export default translate(connect(_mapStateToProps)(SpatialAudioTest));
@@ -0,0 +1,5 @@
+// @flow
+
+export { default as LoudspeakerCalibrationDialog } from './LoudspeakerCalibrationDialog';
+export { default as RoomView } from './RoomView';
+export { default as SpatialAudioTest } from './SpatialAudioTest';
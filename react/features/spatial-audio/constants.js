@@ -0,0 +1,595 @@
+/**
+ * The default pose of the local listener: one unit in front of the origin,
+ * looking down the negative Z axis with the head up along the Y axis.
+ *
+ * @type {Object}
+ */
+export const DEFAULT_LISTENER = {
+    forward: {
+        x: 0,
+        y: 0,
+        z: -1
+    },
+    position: {
+        x: 0,
+        y: 0,
+        z: 1
+    },
+    up: {
+        x: 0,
+        y: 1,
+        z: 0
+    }
+};
+
+/**
+ * The strategies by which remote participants are seated around the listener.
+ *
+ * @type {Object}
+ */
+export const SEAT_STRATEGIES = {
+    ALPHABETICAL: 'alphabetical',
+    JOIN_ORDER: 'join-order',
+    MODERATOR: 'moderator'
+};
+
+/**
+ * The angle, in degrees, between two neighbouring seats. It does not depend on
+ * how many participants are seated so that nobody moves when somebody joins.
+ *
+ * @type {number}
+ */
+export const SEAT_SPACING = 30;
+
+/**
+ * The (name of the) command through which a moderator shares the order in
+ * which participants are seated.
+ *
+ * @type {string}
+ */
+export const SPATIAL_SEATS_COMMAND = 'spatial-seats';
+
+/**
+ * The (name of the) command through which participants share the virtual
+ * room.
+ *
+ * @type {string}
+ */
+export const SPATIAL_ROOM_COMMAND = 'spatial-room';
+
+/**
+ * The type of the endpoint message by which a participant tells the others
+ * whom they whisper to, if anybody.
+ *
+ * @type {string}
+ */
+export const SPATIAL_WHISPER_MESSAGE = 'spatial-whisper';
+
+/**
+ * The (name of the) participant property by which a participant who shares
+ * their screen audio tells the others that it is on the second channel of
+ * their audio track, apart from their voice on the first one.
+ *
+ * @type {string}
+ */
+export const SHARED_MEDIA_PROPERTY = 'spatialSharedMedia';
+
+/**
+ * The suffix of the ID under which the screen audio of a participant is a
+ * source of its own in the scene.
+ *
+ * @type {string}
+ */
+export const SHARED_MEDIA_SOURCE_SUFFIX = '#shared-media';
+
+/**
+ * The distance, in meters, in front of the listener at which shared media
+ * play when they are on the stage.
+ *
+ * @type {number}
+ */
+export const SHARED_MEDIA_DISTANCE = 1.5;
+
+/**
+ * The minimum interval, in milliseconds, between two shares of the virtual
+ * room while somebody is being dragged.
+ *
+ * @type {number}
+ */
+export const ROOM_SYNC_INTERVAL = 250;
+
+/**
+ * The angle, in degrees, by which a keyboard shortcut turns the listener.
+ *
+ * @type {number}
+ */
+export const LISTENER_TURN_STEP = 15;
+
+/**
+ * The distance, in meters, by which a keyboard shortcut walks the listener.
+ *
+ * @type {number}
+ */
+export const LISTENER_MOVE_STEP = 0.25;
+
+/**
+ * The range, in meters, within which the local user can move a specific
+ * participant closer or farther.
+ *
+ * @type {Object}
+ */
+export const OVERRIDE_DISTANCE_RANGE = {
+    max: 5,
+    min: 0.5
+};
+
+/**
+ * The models by which a source is placed in the stereo image. Besides the
+ * models native to {@code PannerNode}, a custom renderer applies interaural
+ * time and level differences computed from a spherical head, another one
+ * convolves the source with the HRIRs of a loaded SOFA dataset, another one
+ * encodes the whole scene into Ambisonics before decoding it and the last one
+ * pans the source between loudspeakers with VBAP.
+ *
+ * @type {Object}
+ */
+export const PANNING_MODELS = {
+    AMBISONICS: 'ambisonics',
+    EQUAL_POWER: 'equalpower',
+    HRTF: 'HRTF',
+    ITD_ILD: 'itd-ild',
+    SOFA: 'sofa',
+    VBAP: 'vbap'
+};
+
+/**
+ * The panning models {@code PannerNode} implements itself.
+ *
+ * @type {Array<string>}
+ */
+export const NATIVE_PANNING_MODELS = [
+    PANNING_MODELS.EQUAL_POWER,
+    PANNING_MODELS.HRTF
+];
+
+/**
+ * The panning models which render binaurally and thus only work properly on
+ * headphones. The Ambisonic renderer is binaural unless it decodes to
+ * loudspeakers.
+ *
+ * @type {Array<string>}
+ */
+export const BINAURAL_PANNING_MODELS = [
+    PANNING_MODELS.AMBISONICS,
+    PANNING_MODELS.HRTF,
+    PANNING_MODELS.ITD_ILD,
+    PANNING_MODELS.SOFA
+];
+
+/**
+ * The kinds of audio output devices, as far as spatial audio is concerned.
+ *
+ * @type {Object}
+ */
+export const OUTPUT_DEVICE_TYPES = {
+    HEADPHONES: 'headphones',
+    SPEAKERS: 'speakers',
+    UNKNOWN: 'unknown'
+};
+
+/**
+ * The labels of audio devices which are worn on the head.
+ *
+ * @type {RegExp}
+ */
+export const HEADPHONE_LABEL_PATTERN = /headphone|headset|earphone|earbud|airpods|buds|hands-free/i;
+
+/**
+ * The labels of audio devices which play into the room.
+ *
+ * @type {RegExp}
+ */
+export const SPEAKER_LABEL_PATTERN = /speaker|built-in|internal|hdmi|displayport|monitor|\btv\b/i;
+
+/**
+ * The ways remote participants can be heard on loudspeakers instead of
+ * binaurally.
+ *
+ * @type {Object}
+ */
+export const OUTPUT_FALLBACKS = {
+    MONO: 'mono',
+    STEREO: 'stereo'
+};
+
+/**
+ * The defaults of the reaction to the audio output device, which config.js
+ * overrides: whether binaural rendering falls back to {@code fallback}
+ * without asking when loudspeakers are in use.
+ *
+ * @type {Object}
+ */
+export const OUTPUT_DEVICE_SETTINGS = {
+    autoFallback: false,
+    fallback: OUTPUT_FALLBACKS.STEREO
+};
+
+/**
+ * The parameters of the SOFA renderer: the number of measured directions
+ * blended into the impulse response of a source, the duration, in seconds, of
+ * the crossfade between two impulse responses, and the angle, in degrees, a
+ * source has to move by before its impulse response is recomputed.
+ *
+ * @type {Object}
+ */
+export const SOFA_SETTINGS = {
+    crossfadeTime: 0.03,
+    neighbours: 3,
+    resolution: 1
+};
+
+/**
+ * The models by which the volume of a source decreases with its distance from
+ * the listener.
+ *
+ * @type {Object}
+ */
+export const DISTANCE_MODELS = {
+    EXPONENTIAL: 'exponential',
+    INVERSE: 'inverse',
+    LINEAR: 'linear'
+};
+
+/**
+ * The keys of {@code PANNER_SETTINGS} which can be changed from config.js or
+ * at runtime.
+ *
+ * @type {Array<string>}
+ */
+export const CONFIGURABLE_PANNER_SETTINGS = [
+    'distanceModel',
+    'maxDistance',
+    'panningModel',
+    'refDistance',
+    'rolloffFactor'
+];
+
+/**
+ * The parameters of the custom ITD/ILD renderer: the radius of the head, in
+ * meters, the speed of sound, in meters per second, and the level difference
+ * between the ears, in decibels, for a source at 90 degrees.
+ *
+ * @type {Object}
+ */
+export const ITD_ILD_SETTINGS = {
+    headRadius: 0.0875,
+    maxLevelDifference: 10,
+    speedOfSound: 343
+};
+
+/**
+ * The acoustics of the virtual room the voices are heard in.
+ *
+ * @type {Object}
+ */
+export const REVERB_PRESETS = {
+    HALL: 'hall',
+    MEETING_ROOM: 'meeting-room',
+    NONE: 'none',
+    SMALL_OFFICE: 'small-office'
+};
+
+/**
+ * The parameters from which the impulse response of each reverb preset is
+ * generated: the time, in seconds, the reverb takes to decay by 60 dB, the
+ * delay before the first reflection, the number of early reflections and the
+ * time over which they spread.
+ *
+ * @type {Object}
+ */
+export const REVERB_PRESET_SETTINGS = {
+    [REVERB_PRESETS.HALL]: {
+        decay: 2.2,
+        preDelay: 0.025,
+        reflections: 12,
+        spread: 0.08
+    },
+    [REVERB_PRESETS.MEETING_ROOM]: {
+        decay: 0.7,
+        preDelay: 0.01,
+        reflections: 8,
+        spread: 0.035
+    },
+    [REVERB_PRESETS.SMALL_OFFICE]: {
+        decay: 0.4,
+        preDelay: 0.005,
+        reflections: 6,
+        spread: 0.02
+    }
+};
+
+/**
+ * The default room acoustics: the reverb preset and the balance between the
+ * dry voices and the reverb, from 0 (dry) to 1 (wet).
+ *
+ * @type {Object}
+ */
+export const REVERB_SETTINGS = {
+    mix: 0.3,
+    preset: REVERB_PRESETS.NONE
+};
+
+/**
+ * The outputs the Ambisonic scene can be decoded to: headphones, through
+ * virtual loudspeakers rendered binaurally, or a loudspeaker array.
+ *
+ * @type {Object}
+ */
+export const AMBISONIC_DECODERS = {
+    BINAURAL: 'binaural',
+    LOUDSPEAKERS: 'loudspeakers'
+};
+
+/**
+ * The highest Ambisonic order the renderer supports.
+ *
+ * @type {number}
+ */
+export const AMBISONIC_MAX_ORDER = 3;
+
+/**
+ * The default settings of the Ambisonic renderer: the decoder, one of
+ * {@code AMBISONIC_DECODERS}, and the order.
+ *
+ * @type {Object}
+ */
+export const AMBISONIC_SETTINGS = {
+    decoder: AMBISONIC_DECODERS.BINAURAL,
+    order: 1
+};
+
+/**
+ * The virtual loudspeakers the binaural decoder renders, by the highest order
+ * they can decode: a cube for first order and three rings for third order.
+ * Each loudspeaker is an azimuth, in degrees to the right, and an elevation.
+ *
+ * @type {Object}
+ */
+export const AMBISONIC_VIRTUAL_SPEAKERS = {
+    1: [
+        [ 45, 35 ], [ 135, 35 ], [ 225, 35 ], [ 315, 35 ],
+        [ 45, -35 ], [ 135, -35 ], [ 225, -35 ], [ 315, -35 ]
+    ],
+    3: [
+        [ 0, 0 ], [ 45, 0 ], [ 90, 0 ], [ 135, 0 ],
+        [ 180, 0 ], [ 225, 0 ], [ 270, 0 ], [ 315, 0 ],
+        [ 45, 45 ], [ 135, 45 ], [ 225, 45 ], [ 315, 45 ],
+        [ 45, -45 ], [ 135, -45 ], [ 225, -45 ], [ 315, -45 ]
+    ]
+};
+
+/**
+ * The azimuths, in degrees to the right, of the loudspeakers of the standard
+ * layouts, in the order of the output channels. The LFE channel of 5.1 has no
+ * direction and is left silent.
+ *
+ * @type {Object}
+ */
+export const LOUDSPEAKER_LAYOUTS = {
+    '5.1': [ -30, 30, 0, null, -110, 110 ],
+    quad: [ -45, 45, -135, 135 ],
+    stereo: [ -30, 30 ]
+};
+
+/**
+ * The duration, in seconds, of the test signal played on a loudspeaker during
+ * calibration, and its level.
+ *
+ * @type {Object}
+ */
+export const LOUDSPEAKER_TEST_SIGNAL = {
+    duration: 1.5,
+    gain: 0.25
+};
+
+/**
+ * The directions, relative to where the local user faces, from which the
+ * orientation test plays its sample: the azimuth in degrees to the right and
+ * the elevation in degrees above the head.
+ *
+ * @type {Object}
+ */
+export const ORIENTATION_TEST_DIRECTIONS = {
+    front: {
+        azimuth: 0,
+        elevation: 0
+    },
+    left: {
+        azimuth: -90,
+        elevation: 0
+    },
+    back: {
+        azimuth: 180,
+        elevation: 0
+    },
+    right: {
+        azimuth: 90,
+        elevation: 0
+    },
+    above: {
+        azimuth: 0,
+        elevation: 60
+    }
+};
+
+/**
+ * The defaults of the orientation test, which config.js overrides: the
+ * distance, in meters, at which the sample is played and the URL of the
+ * sample, a short recording of a voice. A synthesized vowel is played when
+ * there is none.
+ *
+ * @type {Object}
+ */
+export const ORIENTATION_TEST_SETTINGS = {
+    distance: 1.5,
+    sample: undefined
+};
+
+/**
+ * The synthesized vowel the orientation test plays when no sample is
+ * configured: its duration, in seconds, its fundamental frequency, in hertz,
+ * the frequencies of its formants, in hertz, and its level.
+ *
+ * @type {Object}
+ */
+export const ORIENTATION_TEST_VOWEL = {
+    duration: 1.2,
+    formants: [ 700, 1220, 2600 ],
+    frequency: 140,
+    gain: 0.3
+};
+
+/**
+ * The default settings applied to the {@code PannerNode} of every spatialized
+ * source.
+ *
+ * @type {Object}
+ */
+export const PANNER_SETTINGS = {
+    coneInnerAngle: 360,
+    coneOuterAngle: 0,
+    coneOuterGain: 0,
+    distanceModel: 'inverse',
+    maxDistance: 10000,
+    panningModel: 'HRTF',
+    refDistance: 1,
+    rolloffFactor: 1
+};
+
+/**
+ * The azimuth, in degrees, of a voice whose tile touches the left or right
+ * edge of the window in tile view.
+ *
+ * @type {number}
+ */
+export const TILE_VIEW_MAX_AZIMUTH = 60;
+
+/**
+ * The elevation, in degrees, of a voice whose tile touches the top or bottom
+ * edge of the window in tile view.
+ *
+ * @type {number}
+ */
+export const TILE_VIEW_MAX_ELEVATION = 30;
+
+/**
+ * The length, in meters, of the shorter side of the virtual room.
+ *
+ * @type {number}
+ */
+export const ROOM_SIZE = 8;
+
+/**
+ * The distance, in meters, from the listener at which participants who have
+ * not been moved yet stand in the virtual room.
+ *
+ * @type {number}
+ */
+export const ROOM_SEAT_DISTANCE = 2;
+
+/**
+ * The default attention mode, which brings the dominant speaker forward and
+ * toward the centre of the scene and ducks the other participants so that
+ * overlapping talkers do not mask the speaker. The speaker moves by
+ * {@code centering} of the way toward the front of the listener and by
+ * {@code approach} of the way toward the listener, the others are attenuated
+ * to {@code duckGain}. The transitions take {@code attackTime} seconds when a
+ * speaker takes the floor and {@code releaseTime} seconds when they give it
+ * up.
+ *
+ * @type {Object}
+ */
+export const ATTENTION_SETTINGS = {
+    approach: 0.25,
+    attackTime: 0.3,
+    centering: 0.5,
+    duckGain: 0.6,
+    enabled: false,
+    releaseTime: 1.2
+};
+
+/**
+ * The interval, in milliseconds, at which the transitions of the attention
+ * mode are stepped.
+ *
+ * @type {number}
+ */
+export const ATTENTION_UPDATE_INTERVAL = 20;
+
+/**
+ * The default proximity settings. With {@code clusters} enabled, the
+ * participants standing within {@code radius} meters of each other in the
+ * virtual room, directly or through others, form a conversation, and the
+ * participants outside the local user's conversation drop to
+ * {@code murmurGain}. A participant who whispers is heard at full level by
+ * the neighbour they whisper to and at {@code whisperGain} by everybody else.
+ *
+ * @type {Object}
+ */
+export const PROXIMITY_SETTINGS = {
+    clusters: false,
+    murmurGain: 0.15,
+    radius: 2.5,
+    whisperGain: 0.05
+};
+
+/**
+ * The settings applied to the limiter on the master bus of the spatial audio
+ * engine. The limiter keeps the sum of many simultaneous talkers from
+ * clipping.
+ *
+ * @type {Object}
+ */
+export const LIMITER_SETTINGS = {
+    attack: 0.003,
+    knee: 0,
+    ratio: 20,
+    release: 0.25,
+    threshold: -3
+};
+
+/**
+ * The default loudness normalization, which brings every participant toward
+ * {@code target} LUFS of short-term loudness before they are panned, so that
+ * quiet participants stay intelligible wherever they sit. The gain rises by
+ * at most {@code riseRate} and falls by at most {@code fallRate} decibels per
+ * second, within {@code maxGain} decibels either way, and holds while the
+ * participant is quieter than {@code gate} LUFS, e.g. between sentences. The
+ * limiter of the master bus catches what the slow gain lets through.
+ *
+ * @type {Object}
+ */
+export const LOUDNESS_SETTINGS = {
+    enabled: false,
+    fallRate: 3,
+    gate: -50,
+    maxGain: 12,
+    riseRate: 1,
+    target: -23
+};
+
+/**
+ * The interval, in milliseconds, at which the loudness of the participants is
+ * measured and their normalization gains are stepped.
+ *
+ * @type {number}
+ */
+export const LOUDNESS_UPDATE_INTERVAL = 100;
+
+/**
+ * The duration, in seconds, over which short-term loudness is measured, as
+ * defined by EBU R 128.
+ *
+ * @type {number}
+ */
+export const LOUDNESS_WINDOW = 3;
@@ -0,0 +1,139 @@
+// @flow
+
+import { getDistanceGain } from '../functions';
+
+/**
+ * Evaluates the real spherical harmonics up to a specific order in a specific
+ * direction, in ACN order with SN3D normalization (AmbiX).
+ *
+ * @param {number} order - The order, from 0 to 3.
+ * @param {number} azimuth - The angle of the direction, in radians, to the
+ * right of the front.
+ * @param {number} elevation - The angle of the direction, in radians, above
+ * the horizontal plane.
+ * @returns {Array<number>} The {@code (order + 1)^2} coefficients.
+ */
+export function getSphericalHarmonics(order: number, azimuth: number, elevation: number) {
+    // Ambisonics measure azimuths counterclockwise.
+    const phi = -azimuth;
+    const s = Math.sin(elevation);
+    const c = Math.cos(elevation);
+    const harmonics = [ 1 ];
+
+    if (order >= 1) {
+        harmonics.push(Math.sin(phi) * c, s, Math.cos(phi) * c);
+    }
+
+    if (order >= 2) {
+        const k = Math.sqrt(3) / 2;
+
+        harmonics.push(
+            k * Math.sin(2 * phi) * c * c,
+            k * Math.sin(phi) * 2 * s * c,
+            ((3 * s * s) - 1) / 2,
+            k * Math.cos(phi) * 2 * s * c,
+            k * Math.cos(2 * phi) * c * c);
+    }
+
+    if (order >= 3) {
+        const k1 = Math.sqrt(5 / 8);
+        const k2 = Math.sqrt(15) / 2;
+        const k3 = Math.sqrt(3 / 8);
+
+        harmonics.push(
+            k1 * Math.sin(3 * phi) * c * c * c,
+            k2 * Math.sin(2 * phi) * s * c * c,
+            k3 * Math.sin(phi) * c * ((5 * s * s) - 1),
+            s * ((5 * s * s) - 3) / 2,
+            k3 * Math.cos(phi) * c * ((5 * s * s) - 1),
+            k2 * Math.cos(2 * phi) * s * c * c,
+            k1 * Math.cos(3 * phi) * c * c * c);
+    }
+
+    return harmonics;
+}
+
+/**
+ * Encodes a mono source into an Ambisonic signal of a specific order. The
+ * output has one channel per spherical harmonic, in ACN order.
+ */
+export default class AmbisonicEncoder {
+    /**
+     * The {@code GainNode} which applies the distance attenuation and downmixes
+     * the source to mono.
+     */
+    input: Object;
+
+    /**
+     * The order of the encoded signal.
+     */
+    order: number;
+
+    /**
+     * The {@code ChannelMergerNode} which outputs the Ambisonic channels.
+     */
+    output: Object;
+
+    /**
+     * The {@code GainNode}s which weigh the source by each spherical harmonic.
+     *
+     * @private
+     */
+    _gains: Array<Object>;
+
+    /**
+     * Builds the graph of the encoder in a specific {@code AudioContext}.
+     *
+     * @param {AudioContext} context - The audio context.
+     * @param {number} order - The order of the encoded signal.
+     */
+    constructor(context: Object, order: number) {
+        const channels = (order + 1) * (order + 1);
+
+        this.order = order;
+        this.input = context.createGain();
+        this.input.channelCount = 1;
+        this.input.channelCountMode = 'explicit';
+        this.input.channelInterpretation = 'speakers';
+        this.output = context.createChannelMerger(channels);
+
+        this._gains = Array.from({ length: channels }, (_, channel) => {
+            const gain = context.createGain();
+
+            this.input.connect(gain);
+            gain.connect(this.output, 0, channel);
+
+            return gain;
+        });
+    }
+
+    /**
+     * Tears down the graph of the encoder.
+     *
+     * @returns {void}
+     */
+    disconnect() {
+        this.input.disconnect();
+        this._gains.forEach(gain => gain.disconnect());
+        this.output.disconnect();
+    }
+
+    /**
+     * Encodes the source in a specific direction and at a specific distance.
+     *
+     * @param {number} azimuth - The angle of the source, in radians, to the
+     * right of the front of the scene.
+     * @param {number} elevation - The angle of the source, in radians, above
+     * the horizontal plane.
+     * @param {number} distance - The distance between the source and the
+     * listener.
+     * @param {Object} settings - The panner settings, for the distance model.
+     * @returns {void}
+     */
+    setPosition(azimuth: number, elevation: number, distance: number, settings: Object) {
+        this.input.gain.value = getDistanceGain(distance, settings);
+        getSphericalHarmonics(this.order, azimuth, elevation).forEach((value, channel) => {
+            this._gains[channel].gain.value = value;
+        });
+    }
+}
@@ -0,0 +1,371 @@
+// @flow
+
+import {
+    AMBISONIC_DECODERS,
+    AMBISONIC_VIRTUAL_SPEAKERS,
+    PANNER_SETTINGS
+} from '../constants';
+import logger from '../logger';
+
+import { getSphericalHarmonics } from './AmbisonicEncoder';
+import HrtfDataset from './HrtfDataset';
+import ItdIldPanner from './ItdIldPanner';
+import SofaPanner from './SofaPanner';
+
+/**
+ * A gain of the rotation matrix, which depends on the heading of the listener.
+ */
+type RotationGain = {
+
+    /**
+     * The {@code GainNode}.
+     */
+    gain: Object,
+
+    /**
+     * The degree of the harmonics the gain mixes.
+     */
+    m: number,
+
+    /**
+     * The function of {@code m} times the heading the gain follows.
+     */
+    term: 'cos' | 'sin' | '-sin'
+};
+
+/**
+ * The squares of the SN3D normalization of the horizontal harmonics of each
+ * order, in the horizontal plane.
+ *
+ * @type {Array<number>}
+ */
+const SECTORAL_NORMS = [ 1, 1, 3 / 4, 5 / 8 ];
+
+/**
+ * Returns the weight of each Ambisonic channel in the feed of a loudspeaker,
+ * to be multiplied by the harmonic of the channel in the direction of the
+ * loudspeaker. The virtual loudspeakers surround the head, so the binaural
+ * decoder samples the sphere. Real loudspeakers stand in a horizontal ring,
+ * so only the horizontal harmonics are decoded, up to the highest order the
+ * ring can reproduce without aliasing.
+ *
+ * @param {number} order - The order of the scene.
+ * @param {boolean} binaural - Whether the decoder is binaural.
+ * @param {number} count - The number of loudspeakers.
+ * @returns {Array<number>}
+ */
+function _getDecoderWeights(order, binaural, count) {
+    const ringOrder = Math.min(order, Math.max(1, Math.floor((count - 1) / 2)));
+
+    return Array.from({ length: (order + 1) * (order + 1) }, (_, channel) => {
+        const l = Math.floor(Math.sqrt(channel));
+        const m = channel - (l * l) - l;
+
+        if (binaural) {
+            return ((2 * l) + 1) / count;
+        }
+
+        if (Math.abs(m) !== l || l > ringOrder) {
+            return 0;
+        }
+
+        return (l ? 2 / SECTORAL_NORMS[l] : 1) / count;
+    });
+}
+
+/**
+ * Returns the directions, in degrees, of the loudspeakers a decoder feeds.
+ *
+ * @param {Object} settings - The settings of the renderer.
+ * @returns {Array<?Array<number>>} The azimuth and the elevation of each
+ * loudspeaker, in the order of the output channels. Null stands for a channel
+ * which is left silent, like LFE.
+ */
+function _getSpeakers({ decoder, layout, order }) {
+    if (decoder === AMBISONIC_DECODERS.BINAURAL) {
+        return AMBISONIC_VIRTUAL_SPEAKERS[order <= 1 ? 1 : 3];
+    }
+
+    return layout.map(azimuth => (typeof azimuth === 'number' ? [ azimuth, 0 ] : null));
+}
+
+/**
+ * Renders the Ambisonic signal of the whole scene: rotates it by the heading
+ * of the listener, a single matrix for every source, then decodes it to
+ * binaural or to a loudspeaker array.
+ */
+export default class AmbisonicRenderer {
+    /**
+     * The {@code GainNode} the encoded sources are summed in.
+     */
+    input: Object;
+
+    /**
+     * The {@code GainNode} which outputs the decoded signal: two channels for
+     * binaural, one per loudspeaker otherwise.
+     */
+    output: Object;
+
+    /**
+     * The number of output channels.
+     */
+    outputChannels: number = 2;
+
+    /**
+     * The audio context the renderer lives in.
+     *
+     * @private
+     */
+    _context: Object;
+
+    /**
+     * The dataset the binaural decoder renders the virtual loudspeakers with.
+     * Without one they are rendered with interaural time and level
+     * differences.
+     *
+     * @private
+     */
+    _dataset: ?HrtfDataset = null;
+
+    /**
+     * The heading of the listener, in radians to the right.
+     *
+     * @private
+     */
+    _heading: number = 0;
+
+    /**
+     * The nodes and the panners of the current graph.
+     *
+     * @private
+     */
+    _nodes: Array<Object> = [];
+
+    /**
+     * The gains of the rotation matrix.
+     *
+     * @private
+     */
+    _rotationGains: Array<RotationGain> = [];
+
+    /**
+     * The settings of the renderer.
+     *
+     * @private
+     */
+    _settings: ?Object = null;
+
+    /**
+     * Builds the fixed ends of the renderer in a specific
+     * {@code AudioContext}.
+     *
+     * @param {AudioContext} context - The audio context.
+     */
+    constructor(context: Object) {
+        this._context = context;
+        this.input = context.createGain();
+        this.input.channelCountMode = 'explicit';
+        this.input.channelInterpretation = 'discrete';
+        this.output = context.createGain();
+    }
+
+    /**
+     * Rebuilds the rotation and the decoder for specific settings.
+     *
+     * @param {Object} settings - The decoder, one of
+     * {@code AMBISONIC_DECODERS}, the azimuths of the loudspeakers, in
+     * degrees to the right, and the order.
+     * @returns {void}
+     */
+    configure(settings: Object) {
+        this._settings = settings;
+        this._build();
+    }
+
+    /**
+     * Tears down the graph of the renderer.
+     *
+     * @returns {void}
+     */
+    disconnect() {
+        this._teardown();
+        this.output.disconnect();
+    }
+
+    /**
+     * Changes the dataset the binaural decoder renders with.
+     *
+     * @param {?HrtfDataset} dataset - The dataset.
+     * @returns {void}
+     */
+    setDataset(dataset: ?HrtfDataset) {
+        this._dataset = dataset;
+
+        if (this._settings && this._settings.decoder === AMBISONIC_DECODERS.BINAURAL) {
+            this._build();
+        }
+    }
+
+    /**
+     * Rotates the scene so that it is heard from a specific heading.
+     *
+     * @param {number} heading - The heading of the listener, in radians to the
+     * right.
+     * @returns {void}
+     */
+    setHeading(heading: number) {
+        this._heading = heading;
+        this._rotationGains.forEach(({ gain, m, term }) => {
+            const angle = m * heading;
+
+            switch (term) {
+            case 'cos':
+                gain.gain.value = Math.cos(angle);
+                break;
+            case 'sin':
+                gain.gain.value = Math.sin(angle);
+                break;
+            default:
+                gain.gain.value = -Math.sin(angle);
+            }
+        });
+    }
+
+    /**
+     * Builds the rotation matrix and the decoder.
+     *
+     * @private
+     * @returns {void}
+     */
+    _build() {
+        const context = this._context;
+        const settings = this._settings;
+
+        if (!settings) {
+            return;
+        }
+
+        this._teardown();
+
+        const { decoder, order } = settings;
+        const channels = (order + 1) * (order + 1);
+        const splitter = context.createChannelSplitter(channels);
+        const rotated = context.createChannelMerger(channels);
+        const decoderSplitter = context.createChannelSplitter(channels);
+        const speakers = _getSpeakers(settings);
+        const binaural = decoder === AMBISONIC_DECODERS.BINAURAL;
+        const merger = binaural ? null : context.createChannelMerger(speakers.length);
+        const connect = (source, destination, output = 0, input = 0) => {
+            const gain = context.createGain();
+
+            source.connect(gain, output);
+            gain.connect(destination, 0, input);
+            this._nodes.push(gain);
+
+            return gain;
+        };
+
+        this._nodes.push(splitter, rotated, decoderSplitter);
+        this.input.channelCount = channels;
+        this.input.connect(splitter);
+        rotated.connect(decoderSplitter);
+
+        // Turning the scene adds the heading to the azimuth of every source:
+        // the harmonics of degree 0 stay put and each pair of degree m
+        // rotates by m times the heading.
+        for (let l = 0; l <= order; l++) {
+            const center = (l * l) + l;
+
+            splitter.connect(rotated, center, center);
+
+            for (let m = 1; m <= l; m++) {
+                const cos = center + m;
+                const sin = center - m;
+
+                this._rotationGains.push(
+                    {
+                        gain: connect(splitter, rotated, cos, cos),
+                        m,
+                        term: 'cos'
+                    },
+                    {
+                        gain: connect(splitter, rotated, sin, cos),
+                        m,
+                        term: '-sin'
+                    },
+                    {
+                        gain: connect(splitter, rotated, cos, sin),
+                        m,
+                        term: 'sin'
+                    },
+                    {
+                        gain: connect(splitter, rotated, sin, sin),
+                        m,
+                        term: 'cos'
+                    });
+            }
+        }
+
+        this.setHeading(this._heading);
+
+        const weights = _getDecoderWeights(order, binaural, speakers.filter(Boolean).length);
+
+        // A sampling decoder: every loudspeaker picks up the scene in its own
+        // direction.
+        speakers.forEach((speaker, index) => {
+            if (!speaker) {
+                return;
+            }
+
+            const [ azimuth, elevation ] = speaker.map(angle => angle * Math.PI / 180);
+            const feed = context.createGain();
+
+            this._nodes.push(feed);
+            getSphericalHarmonics(order, azimuth, elevation).forEach((value, channel) => {
+                if (weights[channel]) {
+                    connect(decoderSplitter, feed, channel).gain.value = weights[channel] * value;
+                }
+            });
+
+            if (merger) {
+                feed.connect(merger, 0, index);
+            } else if (this._dataset) {
+                const panner = new SofaPanner(context);
+
+                panner.setDataset(this._dataset);
+                panner.setPosition(azimuth, elevation, PANNER_SETTINGS.refDistance, PANNER_SETTINGS);
+                feed.connect(panner.input);
+                panner.output.connect(this.output);
+                this._nodes.push(panner);
+            } else {
+                const panner = new ItdIldPanner(context);
+
+                panner.setPosition(azimuth, PANNER_SETTINGS.refDistance, PANNER_SETTINGS);
+                feed.connect(panner.input);
+                panner.output.connect(this.output);
+                this._nodes.push(panner);
+            }
+        });
+
+        if (merger) {
+            merger.connect(this.output);
+            this._nodes.push(merger);
+        }
+
+        this.outputChannels = binaural ? 2 : speakers.length;
+        logger.debug(`Ambisonic renderer of order ${order} decoding to ${this.outputChannels} channels`);
+    }
+
+    /**
+     * Disconnects the rotation and the decoder.
+     *
+     * @private
+     * @returns {void}
+     */
+    _teardown() {
+        this.input.disconnect();
+        this._nodes.forEach(node => node.disconnect());
+        this._nodes = [];
+        this._rotationGains = [];
+    }
+}
@@ -0,0 +1,285 @@
+// @flow
+
+import { SOFA_SETTINGS } from '../constants';
+
+/**
+ * A head-related impulse response measured in a specific direction.
+ */
+type Measurement = {
+
+    /**
+     * The unit vector pointing at the direction of the measurement, in SOFA
+     * coordinates: X to the front, Y to the left and Z up.
+     */
+    direction: Array<number>,
+
+    /**
+     * The impulse response of the left ear.
+     */
+    left: Float32Array,
+
+    /**
+     * The impulse response of the right ear.
+     */
+    right: Float32Array
+};
+
+/**
+ * Splits the flat data of a variable into nested arrays of a specific shape.
+ * Data which is nested already is returned as is.
+ *
+ * @param {Array} data - The data.
+ * @param {Array<number>} shape - The dimensions of the variable.
+ * @returns {Array}
+ */
+function _reshape(data: Array<any>, shape: ?Array<number>): Array<any> {
+    if (!Array.isArray(shape) || shape.length < 2 || Array.isArray(data[0])) {
+        return data;
+    }
+
+    const [ count, ...rest ] = shape;
+    const size = rest.reduce((product, dimension) => product * dimension, 1);
+
+    return Array.from({ length: count }, (_, i) => _reshape(data.slice(i * size, (i + 1) * size), rest));
+}
+
+/**
+ * Returns a variable of a SOFA file converted to JSON. Both the flat layout,
+ * in which the variables are properties of the root object, and the layout of
+ * the SOFA JSON API, in which they are its leaves, are supported.
+ *
+ * @param {Object} json - The converted SOFA file.
+ * @param {string} name - The name of the variable, e.g. {@code Data.IR}.
+ * @returns {?Object} The attributes and the data of the variable, if the
+ * file has it.
+ */
+function _getVariable(json, name) {
+    if (Array.isArray(json.leaves)) {
+        const leaf = json.leaves.find(l => l.name === name);
+        const attributes = {};
+
+        if (!leaf) {
+            return undefined;
+        }
+
+        (leaf.attributes || []).forEach(attribute => {
+            attributes[attribute.name] = attribute.value;
+        });
+
+        return {
+            attributes,
+            data: _reshape(leaf.data, leaf.shape)
+        };
+    }
+
+    if (!(name in json)) {
+        return undefined;
+    }
+
+    return {
+        attributes: {
+            Type: json[`${name}:Type`]
+        },
+        data: json[name]
+    };
+}
+
+/**
+ * Converts a SOFA position into a unit vector.
+ *
+ * @param {Array<number>} position - The position: azimuth, counterclockwise
+ * from the front, and elevation, in degrees, then distance for spherical
+ * positions; X, Y and Z for cartesian ones.
+ * @param {boolean} cartesian - Whether the position is cartesian.
+ * @returns {Array<number>}
+ */
+function _toDirection(position: Array<number>, cartesian: boolean): Array<number> {
+    if (cartesian) {
+        const [ x, y, z ] = position;
+        const length = Math.sqrt((x * x) + (y * y) + (z * z)) || 1;
+
+        return [ x / length, y / length, z / length ];
+    }
+
+    const azimuth = position[0] * Math.PI / 180;
+    const elevation = position[1] * Math.PI / 180;
+
+    return [
+        Math.cos(elevation) * Math.cos(azimuth),
+        Math.cos(elevation) * Math.sin(azimuth),
+        Math.sin(elevation)
+    ];
+}
+
+/**
+ * Resamples an impulse response by linear interpolation. The samples are
+ * scaled so that the response keeps its gain.
+ *
+ * @param {Float32Array} samples - The impulse response.
+ * @param {number} ratio - The target sample rate divided by the original one.
+ * @returns {Float32Array}
+ */
+function _resample(samples: Float32Array, ratio: number): Float32Array {
+    const resampled = new Float32Array(Math.max(1, Math.round(samples.length * ratio)));
+
+    for (let i = 0; i < resampled.length; i++) {
+        const position = i / ratio;
+        const index = Math.floor(position);
+        const next = Math.min(index + 1, samples.length - 1);
+        const fraction = position - index;
+
+        resampled[i] = ((samples[index] || 0) + (fraction * ((samples[next] || 0) - (samples[index] || 0)))) / ratio;
+    }
+
+    return resampled;
+}
+
+/**
+ * A set of head-related impulse responses loaded from a SOFA file (AES69)
+ * converted to JSON, from which the impulse response of any direction is
+ * interpolated.
+ */
+export default class HrtfDataset {
+    /**
+     * The name of the dataset: its URL or the name of its file.
+     */
+    name: string;
+
+    /**
+     * The sample rate at which the impulse responses were measured.
+     */
+    sampleRate: number;
+
+    /**
+     * The impulse responses as measured.
+     *
+     * @private
+     */
+    _measurements: Array<Measurement>;
+
+    /**
+     * The impulse responses resampled for the sample rates of the contexts
+     * they were used in, keyed by sample rate.
+     *
+     * @private
+     */
+    _resampled: Map<number, Array<Measurement>> = new Map();
+
+    /**
+     * Reads the impulse responses of a SOFA file converted to JSON.
+     *
+     * @param {string} name - The name of the dataset.
+     * @param {Object} json - The converted SOFA file.
+     * @throws {Error} If the file does not hold a set of HRIRs.
+     */
+    constructor(name: string, json: Object) {
+        const ir = _getVariable(json, 'Data.IR');
+        const positions = _getVariable(json, 'SourcePosition');
+        const sampleRate = _getVariable(json, 'Data.SamplingRate');
+
+        if (!ir || !positions || !sampleRate || !Array.isArray(ir.data) || !Array.isArray(positions.data)) {
+            throw new Error('Not a SOFA file with Data.IR, Data.SamplingRate and SourcePosition');
+        }
+
+        if (ir.data.length === 0 || ir.data.length !== positions.data.length) {
+            throw new Error('Data.IR and SourcePosition do not describe the same measurements');
+        }
+
+        const cartesian = String(positions.attributes.Type).toLowerCase() === 'cartesian';
+
+        this.name = name;
+        this.sampleRate = Number(Array.isArray(sampleRate.data) ? sampleRate.data[0] : sampleRate.data);
+        this._measurements = ir.data.map((receivers, i) => {
+            if (!Array.isArray(receivers) || receivers.length < 2) {
+                throw new Error('Every measurement needs the impulse responses of two ears');
+            }
+
+            return {
+                direction: _toDirection(positions.data[i], cartesian),
+                left: Float32Array.from(receivers[0]),
+                right: Float32Array.from(receivers[1])
+            };
+        });
+    }
+
+    /**
+     * Interpolates the impulse response of a specific direction by blending
+     * the nearest measurements, weighted by the inverse of their angle to it.
+     *
+     * @param {AudioContext} context - The context the response is played in.
+     * @param {number} azimuth - The azimuth, in degrees to the right of the
+     * front.
+     * @param {number} elevation - The elevation, in degrees.
+     * @returns {AudioBuffer} A stereo buffer for a {@code ConvolverNode}.
+     */
+    getImpulseResponse(context: Object, azimuth: number, elevation: number) {
+        const target = _toDirection([ -azimuth, elevation ], false);
+        const nearest = this._getMeasurements(context.sampleRate)
+            .map(measurement => {
+                const cosine = measurement.direction.reduce((sum, value, i) => sum + (value * target[i]), 0);
+
+                return {
+                    angle: Math.acos(Math.max(-1, Math.min(1, cosine))),
+                    measurement
+                };
+            })
+            .sort((a, b) => a.angle - b.angle)
+            .slice(0, SOFA_SETTINGS.neighbours);
+        const exact = nearest[0].angle < 1e-6;
+        const weights = nearest.map(({ angle }, i) => {
+            if (exact) {
+                return i === 0 ? 1 : 0;
+            }
+
+            return 1 / angle;
+        });
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        const length = Math.max(...nearest.map(({ measurement }) => measurement.left.length));
+        const buffer = context.createBuffer(2, length, context.sampleRate);
+
+        [ 'left', 'right' ].forEach((ear, channel) => {
+            const data = buffer.getChannelData(channel);
+
+            nearest.forEach(({ measurement }, i) => {
+                const samples = measurement[ear];
+                const weight = weights[i] / total;
+
+                for (let j = 0; j < samples.length; j++) {
+                    data[j] += weight * samples[j];
+                }
+            });
+        });
+
+        return buffer;
+    }
+
+    /**
+     * Returns the impulse responses at a specific sample rate.
+     *
+     * @param {number} sampleRate - The sample rate.
+     * @private
+     * @returns {Array<Measurement>}
+     */
+    _getMeasurements(sampleRate: number): Array<Measurement> {
+        if (sampleRate === this.sampleRate) {
+            return this._measurements;
+        }
+
+        let measurements = this._resampled.get(sampleRate);
+
+        if (!measurements) {
+            const ratio = sampleRate / this.sampleRate;
+
+            measurements = this._measurements.map(({ direction, left, right }) => {
+                return {
+                    direction,
+                    left: _resample(left, ratio),
+                    right: _resample(right, ratio)
+                };
+            });
+            this._resampled.set(sampleRate, measurements);
+        }
+
+        return measurements;
+    }
+}
@@ -0,0 +1,107 @@
+// @flow
+
+import { ITD_ILD_SETTINGS } from '../constants';
+import { getDistanceGain } from '../functions';
+
+/**
+ * The longest interaural time difference the panner can render, in seconds.
+ * Woodworth's formula peaks at (π/2 + 1) r / c, well under a millisecond.
+ */
+const MAX_DELAY = 0.002;
+
+/**
+ * A panner which renders the direction of a source through the interaural
+ * time difference (ITD) and interaural level difference (ILD) of a spherical
+ * head, without head-related transfer functions. It takes a mono input and
+ * produces a stereo output.
+ */
+export default class ItdIldPanner {
+    /**
+     * The {@code GainNode} which applies the distance attenuation and downmixes
+     * the source to mono.
+     */
+    input: Object;
+
+    /**
+     * The {@code ChannelMergerNode} which outputs the two ears.
+     */
+    output: Object;
+
+    /**
+     * The {@code DelayNode}s and {@code GainNode}s of the left and right ears.
+     *
+     * @private
+     */
+    _ears: Array<{ delay: Object, gain: Object }>;
+
+    /**
+     * Builds the graph of the panner in a specific {@code AudioContext}.
+     *
+     * @param {AudioContext} context - The audio context.
+     */
+    constructor(context: Object) {
+        this.input = context.createGain();
+        this.input.channelCount = 1;
+        this.input.channelCountMode = 'explicit';
+        this.input.channelInterpretation = 'speakers';
+        this.output = context.createChannelMerger(2);
+
+        this._ears = [ 0, 1 ].map(channel => {
+            const delay = context.createDelay(MAX_DELAY);
+            const gain = context.createGain();
+
+            this.input.connect(delay);
+            delay.connect(gain);
+            gain.connect(this.output, 0, channel);
+
+            return {
+                delay,
+                gain
+            };
+        });
+    }
+
+    /**
+     * Tears down the graph of the panner.
+     *
+     * @returns {void}
+     */
+    disconnect() {
+        this.input.disconnect();
+        this._ears.forEach(({ delay, gain }) => {
+            delay.disconnect();
+            gain.disconnect();
+        });
+        this.output.disconnect();
+    }
+
+    /**
+     * Renders a source in a specific direction and at a specific distance.
+     *
+     * @param {number} azimuth - The angle of the source, in radians, to the
+     * right of where the listener faces.
+     * @param {number} distance - The distance between the source and the
+     * listener.
+     * @param {Object} settings - The panner settings, for the distance model.
+     * @returns {void}
+     */
+    setPosition(azimuth: number, distance: number, settings: Object) {
+        const { headRadius, maxLevelDifference, speedOfSound } = ITD_ILD_SETTINGS;
+        const lateral = Math.asin(Math.sin(azimuth));
+        const angle = Math.abs(lateral);
+
+        // Woodworth's spherical head model. Sources behind the listener mirror
+        // the ones in front.
+        const itd = headRadius / speedOfSound * (angle + Math.sin(angle));
+        const farGain = Math.pow(10, -maxLevelDifference * Math.sin(angle) / 20);
+        const [ left, right ] = this._ears;
+        const near = lateral >= 0 ? right : left;
+        const far = lateral >= 0 ? left : right;
+
+        near.delay.delayTime.value = 0;
+        near.gain.gain.value = 1;
+        far.delay.delayTime.value = Math.min(itd, MAX_DELAY);
+        far.gain.gain.value = farGain;
+        this.input.gain.value = getDistanceGain(distance, settings);
+    }
+}
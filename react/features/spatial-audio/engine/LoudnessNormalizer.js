@@ -0,0 +1,195 @@
+// @flow
+
+import { LOUDNESS_UPDATE_INTERVAL, LOUDNESS_WINDOW } from '../constants';
+
+/**
+ * The number of samples measured at every step, about 85 ms at 48 kHz, which
+ * covers the interval between two steps.
+ */
+const BLOCK_SIZE = 4096;
+
+/**
+ * The number of steps the short-term loudness is averaged over.
+ */
+const WINDOW_STEPS = Math.round(LOUDNESS_WINDOW * 1000 / LOUDNESS_UPDATE_INTERVAL);
+
+/**
+ * Returns the loudness of K-weighted audio as defined by ITU-R BS.1770.
+ *
+ * @param {number} meanSquare - The mean square of the samples.
+ * @returns {number} The loudness, in LUFS.
+ */
+function _getLoudness(meanSquare: number) {
+    return meanSquare > 0 ? -0.691 + (10 * Math.log10(meanSquare)) : -Infinity;
+}
+
+/**
+ * A stage which normalizes the loudness of a single source. It measures the
+ * short-term loudness of the source, K-weighted as in ITU-R BS.1770 with the
+ * biquads of Web Audio, and slowly moves a gain so that the source approaches
+ * a target loudness. The measurement taps the source ahead of the gain, so
+ * that the gain does not feed back into it.
+ */
+export default class LoudnessNormalizer {
+    /**
+     * The {@code GainNode} which feeds both the measurement and the gain.
+     */
+    input: Object;
+
+    /**
+     * The {@code GainNode} which applies the normalization gain.
+     */
+    output: Object;
+
+    /**
+     * The {@code AnalyserNode} at the end of the measurement.
+     *
+     * @private
+     */
+    _analyser: Object;
+
+    /**
+     * The samples of the latest measured block.
+     *
+     * @private
+     */
+    _block: Float32Array;
+
+    /**
+     * The mean squares of the latest K-weighted blocks which passed the gate,
+     * as many as fit in {@code LOUDNESS_WINDOW} seconds, oldest first.
+     *
+     * @private
+     */
+    _blocks: Array<number> = [];
+
+    /**
+     * The K-weighting filters: a high shelf which models the head and a high
+     * pass which discards the lowest frequencies.
+     *
+     * @private
+     */
+    _filters: Array<Object>;
+
+    /**
+     * The normalization gain, in decibels.
+     *
+     * @private
+     */
+    _gain: number = 0;
+
+    /**
+     * The latest short-term loudness, in LUFS, or null before anything was
+     * heard.
+     *
+     * @private
+     */
+    _loudness: ?number = null;
+
+    /**
+     * Builds the graph of the stage in a specific {@code AudioContext}.
+     *
+     * @param {AudioContext} context - The audio context.
+     */
+    constructor(context: Object) {
+        const shelf = context.createBiquadFilter();
+        const highpass = context.createBiquadFilter();
+
+        shelf.type = 'highshelf';
+        shelf.frequency.value = 1681;
+        shelf.gain.value = 4;
+        highpass.type = 'highpass';
+        highpass.frequency.value = 38;
+        highpass.Q.value = 0.5;
+
+        this.input = context.createGain();
+        this.output = context.createGain();
+        this._analyser = context.createAnalyser();
+        this._analyser.fftSize = BLOCK_SIZE;
+        this._block = new Float32Array(BLOCK_SIZE);
+        this._filters = [ shelf, highpass ];
+
+        this.input.connect(this.output);
+        this.input.connect(shelf);
+        shelf.connect(highpass);
+        highpass.connect(this._analyser);
+    }
+
+    /**
+     * Tears down the graph of the stage.
+     *
+     * @returns {void}
+     */
+    disconnect() {
+        this.input.disconnect();
+        this._filters.forEach(filter => filter.disconnect());
+        this.output.disconnect();
+    }
+
+    /**
+     * Returns the latest short-term loudness of the source and the gain which
+     * normalizes it.
+     *
+     * @returns {{
+     *     gain: number,
+     *     loudness: ?number
+     * }} The gain in decibels and the loudness in LUFS, null before
+     * anything was heard.
+     */
+    getLoudness() {
+        return {
+            gain: this._gain,
+            loudness: this._loudness
+        };
+    }
+
+    /**
+     * Forgets the measurements and brings the gain back to unity.
+     *
+     * @returns {void}
+     */
+    reset() {
+        this._blocks = [];
+        this._gain = 0;
+        this._loudness = null;
+        this.output.gain.value = 1;
+    }
+
+    /**
+     * Measures a new block of the source and moves the gain toward the one
+     * which brings the short-term loudness to the target. As in ITU-R BS.1770,
+     * a block quieter than the gate is left out of the measurement, so that
+     * pauses do not drag the loudness down, and the gain holds meanwhile.
+     *
+     * @param {number} elapsed - The time elapsed since the last step, in
+     * seconds.
+     * @param {Object} settings - The loudness settings.
+     * @returns {void}
+     */
+    step(elapsed: number, { fallRate, gate, maxGain, riseRate, target }: Object) {
+        let sum = 0;
+
+        this._analyser.getFloatTimeDomainData(this._block);
+        this._block.forEach(sample => {
+            sum += sample * sample;
+        });
+
+        const meanSquare = sum / BLOCK_SIZE;
+
+        if (_getLoudness(meanSquare) < gate) {
+            return;
+        }
+
+        this._blocks.push(meanSquare);
+        this._blocks.length > WINDOW_STEPS && this._blocks.shift();
+
+        const loudness = _getLoudness(this._blocks.reduce((total, value) => total + value, 0) / this._blocks.length);
+        const wanted = Math.max(-maxGain, Math.min(maxGain, target - loudness));
+
+        this._loudness = loudness;
+        this._gain = wanted > this._gain
+            ? Math.min(wanted, this._gain + (riseRate * elapsed))
+            : Math.max(wanted, this._gain - (fallRate * elapsed));
+        this.output.gain.value = Math.pow(10, this._gain / 20);
+    }
+}
@@ -0,0 +1,125 @@
+// @flow
+
+import { REVERB_PRESET_SETTINGS } from '../constants';
+
+/**
+ * Generates the stereo impulse response of a room: a few discrete early
+ * reflections followed by exponentially decaying noise, decorrelated between
+ * the ears.
+ *
+ * @param {AudioContext} context - The audio context.
+ * @param {Object} settings - One of {@code REVERB_PRESET_SETTINGS}.
+ * @returns {AudioBuffer}
+ */
+function _createImpulseResponse(context, { decay, preDelay, reflections, spread }) {
+    const { sampleRate } = context;
+    const length = Math.ceil((preDelay + decay) * sampleRate);
+    const buffer = context.createBuffer(2, length, sampleRate);
+
+    for (let channel = 0; channel < 2; channel++) {
+        const data = buffer.getChannelData(channel);
+        const start = Math.floor(preDelay * sampleRate);
+
+        // 60 dB of attenuation over the decay time.
+        for (let i = start; i < length; i++) {
+            data[i] = ((Math.random() * 2) - 1) * Math.exp(-6.91 * (i - start) / sampleRate / decay);
+        }
+
+        for (let i = 0; i < reflections; i++) {
+            const index = start + Math.floor(Math.random() * spread * sampleRate);
+
+            data[index] += (Math.random() < 0.5 ? -1 : 1) * (1 - (i / reflections));
+        }
+    }
+
+    return buffer;
+}
+
+/**
+ * The room acoustics stage of the master bus. The sources send their dry
+ * signal to its input and its output holds the reverb alone.
+ */
+export default class RoomReverb {
+    /**
+     * The {@code GainNode} the sources send to.
+     */
+    input: Object;
+
+    /**
+     * The {@code GainNode} which applies the level of the reverb.
+     */
+    output: Object;
+
+    /**
+     * The audio context the reverb lives in.
+     *
+     * @private
+     */
+    _context: Object;
+
+    /**
+     * The {@code ConvolverNode} which renders the current preset, if any.
+     *
+     * @private
+     */
+    _convolver: ?Object = null;
+
+    /**
+     * Builds the graph of the reverb in a specific {@code AudioContext}.
+     *
+     * @param {AudioContext} context - The audio context.
+     */
+    constructor(context: Object) {
+        this._context = context;
+        this.input = context.createGain();
+        this.output = context.createGain();
+    }
+
+    /**
+     * Tears down the graph of the reverb.
+     *
+     * @returns {void}
+     */
+    disconnect() {
+        this.input.disconnect();
+        this._convolver && this._convolver.disconnect();
+        this.output.disconnect();
+    }
+
+    /**
+     * Sets the level of the reverb.
+     *
+     * @param {number} level - The gain of the output.
+     * @returns {void}
+     */
+    setLevel(level: number) {
+        this.output.gain.value = level;
+    }
+
+    /**
+     * Renders a specific room. The rooms without settings, like
+     * {@code REVERB_PRESETS.NONE}, leave the voices dry.
+     *
+     * @param {string} preset - One of {@code REVERB_PRESETS}.
+     * @returns {void}
+     */
+    setPreset(preset: string) {
+        const settings = REVERB_PRESET_SETTINGS[preset];
+        const previous = this._convolver;
+
+        if (previous) {
+            this.input.disconnect();
+            previous.disconnect();
+            this._convolver = null;
+        }
+
+        if (settings) {
+            const convolver = this._context.createConvolver();
+
+            convolver.buffer = _createImpulseResponse(this._context, settings);
+            this.input.connect(convolver);
+            convolver.connect(this.output);
+            this._convolver = convolver;
+        }
+    }
+}
@@ -0,0 +1,182 @@
+// @flow
+
+import { SOFA_SETTINGS } from '../constants';
+import { getDistanceGain } from '../functions';
+
+import HrtfDataset from './HrtfDataset';
+
+/**
+ * A panner which renders the direction of a source by convolving it with the
+ * head-related impulse responses of a loaded dataset. A pair of
+ * {@code ConvolverNode}s crossfade whenever the source moves, so that the
+ * impulse response changes without clicks. It takes a mono input and produces
+ * a stereo output.
+ */
+export default class SofaPanner {
+    /**
+     * The {@code GainNode} which applies the distance attenuation and downmixes
+     * the source to mono.
+     */
+    input: Object;
+
+    /**
+     * The {@code GainNode} which outputs the two ears.
+     */
+    output: Object;
+
+    /**
+     * The index of the slot currently heard.
+     *
+     * @private
+     */
+    _active: number = 0;
+
+    /**
+     * The audio context the panner lives in.
+     *
+     * @private
+     */
+    _context: Object;
+
+    /**
+     * The dataset the impulse responses come from.
+     *
+     * @private
+     */
+    _dataset: ?HrtfDataset = null;
+
+    /**
+     * The rounded direction, as azimuth and elevation, of the impulse response
+     * currently heard.
+     *
+     * @private
+     */
+    _direction: ?string;
+
+    /**
+     * The two {@code ConvolverNode}s and the {@code GainNode}s which crossfade
+     * between them.
+     *
+     * @private
+     */
+    _slots: Array<{ convolver: ?Object, gain: Object }>;
+
+    /**
+     * Builds the graph of the panner in a specific {@code AudioContext}.
+     *
+     * @param {AudioContext} context - The audio context.
+     */
+    constructor(context: Object) {
+        this._context = context;
+        this.input = context.createGain();
+        this.input.channelCount = 1;
+        this.input.channelCountMode = 'explicit';
+        this.input.channelInterpretation = 'speakers';
+        this.output = context.createGain();
+
+        this._slots = [ 0, 1 ].map(() => {
+            const gain = context.createGain();
+
+            gain.gain.value = 0;
+            gain.connect(this.output);
+
+            return {
+                convolver: null,
+                gain
+            };
+        });
+    }
+
+    /**
+     * Tears down the graph of the panner.
+     *
+     * @returns {void}
+     */
+    disconnect() {
+        this.input.disconnect();
+        this._slots.forEach(({ convolver, gain }) => {
+            convolver && convolver.disconnect();
+            gain.disconnect();
+        });
+        this.output.disconnect();
+    }
+
+    /**
+     * Changes the dataset the impulse responses come from. The new responses
+     * are heard after the next call to {@link #setPosition}.
+     *
+     * @param {?HrtfDataset} dataset - The dataset.
+     * @returns {void}
+     */
+    setDataset(dataset: ?HrtfDataset) {
+        this._dataset = dataset;
+        this._direction = undefined;
+    }
+
+    /**
+     * Renders a source in a specific direction and at a specific distance.
+     *
+     * @param {number} azimuth - The angle of the source, in radians, to the
+     * right of where the listener faces.
+     * @param {number} elevation - The angle of the source, in radians, above
+     * the horizontal plane of the listener.
+     * @param {number} distance - The distance between the source and the
+     * listener.
+     * @param {Object} settings - The panner settings, for the distance model.
+     * @returns {void}
+     */
+    setPosition(azimuth: number, elevation: number, distance: number, settings: Object) {
+        const { resolution } = SOFA_SETTINGS;
+        const roundedAzimuth = Math.round(azimuth * 180 / Math.PI / resolution) * resolution;
+        const roundedElevation = Math.round(elevation * 180 / Math.PI / resolution) * resolution;
+        const direction = `${roundedAzimuth},${roundedElevation}`;
+
+        this.input.gain.value = getDistanceGain(distance, settings);
+
+        if (!this._dataset || direction === this._direction) {
+            return;
+        }
+
+        this._direction = direction;
+        this._crossfadeTo(this._dataset.getImpulseResponse(this._context, roundedAzimuth, roundedElevation));
+    }
+
+    /**
+     * Loads an impulse response in the idle slot and fades it in while the
+     * slot heard until then fades out.
+     *
+     * @param {AudioBuffer} buffer - The impulse response.
+     * @private
+     * @returns {void}
+     */
+    _crossfadeTo(buffer: Object) {
+        const now = this._context.currentTime;
+        const end = now + SOFA_SETTINGS.crossfadeTime;
+        const previous = this._slots[this._active];
+
+        this._active = 1 - this._active;
+
+        const next = this._slots[this._active];
+        const idle = next.convolver;
+        const convolver = this._context.createConvolver();
+
+        // The buffer of a ConvolverNode cannot be replaced on every browser,
+        // so the idle slot gets a new node instead.
+        if (idle) {
+            this.input.disconnect(idle);
+            idle.disconnect();
+        }
+
+        convolver.normalize = false;
+        convolver.buffer = buffer;
+        this.input.connect(convolver);
+        convolver.connect(next.gain);
+        next.convolver = convolver;
+
+        [ [ previous.gain.gain, 0 ], [ next.gain.gain, 1 ] ].forEach(([ param, value ]) => {
+            param.cancelScheduledValues(now);
+            param.setValueAtTime(param.value, now);
+            param.linearRampToValueAtTime(value, end);
+        });
+    }
+}
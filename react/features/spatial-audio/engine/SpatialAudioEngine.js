@@ -0,0 +1,2524 @@
+// @flow
+
+import {
+    AMBISONIC_DECODERS,
+    AMBISONIC_SETTINGS,
+    ATTENTION_SETTINGS,
+    ATTENTION_UPDATE_INTERVAL,
+    DEFAULT_LISTENER,
+    LIMITER_SETTINGS,
+    LOUDNESS_SETTINGS,
+    LOUDNESS_UPDATE_INTERVAL,
+    LOUDSPEAKER_LAYOUTS,
+    LOUDSPEAKER_TEST_SIGNAL,
+    NATIVE_PANNING_MODELS,
+    ORIENTATION_TEST_VOWEL,
+    PANNER_SETTINGS,
+    PANNING_MODELS,
+    REVERB_PRESETS,
+    REVERB_SETTINGS
+} from '../constants';
+import { applyListenerToContext, getSharedMediaSourceId } from '../functions';
+import logger from '../logger';
+
+import AmbisonicEncoder from './AmbisonicEncoder';
+import AmbisonicRenderer from './AmbisonicRenderer';
+import HrtfDataset from './HrtfDataset';
+import ItdIldPanner from './ItdIldPanner';
+import LoudnessNormalizer from './LoudnessNormalizer';
+import RoomReverb from './RoomReverb';
+import SofaPanner from './SofaPanner';
+import VbapPanner from './VbapPanner';
+
+/**
+ * The audio nodes which make up the graph of a single participant.
+ */
+type Source = {
+
+    /**
+     * The encoder which places the participant in the Ambisonic scene when
+     * the Ambisonics panning model is selected.
+     */
+    ambisonicEncoder: AmbisonicEncoder,
+
+    /**
+     * How far the attention mode has ducked the participant, from 0 (not at
+     * all) to 1 (down to the duck gain).
+     */
+    duck: number,
+
+    /**
+     * How far the attention mode has brought the participant forward, from 0
+     * (not at all) to 1 (as far as the settings go).
+     */
+    focus: number,
+
+    /**
+     * The gain applied to the participant, i.e. the volume chosen by the
+     * local user.
+     */
+    gain: number,
+
+    /**
+     * The {@code GainNode} which applies the volume and the mute state.
+     */
+    gainNode: Object,
+
+    /**
+     * The {@code AudioNode} which feeds the participant's audio into the graph.
+     */
+    input: Object,
+
+    /**
+     * The custom panner which places the participant in the scene when the
+     * ITD/ILD panning model is selected.
+     */
+    itdIldPanner: ItdIldPanner,
+
+    /**
+     * Whether the participant is excluded from spatialization and heard in
+     * mono.
+     */
+    mono: boolean,
+
+    /**
+     * Whether the participant is muted locally.
+     */
+    muted: boolean,
+
+    /**
+     * The stage which normalizes the loudness of the participant ahead of the
+     * panners, while loudness normalization is enabled.
+     */
+    normalizer: LoudnessNormalizer,
+
+    /**
+     * The {@code PannerNode} which places the participant in the scene.
+     */
+    pannerNode: Object,
+
+    /**
+     * The gain at which the local user receives the participant, which
+     * reduces participants in other conversations to a murmur and the ones
+     * who whisper to somebody else to a whisper.
+     */
+    receiveGain: number,
+
+    /**
+     * The {@code GainNode} which sends the participant to the room reverb.
+     */
+    sendNode: Object,
+
+    /**
+     * The {@code ChannelSplitterNode} which takes the voice of the
+     * participant apart from the screen audio they share on the second
+     * channel, if they do.
+     */
+    splitter: ?Object,
+
+    /**
+     * The node which feeds {@code splitter}.
+     */
+    splitterInput: ?Object,
+
+    /**
+     * The custom panner which places the participant in the scene when the
+     * SOFA panning model is selected and a dataset is loaded.
+     */
+    sofaPanner: SofaPanner,
+
+    /**
+     * The {@code MediaStreamAudioDestinationNode} which feeds the
+     * participant's audio, as received, to a recorder, if it is recorded as a
+     * stem.
+     */
+    stemDestination: ?Object,
+
+    /**
+     * The custom panner which places the participant between the
+     * loudspeakers when the VBAP panning model is selected.
+     */
+    vbapPanner: VbapPanner
+};
+
+/**
+ * A media element whose playback can be captured into a stream, under the
+ * standard name or the prefixed one of Firefox.
+ */
+type CapturableElement = HTMLMediaElement & {
+    +mozCaptureStream?: () => MediaStream
+};
+
+/**
+ * The audio nodes which place a notification sound in the scene.
+ */
+type SoundSource = {
+
+    /**
+     * The sound's own audio element, muted while the copy plays.
+     */
+    audioElement: HTMLMediaElement,
+
+    /**
+     * The copy of the sound's audio element which plays the sound when it is
+     * placed in the scene.
+     */
+    element: HTMLMediaElement,
+
+    /**
+     * The node which takes over the output of {@code element}.
+     */
+    input: Object,
+
+    /**
+     * The {@code PannerNode} which places the sound where the participant it
+     * is about sits.
+     */
+    pannerNode: Object
+};
+
+/**
+ * Sets the value of an {@code AudioParam} or, on browsers which do not expose
+ * it, leaves it to the caller's fallback.
+ *
+ * @param {AudioParam} param - The parameter to set.
+ * @param {number} value - The new value.
+ * @returns {boolean} True if the parameter existed and was set.
+ */
+function _setParam(param: ?Object, value: number) {
+    if (param) {
+        param.value = value;
+
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Creates a {@code DynamicsCompressorNode} which limits the master bus.
+ *
+ * @param {AudioContext} context - The audio context.
+ * @returns {DynamicsCompressorNode}
+ */
+function _createLimiter(context: Object) {
+    const limiter = context.createDynamicsCompressor();
+
+    Object.keys(LIMITER_SETTINGS).forEach(key => {
+        _setParam(limiter[key], LIMITER_SETTINGS[key]);
+    });
+
+    return limiter;
+}
+
+/**
+ * Moves a {@code PannerNode}.
+ *
+ * @param {PannerNode} pannerNode - The panner.
+ * @param {Object} position - The {@code x}, {@code y} and {@code z}
+ * coordinates to move the panner to.
+ * @returns {void}
+ */
+function _setPannerPosition(pannerNode: Object, { x, y, z }: Object) {
+    if (_setParam(pannerNode.positionX, x)) {
+        _setParam(pannerNode.positionY, y);
+        _setParam(pannerNode.positionZ, z);
+    } else {
+        pannerNode.setPosition(x, y, z);
+    }
+}
+
+/**
+ * Moves a value toward a target at the speed of the transitions of the
+ * attention mode: the attack time to go up, the release time to go down.
+ *
+ * @param {number} value - The current value, from 0 to 1.
+ * @param {number} target - The target value, either 0 or 1.
+ * @param {number} elapsed - The time elapsed since the last step, in seconds.
+ * @param {Object} settings - The settings of the attention mode.
+ * @returns {number}
+ */
+function _stepToward(value: number, target: number, elapsed: number, { attackTime, releaseTime }: Object) {
+    const time = target > value ? attackTime : releaseTime;
+    const step = time > 0 ? elapsed / time : 1;
+
+    return target > value ? Math.min(target, value + step) : Math.max(target, value - step);
+}
+
+/**
+ * Brings a position toward the front of a listener and closer to them, as the
+ * attention mode does with the dominant speaker.
+ *
+ * @param {Object} position - The position.
+ * @param {Object} listener - The listener pose.
+ * @param {number} amount - How far the position is brought, from 0 to 1.
+ * @param {Object} settings - The settings of the attention mode.
+ * @returns {{
+ *     x: number,
+ *     y: number,
+ *     z: number
+ * }}
+ */
+function _getFocusedPosition(
+        { x, y, z }: Object,
+        { forward: f, position: p }: Object,
+        amount: number,
+        { approach, centering }: Object) {
+    const dx = x - p.x;
+    const dy = y - p.y;
+    const dz = z - p.z;
+    const distance = Math.sqrt((dx * dx) + (dy * dy) + (dz * dz));
+    const centred = centering * amount;
+    const closer = 1 - (approach * amount);
+
+    return {
+        x: p.x + ((dx + (centred * ((f.x * distance) - dx))) * closer),
+        y: p.y + ((dy + (centred * ((f.y * distance) - dy))) * closer),
+        z: p.z + ((dz + (centred * ((f.z * distance) - dz))) * closer)
+    };
+}
+
+/**
+ * Computes the direction and the distance of a position as perceived by a
+ * listener.
+ *
+ * @param {Object} position - The position.
+ * @param {Object} listener - The listener pose.
+ * @returns {{
+ *     azimuth: number,
+ *     distance: number,
+ *     elevation: number
+ * }} The azimuth, in radians to the right of where the listener faces, the
+ * distance and the elevation, in radians above the head of the listener.
+ */
+function _getRelativeDirection({ x, y, z }, { forward: f, position: p, up: u }) {
+    const dx = x - p.x;
+    const dy = y - p.y;
+    const dz = z - p.z;
+    const right = {
+        x: (f.y * u.z) - (f.z * u.y),
+        y: (f.z * u.x) - (f.x * u.z),
+        z: (f.x * u.y) - (f.y * u.x)
+    };
+
+    const distance = Math.sqrt((dx * dx) + (dy * dy) + (dz * dz));
+
+    return {
+        azimuth: Math.atan2(
+            (dx * right.x) + (dy * right.y) + (dz * right.z),
+            (dx * f.x) + (dy * f.y) + (dz * f.z)),
+        distance,
+        elevation: distance ? Math.asin(((dx * u.x) + (dy * u.y) + (dz * u.z)) / distance) : 0
+    };
+}
+
+/**
+ * Computes the direction and the distance of a position from a listener in
+ * the frame of the scene, regardless of where the listener faces.
+ *
+ * @param {Object} position - The position.
+ * @param {Object} listener - The listener pose.
+ * @returns {{
+ *     azimuth: number,
+ *     distance: number,
+ *     elevation: number
+ * }} The azimuth, in radians to the right of the front of the scene, the
+ * distance and the elevation, in radians.
+ */
+function _getSceneDirection({ x, y, z }, { position: p }) {
+    const dx = x - p.x;
+    const dy = y - p.y;
+    const dz = z - p.z;
+    const distance = Math.sqrt((dx * dx) + (dy * dy) + (dz * dz));
+
+    return {
+        azimuth: Math.atan2(dx, -dz),
+        distance,
+        elevation: distance ? Math.asin(dy / distance) : 0
+    };
+}
+
+/**
+ * Computes the position at a direction and a distance from a listener, as
+ * perceived by them.
+ *
+ * @param {number} azimuth - The azimuth, in radians to the right of where the
+ * listener faces.
+ * @param {number} elevation - The elevation, in radians above the head of the
+ * listener.
+ * @param {number} distance - The distance.
+ * @param {Object} listener - The listener pose.
+ * @returns {{
+ *     x: number,
+ *     y: number,
+ *     z: number
+ * }}
+ */
+function _getPositionFromDirection(azimuth, elevation, distance, { forward: f, position: p, up: u }) {
+    const right = {
+        x: (f.y * u.z) - (f.z * u.y),
+        y: (f.z * u.x) - (f.x * u.z),
+        z: (f.x * u.y) - (f.y * u.x)
+    };
+    const along = distance * Math.cos(elevation) * Math.cos(azimuth);
+    const across = distance * Math.cos(elevation) * Math.sin(azimuth);
+    const above = distance * Math.sin(elevation);
+
+    return {
+        x: p.x + (along * f.x) + (across * right.x) + (above * u.x),
+        y: p.y + (along * f.y) + (across * right.y) + (above * u.y),
+        z: p.z + (along * f.z) + (across * right.z) + (above * u.z)
+    };
+}
+
+/**
+ * Synthesizes the vowel the orientation test plays when no sample is
+ * configured: a sawtooth with a falling pitch, like a voice, through the
+ * formants of an "a".
+ *
+ * @param {AudioContext} context - The audio context.
+ * @returns {{
+ *     input: GainNode,
+ *     player: OscillatorNode
+ * }} The node to feed into the scene and the one to start and stop.
+ */
+function _createVowelPlayer(context: Object) {
+    const { duration, formants, frequency, gain } = ORIENTATION_TEST_VOWEL;
+    const oscillator = context.createOscillator();
+    const input = context.createGain();
+    const now = context.currentTime;
+
+    oscillator.type = 'sawtooth';
+    oscillator.frequency.setValueAtTime(frequency, now);
+    oscillator.frequency.linearRampToValueAtTime(frequency * 0.8, now + duration);
+    formants.forEach(formant => {
+        const filter = context.createBiquadFilter();
+
+        filter.type = 'bandpass';
+        filter.frequency.value = formant;
+        filter.Q.value = 8;
+        oscillator.connect(filter);
+        filter.connect(input);
+    });
+    input.gain.setValueAtTime(0, now);
+    input.gain.linearRampToValueAtTime(gain, now + 0.05);
+    input.gain.setValueAtTime(gain, now + duration - 0.2);
+    input.gain.linearRampToValueAtTime(0, now + duration);
+
+    return {
+        input,
+        player: oscillator
+    };
+}
+
+/**
+ * The single owner of the Web Audio graph through which remote participants
+ * are heard. It keeps a registry of per-participant sources, keyed by
+ * participant ID, which all feed a master bus made of a room reverb, a gain, a
+ * limiter and an analyser.
+ */
+class SpatialAudioEngine {
+    /**
+     * The renderer which rotates and decodes the Ambisonic scene.
+     *
+     * @private
+     */
+    _ambisonics: ?AmbisonicRenderer = null;
+
+    /**
+     * The settings of the Ambisonic renderer.
+     *
+     * @private
+     */
+    _ambisonicSettings: Object = AMBISONIC_SETTINGS;
+
+    /**
+     * The {@code AnalyserNode} at the end of the master bus.
+     *
+     * @private
+     */
+    _analyser: ?Object = null;
+
+    /**
+     * The settings of the attention mode.
+     *
+     * @private
+     */
+    _attentionSettings: Object = ATTENTION_SETTINGS;
+
+    /**
+     * The ID of the participant the attention mode brings forward, if any.
+     *
+     * @private
+     */
+    _attentionSpeakerId: ?string = null;
+
+    /**
+     * The high resolution time of the last step of the transitions of the
+     * attention mode.
+     *
+     * @private
+     */
+    _attentionTime: number = 0;
+
+    /**
+     * The interval which steps the transitions of the attention mode while
+     * they run.
+     *
+     * @private
+     */
+    _attentionTimer: ?IntervalID = null;
+
+    /**
+     * Whether the left and right channels of stereo output are swapped, to
+     * make up for headphones worn or wired the wrong way round.
+     *
+     * @private
+     */
+    _channelsSwapped: boolean = false;
+
+    /**
+     * The {@code AudioContext} the graph lives in.
+     *
+     * @private
+     */
+    _context: ?Object = null;
+
+    /**
+     * The {@code GainNode} through which the dry sources reach the master bus.
+     *
+     * @private
+     */
+    _dryGain: ?Object = null;
+
+    /**
+     * The gain of the dry signal of the sources sent to the room reverb, the
+     * dry half of the crossfade between the sources and the reverb.
+     *
+     * @private
+     */
+    _dryLevel: number = 1;
+
+    /**
+     * The {@code MediaElementAudioSourceNode}s which have taken over the
+     * output of audio elements, keyed by element. An element can only be
+     * taken over once per context, so the node is reused when the same
+     * element is registered again.
+     *
+     * @private
+     */
+    _elementSources: WeakMap<HTMLMediaElement, Object> = new WeakMap();
+
+    /**
+     * The audio elements of the registered participants, keyed by
+     * participant ID, to register them again when they start or stop
+     * sharing screen audio on a channel of its own.
+     *
+     * @private
+     */
+    _elements: Map<string, CapturableElement> = new Map();
+
+    /**
+     * The head-related impulse responses used by the SOFA panning model.
+     *
+     * @private
+     */
+    _hrtfDataset: ?HrtfDataset = null;
+
+    /**
+     * The {@code DynamicsCompressorNode} which limits the master bus.
+     *
+     * @private
+     */
+    _limiter: ?Object = null;
+
+    /**
+     * The settings of loudness normalization.
+     *
+     * @private
+     */
+    _loudnessSettings: Object = LOUDNESS_SETTINGS;
+
+    /**
+     * The high resolution time of the last step of loudness normalization.
+     *
+     * @private
+     */
+    _loudnessTime: number = 0;
+
+    /**
+     * The interval which steps loudness normalization while it is enabled.
+     *
+     * @private
+     */
+    _loudnessTimer: ?IntervalID = null;
+
+    /**
+     * The {@code GainNode} which sums multichannel loudspeaker output and
+     * applies the master gain to it. It reaches the end of the master bus
+     * through {@code _loudspeakerLimiters} rather than through the limiter of
+     * stereo output, which only handles two channels.
+     *
+     * @private
+     */
+    _loudspeakerBus: ?Object = null;
+
+    /**
+     * The limiters of multichannel loudspeaker output, one per loudspeaker,
+     * between {@code _loudspeakerSplitter} and {@code _loudspeakerMerger}.
+     *
+     * @private
+     */
+    _loudspeakerLimiters: Array<Object> = [];
+
+    /**
+     * The {@code ChannelMergerNode} which joins the limited loudspeaker
+     * channels again.
+     *
+     * @private
+     */
+    _loudspeakerMerger: ?Object = null;
+
+    /**
+     * The {@code ChannelSplitterNode} which splits multichannel loudspeaker
+     * output into one channel per limiter.
+     *
+     * @private
+     */
+    _loudspeakerSplitter: ?Object = null;
+
+    /**
+     * The azimuths of the loudspeakers, in degrees to the right, in the order
+     * of the output channels.
+     *
+     * @private
+     */
+    _loudspeakerLayout: Array<?number> = LOUDSPEAKER_LAYOUTS.stereo;
+
+    /**
+     * The pose of the listener, needed by the custom panners.
+     *
+     * @private
+     */
+    _listener: Object = DEFAULT_LISTENER;
+
+    /**
+     * The {@code GainNode} at the head of the master bus.
+     *
+     * @private
+     */
+    _masterGain: ?Object = null;
+
+    /**
+     * The IDs of the participants excluded from spatialization, including
+     * the ones whose audio is not registered yet.
+     *
+     * @private
+     */
+    _monoSources: Set<string> = new Set();
+
+    /**
+     * The {@code GainNode} at the very end of the graph, which plays through
+     * the selected audio output device.
+     *
+     * @private
+     */
+    _output: ?Object = null;
+
+    /**
+     * The ID of the audio output device the master bus plays through.
+     *
+     * @private
+     */
+    _outputDeviceId: ?string;
+
+    /**
+     * The {@code MediaStreamAudioDestinationNode} which feeds the master bus
+     * to {@code _outputElement}.
+     *
+     * @private
+     */
+    _outputDestination: ?Object = null;
+
+    /**
+     * The element which plays the master bus on browsers whose
+     * {@code AudioContext} cannot choose an output device itself, while stereo
+     * output plays through a device other than the default one.
+     *
+     * @private
+     */
+    _outputElement: ?Object = null;
+
+    /**
+     * Whether the master bus reaches {@code _output} through the nodes which
+     * swap the left and right channels.
+     *
+     * @private
+     */
+    _outputSwapped: boolean = false;
+
+    /**
+     * The settings applied to the panners of all the sources.
+     *
+     * @private
+     */
+    _pannerSettings: Object = PANNER_SETTINGS;
+
+    /**
+     * The positions of the participants, keyed by participant ID. They are
+     * kept for participants whose audio is not registered yet.
+     *
+     * @private
+     */
+    _positions: Map<string, Object> = new Map();
+
+    /**
+     * The gains at which the local user receives the participants, keyed by
+     * participant ID. They are kept for participants whose audio is not
+     * registered yet.
+     *
+     * @private
+     */
+    _receiveGains: Map<string, number> = new Map();
+
+    /**
+     * The {@code MediaStreamAudioDestinationNode} which feeds the master bus
+     * to recorders.
+     *
+     * @private
+     */
+    _recordingDestination: ?Object = null;
+
+    /**
+     * The room acoustics stage of the master bus.
+     *
+     * @private
+     */
+    _reverb: ?RoomReverb = null;
+
+    /**
+     * The reverb preset and the balance between the dry sources and the
+     * reverb.
+     *
+     * @private
+     */
+    _reverbSettings: Object = REVERB_SETTINGS;
+
+    /**
+     * The gain at which the local user hears the screen audio shared by the
+     * participants.
+     *
+     * @private
+     */
+    _sharedMediaGain: number = 1;
+
+    /**
+     * The IDs of the participants who share their screen audio on the second
+     * channel of their audio, including the ones whose audio is not
+     * registered yet. Their screen audio is a source of its own.
+     *
+     * @private
+     */
+    _sharedMediaSources: Set<string> = new Set();
+
+    /**
+     * The {@code GainNode} which feeds the notification sounds placed in the
+     * scene to the master bus, past the crossfade between the dry and the
+     * reverberated participants.
+     *
+     * @private
+     */
+    _soundBus: ?Object = null;
+
+    /**
+     * The notification sounds which have been placed in the scene, keyed by
+     * sound ID. A placed sound is played by a copy of its audio element which
+     * the scene takes over until the sound is unregistered, while the element
+     * itself is muted, so that it can still play sounds on its own when the
+     * context is suspended.
+     *
+     * @private
+     */
+    _soundSources: Map<string, SoundSource> = new Map();
+
+    /**
+     * The registered sources, keyed by participant ID. Screen audio shared on
+     * a channel of its own is keyed by the ID from
+     * {@code getSharedMediaSourceId}.
+     *
+     * @private
+     */
+    _sources: Map<string, Source> = new Map();
+
+    /**
+     * Whether sources are routed through their panners or played in mono.
+     *
+     * @private
+     */
+    _spatialEnabled: boolean = false;
+
+    /**
+     * The {@code MediaStreamAudioDestinationNode}s which feed the audio of
+     * single participants, as received, to recorders, keyed by participant ID.
+     * They outlive the sources so that a stem stays continuous when a
+     * participant's track is replaced.
+     *
+     * @private
+     */
+    _stemDestinations: Map<string, Object> = new Map();
+
+    /**
+     * The {@code ChannelMergerNode} into which {@code _swapSplitter} feeds the
+     * left channel on the right and the right one on the left.
+     *
+     * @private
+     */
+    _swapMerger: ?Object = null;
+
+    /**
+     * The {@code ChannelSplitterNode} which splits the master bus to swap its
+     * left and right channels.
+     *
+     * @private
+     */
+    _swapSplitter: ?Object = null;
+
+    /**
+     * The node which plays the sample of the orientation test, while it
+     * plays.
+     *
+     * @private
+     */
+    _testPlayer: ?Object = null;
+
+    /**
+     * The decoded samples of the orientation test, keyed by URL. They are
+     * null for the ones which could not be loaded.
+     *
+     * @private
+     */
+    _testSamples: Map<string, Promise<?Object>> = new Map();
+
+    /**
+     * Initializes a new {@code SpatialAudioEngine} instance.
+     */
+    constructor() {
+        this._stepAttention = this._stepAttention.bind(this);
+        this._stepLoudness = this._stepLoudness.bind(this);
+    }
+
+    /**
+     * Builds the master bus in a specific {@code AudioContext}. Sources
+     * registered against a previous context are dropped.
+     *
+     * @param {AudioContext} context - The audio context.
+     * @returns {void}
+     */
+    init(context: Object) {
+        if (this._context === context) {
+            return;
+        }
+
+        this.dispose();
+
+        const ambisonics = new AmbisonicRenderer(context);
+        const analyser = context.createAnalyser();
+        const dryGain = context.createGain();
+        const limiter = _createLimiter(context);
+        const masterGain = context.createGain();
+        const output = context.createGain();
+        const reverb = new RoomReverb(context);
+        const soundBus = context.createGain();
+        const swapMerger = context.createChannelMerger(2);
+        const swapSplitter = context.createChannelSplitter(2);
+
+        this._context = context;
+        this._ambisonics = ambisonics;
+        this._analyser = analyser;
+        this._dryGain = dryGain;
+        this._limiter = limiter;
+        this._loudspeakerBus = context.createGain();
+        this._masterGain = masterGain;
+        this._output = output;
+        this._reverb = reverb;
+        this._soundBus = soundBus;
+        this._swapMerger = swapMerger;
+        this._swapSplitter = swapSplitter;
+
+        dryGain.connect(masterGain);
+        reverb.output.connect(masterGain);
+        soundBus.connect(masterGain);
+        reverb.setPreset(this._reverbSettings.preset);
+        this._applyReverbLevels();
+        masterGain.connect(limiter);
+        limiter.connect(analyser);
+        this._connectLoudspeakerLimiters();
+        analyser.connect(output);
+        swapSplitter.connect(swapMerger, 0, 1);
+        swapSplitter.connect(swapMerger, 1, 0);
+        swapMerger.connect(output);
+        output.connect(context.destination);
+        ambisonics.setDataset(this._hrtfDataset);
+        ambisonics.configure(this._getAmbisonicConfiguration());
+        this._connectAmbisonics();
+        this._applyOutputDevice();
+        this._loudnessSettings.enabled && this._startLoudnessTimer();
+
+        logger.debug('Spatial audio engine initialized');
+    }
+
+    /**
+     * Tears down the whole graph.
+     *
+     * @returns {void}
+     */
+    dispose() {
+        for (const participantId of Array.from(this._sources.keys())) {
+            this.unregisterSource(participantId);
+        }
+
+        for (const soundId of Array.from(this._soundSources.keys())) {
+            this.releaseSound(soundId);
+        }
+
+        this._elementSources = new WeakMap();
+        this._stemDestinations.clear();
+        this._testPlayer && this._testPlayer.stop();
+        this._testPlayer = null;
+        this._testSamples.clear();
+
+        clearInterval(this._attentionTimer);
+        this._attentionTimer = null;
+        clearInterval(this._loudnessTimer);
+        this._loudnessTimer = null;
+
+        this._ambisonics && this._ambisonics.disconnect();
+        this._analyser && this._analyser.disconnect();
+        this._dryGain && this._dryGain.disconnect();
+        this._limiter && this._limiter.disconnect();
+        this._loudspeakerBus && this._loudspeakerBus.disconnect();
+        this._loudspeakerLimiters.forEach(limiter => limiter.disconnect());
+        this._loudspeakerMerger && this._loudspeakerMerger.disconnect();
+        this._loudspeakerSplitter && this._loudspeakerSplitter.disconnect();
+        this._masterGain && this._masterGain.disconnect();
+        this._output && this._output.disconnect();
+        this._reverb && this._reverb.disconnect();
+        this._soundBus && this._soundBus.disconnect();
+        this._swapMerger && this._swapMerger.disconnect();
+        this._swapSplitter && this._swapSplitter.disconnect();
+
+        const outputElement = this._outputElement;
+
+        if (outputElement) {
+            outputElement.pause();
+            outputElement.srcObject = null;
+        }
+
+        this._ambisonics = null;
+        this._analyser = null;
+        this._context = null;
+        this._dryGain = null;
+        this._limiter = null;
+        this._loudspeakerBus = null;
+        this._loudspeakerLimiters = [];
+        this._loudspeakerMerger = null;
+        this._loudspeakerSplitter = null;
+        this._masterGain = null;
+        this._output = null;
+        this._outputDestination = null;
+        this._outputElement = null;
+        this._outputSwapped = false;
+        this._recordingDestination = null;
+        this._reverb = null;
+        this._soundBus = null;
+        this._swapMerger = null;
+        this._swapSplitter = null;
+    }
+
+    /**
+     * Returns the {@code AnalyserNode} at the end of the master bus.
+     *
+     * @returns {?AnalyserNode}
+     */
+    getAnalyser() {
+        return this._analyser;
+    }
+
+    /**
+     * Returns the {@code AudioContext} of the graph.
+     *
+     * @returns {?AudioContext}
+     */
+    getContext() {
+        return this._context;
+    }
+
+    /**
+     * Returns a stereo stream of the master bus, which is exactly what the
+     * local user hears, e.g. to record it.
+     *
+     * @returns {?MediaStream}
+     */
+    getRecordingStream() {
+        const analyser = this._analyser;
+        const context = this._context;
+
+        if (!context || !analyser) {
+            return null;
+        }
+
+        let destination = this._recordingDestination;
+
+        if (!destination) {
+            destination = context.createMediaStreamDestination();
+            destination.channelCount = 2;
+            analyser.connect(destination);
+            this._recordingDestination = destination;
+        }
+
+        return destination.stream;
+    }
+
+    /**
+     * Returns what renders the scene at this moment: the listener pose, the
+     * attention mode and, for every registered participant, the position, the
+     * gain, the mute state, whether they are heard in mono, how far the
+     * attention mode focuses or ducks them, the gain at which they are
+     * received and their loudness normalization gain, in decibels. Together
+     * with the stems, it is enough to render the scene again offline.
+     *
+     * @returns {Object}
+     */
+    getSceneSnapshot() {
+        const sources = {};
+
+        for (const [ participantId, { duck, focus, gain, mono, muted, normalizer, receiveGain } ] of this._sources) {
+            sources[participantId] = {
+                duck,
+                focus,
+                gain,
+                loudnessGain: this._loudnessSettings.enabled ? normalizer.getLoudness().gain : 0,
+                mono,
+                muted,
+                position: this._positions.get(participantId),
+                receiveGain
+            };
+        }
+
+        return {
+            attention: this._attentionSettings,
+            listener: this._listener,
+            sources,
+            spatialEnabled: this._spatialEnabled
+        };
+    }
+
+    /**
+     * Returns a mono stream of the audio of a single participant, as received
+     * and before the volume, the mute state and the spatialization are
+     * applied, e.g. to record it as a stem.
+     *
+     * @param {string} participantId - The ID of the participant.
+     * @returns {?MediaStream}
+     */
+    getSourceStream(participantId: string) {
+        const context = this._context;
+
+        if (!context) {
+            return null;
+        }
+
+        let destination = this._stemDestinations.get(participantId);
+
+        if (!destination) {
+            const source = this._sources.get(participantId);
+
+            destination = context.createMediaStreamDestination();
+            destination.channelCount = 1;
+            this._stemDestinations.set(participantId, destination);
+
+            if (source) {
+                source.stemDestination = destination;
+                source.input.connect(destination);
+            }
+        }
+
+        return destination.stream;
+    }
+
+    /**
+     * Stops feeding the audio of a participant to the stream returned by
+     * {@link getSourceStream}.
+     *
+     * @param {string} participantId - The ID of the participant.
+     * @returns {void}
+     */
+    releaseSourceStream(participantId: string) {
+        const destination = this._stemDestinations.get(participantId);
+        const source = this._sources.get(participantId);
+
+        if (destination && source) {
+            source.input.disconnect(destination);
+            source.stemDestination = null;
+        }
+
+        this._stemDestinations.delete(participantId);
+    }
+
+    /**
+     * Returns the short-term loudness of a participant, as received, and the
+     * gain which normalizes it, while loudness normalization is enabled.
+     *
+     * @param {string} participantId - The ID of the participant.
+     * @returns {{
+     *     gain: number,
+     *     loudness: ?number
+     * }|undefined} The gain in decibels and the loudness in LUFS, null before
+     * the participant was heard.
+     */
+    getSourceLoudness(participantId: string) {
+        const source = this._sources.get(participantId);
+
+        return source && this._loudnessSettings.enabled ? source.normalizer.getLoudness() : undefined;
+    }
+
+    /**
+     * Returns the gain applied to a participant.
+     *
+     * @param {string} participantId - The ID of the participant.
+     * @returns {number|undefined}
+     */
+    getSourceGain(participantId: string) {
+        const source = this._sources.get(participantId);
+
+        return source ? source.gain : undefined;
+    }
+
+    /**
+     * Whether multichannel loudspeaker output can play through an audio
+     * output device other than the default one. It takes a context which
+     * picks its output device itself.
+     *
+     * @returns {boolean}
+     */
+    canChooseMultichannelOutputDevice() {
+        return Boolean(this._context && typeof this._context.setSinkId === 'function');
+    }
+
+    /**
+     * Whether the engine has a graph to render into.
+     *
+     * @returns {boolean}
+     */
+    isReady() {
+        return Boolean(this._context);
+    }
+
+    /**
+     * Adds the audio played by an audio element to the scene. An existing
+     * source of the same participant is replaced. Screen audio the
+     * participant shares on the second channel becomes a source of its own.
+     *
+     * @param {string} participantId - The ID of the participant.
+     * @param {HTMLAudioElement} audioElement - The element the participant's
+     * track is attached to.
+     * @returns {void}
+     */
+    registerSource(participantId: string, audioElement: CapturableElement) {
+        const context = this._context;
+
+        if (!context) {
+            logger.warn(`Cannot register ${participantId}, the engine is not initialized`);
+
+            return;
+        }
+
+        const previous = this._sources.get(participantId);
+
+        this.unregisterSource(participantId);
+
+        let input = this._elementSources.get(audioElement);
+
+        if (!input) {
+            const stream = audioElement.mozCaptureStream
+                ? audioElement.mozCaptureStream() : audioElement.captureStream();
+
+            if (stream.active) {
+                input = context.createMediaStreamSource(stream);
+            } else {
+                // Firefox does not duplicate the element's stream, so take
+                // over the element itself, once.
+                input = context.createMediaElementSource(audioElement);
+                this._elementSources.set(audioElement, input);
+            }
+        }
+
+        if (this._elementSources.has(audioElement)) {
+            // Silence the direct output of a taken over element.
+            audioElement.volume = 0;
+            audioElement.play().catch(error => logger.warn('Failed to play a remote audio element', error));
+        }
+
+        let splitter;
+        let voiceInput = input;
+
+        if (this._sharedMediaSources.has(participantId)) {
+            splitter = context.createChannelSplitter(2);
+            voiceInput = context.createGain();
+            input.connect(splitter);
+            splitter.connect(voiceInput, 0);
+        }
+
+        const source = this._createSource(context, voiceInput);
+
+        source.splitter = splitter;
+        source.splitterInput = splitter && input;
+
+        if (previous) {
+            source.duck = previous.duck;
+            source.focus = previous.focus;
+            source.gain = previous.gain;
+            source.muted = previous.muted;
+        }
+
+        source.mono = this._monoSources.has(participantId);
+        source.receiveGain = this._receiveGains.has(participantId) ? Number(this._receiveGains.get(participantId)) : 1;
+        source.stemDestination = this._stemDestinations.get(participantId);
+        this.resume();
+        this._sources.set(participantId, source);
+        this._connectSource(source);
+        this._applyGain(source);
+        this._reverb && source.sendNode.connect(this._reverb.input);
+
+        const position = this._positions.get(participantId);
+
+        position && this._applyPosition(source, position);
+        this._elements.set(participantId, audioElement);
+        splitter && this._registerSharedMedia(context, participantId, splitter);
+        this._attentionSpeakerId && this._startAttentionTransition();
+    }
+
+    /**
+     * Brings the dominant speaker forward and toward the centre of the scene
+     * and ducks the other participants, with the transitions of the attention
+     * mode. Disabling the mode releases them all.
+     *
+     * @param {?string} participantId - The ID of the dominant speaker, if a
+     * remote participant.
+     * @param {Object} settings - The settings of the attention mode.
+     * @returns {void}
+     */
+    setAttention(participantId: ?string, settings: Object) {
+        this._attentionSettings = settings;
+        this._attentionSpeakerId = settings.enabled ? participantId : null;
+
+        // The amounts of the transitions are relative to the settings, so
+        // apply new settings to the participants which are already focused
+        // or ducked.
+        for (const [ id, source ] of this._sources) {
+            const position = this._positions.get(id);
+
+            position && source.focus && this._applyPosition(source, position);
+            source.duck && this._applyGain(source);
+        }
+
+        this._startAttentionTransition();
+    }
+
+    /**
+     * Applies a listener pose to the context.
+     *
+     * @param {Object} listener - The listener pose.
+     * @returns {void}
+     */
+    setListener(listener: Object) {
+        this._listener = listener;
+        this._context && applyListenerToContext(this._context, listener);
+
+        this._ambisonics && this._ambisonics.setHeading(Math.atan2(listener.forward.x, -listener.forward.z));
+
+        if (this._getCustomPanner()) {
+            for (const [ participantId, source ] of this._sources) {
+                const position = this._positions.get(participantId);
+
+                position && this._applyPosition(source, position);
+            }
+        }
+    }
+
+    /**
+     * Resumes the context if the browser has suspended it, e.g. because it
+     * was created before the user interacted with the page.
+     *
+     * @returns {void}
+     */
+    resume() {
+        const context = this._context;
+
+        if (context && context.state === 'suspended') {
+            context.resume().catch(error => logger.warn('Failed to resume the audio context', error));
+        }
+
+        if (this._outputElement && this._outputElement.paused) {
+            this._outputElement.play().catch(error => logger.warn('Failed to play the master bus', error));
+        }
+    }
+
+    /**
+     * Plays the master bus through a specific audio output device.
+     *
+     * @param {?string} deviceId - The ID of the device. The default device is
+     * used when it is empty or 'default'.
+     * @returns {Promise}
+     */
+    setOutputDevice(deviceId: ?string) {
+        this._outputDeviceId = deviceId;
+
+        return this._applyOutputDevice();
+    }
+
+    /**
+     * Places a notification sound which is about to be played where the
+     * participant it is about sits. A sound about nobody, or about somebody
+     * who is not in the scene, is left to its audio element, which plays it
+     * centered whether the context runs or not. Notification sounds are short,
+     * so they always go through a native HRTF panner whichever panning model
+     * renders the participants.
+     *
+     * @param {string} soundId - The ID of the sound.
+     * @param {HTMLMediaElement} audioElement - The element which plays the
+     * sound.
+     * @param {?string} participantId - The ID of the participant the sound is
+     * about, if any.
+     * @returns {void}
+     */
+    placeSound(soundId: string, audioElement: HTMLMediaElement, participantId: ?string) {
+        const context = this._context;
+        const soundBus = this._soundBus;
+        const position = participantId && this._spatialEnabled && !this._monoSources.has(participantId)
+            ? this._positions.get(participantId) : undefined;
+        let sound = this._soundSources.get(soundId);
+
+        // The sound has been registered again with another element since it
+        // was last placed.
+        if (sound && sound.audioElement !== audioElement) {
+            this.releaseSound(soundId);
+            sound = undefined;
+        }
+
+        // A suspended context would silence the sound until the user interacts
+        // with the page.
+        if (!context || !soundBus || !position || context.state !== 'running') {
+            sound && sound.element.pause();
+            audioElement.muted = false;
+
+            return;
+        }
+
+        if (!sound) {
+            const element = new Audio(audioElement.src);
+
+            element.loop = audioElement.loop;
+
+            sound = {
+                audioElement,
+                element,
+                input: context.createMediaElementSource(element),
+                pannerNode: context.createPanner()
+            };
+            sound.input.connect(sound.pannerNode);
+            sound.pannerNode.connect(soundBus);
+            this._soundSources.set(soundId, sound);
+        }
+
+        const { element, pannerNode } = sound;
+
+        this._applyPannerSettings(pannerNode);
+        _setPannerPosition(pannerNode, position);
+        audioElement.muted = true;
+        element.currentTime = 0;
+        element.play().catch(error => logger.warn('Failed to play a placed sound', error));
+    }
+
+    /**
+     * Stops the copy which plays a notification sound placed in the scene,
+     * e.g. a looping one. The sound's own element is stopped by whoever plays
+     * it.
+     *
+     * @param {string} soundId - The ID of the sound.
+     * @returns {void}
+     */
+    stopSound(soundId: string) {
+        const sound = this._soundSources.get(soundId);
+
+        if (sound) {
+            sound.element.pause();
+            sound.element.currentTime = 0;
+        }
+    }
+
+    /**
+     * Stops a notification sound placed in the scene and removes its copy
+     * from the scene, e.g. once the sound is unregistered.
+     *
+     * @param {string} soundId - The ID of the sound.
+     * @returns {void}
+     */
+    releaseSound(soundId: string) {
+        const sound = this._soundSources.get(soundId);
+
+        if (!sound) {
+            return;
+        }
+
+        const { audioElement, element, input, pannerNode } = sound;
+
+        audioElement.muted = false;
+        element.pause();
+        input.disconnect();
+        pannerNode.disconnect();
+        this._soundSources.delete(soundId);
+    }
+
+    /**
+     * Plays the sample of the orientation test from a direction relative to
+     * where the local user faces, through the same panners and the same
+     * master bus as the participants, so that the local user can check that
+     * spatial audio works. A sample still playing is stopped.
+     *
+     * @param {number} azimuth - The azimuth, in degrees to the right.
+     * @param {number} elevation - The elevation, in degrees above the head.
+     * @param {Object} settings - The distance at which the sample is played
+     * and its URL, if any.
+     * @returns {Promise} Resolved once the sample has been played.
+     */
+    playTestSample(azimuth: number, elevation: number, { distance, sample }: Object) {
+        return this._loadTestSample(sample).then(buffer => {
+            const context = this._context;
+
+            if (!context) {
+                return;
+            }
+
+            let input;
+            let player;
+
+            if (buffer) {
+                input = context.createBufferSource();
+                input.buffer = buffer;
+                player = input;
+            } else {
+                ({ input, player } = _createVowelPlayer(context));
+            }
+
+            const source = this._createSource(context, input);
+
+            this._testPlayer && this._testPlayer.stop();
+            this._testPlayer = player;
+            this._connectSource(source);
+            this._applyGain(source);
+            this._reverb && source.sendNode.connect(this._reverb.input);
+            this._applyPosition(source, _getPositionFromDirection(
+                azimuth * Math.PI / 180, elevation * Math.PI / 180, distance, this._listener));
+            this.resume();
+
+            return new Promise(resolve => {
+                player.onended = () => {
+                    this._disconnectSource(source);
+                    this._testPlayer === player && (this._testPlayer = null);
+                    resolve();
+                };
+                player.start();
+                buffer || player.stop(context.currentTime + ORIENTATION_TEST_VOWEL.duration);
+            });
+        });
+    }
+
+    /**
+     * Plays a test signal, pink noise, on a single loudspeaker so that the
+     * local user can check the wiring and the levels of a multichannel output.
+     *
+     * @param {number} channel - The index of the output channel.
+     * @returns {void}
+     */
+    playTestSignal(channel: number) {
+        const context = this._context;
+        const bus = this._loudspeakerBus;
+
+        if (!context || !bus) {
+            return;
+        }
+
+        const { duration, gain } = LOUDSPEAKER_TEST_SIGNAL;
+        const { sampleRate } = context;
+        const buffer = context.createBuffer(1, Math.ceil(duration * sampleRate), sampleRate);
+        const data = buffer.getChannelData(0);
+        const fade = Math.floor(0.01 * sampleRate);
+        let b0 = 0;
+        let b1 = 0;
+        let b2 = 0;
+
+        // Paul Kellet's economy filter turns white noise pink.
+        for (let i = 0; i < data.length; i++) {
+            const white = (Math.random() * 2) - 1;
+
+            b0 = (0.99765 * b0) + (white * 0.0990460);
+            b1 = (0.96300 * b1) + (white * 0.2965164);
+            b2 = (0.57000 * b2) + (white * 1.0526913);
+            data[i] = (b0 + b1 + b2 + (white * 0.1848)) / 4
+                * Math.min(1, i / fade, (data.length - i) / fade);
+        }
+
+        const bufferSource = context.createBufferSource();
+        const level = context.createGain();
+        const merger = context.createChannelMerger(Math.max(channel + 1, this._loudspeakerLayout.length));
+
+        bufferSource.buffer = buffer;
+        level.gain.value = gain;
+        bufferSource.connect(level);
+        level.connect(merger, 0, channel);
+        merger.connect(bus);
+        bufferSource.onended = () => merger.disconnect();
+        this.resume();
+        bufferSource.start();
+    }
+
+    /**
+     * Changes the order and the decoder of the Ambisonic renderer.
+     *
+     * @param {Object} settings - The decoder, one of
+     * {@code AMBISONIC_DECODERS}, and the order.
+     * @returns {void}
+     */
+    setAmbisonicSettings(settings: Object) {
+        const context = this._context;
+
+        this._ambisonicSettings = settings;
+
+        if (!context || !this._ambisonics) {
+            return;
+        }
+
+        this._ambisonics.configure(this._getAmbisonicConfiguration());
+        this._connectAmbisonics();
+
+        for (const [ participantId, source ] of this._sources) {
+            const position = this._positions.get(participantId);
+
+            if (source.ambisonicEncoder.order !== settings.order) {
+                source.ambisonicEncoder.disconnect();
+                source.ambisonicEncoder = new AmbisonicEncoder(context, settings.order);
+                this._reconnectSource(source);
+            }
+
+            position && this._applyPosition(source, position);
+        }
+    }
+
+    /**
+     * Swaps the left and right channels of stereo output, or stops swapping
+     * them.
+     *
+     * @param {boolean} swapped - Whether the channels are swapped.
+     * @returns {void}
+     */
+    setChannelsSwapped(swapped: boolean) {
+        this._channelsSwapped = swapped;
+        this._applyChannelSwap();
+    }
+
+    /**
+     * Enables or disables loudness normalization and changes its target and
+     * its speed.
+     *
+     * @param {Object} settings - The loudness settings.
+     * @returns {void}
+     */
+    setLoudnessSettings(settings: Object) {
+        const toggled = settings.enabled !== this._loudnessSettings.enabled;
+
+        this._loudnessSettings = settings;
+
+        if (!toggled) {
+            return;
+        }
+
+        for (const source of this._sources.values()) {
+            source.normalizer.reset();
+            this._reconnectSource(source);
+        }
+
+        if (settings.enabled) {
+            this._startLoudnessTimer();
+        } else {
+            clearInterval(this._loudnessTimer);
+            this._loudnessTimer = null;
+        }
+    }
+
+    /**
+     * Sets the head-related impulse responses the SOFA panning model renders
+     * the sources with. Without a dataset the model falls back to the native
+     * HRTF of the browser.
+     *
+     * @param {?HrtfDataset} dataset - The dataset.
+     * @returns {void}
+     */
+    setHrtfDataset(dataset: ?HrtfDataset) {
+        this._hrtfDataset = dataset;
+        this._ambisonics && this._ambisonics.setDataset(dataset);
+
+        for (const [ participantId, source ] of this._sources) {
+            const position = this._positions.get(participantId);
+
+            source.sofaPanner.setDataset(dataset);
+            position && this._applyPosition(source, position);
+            this._pannerSettings.panningModel === PANNING_MODELS.SOFA && this._reconnectSource(source);
+        }
+    }
+
+    /**
+     * Changes the loudspeakers which multichannel output feeds.
+     *
+     * @param {Array<?number>} layout - The azimuths of the loudspeakers, in
+     * degrees to the right, in the order of the output channels. Null stands
+     * for a channel without direction, like LFE.
+     * @returns {void}
+     */
+    setLoudspeakerLayout(layout: Array<?number>) {
+        const ambisonics = this._ambisonics;
+        const context = this._context;
+
+        this._loudspeakerLayout = layout;
+
+        if (!context || !ambisonics) {
+            return;
+        }
+
+        this._connectLoudspeakerLimiters();
+        ambisonics.configure(this._getAmbisonicConfiguration());
+        this._connectAmbisonics();
+
+        for (const [ participantId, source ] of this._sources) {
+            const position = this._positions.get(participantId);
+
+            source.vbapPanner.disconnect();
+            source.vbapPanner = new VbapPanner(context, layout);
+            this._reconnectSource(source);
+            position && this._applyPosition(source, position);
+        }
+    }
+
+    /**
+     * Sets the gain of the master bus.
+     *
+     * @param {number} gain - The new gain.
+     * @returns {void}
+     */
+    setMasterGain(gain: number) {
+        this._masterGain && _setParam(this._masterGain.gain, gain);
+        this._loudspeakerBus && _setParam(this._loudspeakerBus.gain, gain);
+    }
+
+    /**
+     * Excludes specific participants from spatialization. They bypass their
+     * panners and are heard in mono, centered.
+     *
+     * @param {Array<string>} participantIds - The IDs of the participants to
+     * hear in mono.
+     * @returns {void}
+     */
+    setMonoSources(participantIds: Array<string>) {
+        this._monoSources = new Set(participantIds);
+
+        for (const [ participantId, source ] of this._sources) {
+            const mono = this._monoSources.has(participantId);
+
+            if (source.mono !== mono) {
+                source.mono = mono;
+                this._reconnectSource(source);
+            }
+        }
+    }
+
+    /**
+     * Changes the models and parameters by which all the sources are
+     * spatialized.
+     *
+     * @param {Object} settings - The panner settings.
+     * @returns {void}
+     */
+    setPannerSettings(settings: Object) {
+        const { panningModel } = this._pannerSettings;
+
+        this._pannerSettings = settings;
+        panningModel === settings.panningModel || this._connectAmbisonics();
+
+        for (const [ participantId, source ] of this._sources) {
+            const position = this._positions.get(participantId);
+
+            this._applyPannerSettings(source.pannerNode);
+            position && this._applyPosition(source, position);
+            panningModel === settings.panningModel || this._reconnectSource(source);
+        }
+    }
+
+    /**
+     * Replaces the gains at which the local user receives the participants.
+     * Participants left out are received at full level.
+     *
+     * @param {Object} gains - The gains, keyed by participant ID.
+     * @returns {void}
+     */
+    setReceiveGains(gains: Object) {
+        this._receiveGains = new Map(Object.keys(gains).map(id => [ id, gains[id] ]));
+
+        for (const [ participantId, source ] of this._sources) {
+            const receiveGain = this._receiveGains.has(participantId)
+                ? Number(this._receiveGains.get(participantId)) : 1;
+
+            if (source.receiveGain !== receiveGain) {
+                source.receiveGain = receiveGain;
+                this._applyGain(source);
+            }
+        }
+    }
+
+    /**
+     * Changes the acoustics of the virtual room.
+     *
+     * @param {Object} settings - The reverb preset, one of
+     * {@code REVERB_PRESETS}, and the mix between the dry sources and the
+     * reverb, from 0 to 1.
+     * @returns {void}
+     */
+    setReverbSettings(settings: Object) {
+        const { preset } = this._reverbSettings;
+
+        this._reverbSettings = settings;
+        this._reverb && preset !== settings.preset && this._reverb.setPreset(settings.preset);
+        this._applyReverbLevels();
+    }
+
+    /**
+     * Sets the gain at which the local user hears the screen audio shared by
+     * the participants.
+     *
+     * @param {number} gain - The new gain.
+     * @returns {void}
+     */
+    setSharedMediaGain(gain: number) {
+        this._sharedMediaGain = gain;
+
+        for (const participantId of this._sharedMediaSources) {
+            this.setSourceGain(getSharedMediaSourceId(participantId), gain);
+        }
+    }
+
+    /**
+     * Replaces the participants who share their screen audio on the second
+     * channel of their audio. The ones already registered are registered
+     * again, so that their screen audio becomes a source of its own or goes
+     * back to being heard with their voice.
+     *
+     * @param {Array<string>} participantIds - The IDs of the participants.
+     * @returns {void}
+     */
+    setSharedMediaSources(participantIds: Array<string>) {
+        const previous = this._sharedMediaSources;
+
+        this._sharedMediaSources = new Set(participantIds);
+
+        Array.from(this._elements)
+            .filter(([ participantId ]) => previous.has(participantId) !== this._sharedMediaSources.has(participantId))
+            .forEach(([ participantId, audioElement ]) => this.registerSource(participantId, audioElement));
+    }
+
+    /**
+     * Sets the gain applied to a participant.
+     *
+     * @param {string} participantId - The ID of the participant.
+     * @param {number} gain - The new gain.
+     * @returns {void}
+     */
+    setSourceGain(participantId: string, gain: number) {
+        const source = this._sources.get(participantId);
+
+        if (source && source.gain !== gain) {
+            source.gain = gain;
+            this._applyGain(source);
+        }
+    }
+
+    /**
+     * Mutes or unmutes a participant locally.
+     *
+     * @param {string} participantId - The ID of the participant.
+     * @param {boolean} muted - Whether the participant should be muted.
+     * @returns {void}
+     */
+    setSourceMuted(participantId: string, muted: boolean) {
+        const source = this._sources.get(participantId);
+        const sharedMedia = this._sources.get(getSharedMediaSourceId(participantId));
+
+        if (source && source.muted !== muted) {
+            source.muted = muted;
+            this._applyGain(source);
+        }
+
+        if (sharedMedia && sharedMedia.muted !== muted) {
+            sharedMedia.muted = muted;
+            this._applyGain(sharedMedia);
+        }
+    }
+
+    /**
+     * Places a participant in the scene.
+     *
+     * @param {string} participantId - The ID of the participant.
+     * @param {Object} position - The {@code x}, {@code y} and {@code z}
+     * coordinates of the participant.
+     * @returns {void}
+     */
+    setSourcePosition(participantId: string, position: Object) {
+        const source = this._sources.get(participantId);
+
+        this._positions.set(participantId, position);
+        source && this._applyPosition(source, position);
+    }
+
+    /**
+     * Replaces the positions of all the participants in the scene.
+     *
+     * @param {Object} positions - The positions, keyed by participant ID.
+     * @returns {void}
+     */
+    setSourcePositions(positions: Object) {
+        this._positions.clear();
+        Object.keys(positions).forEach(id => this.setSourcePosition(id, positions[id]));
+    }
+
+    /**
+     * Routes all sources either through their panners or straight to their
+     * gains.
+     *
+     * @param {boolean} enabled - Whether spatial audio is enabled.
+     * @returns {void}
+     */
+    setSpatialEnabled(enabled: boolean) {
+        if (this._spatialEnabled === enabled) {
+            return;
+        }
+
+        this._spatialEnabled = enabled;
+
+        for (const source of this._sources.values()) {
+            this._reconnectSource(source);
+        }
+    }
+
+    /**
+     * Removes a participant from the scene.
+     *
+     * @param {string} participantId - The ID of the participant.
+     * @returns {void}
+     */
+    unregisterSource(participantId: string) {
+        const source = this._sources.get(participantId);
+
+        if (!source) {
+            return;
+        }
+
+        const sharedMediaId = getSharedMediaSourceId(participantId);
+        const sharedMedia = this._sources.get(sharedMediaId);
+
+        this._disconnectSource(source);
+        this._sources.delete(participantId);
+        this._elements.delete(participantId);
+
+        if (sharedMedia) {
+            this._disconnectSource(sharedMedia);
+            this._sources.delete(sharedMediaId);
+        }
+    }
+
+    /**
+     * Moves the panner of a source, brought forward as far as the attention
+     * mode focuses it.
+     *
+     * @param {Source} source - The source.
+     * @param {Object} scenePosition - The {@code x}, {@code y} and {@code z}
+     * coordinates of the source in the scene.
+     * @private
+     * @returns {void}
+     */
+    _applyPosition(source: Source, scenePosition: Object) {
+        const position = source.focus
+            ? _getFocusedPosition(scenePosition, this._listener, source.focus, this._attentionSettings)
+            : scenePosition;
+
+        _setPannerPosition(source.pannerNode, position);
+
+        switch (this._getCustomPanner()) {
+        case PANNING_MODELS.AMBISONICS: {
+            const { azimuth, distance, elevation } = _getSceneDirection(position, this._listener);
+
+            source.ambisonicEncoder.setPosition(azimuth, elevation, distance, this._pannerSettings);
+            break;
+        }
+
+        case PANNING_MODELS.ITD_ILD: {
+            const { azimuth, distance } = _getRelativeDirection(position, this._listener);
+
+            source.itdIldPanner.setPosition(azimuth, distance, this._pannerSettings);
+            break;
+        }
+
+        case PANNING_MODELS.SOFA: {
+            const { azimuth, distance, elevation } = _getRelativeDirection(position, this._listener);
+
+            source.sofaPanner.setPosition(azimuth, elevation, distance, this._pannerSettings);
+            break;
+        }
+
+        case PANNING_MODELS.VBAP: {
+            const { azimuth, distance } = _getRelativeDirection(position, this._listener);
+
+            source.vbapPanner.setPosition(azimuth, distance, this._pannerSettings);
+            break;
+        }
+        }
+    }
+
+    /**
+     * Routes the end of the master bus through the nodes which swap the left
+     * and right channels while they are to be swapped. Multichannel
+     * loudspeaker output is never swapped, its wiring is checked with the
+     * calibration instead.
+     *
+     * @private
+     * @returns {void}
+     */
+    _applyChannelSwap() {
+        const analyser = this._analyser;
+        const output = this._output;
+        const splitter = this._swapSplitter;
+        const swapped = this._channelsSwapped && !this._isLoudspeakerOutput();
+
+        if (!analyser || !output || !splitter || swapped === this._outputSwapped) {
+            return;
+        }
+
+        analyser.disconnect(swapped ? output : splitter);
+        analyser.connect(swapped ? splitter : output);
+        this._outputSwapped = swapped;
+    }
+
+    /**
+     * Plays the master bus through the selected audio output device. The
+     * context picks the device itself where {@code AudioContext.setSinkId} is
+     * supported. Elsewhere the master bus is captured into a stream, played
+     * by an element routed with {@code HTMLMediaElement.setSinkId}, once a
+     * device other than the default one is selected. That stream is downmixed
+     * to stereo, so multichannel loudspeaker output keeps playing through the
+     * default device instead.
+     *
+     * @private
+     * @returns {Promise}
+     */
+    _applyOutputDevice() {
+        const context = this._context;
+        const output = this._output;
+        const deviceId = this._outputDeviceId;
+        const sinkId = deviceId && deviceId !== 'default' ? deviceId : '';
+
+        if (!context || !output) {
+            return Promise.resolve();
+        }
+
+        if (typeof context.setSinkId === 'function') {
+            return context.setSinkId(sinkId)
+                .catch(error => logger.warn(`Failed to play spatial audio through ${sinkId}`, error));
+        }
+
+        if (!sinkId || this._isLoudspeakerOutput()) {
+            sinkId && logger.warn('Multichannel output can only play through the default device');
+
+            const element = this._outputElement;
+            const destination = this._outputDestination;
+
+            if (element && destination) {
+                element.pause();
+                element.srcObject = null;
+                output.disconnect(destination);
+                output.connect(context.destination);
+                this._outputDestination = null;
+                this._outputElement = null;
+            }
+
+            return Promise.resolve();
+        }
+
+        let outputElement = this._outputElement;
+
+        if (!outputElement) {
+            const element: Object = new Audio();
+
+            if (typeof element.setSinkId !== 'function') {
+                logger.warn('Choosing the output device of spatial audio is not supported');
+
+                return Promise.resolve();
+            }
+
+            const destination = context.createMediaStreamDestination();
+
+            element.srcObject = destination.stream;
+            output.disconnect(context.destination);
+            output.connect(destination);
+            this._outputDestination = destination;
+            this._outputElement = element;
+            outputElement = element;
+            this.resume();
+        }
+
+        return outputElement.setSinkId(sinkId)
+            .catch(error => logger.warn(`Failed to play spatial audio through ${sinkId}`, error));
+    }
+
+    /**
+     * Applies the panner settings to a {@code PannerNode}. The custom panning
+     * models are not native, so the node uses the native HRTF then, which the
+     * SOFA model falls back to until a dataset is loaded.
+     *
+     * @param {PannerNode} pannerNode - The panner.
+     * @private
+     * @returns {void}
+     */
+    _applyPannerSettings(pannerNode: Object) {
+        Object.keys(this._pannerSettings).forEach(key => {
+            const value = this._pannerSettings[key];
+
+            if (key === 'panningModel' && !NATIVE_PANNING_MODELS.includes(value)) {
+                pannerNode[key] = PANNING_MODELS.HRTF;
+            } else {
+                pannerNode[key] = value;
+            }
+        });
+    }
+
+    /**
+     * Applies the gain and mute state of a source to its {@code GainNode}.
+     *
+     * @param {Source} source - The source.
+     * @private
+     * @returns {void}
+     */
+    _applyGain(source: Source) {
+        const ducking = source.duck * (1 - this._attentionSettings.duckGain);
+        const gain = source.muted ? 0 : source.gain * source.receiveGain * (1 - ducking);
+
+        _setParam(source.gainNode.gain, this._isSpatialized(source) ? gain * this._dryLevel : gain);
+        _setParam(source.sendNode.gain, gain);
+    }
+
+    /**
+     * Balances the sources sent to the room reverb and the reverb with an
+     * equal-power crossfade. The crossfade applies to each of these sources,
+     * the other ones have nothing to balance and keep their level.
+     *
+     * @private
+     * @returns {void}
+     */
+    _applyReverbLevels() {
+        const { mix, preset } = this._reverbSettings;
+        const angle = preset === REVERB_PRESETS.NONE ? 0 : Math.max(0, Math.min(1, mix)) * Math.PI / 2;
+
+        this._dryLevel = Math.cos(angle);
+        this._reverb && this._reverb.setLevel(Math.sin(angle));
+
+        for (const source of this._sources.values()) {
+            this._applyGain(source);
+        }
+    }
+
+    /**
+     * Opens the destination of the context to one channel per loudspeaker
+     * while multichannel output is used and brings it back to stereo
+     * otherwise.
+     *
+     * @private
+     * @returns {void}
+     */
+    _configureDestination() {
+        const context = this._context;
+
+        if (!context) {
+            return;
+        }
+
+        const { destination } = context;
+
+        if (this._isLoudspeakerOutput()) {
+            const channels = this._loudspeakerLayout.length;
+
+            if (channels > destination.maxChannelCount) {
+                logger.warn(`The output device has ${destination.maxChannelCount} channels, ${channels} are needed`);
+            }
+
+            destination.channelCount = Math.min(channels, destination.maxChannelCount);
+            destination.channelInterpretation = 'discrete';
+        } else {
+            destination.channelCount = 2;
+            destination.channelInterpretation = 'speakers';
+        }
+
+        this._applyChannelSwap();
+        this._applyOutputDevice();
+    }
+
+    /**
+     * Connects the output of the Ambisonic renderer. Binaural output joins the
+     * dry sources, loudspeaker output the loudspeaker bus.
+     *
+     * @private
+     * @returns {void}
+     */
+    _connectAmbisonics() {
+        const ambisonics = this._ambisonics;
+
+        if (!ambisonics || !this._dryGain || !this._loudspeakerBus) {
+            return;
+        }
+
+        ambisonics.output.disconnect();
+        ambisonics.output.connect(this._ambisonicSettings.decoder === AMBISONIC_DECODERS.LOUDSPEAKERS
+            ? this._loudspeakerBus : this._dryGain);
+        this._configureDestination();
+    }
+
+    /**
+     * Rebuilds the limiters of multichannel loudspeaker output for the
+     * loudspeakers of the layout and connects the loudspeaker bus through
+     * them to the end of the master bus. A {@code DynamicsCompressorNode}
+     * handles two channels at most, so every loudspeaker gets its own.
+     *
+     * @private
+     * @returns {void}
+     */
+    _connectLoudspeakerLimiters() {
+        const context = this._context;
+        const analyser = this._analyser;
+        const bus = this._loudspeakerBus;
+
+        if (!context || !analyser || !bus) {
+            return;
+        }
+
+        const channels = this._loudspeakerLayout.length;
+        const splitter = context.createChannelSplitter(channels);
+        const merger = context.createChannelMerger(channels);
+
+        bus.disconnect();
+        this._loudspeakerLimiters.forEach(limiter => limiter.disconnect());
+        this._loudspeakerMerger && this._loudspeakerMerger.disconnect();
+        this._loudspeakerSplitter && this._loudspeakerSplitter.disconnect();
+
+        this._loudspeakerLimiters = this._loudspeakerLayout.map((_, channel) => {
+            const limiter = _createLimiter(context);
+
+            limiter.channelCount = 1;
+            limiter.channelCountMode = 'explicit';
+            splitter.connect(limiter, channel);
+            limiter.connect(merger, 0, channel);
+
+            return limiter;
+        });
+        this._loudspeakerMerger = merger;
+        this._loudspeakerSplitter = splitter;
+        bus.connect(splitter);
+        merger.connect(analyser);
+    }
+
+    /**
+     * Connects the input of a source to its gain, through the panner if
+     * spatial audio is enabled and the source is not excluded from it. Only
+     * the spatialized sources are sent to the room reverb. The sources of the
+     * Ambisonic scene are summed into its renderer instead of the master bus.
+     * The input passes through the loudness normalization first while it is
+     * enabled, and feeds the stem of the source, if it is recorded, as
+     * received.
+     *
+     * @param {Source} source - The source.
+     * @private
+     * @returns {void}
+     */
+    _connectSource(source: Source) {
+        let bus = this._dryGain;
+        let input = source.input;
+
+        if (this._loudnessSettings.enabled) {
+            source.input.connect(source.normalizer.input);
+            input = source.normalizer.output;
+        }
+
+        if (this._isSpatialized(source)) {
+            input.connect(source.sendNode);
+
+            switch (this._getCustomPanner()) {
+            case PANNING_MODELS.AMBISONICS:
+                input.connect(source.ambisonicEncoder.input);
+                source.ambisonicEncoder.output.connect(source.gainNode);
+                bus = this._ambisonics && this._ambisonics.input;
+                break;
+
+            case PANNING_MODELS.ITD_ILD:
+                input.connect(source.itdIldPanner.input);
+                source.itdIldPanner.output.connect(source.gainNode);
+                break;
+
+            case PANNING_MODELS.SOFA:
+                input.connect(source.sofaPanner.input);
+                source.sofaPanner.output.connect(source.gainNode);
+                break;
+
+            case PANNING_MODELS.VBAP:
+                input.connect(source.vbapPanner.input);
+                source.vbapPanner.output.connect(source.gainNode);
+                bus = this._loudspeakerBus;
+                break;
+
+            default:
+                input.connect(source.pannerNode);
+                source.pannerNode.connect(source.gainNode);
+            }
+        } else {
+            input.connect(source.gainNode);
+        }
+
+        source.stemDestination && source.input.connect(source.stemDestination);
+        bus && source.gainNode.connect(bus);
+    }
+
+    /**
+     * Creates the nodes of a source, not connected yet, with the settings of
+     * the scene.
+     *
+     * @param {AudioContext} context - The audio context.
+     * @param {AudioNode} input - The node which feeds the audio of the source.
+     * @private
+     * @returns {Source}
+     */
+    _createSource(context: Object, input: Object): Source {
+        const pannerNode = context.createPanner();
+
+        this._applyPannerSettings(pannerNode);
+
+        // The orientation does not matter without a cone, but keep it defined.
+        if (!_setParam(pannerNode.orientationX, 1)) {
+            pannerNode.setOrientation(1, 0, 0);
+        } else {
+            _setParam(pannerNode.orientationY, 0);
+            _setParam(pannerNode.orientationZ, 0);
+        }
+
+        const sofaPanner = new SofaPanner(context);
+
+        sofaPanner.setDataset(this._hrtfDataset);
+
+        return {
+            ambisonicEncoder: new AmbisonicEncoder(context, this._ambisonicSettings.order),
+            duck: 0,
+            focus: 0,
+            gain: 1,
+            gainNode: context.createGain(),
+            input,
+            itdIldPanner: new ItdIldPanner(context),
+            mono: false,
+            muted: false,
+            normalizer: new LoudnessNormalizer(context),
+            pannerNode,
+            receiveGain: 1,
+            sendNode: context.createGain(),
+            sofaPanner,
+            splitter: null,
+            splitterInput: null,
+            stemDestination: undefined,
+            vbapPanner: new VbapPanner(context, this._loudspeakerLayout)
+        };
+    }
+
+    /**
+     * Disconnects all the nodes of a source.
+     *
+     * @param {Source} source - The source.
+     * @private
+     * @returns {void}
+     */
+    _disconnectSource(source: Source) {
+        // Disconnecting the input prevents lingering audio.
+        source.splitterInput && source.splitterInput.disconnect(source.splitter);
+        source.splitter && source.splitter.disconnect();
+        source.input.disconnect();
+        source.pannerNode.disconnect();
+        source.ambisonicEncoder.disconnect();
+        source.itdIldPanner.disconnect();
+        source.sofaPanner.disconnect();
+        source.vbapPanner.disconnect();
+        source.normalizer.disconnect();
+        source.sendNode.disconnect();
+        source.gainNode.disconnect();
+    }
+
+    /**
+     * Reconnects a source after its routing changed.
+     *
+     * @param {Source} source - The source.
+     * @private
+     * @returns {void}
+     */
+    _reconnectSource(source: Source) {
+        source.input.disconnect();
+        source.normalizer.output.disconnect();
+        source.pannerNode.disconnect();
+        source.ambisonicEncoder.output.disconnect();
+        source.gainNode.disconnect();
+        source.itdIldPanner.output.disconnect();
+        source.sofaPanner.output.disconnect();
+        source.vbapPanner.output.disconnect();
+        this._connectSource(source);
+        this._applyGain(source);
+    }
+
+    /**
+     * Adds the screen audio a participant shares on the second channel of
+     * their audio to the scene as a source of its own, at the gain of shared
+     * media and muted along with the participant.
+     *
+     * @param {AudioContext} context - The audio context.
+     * @param {string} participantId - The ID of the participant.
+     * @param {ChannelSplitterNode} splitter - The node which takes the
+     * channels of the participant's audio apart.
+     * @private
+     * @returns {void}
+     */
+    _registerSharedMedia(context: Object, participantId: string, splitter: Object) {
+        const sharedMediaId = getSharedMediaSourceId(participantId);
+        const input = context.createGain();
+        const participant = this._sources.get(participantId);
+        const source = this._createSource(context, input);
+
+        splitter.connect(input, 1);
+        source.gain = this._sharedMediaGain;
+        source.muted = Boolean(participant && participant.muted);
+        source.stemDestination = this._stemDestinations.get(sharedMediaId);
+        this._sources.set(sharedMediaId, source);
+        this._connectSource(source);
+        this._applyGain(source);
+        this._reverb && source.sendNode.connect(this._reverb.input);
+
+        const position = this._positions.get(sharedMediaId);
+
+        position && this._applyPosition(source, position);
+    }
+
+    /**
+     * Loads the sample of the orientation test, once per URL.
+     *
+     * @param {?string} url - The URL of the sample, if any.
+     * @private
+     * @returns {Promise<?AudioBuffer>} Resolved with null when there is no
+     * sample or it could not be loaded.
+     */
+    _loadTestSample(url: ?string) {
+        const context = this._context;
+
+        if (!url || !context) {
+            return Promise.resolve(null);
+        }
+
+        let sample = this._testSamples.get(url);
+
+        if (!sample) {
+            sample = fetch(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`${response.status} ${response.statusText}`);
+                    }
+
+                    return response.arrayBuffer();
+                })
+                .then(data => context.decodeAudioData(data))
+                .catch(error => {
+                    logger.warn(`Failed to load the orientation test sample ${url}`, error);
+
+                    return null;
+                });
+            this._testSamples.set(url, sample);
+        }
+
+        return sample;
+    }
+
+    /**
+     * Starts stepping the transitions of the attention mode, unless they are
+     * running already.
+     *
+     * @private
+     * @returns {void}
+     */
+    _startAttentionTransition() {
+        if (this._attentionTimer || !this._context) {
+            return;
+        }
+
+        this._attentionTime = window.performance.now();
+        this._attentionTimer = setInterval(this._stepAttention, ATTENTION_UPDATE_INTERVAL);
+    }
+
+    _stepAttention: () => void;
+
+    /**
+     * Moves every participant one step toward where the attention mode wants
+     * them: the dominant speaker focused, the others ducked. Stops once they
+     * all got there.
+     *
+     * @private
+     * @returns {void}
+     */
+    _stepAttention() {
+        const now = window.performance.now();
+        const elapsed = (now - this._attentionTime) / 1000;
+        const speakerId = this._attentionSpeakerId;
+        let settled = true;
+
+        this._attentionTime = now;
+
+        for (const [ participantId, source ] of this._sources) {
+            const speaking = participantId === speakerId;
+            const focusTarget = speaking ? 1 : 0;
+            const duckTarget = speakerId && !speaking ? 1 : 0;
+            const focus = _stepToward(source.focus, focusTarget, elapsed, this._attentionSettings);
+            const duck = _stepToward(source.duck, duckTarget, elapsed, this._attentionSettings);
+
+            if (focus !== source.focus) {
+                const position = this._positions.get(participantId);
+
+                source.focus = focus;
+                position && this._applyPosition(source, position);
+            }
+
+            if (duck !== source.duck) {
+                source.duck = duck;
+                this._applyGain(source);
+            }
+
+            settled = settled && focus === focusTarget && duck === duckTarget;
+        }
+
+        if (settled) {
+            clearInterval(this._attentionTimer);
+            this._attentionTimer = null;
+        }
+    }
+
+    /**
+     * Starts stepping loudness normalization, unless it is running already.
+     *
+     * @private
+     * @returns {void}
+     */
+    _startLoudnessTimer() {
+        if (this._loudnessTimer || !this._context) {
+            return;
+        }
+
+        this._loudnessTime = window.performance.now();
+        this._loudnessTimer = setInterval(this._stepLoudness, LOUDNESS_UPDATE_INTERVAL);
+    }
+
+    _stepLoudness: () => void;
+
+    /**
+     * Measures every participant and moves their normalization gains one
+     * step toward the target loudness.
+     *
+     * @private
+     * @returns {void}
+     */
+    _stepLoudness() {
+        const now = window.performance.now();
+        const elapsed = (now - this._loudnessTime) / 1000;
+
+        this._loudnessTime = now;
+
+        for (const source of this._sources.values()) {
+            source.normalizer.step(elapsed, this._loudnessSettings);
+        }
+    }
+
+    /**
+     * Returns the settings the Ambisonic renderer is configured with.
+     *
+     * @private
+     * @returns {Object}
+     */
+    _getAmbisonicConfiguration() {
+        return {
+            ...this._ambisonicSettings,
+            layout: this._loudspeakerLayout
+        };
+    }
+
+    /**
+     * Returns the custom panning model the sources are rendered with, if any.
+     * The SOFA model needs a loaded dataset.
+     *
+     * @private
+     * @returns {string|undefined} One of {@code PANNING_MODELS}.
+     */
+    _getCustomPanner() {
+        const { panningModel } = this._pannerSettings;
+
+        if (panningModel === PANNING_MODELS.AMBISONICS
+                || panningModel === PANNING_MODELS.ITD_ILD
+                || panningModel === PANNING_MODELS.VBAP
+                || (panningModel === PANNING_MODELS.SOFA && this._hrtfDataset)) {
+            return panningModel;
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Whether a source is routed through its panner, and sent to the room
+     * reverb, rather than heard in mono.
+     *
+     * @param {Source} source - The source.
+     * @private
+     * @returns {boolean}
+     */
+    _isSpatialized(source: Source) {
+        return this._spatialEnabled && !source.mono;
+    }
+
+    /**
+     * Whether the sources are rendered to the loudspeakers of a multichannel
+     * output rather than to stereo.
+     *
+     * @private
+     * @returns {boolean}
+     */
+    _isLoudspeakerOutput() {
+        const { panningModel } = this._pannerSettings;
+
+        return panningModel === PANNING_MODELS.VBAP
+            || (panningModel === PANNING_MODELS.AMBISONICS
+                && this._ambisonicSettings.decoder === AMBISONIC_DECODERS.LOUDSPEAKERS);
+    }
+}
+
+/**
+ * Global singleton of {@code SpatialAudioEngine}.
+ */
+export const spatialAudioEngine = new SpatialAudioEngine();
@@ -0,0 +1,180 @@
+// @flow
+
+import { getDistanceGain } from '../functions';
+
+/**
+ * Finds the pair of adjacent loudspeakers which encloses a direction and the
+ * gains which pan a source between them. Adjacent loudspeakers more than 180
+ * degrees apart leave a gap rather than make a pair.
+ *
+ * @param {number} azimuth - The direction, in radians to the right of where
+ * the listener faces.
+ * @param {Array<Object>} speakers - The loudspeakers, sorted by angle.
+ * @private
+ * @returns {?Object} The pair and the gains of its loudspeakers, not
+ * normalized, or undefined if no pair encloses the direction.
+ */
+function _getEnclosingPair(azimuth: number, speakers: Array<Object>) {
+    const x = Math.sin(azimuth);
+    const y = Math.cos(azimuth);
+
+    for (let i = 0; i < speakers.length; i++) {
+        const first = speakers[i];
+        const second = speakers[(i + 1) % speakers.length];
+        const span = ((second.angle - first.angle) + (2 * Math.PI)) % (2 * Math.PI);
+        const x1 = Math.sin(first.angle);
+        const y1 = Math.cos(first.angle);
+        const x2 = Math.sin(second.angle);
+        const y2 = Math.cos(second.angle);
+        const determinant = (x1 * y2) - (y1 * x2);
+
+        if (span <= Math.PI && Math.abs(determinant) > 1e-6) {
+            const g1 = ((x * y2) - (y * x2)) / determinant;
+            const g2 = ((y * x1) - (x * y1)) / determinant;
+
+            if (g1 > -1e-6 && g2 > -1e-6) {
+                return {
+                    first,
+                    g1: Math.max(0, g1),
+                    g2: Math.max(0, g2),
+                    second
+                };
+            }
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Computes the gains of vector-base amplitude panning (VBAP) over a
+ * horizontal ring of loudspeakers. The source is panned between the pair of
+ * adjacent loudspeakers which encloses it. When the loudspeakers do not
+ * surround the listener, a source outside of them is mirrored from the back
+ * to the front and, if still outside, played by the closest loudspeaker.
+ *
+ * @param {number} azimuth - The angle of the source, in radians, to the right
+ * of where the listener faces.
+ * @param {Array<?number>} layout - The azimuths of the loudspeakers, in
+ * degrees to the right, in the order of the output channels. Null stands for a
+ * channel without direction, like LFE.
+ * @returns {Array<number>} The gain of every channel, with a constant power.
+ */
+export function getVbapGains(azimuth: number, layout: Array<?number>): Array<number> {
+    const gains = layout.map(() => 0);
+    const speakers = layout
+        .map((speakerAzimuth, channel) => {
+            return {
+                angle: typeof speakerAzimuth === 'number' ? speakerAzimuth * Math.PI / 180 : NaN,
+                channel
+            };
+        })
+        .filter(({ angle }) => !isNaN(angle))
+        .sort((a, b) => a.angle - b.angle);
+
+    if (speakers.length < 2) {
+        speakers.length && (gains[speakers[0].channel] = 1);
+
+        return gains;
+    }
+
+    const pair = _getEnclosingPair(azimuth, speakers) || _getEnclosingPair(Math.PI - azimuth, speakers);
+
+    if (pair) {
+        const norm = Math.sqrt((pair.g1 * pair.g1) + (pair.g2 * pair.g2)) || 1;
+
+        gains[pair.first.channel] = pair.g1 / norm;
+        gains[pair.second.channel] = pair.g2 / norm;
+    } else {
+        const distance = ({ angle }) => Math.abs(Math.atan2(Math.sin(angle - azimuth), Math.cos(angle - azimuth)));
+        const closest = speakers.reduce((best, speaker) => (distance(speaker) < distance(best) ? speaker : best));
+
+        gains[closest.channel] = 1;
+    }
+
+    return gains;
+}
+
+/**
+ * A panner which places a source between the loudspeakers of a multichannel
+ * output with vector-base amplitude panning. It takes a mono input and
+ * produces one channel per loudspeaker.
+ */
+export default class VbapPanner {
+    /**
+     * The {@code GainNode} which applies the distance attenuation and downmixes
+     * the source to mono.
+     */
+    input: Object;
+
+    /**
+     * The azimuths of the loudspeakers the panner feeds.
+     */
+    layout: Array<?number>;
+
+    /**
+     * The {@code ChannelMergerNode} which outputs the loudspeaker channels.
+     */
+    output: Object;
+
+    /**
+     * The {@code GainNode}s which feed each loudspeaker.
+     *
+     * @private
+     */
+    _gains: Array<Object>;
+
+    /**
+     * Builds the graph of the panner in a specific {@code AudioContext}.
+     *
+     * @param {AudioContext} context - The audio context.
+     * @param {Array<?number>} layout - The azimuths of the loudspeakers, in
+     * degrees to the right, in the order of the output channels.
+     */
+    constructor(context: Object, layout: Array<?number>) {
+        this.layout = layout;
+        this.input = context.createGain();
+        this.input.channelCount = 1;
+        this.input.channelCountMode = 'explicit';
+        this.input.channelInterpretation = 'speakers';
+        this.output = context.createChannelMerger(layout.length);
+
+        this._gains = layout.map((_, channel) => {
+            const gain = context.createGain();
+
+            gain.gain.value = 0;
+            this.input.connect(gain);
+            gain.connect(this.output, 0, channel);
+
+            return gain;
+        });
+    }
+
+    /**
+     * Tears down the graph of the panner.
+     *
+     * @returns {void}
+     */
+    disconnect() {
+        this.input.disconnect();
+        this._gains.forEach(gain => gain.disconnect());
+        this.output.disconnect();
+    }
+
+    /**
+     * Renders a source in a specific direction and at a specific distance.
+     *
+     * @param {number} azimuth - The angle of the source, in radians, to the
+     * right of where the listener faces.
+     * @param {number} distance - The distance between the source and the
+     * listener.
+     * @param {Object} settings - The panner settings, for the distance model.
+     * @returns {void}
+     */
+    setPosition(azimuth: number, distance: number, settings: Object) {
+        this.input.gain.value = getDistanceGain(distance, settings);
+        getVbapGains(azimuth, this.layout).forEach((value, channel) => {
+            this._gains[channel].gain.value = value;
+        });
+    }
+}
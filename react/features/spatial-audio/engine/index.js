@@ -0,0 +1,2 @@
+export { default as HrtfDataset } from './HrtfDataset';
+export * from './SpatialAudioEngine';
@@ -0,0 +1,1059 @@
+// @flow
+
+import { getLocalParticipant, getParticipants } from '../base/participants';
+import { toState } from '../base/redux';
+import { shouldDisplayRoomView } from '../video-layout/functions';
+
+import {
+    AMBISONIC_DECODERS,
+    AMBISONIC_MAX_ORDER,
+    AMBISONIC_SETTINGS,
+    ATTENTION_SETTINGS,
+    BINAURAL_PANNING_MODELS,
+    CONFIGURABLE_PANNER_SETTINGS,
+    DEFAULT_LISTENER,
+    DISTANCE_MODELS,
+    HEADPHONE_LABEL_PATTERN,
+    LOUDNESS_SETTINGS,
+    LOUDSPEAKER_LAYOUTS,
+    ORIENTATION_TEST_SETTINGS,
+    OUTPUT_DEVICE_SETTINGS,
+    OUTPUT_DEVICE_TYPES,
+    PANNER_SETTINGS,
+    PANNING_MODELS,
+    PROXIMITY_SETTINGS,
+    REVERB_SETTINGS,
+    ROOM_SEAT_DISTANCE,
+    SEAT_SPACING,
+    SEAT_STRATEGIES,
+    SHARED_MEDIA_DISTANCE,
+    SHARED_MEDIA_SOURCE_SUFFIX,
+    SPEAKER_LABEL_PATTERN
+} from './constants';
+
+/**
+ * Allocates a seat to every remote participant. Participants who already have
+ * a seat keep it, newcomers take the lowest free seats so that the gaps left
+ * by the participants who left get filled. The alphabetical strategy is the
+ * exception: it reseats everybody by display name.
+ *
+ * @param {Object} seats - The current seats, keyed by participant ID.
+ * @param {Array<Object>} participants - The remote participants, in join
+ * order.
+ * @param {string} strategy - One of {@code SEAT_STRATEGIES}.
+ * @param {Array<string>} order - The order defined by a moderator, used by the
+ * moderator strategy.
+ * @returns {Object} The new seats, keyed by participant ID.
+ */
+export function allocateSeats(
+        seats: Object,
+        participants: Array<Object>,
+        strategy: string,
+        order: Array<string> = []) {
+    const newSeats = {};
+    const taken = new Set();
+    const seat = id => {
+        let index = 0;
+
+        while (taken.has(index)) {
+            index++;
+        }
+
+        newSeats[id] = index;
+        taken.add(index);
+    };
+
+    switch (strategy) {
+    case SEAT_STRATEGIES.ALPHABETICAL:
+        [ ...participants ]
+            .sort((a, b) => (a.name || '').localeCompare(b.name || '') || a.id.localeCompare(b.id))
+            .forEach(({ id }) => seat(id));
+
+        return newSeats;
+
+    case SEAT_STRATEGIES.MODERATOR: {
+        const ids = participants.map(({ id }) => id);
+
+        order.forEach((id, index) => {
+            if (ids.includes(id)) {
+                newSeats[id] = index;
+                taken.add(index);
+            }
+        });
+        break;
+    }
+
+    default:
+        participants.forEach(({ id }) => {
+            if (typeof seats[id] === 'number') {
+                newSeats[id] = seats[id];
+                taken.add(seats[id]);
+            }
+        });
+        break;
+    }
+
+    participants.forEach(({ id }) => {
+        if (typeof newSeats[id] !== 'number') {
+            seat(id);
+        }
+    });
+
+    return newSeats;
+}
+
+/**
+ * Returns the settings of the Ambisonic renderer: the defaults, overridden by
+ * the ones from config.js, overridden by the ones chosen at runtime. The order
+ * is brought within the supported range.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Object}
+ */
+export function getAmbisonicSettings(stateful: Object | Function) {
+    const state = toState(stateful);
+    const { spatialAudio = {} } = state['features/base/config'];
+    const settings = {
+        ...AMBISONIC_SETTINGS,
+        ...spatialAudio.ambisonics,
+        ...state['features/spatial-audio'].ambisonicSettings
+    };
+
+    return {
+        ...settings,
+        order: Math.max(1, Math.min(AMBISONIC_MAX_ORDER, Math.round(Number(settings.order) || 1)))
+    };
+}
+
+/**
+ * Returns the settings of the attention mode: the defaults, overridden by the
+ * ones from config.js, overridden by the ones chosen at runtime.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Object}
+ */
+export function getAttentionSettings(stateful: Object | Function) {
+    const state = toState(stateful);
+    const { spatialAudio = {} } = state['features/base/config'];
+
+    return {
+        ...ATTENTION_SETTINGS,
+        ...spatialAudio.attention,
+        ...state['features/spatial-audio'].attentionSettings
+    };
+}
+
+/**
+ * Returns the ID of the dominant speaker if it is a remote participant, the
+ * one the attention mode brings forward.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {string|undefined}
+ */
+export function getRemoteDominantSpeakerId(stateful: Object | Function) {
+    const speaker = getParticipants(stateful).find(p => p.dominantSpeaker && !p.local);
+
+    return speaker && speaker.id;
+}
+
+/**
+ * Returns the settings of loudness normalization: the defaults, overridden by
+ * the ones from config.js, overridden by the ones chosen at runtime.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Object}
+ */
+export function getLoudnessSettings(stateful: Object | Function) {
+    const state = toState(stateful);
+    const { spatialAudio = {} } = state['features/base/config'];
+
+    return {
+        ...LOUDNESS_SETTINGS,
+        ...spatialAudio.loudness,
+        ...state['features/spatial-audio'].loudnessSettings
+    };
+}
+
+/**
+ * Returns the azimuths, in degrees to the right, of the loudspeakers fed by
+ * multichannel output, in the order of the output channels. The layout is
+ * either the name of a standard layout or the azimuths themselves. The layout
+ * of the Ambisonic renderer in config.js, which came before the layout shared
+ * with VBAP, still applies when the latter is not set.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Array<?number>}
+ */
+export function getLoudspeakerLayout(stateful: Object | Function): Array<?number> {
+    const { spatialAudio = {} } = toState(stateful)['features/base/config'];
+    const { ambisonics = {}, loudspeakerLayout = ambisonics.layout } = spatialAudio;
+
+    if (Array.isArray(loudspeakerLayout) && loudspeakerLayout.length) {
+        return loudspeakerLayout.map(azimuth => (typeof azimuth === 'number' ? azimuth : null));
+    }
+
+    return LOUDSPEAKER_LAYOUTS[loudspeakerLayout] || LOUDSPEAKER_LAYOUTS.stereo;
+}
+
+/**
+ * Returns the {@code AudioContext} shared by all spatialized audio graphs.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {?AudioContext}
+ */
+export function getAudioContext(stateful: Object | Function) {
+    return toState(stateful)['features/spatial-audio'].context;
+}
+
+/**
+ * Groups the participants standing in the virtual room, the local one
+ * included, into conversations: two participants are in the same
+ * conversation if they stand within the radius of the proximity settings of
+ * each other, directly or through others.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Array<Array<string>>} The IDs of the participants of each
+ * conversation.
+ */
+export function getConversationClusters(stateful: Object | Function) {
+    const state = toState(stateful);
+    const { radius } = getProximitySettings(state);
+    const localParticipant = getLocalParticipant(state);
+    const spots = { ...getRoomPositions(state) };
+
+    if (localParticipant) {
+        spots[localParticipant.id] = getLocalRoomPosition(state);
+    }
+
+    const ids = Object.keys(spots);
+    const clustered = new Set();
+    const clusters = [];
+
+    ids.forEach(id => {
+        if (clustered.has(id)) {
+            return;
+        }
+
+        const cluster = [ id ];
+
+        clustered.add(id);
+
+        // The cluster grows while it is walked, until nobody else is near.
+        for (let i = 0; i < cluster.length; i++) {
+            const { x, z } = spots[cluster[i]];
+
+            ids.forEach(other => {
+                if (!clustered.has(other) && Math.hypot(spots[other].x - x, spots[other].z - z) <= radius) {
+                    clustered.add(other);
+                    cluster.push(other);
+                }
+            });
+        }
+
+        clusters.push(cluster);
+    });
+
+    return clusters;
+}
+
+/**
+ * Computes the direction on the horizontal plane a listener with a specific
+ * heading faces.
+ *
+ * @param {number} heading - The angle, in degrees, clockwise from the
+ * negative Z axis.
+ * @returns {{
+ *     x: number,
+ *     y: number,
+ *     z: number
+ * }}
+ */
+export function getForwardVector(heading: number) {
+    const headingRad = heading * Math.PI / 180;
+
+    return {
+        x: Math.sin(headingRad),
+        y: 0,
+        z: -Math.cos(headingRad)
+    };
+}
+
+/**
+ * Returns the spot of the local listener on the horizontal plane and the
+ * direction they face, whichever layout is displayed.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {{
+ *     heading: number,
+ *     x: number,
+ *     z: number
+ * }}
+ */
+export function getListenerPose(stateful: Object | Function) {
+    const { forward, position } = getSpatialListener(stateful);
+
+    return {
+        heading: normalizeHeading(Math.atan2(forward.x, -forward.z) * 180 / Math.PI),
+        x: position.x,
+        z: position.z
+    };
+}
+
+/**
+ * Returns the spot and the heading of the local participant in the virtual
+ * room. The local participant stands in the middle of the room, facing
+ * forward, until moved.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {{
+ *     heading: number,
+ *     x: number,
+ *     z: number
+ * }}
+ */
+export function getLocalRoomPosition(stateful: Object | Function) {
+    const state = toState(stateful);
+    const localParticipant = getLocalParticipant(state);
+    const { position } = DEFAULT_LISTENER;
+
+    return {
+        heading: 0,
+        x: position.x,
+        z: position.z,
+        ...localParticipant && state['features/spatial-audio'].roomPositions[localParticipant.id]
+    };
+}
+
+/**
+ * Returns the pose of the local listener in the spatial audio scene. In room
+ * view the listener stands where the local participant stands in the room.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Object}
+ */
+export function getSpatialListener(stateful: Object | Function) {
+    const state = toState(stateful);
+
+    if (shouldDisplayRoomView(state)) {
+        const { heading, x, z } = getLocalRoomPosition(state);
+
+        return {
+            forward: getForwardVector(heading),
+            position: {
+                x,
+                y: DEFAULT_LISTENER.position.y,
+                z
+            },
+            up: DEFAULT_LISTENER.up
+        };
+    }
+
+    return state['features/spatial-audio'].listener;
+}
+
+/**
+ * Computes the position of a source in a specific direction from the default
+ * listener pose.
+ *
+ * @param {number} azimuth - The angle, in degrees, to the right of straight
+ * ahead.
+ * @param {number} elevation - The angle, in degrees, above the horizon.
+ * @param {number} distance - The distance from the listener.
+ * @returns {{
+ *     x: number,
+ *     y: number,
+ *     z: number
+ * }}
+ */
+export function getDirectionalPosition(azimuth: number, elevation: number, distance: number = 1) {
+    const { position } = DEFAULT_LISTENER;
+    const azimuthRad = azimuth * Math.PI / 180;
+    const elevationRad = elevation * Math.PI / 180;
+
+    return {
+        x: position.x + (distance * Math.sin(azimuthRad) * Math.cos(elevationRad)),
+        y: position.y + (distance * Math.sin(elevationRad)),
+        z: position.z - (distance * Math.cos(azimuthRad) * Math.cos(elevationRad))
+    };
+}
+
+/**
+ * Computes the attenuation of a source at a specific distance the same way a
+ * {@code PannerNode} does.
+ *
+ * @param {number} distance - The distance between the source and the
+ * listener.
+ * @param {Object} settings - The panner settings.
+ * @returns {number}
+ */
+export function getDistanceGain(
+        distance: number,
+        { distanceModel, maxDistance, refDistance, rolloffFactor }: Object) {
+    switch (distanceModel) {
+    case DISTANCE_MODELS.LINEAR: {
+        const clamped = Math.max(Math.min(distance, maxDistance), refDistance);
+
+        return maxDistance === refDistance
+            ? 1 : 1 - (rolloffFactor * (clamped - refDistance) / (maxDistance - refDistance));
+    }
+
+    case DISTANCE_MODELS.EXPONENTIAL:
+        return Math.pow(Math.max(distance, refDistance) / refDistance, -rolloffFactor);
+
+    default:
+        return refDistance / (refDistance + (rolloffFactor * (Math.max(distance, refDistance) - refDistance)));
+    }
+}
+
+/**
+ * Returns the spots and headings of the remote participants in the virtual
+ * room, keyed by participant ID. Participants who have not been dragged yet
+ * stand in an arc in front of the listener, in the order of their seats.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Object}
+ */
+export function getRoomPositions(stateful: Object | Function) {
+    const { roomPositions, seats } = toState(stateful)['features/spatial-audio'];
+    const positions = {};
+
+    Object.keys(seats).forEach(id => {
+        const { x, z } = getDirectionalPosition(90 * _getSeatPan(seats[id]), 0, ROOM_SEAT_DISTANCE);
+
+        positions[id] = {
+            heading: 0,
+            x,
+            z,
+            ...roomPositions[id]
+        };
+    });
+
+    return positions;
+}
+
+/**
+ * Returns the settings of the orientation test: the defaults, overridden by
+ * the ones from config.js.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Object}
+ */
+export function getOrientationTestSettings(stateful: Object | Function) {
+    const { spatialAudio = {} } = toState(stateful)['features/base/config'];
+
+    return {
+        ...ORIENTATION_TEST_SETTINGS,
+        ...spatialAudio.orientationTest
+    };
+}
+
+/**
+ * Returns the audio output device the local user listens on and whether it
+ * is worn on the head: as confirmed by the local user or else as guessed from
+ * its label. Browsers which cannot select the output device do not list it
+ * either, the microphone of a headset gives it away then.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {{
+ *     confirmed: boolean,
+ *     label: string,
+ *     type: string
+ * }}
+ */
+export function getOutputDevice(stateful: Object | Function) {
+    const state = toState(stateful);
+    const { audioOutputDeviceId = 'default', micDeviceId = 'default' } = state['features/base/settings'];
+    const { audioInput, audioOutput } = state['features/base/devices'].availableDevices;
+    const device = audioOutput.find(({ deviceId }) => deviceId === audioOutputDeviceId)
+        || audioOutput.find(({ deviceId }) => deviceId === 'default')
+        || audioInput.find(({ deviceId }) => deviceId === micDeviceId)
+        || audioInput.find(({ deviceId }) => deviceId === 'default');
+    const label = device ? device.label : '';
+    const confirmedType = label && state['features/spatial-audio'].outputDeviceTypes[label];
+
+    return {
+        confirmed: Boolean(confirmedType),
+        label,
+        type: confirmedType || guessOutputDeviceType(label)
+    };
+}
+
+/**
+ * Returns the reaction to the audio output device: the defaults, overridden
+ * by the ones from config.js.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Object}
+ */
+export function getOutputDeviceSettings(stateful: Object | Function) {
+    const { spatialAudio = {} } = toState(stateful)['features/base/config'];
+
+    return {
+        ...OUTPUT_DEVICE_SETTINGS,
+        ...spatialAudio.outputDevice
+    };
+}
+
+/**
+ * Returns the settings applied to the panners: the defaults, overridden by
+ * the ones from config.js, overridden by the ones chosen at runtime,
+ * overridden by the ones of the current spatial audio condition, if any.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @param {boolean} withCondition - Whether the current spatial audio condition
+ * applies, or only the preferences of the local user.
+ * @returns {Object}
+ */
+export function getPannerSettings(stateful: Object | Function, withCondition: boolean = true) {
+    const state = toState(stateful);
+    const { spatialAudio = {} } = state['features/base/config'];
+    const { condition, pannerSettings } = state['features/spatial-audio'];
+    const settings = { ...PANNER_SETTINGS };
+
+    CONFIGURABLE_PANNER_SETTINGS.forEach(key => {
+        if (typeof spatialAudio[key] !== 'undefined') {
+            settings[key] = spatialAudio[key];
+        }
+    });
+
+    return {
+        ...settings,
+        ...pannerSettings,
+        ...withCondition && condition && condition.pannerSettings
+    };
+}
+
+/**
+ * Returns the conversation clusters and the levels of murmurs and whispers:
+ * the defaults, overridden by the ones from config.js, overridden by the ones
+ * chosen at runtime.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Object}
+ */
+export function getProximitySettings(stateful: Object | Function) {
+    const state = toState(stateful);
+    const { spatialAudio = {} } = state['features/base/config'];
+
+    return {
+        ...PROXIMITY_SETTINGS,
+        ...spatialAudio.proximity,
+        ...state['features/spatial-audio'].proximitySettings
+    };
+}
+
+/**
+ * Returns the gains at which the local user receives the remote
+ * participants, keyed by participant ID. A participant who whispers is heard
+ * at full level by the neighbour they whisper to only. In the virtual room,
+ * with conversation clusters enabled, the participants outside the local
+ * user's conversation are reduced to a murmur.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Object}
+ */
+export function getReceiveGains(stateful: Object | Function) {
+    const state = toState(stateful);
+    const { clusters, murmurGain, whisperGain } = getProximitySettings(state);
+    const { whispers } = state['features/spatial-audio'];
+    const localParticipant = getLocalParticipant(state);
+    const localId = localParticipant && localParticipant.id;
+    const conversation = clusters && localId && shouldDisplayRoomView(state)
+        ? getConversationClusters(state).find(cluster => cluster.includes(localId))
+        : undefined;
+    const gains = {};
+
+    getParticipants(state).filter(p => !p.local)
+        .forEach(({ id }) => {
+            if (whispers[id]) {
+                gains[id] = whispers[id] === localId ? 1 : whisperGain;
+            } else {
+                gains[id] = conversation && !conversation.includes(id) ? murmurGain : 1;
+            }
+        });
+
+    return gains;
+}
+
+/**
+ * Returns the acoustics of the virtual room: the defaults, overridden by the
+ * ones from config.js, overridden by the ones chosen at runtime.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Object}
+ */
+export function getReverbSettings(stateful: Object | Function) {
+    const state = toState(stateful);
+    const { spatialAudio = {} } = state['features/base/config'];
+
+    return {
+        ...REVERB_SETTINGS,
+        ...spatialAudio.reverb,
+        ...state['features/spatial-audio'].reverbSettings
+    };
+}
+
+/**
+ * Returns the IDs of the participants the local user chose to hear in mono.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Array<string>}
+ */
+export function getMonoParticipants(stateful: Object | Function): Array<string> {
+    const { overrides } = toState(stateful)['features/spatial-audio'];
+
+    return Object.keys(overrides).filter(id => overrides[id].mono);
+}
+
+/**
+ * Returns the IDs of the remote participants who share their screen audio on
+ * a channel of its own, which the scene places apart from their voice.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Array<string>}
+ */
+export function getSharedMediaParticipants(stateful: Object | Function): Array<string> {
+    return getParticipants(stateful)
+        .filter(p => !p.local && p.spatialSharedMedia)
+        .map(({ id }) => id);
+}
+
+/**
+ * Returns true if the local participant sends their screen audio on a channel
+ * of its own, next to their voice, which takes stereo audio.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {boolean}
+ */
+export function canSeparateScreenAudio(stateful: Object | Function) {
+    const { audioQuality, spatialAudio = {} } = toState(stateful)['features/base/config'];
+
+    return Boolean(audioQuality && audioQuality.stereo) && spatialAudio.separateScreenAudio !== false;
+}
+
+/**
+ * Returns the ID under which the screen audio of a participant is a source of
+ * its own in the scene.
+ *
+ * @param {string} participantId - The ID of the participant who shares it.
+ * @returns {string}
+ */
+export function getSharedMediaSourceId(participantId: string) {
+    return `${participantId}${SHARED_MEDIA_SOURCE_SUFFIX}`;
+}
+
+/**
+ * Returns the way the local user chose to hear a specific participant.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @param {string} participantId - The ID of the participant.
+ * @returns {Object}
+ */
+export function getSpatialOverride(stateful: Object | Function, participantId: string) {
+    return toState(stateful)['features/spatial-audio'].overrides[participantId] || {};
+}
+
+/**
+ * Returns the positions of the remote participants in the scene, keyed by
+ * participant ID. In room view the participants stand where they have been
+ * dragged to; otherwise positions derived from the tiles in tile view take
+ * precedence over the ones derived from the seats. The overrides chosen by
+ * the local user come last. Shared screen audio plays from the tile of its
+ * sharer in tile view, which shows the screen, and from the stage otherwise.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Object}
+ */
+export function getSourcePositions(stateful: Object | Function) {
+    const state = toState(stateful);
+    const { overrides, seats, tilePositions } = state['features/spatial-audio'];
+    let positions = {};
+
+    if (shouldDisplayRoomView(state)) {
+        const roomPositions = getRoomPositions(state);
+
+        Object.keys(roomPositions).forEach(id => {
+            positions[id] = {
+                x: roomPositions[id].x,
+                y: DEFAULT_LISTENER.position.y,
+                z: roomPositions[id].z
+            };
+        });
+    } else {
+        positions = {
+            ...getSeatPositions(seats),
+            ...tilePositions
+        };
+    }
+
+    const listener = getSpatialListener(state);
+    const { heading } = getListenerPose(state);
+
+    Object.keys(positions).forEach(id => {
+        if (overrides[id]) {
+            positions[id] = _applyOverride(positions[id], overrides[id], listener.position, heading);
+        }
+    });
+
+    getSharedMediaParticipants(state).forEach(id => {
+        positions[getSharedMediaSourceId(id)] = (tilePositions && tilePositions[id])
+            || getDirectionalPosition(0, 0, SHARED_MEDIA_DISTANCE);
+    });
+
+    return positions;
+}
+
+/**
+ * Returns the distance between the local listener and a remote participant in
+ * the scene, overrides included.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @param {string} participantId - The ID of the participant.
+ * @returns {number|undefined} The distance, undefined if the participant has
+ * no position in the scene.
+ */
+export function getSourceDistance(stateful: Object | Function, participantId: string) {
+    const state = toState(stateful);
+    const position = getSourcePositions(state)[participantId];
+
+    if (!position) {
+        return undefined;
+    }
+
+    const listener = getSpatialListener(state).position;
+    const dx = position.x - listener.x;
+    const dy = position.y - listener.y;
+    const dz = position.z - listener.z;
+
+    return Math.sqrt((dx * dx) + (dy * dy) + (dz * dz));
+}
+
+/**
+ * Returns the positions of the remote participants in the scene, derived from
+ * their seats, keyed by participant ID.
+ *
+ * @param {Object} seats - The seats, keyed by participant ID.
+ * @returns {Object}
+ */
+export function getSeatPositions(seats: Object) {
+    const positions = {};
+
+    Object.keys(seats).forEach(id => {
+        positions[id] = getSemicirclePosition(seats[id]);
+    });
+
+    return positions;
+}
+
+/**
+ * Returns the seats allocated to the remote participants, keyed by participant
+ * ID.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Object}
+ */
+export function getSeats(stateful: Object | Function) {
+    return toState(stateful)['features/spatial-audio'].seats;
+}
+
+/**
+ * Returns the strategy by which remote participants are seated: the one chosen
+ * at runtime or, failing that, the one from config.js.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {string}
+ */
+export function getSeatStrategy(stateful: Object | Function) {
+    const state = toState(stateful);
+    const { spatialAudio = {} } = state['features/base/config'];
+
+    return state['features/spatial-audio'].seatStrategy || spatialAudio.seatStrategy || SEAT_STRATEGIES.JOIN_ORDER;
+}
+
+/**
+ * Computes the position of the source in a specific seat of the semicircle in
+ * front of the listener.
+ *
+ * @param {number} index - The index of the seat.
+ * @returns {{
+ *     x: number,
+ *     y: number,
+ *     z: number
+ * }}
+ */
+export function getSemicirclePosition(index: number) {
+    const pan = _getSeatPan(index);
+
+    return {
+        x: Math.sin(Math.PI * (pan / 2)),
+        y: Math.cos(Math.PI * (pan / 2)),
+        z: 0
+    };
+}
+
+/**
+ * Returns the gain at which the local user hears the media shared by other
+ * participants, shared videos and screen audio, from 0 to 1.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {number}
+ */
+export function getSharedMediaGain(stateful: Object | Function) {
+    const { sharedMediaGain } = toState(stateful)['features/spatial-audio'];
+
+    return Number.isFinite(sharedMediaGain) ? Math.min(Math.max(sharedMediaGain, 0), 1) : 1;
+}
+
+/**
+ * Returns true if a virtual room shared by a participant is more recent than
+ * the local one. Scenes with the same version are ordered by the IDs of their
+ * authors so that all participants settle on the same scene.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @param {number} version - The version of the shared scene.
+ * @param {string} author - The ID of the participant who edited the shared
+ * scene last.
+ * @returns {boolean}
+ */
+export function isNewerRoomScene(stateful: Object | Function, version: number, author: string) {
+    const state = toState(stateful);
+    const { roomAuthor, roomVersion } = state['features/spatial-audio'];
+
+    if (version !== roomVersion) {
+        return version > roomVersion;
+    }
+
+    const localAuthor = roomAuthor || getLocalParticipant(state)?.id || '';
+
+    return author > localAuthor;
+}
+
+/**
+ * Returns true if notification sounds should be played from where the
+ * participants they are about sit: the choice made at runtime or, failing
+ * that, the one from config.js, on by default.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {boolean}
+ */
+export function areSpatialSoundsEnabled(stateful: Object | Function) {
+    const state = toState(stateful);
+    const { soundsEnabled } = state['features/spatial-audio'];
+    const { spatialAudio = {} } = state['features/base/config'];
+
+    return typeof soundsEnabled === 'boolean' ? soundsEnabled : spatialAudio.spatializeSounds !== false;
+}
+
+/**
+ * Returns whether spatial audio settings are imposed for a while, e.g. by a
+ * condition of a listening study, during which they must not change on their
+ * own.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {boolean}
+ */
+export function hasSpatialAudioCondition(stateful: Object | Function) {
+    return Boolean(toState(stateful)['features/spatial-audio'].condition);
+}
+
+/**
+ * Returns true if remote participants' audio should be spatialized. The
+ * current spatial audio condition, if any, decides instead of the preference
+ * of the local user.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {boolean}
+ */
+export function isSpatialAudioEnabled(stateful: Object | Function) {
+    const { condition, enabled } = toState(stateful)['features/spatial-audio'];
+
+    return Boolean(condition ? condition.enabled : enabled);
+}
+
+/**
+ * Guesses from the label of an audio device whether it is worn on the head
+ * or plays into the room.
+ *
+ * @param {string} label - The label of the device.
+ * @returns {string} One of {@code OUTPUT_DEVICE_TYPES}.
+ */
+export function guessOutputDeviceType(label: string) {
+    if (HEADPHONE_LABEL_PATTERN.test(label)) {
+        return OUTPUT_DEVICE_TYPES.HEADPHONES;
+    }
+
+    return SPEAKER_LABEL_PATTERN.test(label) ? OUTPUT_DEVICE_TYPES.SPEAKERS : OUTPUT_DEVICE_TYPES.UNKNOWN;
+}
+
+/**
+ * Returns whether remote participants are rendered binaurally, which only
+ * works properly on headphones.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {boolean}
+ */
+export function isBinauralRendering(stateful: Object | Function) {
+    const state = toState(stateful);
+    const { panningModel } = getPannerSettings(state);
+
+    return isSpatialAudioEnabled(state)
+        && BINAURAL_PANNING_MODELS.includes(panningModel)
+        && !(panningModel === PANNING_MODELS.AMBISONICS
+            && getAmbisonicSettings(state).decoder === AMBISONIC_DECODERS.LOUDSPEAKERS);
+}
+
+/**
+ * Returns true if the remote participants are rendered to the loudspeakers of
+ * a multichannel output rather than to stereo.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {boolean}
+ */
+export function isMultichannelOutput(stateful: Object | Function) {
+    const state = toState(stateful);
+    const { panningModel } = getPannerSettings(state);
+
+    return isSpatialAudioEnabled(state)
+        && (panningModel === PANNING_MODELS.VBAP
+            || (panningModel === PANNING_MODELS.AMBISONICS
+                && getAmbisonicSettings(state).decoder === AMBISONIC_DECODERS.LOUDSPEAKERS));
+}
+
+/**
+ * Brings a heading within [0, 360).
+ *
+ * @param {number} heading - The heading, in degrees.
+ * @returns {number}
+ */
+export function normalizeHeading(heading: number) {
+    return ((heading % 360) + 360) % 360;
+}
+
+/**
+ * Applies a listener pose to the {@code AudioListener} of an audio context.
+ * Browsers which do not expose the listener parameters as {@code AudioParam}s
+ * fall back to the deprecated setters.
+ *
+ * @param {AudioContext} context - The audio context.
+ * @param {Object} listener - The listener pose to apply.
+ * @returns {void}
+ */
+export function applyListenerToContext(context: Object, { forward, position, up }: Object) {
+    const { listener } = context;
+
+    if (listener.forwardX) {
+        listener.forwardX.value = forward.x;
+        listener.forwardY.value = forward.y;
+        listener.forwardZ.value = forward.z;
+        listener.upX.value = up.x;
+        listener.upY.value = up.y;
+        listener.upZ.value = up.z;
+    } else {
+        listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+    }
+
+    if (listener.positionX) {
+        listener.positionX.value = position.x;
+        listener.positionY.value = position.y;
+        listener.positionZ.value = position.z;
+    } else {
+        listener.setPosition(position.x, position.y, position.z);
+    }
+}
+
+/**
+ * Moves a source to the azimuth and/or the distance the local user pinned it
+ * to, relative to the listener.
+ *
+ * @param {Object} position - The position of the source.
+ * @param {Object} override - The override of the source.
+ * @param {Object} listenerPosition - The position of the listener.
+ * @param {number} heading - The direction the listener faces, in degrees.
+ * @private
+ * @returns {Object} The new position of the source.
+ */
+function _applyOverride(position, { azimuth, distance }, listenerPosition, heading) {
+    if (typeof azimuth !== 'number' && typeof distance !== 'number') {
+        return position;
+    }
+
+    const dx = position.x - listenerPosition.x;
+    const dy = position.y - listenerPosition.y;
+    const dz = position.z - listenerPosition.z;
+    const currentDistance = Math.sqrt((dx * dx) + (dy * dy) + (dz * dz)) || 1;
+    const elevationRad = Math.asin(dy / currentDistance);
+    const azimuthRad = typeof azimuth === 'number'
+        ? (heading + azimuth) * Math.PI / 180
+        : Math.atan2(dx, -dz);
+    const newDistance = typeof distance === 'number' ? distance : currentDistance;
+
+    return {
+        x: listenerPosition.x + (newDistance * Math.sin(azimuthRad) * Math.cos(elevationRad)),
+        y: listenerPosition.y + (newDistance * Math.sin(elevationRad)),
+        z: listenerPosition.z - (newDistance * Math.cos(azimuthRad) * Math.cos(elevationRad))
+    };
+}
+
+/**
+ * Returns the left to right panning, between -1 and 1, of a seat. The seats
+ * are {@code SEAT_SPACING} apart whatever the number of participants: the
+ * first one in the middle, the next ones alternately to its left and right.
+ * Once the semicircle is full, the next seats go halfway between the ones
+ * before them, the spacing halving every time the semicircle fills up again.
+ *
+ * @param {number} index - The index of the seat.
+ * @private
+ * @returns {number}
+ */
+function _getSeatPan(index: number) {
+    let first = 0;
+    let offset = 0;
+    let spacing = SEAT_SPACING;
+    let count = (2 * Math.floor(90 / spacing)) + 1;
+
+    while (index >= first + count) {
+        first += count;
+        spacing /= offset ? 2 : 1;
+        offset = spacing / 2;
+        count = 2 * (Math.floor((90 - offset) / spacing) + 1);
+    }
+
+    // The middle seat only exists in the first round.
+    const rank = index - first + (offset ? 0 : 1);
+    const side = rank % 2 ? 1 : -1;
+
+    return side * (offset + (Math.floor(rank / 2) * spacing)) / 90;
+}
@@ -0,0 +1,5 @@
+export * from './actions';
+export * from './actionTypes';
+export * from './constants';
+export * from './functions';
+export * from './engine';
@@ -0,0 +1,384 @@
+// @flow
+
+import throttle from 'lodash/throttle';
+
+import { APP_WILL_MOUNT, APP_WILL_UNMOUNT } from '../base/app';
+import { getCurrentConference } from '../base/conference';
+import { CONFERENCE_WILL_JOIN } from '../base/conference/actionTypes';
+import {
+    PARTICIPANT_JOINED,
+    PARTICIPANT_LEFT,
+    getLocalParticipant,
+    getParticipantById,
+    getParticipantDisplayName,
+    getParticipants
+} from '../base/participants';
+import { MiddlewareRegistry } from '../base/redux';
+import { USER_INTERACTION_RECEIVED } from '../base/user-interaction/actionTypes';
+import { NOTIFICATION_TIMEOUT, showNotification } from '../notifications';
+import { ENDPOINT_MESSAGE_RECEIVED } from '../subtitles';
+
+import {
+    SET_AUDIO_CONTEXT,
+    SET_ROOM_POSITION,
+    SET_SPATIAL_AUDIO_ENABLED,
+    SET_WHISPER_TARGET
+} from './actionTypes';
+import {
+    setAudioContext,
+    setRemoteWhisper,
+    setRoomScene,
+    setSeatOrder,
+    setSeatStrategy,
+    whisperTo
+} from './actions';
+import {
+    ROOM_SYNC_INTERVAL,
+    SEAT_STRATEGIES,
+    SPATIAL_ROOM_COMMAND,
+    SPATIAL_SEATS_COMMAND,
+    SPATIAL_WHISPER_MESSAGE
+} from './constants';
+import { spatialAudioEngine } from './engine';
+import {
+    getAudioContext,
+    getSpatialListener,
+    hasSpatialAudioCondition,
+    isNewerRoomScene,
+    isSpatialAudioEnabled
+} from './functions';
+import logger from './logger';
+
+import './subscriber.any';
+
+/**
+ * Shares the virtual room at most once every {@code ROOM_SYNC_INTERVAL} so
+ * that dragging somebody around does not flood the conference. The last
+ * position is always shared.
+ */
+const _throttledSendRoomScene = throttle(_sendRoomScene, ROOM_SYNC_INTERVAL);
+
+/**
+ * Implements the middleware of the feature spatial audio.
+ *
+ * @param {Store} store - The redux store.
+ * @returns {Function}
+ */
+MiddlewareRegistry.register(store => next => action => {
+    const { dispatch, getState } = store;
+
+    switch (action.type) {
+    case APP_WILL_MOUNT: {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+
+        if (AudioContext && !getAudioContext(getState())) {
+            dispatch(setAudioContext(new AudioContext()));
+        }
+        break;
+    }
+
+    case APP_WILL_UNMOUNT: {
+        const context = getAudioContext(getState());
+
+        if (context) {
+            context.close().catch(error => logger.warn('Failed to close the audio context', error));
+            dispatch(setAudioContext(undefined));
+        }
+        break;
+    }
+
+    case CONFERENCE_WILL_JOIN:
+        action.conference.addCommandListener(
+            SPATIAL_SEATS_COMMAND, ({ attributes }, id) => {
+                _onSeatsCommand(attributes, id, store);
+            });
+        action.conference.addCommandListener(
+            SPATIAL_ROOM_COMMAND, ({ attributes }, id) => {
+                _onRoomCommand(attributes, id, store);
+            });
+        break;
+
+    case ENDPOINT_MESSAGE_RECEIVED: {
+        const { json, participant } = action;
+
+        json && json.type === SPATIAL_WHISPER_MESSAGE
+            && _onWhisperMessage(participant.getId(), json.target, store);
+        break;
+    }
+    }
+
+    const result = next(action);
+
+    switch (action.type) {
+    case PARTICIPANT_JOINED: {
+        const { whisperTarget } = getState()['features/spatial-audio'];
+
+        if (!action.participant.local && _isRoomSnapshotHolder(getState(), action.participant.id)) {
+            // Presence carries the scene to the participant who just joined.
+            _sendRoomScene(store);
+        }
+
+        // Endpoint messages are not replayed, so tell the newcomer whom the
+        // local participant whispers to.
+        !action.participant.local && whisperTarget
+            && _sendWhisper(store, whisperTarget, action.participant.id);
+        break;
+    }
+
+    case PARTICIPANT_LEFT: {
+        const { id } = action.participant;
+
+        dispatch(setRemoteWhisper(id, undefined));
+        getState()['features/spatial-audio'].whisperTarget === id && dispatch(whisperTo(undefined));
+        break;
+    }
+
+    case SET_AUDIO_CONTEXT: {
+        const state = getState();
+
+        if (action.context) {
+            spatialAudioEngine.init(action.context);
+            spatialAudioEngine.setSpatialEnabled(isSpatialAudioEnabled(state));
+            spatialAudioEngine.setListener(getSpatialListener(state));
+        } else {
+            spatialAudioEngine.dispose();
+        }
+        break;
+    }
+
+    case SET_ROOM_POSITION:
+        _throttledSendRoomScene(store);
+        break;
+
+    case SET_SPATIAL_AUDIO_ENABLED:
+        logger.info(`Spatial audio ${action.enabled ? 'enabled' : 'disabled'}`);
+
+        // The preference does not apply while a condition is imposed, and
+        // telling about it would hint at the condition.
+        !hasSpatialAudioCondition(getState()) && dispatch(showNotification({
+            titleArguments: { state: action.enabled ? 'enabled' : 'disabled' },
+            titleKey: 'notify.spatialAudio'
+        }, NOTIFICATION_TIMEOUT));
+        break;
+
+    case SET_WHISPER_TARGET:
+        logger.info(action.participantId ? `Whispering to ${action.participantId}` : 'Stopped whispering');
+        _sendWhisper(store, action.participantId);
+        break;
+
+    case USER_INTERACTION_RECEIVED:
+        // Browsers keep an audio context suspended until the user interacts
+        // with the page.
+        spatialAudioEngine.resume();
+        break;
+    }
+
+    return result;
+});
+
+/**
+ * Returns true if the local participant is the one who shares the virtual
+ * room with a participant who just joined: the one with the lowest ID among
+ * those who were already in the conference.
+ *
+ * @param {Object} state - The redux state.
+ * @param {string} newcomerId - The ID of the participant who just joined.
+ * @private
+ * @returns {boolean}
+ */
+function _isRoomSnapshotHolder(state, newcomerId) {
+    const localParticipant = getLocalParticipant(state);
+    const [ holderId ] = getParticipants(state)
+        .map(({ id }) => id)
+        .filter(id => id !== newcomerId)
+        .sort();
+
+    return Boolean(localParticipant) && holderId === localParticipant.id
+        && state['features/spatial-audio'].roomVersion > 0;
+}
+
+/**
+ * Notifies this instance about a virtual room shared by a participant. The
+ * scene replaces the local one if it is more recent.
+ *
+ * @param {Object} attributes - The attributes carried by the command.
+ * @param {string} id - The identifier of the participant who issued the
+ * command. The command may be issued by the local participant.
+ * @param {Object} store - The redux store.
+ * @private
+ * @returns {void}
+ */
+function _onRoomCommand(attributes = {}, id, { dispatch, getState }) {
+    const participant = getParticipantById(getState(), id);
+
+    if (!participant || participant.local) {
+        return;
+    }
+
+    const version = Number(attributes.version);
+    const author = attributes.author || id;
+
+    if (!isNewerRoomScene(getState(), version, author)) {
+        return;
+    }
+
+    let positions;
+
+    try {
+        positions = JSON.parse(attributes.positions);
+    } catch (error) {
+        logger.warn('Received a malformed virtual room', error);
+
+        return;
+    }
+
+    dispatch(setRoomScene(_sanitizeRoomPositions(positions), version, author));
+}
+
+/**
+ * Notifies this instance about whom a remote participant whispers to. The
+ * local user is told when they are the one being whispered to.
+ *
+ * @param {string} id - The ID of the participant who whispers.
+ * @param {?string} targetId - The ID of the participant they whisper to or
+ * undefined if they stopped whispering.
+ * @param {Object} store - The redux store.
+ * @private
+ * @returns {void}
+ */
+function _onWhisperMessage(id, targetId, { dispatch, getState }) {
+    const state = getState();
+    const localParticipant = getLocalParticipant(state);
+
+    if (!getParticipantById(state, id)) {
+        return;
+    }
+
+    if (localParticipant && targetId === localParticipant.id
+            && state['features/spatial-audio'].whispers[id] !== targetId) {
+        dispatch(showNotification({
+            titleArguments: { name: getParticipantDisplayName(state, id) },
+            titleKey: 'notify.whisperingToYou'
+        }, NOTIFICATION_TIMEOUT));
+    }
+
+    dispatch(setRemoteWhisper(id, targetId || undefined));
+}
+
+/**
+ * Notifies this instance about the seat order shared by a moderator.
+ *
+ * @param {Object} attributes - The attributes carried by the command.
+ * @param {string} id - The identifier of the participant who issued the
+ * command. The command may be issued by the local participant.
+ * @param {Object} store - The redux store.
+ * @private
+ * @returns {void}
+ */
+function _onSeatsCommand(attributes = {}, id, { dispatch, getState }) {
+    const participant = getParticipantById(getState(), id);
+
+    if (!participant || participant.local) {
+        return;
+    }
+
+    if (participant.role !== 'moderator') {
+        logger.warn('Received spatial seats command not from moderator');
+
+        return;
+    }
+
+    dispatch(setSeatOrder((attributes.order || '').split(',').filter(Boolean)));
+    dispatch(setSeatStrategy(SEAT_STRATEGIES.MODERATOR));
+}
+
+/**
+ * Keeps the entries of a virtual room shared by a participant which can be
+ * rendered, i.e. the ones made only of a spot on the floor and a heading which
+ * are finite numbers. Anything else would reach the panners as NaN.
+ *
+ * @param {*} positions - The positions as parsed from the command.
+ * @private
+ * @returns {Object} The valid positions, keyed by participant ID.
+ */
+function _sanitizeRoomPositions(positions) {
+    const sanitized = {};
+
+    if (!positions || typeof positions !== 'object') {
+        return sanitized;
+    }
+
+    Object.keys(positions).forEach(id => {
+        const position = positions[id];
+        const fields = position && typeof position === 'object' ? Object.keys(position) : [];
+
+        if (fields.length && fields.every(field =>
+            [ 'heading', 'x', 'z' ].includes(field) && Number.isFinite(position[field]))) {
+            sanitized[id] = { ...position };
+        }
+    });
+
+    return sanitized;
+}
+
+/**
+ * Tells the other participants whom the local participant whispers to. The
+ * whisper is not private: the clients of the other participants turn the
+ * local participant down themselves.
+ *
+ * @param {Object} store - The redux store.
+ * @param {?string} targetId - The ID of the participant whispered to or
+ * undefined to stop whispering.
+ * @param {string} to - The ID of the participant to tell or the empty string
+ * to tell everybody.
+ * @private
+ * @returns {void}
+ */
+function _sendWhisper({ getState }, targetId, to = '') {
+    const conference = getCurrentConference(getState());
+
+    if (!conference) {
+        return;
+    }
+
+    try {
+        conference.sendEndpointMessage(to, {
+            target: targetId || null,
+            type: SPATIAL_WHISPER_MESSAGE
+        });
+    } catch (error) {
+        logger.warn('Failed to send the whisper endpoint message', error);
+    }
+}
+
+/**
+ * Shares the virtual room with the rest of the conference. The scene is part
+ * of the presence of the local participant, so participants who join later
+ * receive it too.
+ *
+ * @param {Object} store - The redux store.
+ * @private
+ * @returns {void}
+ */
+function _sendRoomScene({ getState }) {
+    const state = getState();
+    const conference = getCurrentConference(state);
+    const localParticipant = getLocalParticipant(state);
+
+    if (!conference || !localParticipant) {
+        return;
+    }
+
+    const { roomAuthor, roomPositions, roomVersion } = state['features/spatial-audio'];
+
+    conference.sendCommand(
+        SPATIAL_ROOM_COMMAND,
+        {
+            attributes: {
+                author: roomAuthor || localParticipant.id,
+                positions: JSON.stringify(roomPositions),
+                version: roomVersion
+            }
+        }
+    );
+}
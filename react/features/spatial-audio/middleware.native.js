@@ -0,0 +1 @@
+import './middleware.any';
@@ -0,0 +1,124 @@
+// @flow
+
+import { createShortcutEvent, sendAnalytics } from '../analytics';
+import { APP_WILL_MOUNT, APP_WILL_UNMOUNT } from '../base/app';
+import { MiddlewareRegistry } from '../base/redux';
+import { PLAY_SOUND, STOP_SOUND, UNREGISTER_SOUND } from '../base/sounds';
+
+import { moveListener, turnListener } from './actions';
+import { SET_SHARED_MEDIA_GAIN } from './actionTypes';
+import { LISTENER_MOVE_STEP, LISTENER_TURN_STEP } from './constants';
+import { spatialAudioEngine } from './engine';
+import { areSpatialSoundsEnabled, getSharedMediaGain } from './functions';
+
+import './middleware.any';
+import './subscriber.web';
+
+declare var APP: Object;
+
+/**
+ * The keyboard shortcuts which move and turn the local listener.
+ *
+ * @type {Array<Object>}
+ */
+const SHORTCUTS = [
+    {
+        action: () => turnListener(-LISTENER_TURN_STEP),
+        character: 'Q',
+        event: 'spatial.turn.left',
+        helpDescription: 'keyboardShortcuts.turnLeft'
+    },
+    {
+        action: () => turnListener(LISTENER_TURN_STEP),
+        character: 'E',
+        event: 'spatial.turn.right',
+        helpDescription: 'keyboardShortcuts.turnRight'
+    },
+    {
+        action: () => moveListener(LISTENER_MOVE_STEP),
+        character: 'I',
+        event: 'spatial.move.forward',
+        helpDescription: 'keyboardShortcuts.moveForward'
+    },
+    {
+        action: () => moveListener(-LISTENER_MOVE_STEP),
+        character: 'K',
+        event: 'spatial.move.backward',
+        helpDescription: 'keyboardShortcuts.moveBackward'
+    }
+];
+
+/**
+ * Registers the keyboard shortcuts of the feature spatial audio, places the
+ * notification sounds in the scene, stops and removes them with the sounds
+ * and applies the gain of shared media to a shared video.
+ *
+ * @param {Store} store - The redux store.
+ * @returns {Function}
+ */
+MiddlewareRegistry.register(({ dispatch, getState }) => next => action => {
+    const result = next(action);
+
+    if (action.type === PLAY_SOUND) {
+        _placeSound(getState(), action);
+
+        return result;
+    }
+
+    if (action.type === STOP_SOUND) {
+        spatialAudioEngine.stopSound(action.soundId);
+
+        return result;
+    }
+
+    if (action.type === UNREGISTER_SOUND) {
+        spatialAudioEngine.releaseSound(action.soundId);
+
+        return result;
+    }
+
+    if (action.type === SET_SHARED_MEDIA_GAIN) {
+        typeof APP === 'object' && APP.UI.setSharedVideoGain(getSharedMediaGain(getState()));
+
+        return result;
+    }
+
+    if (typeof APP !== 'object' || typeof APP.keyboardshortcut !== 'object') {
+        return result;
+    }
+
+    switch (action.type) {
+    case APP_WILL_MOUNT:
+        SHORTCUTS.forEach(shortcut => {
+            APP.keyboardshortcut.registerShortcut(shortcut.character, null, () => {
+                sendAnalytics(createShortcutEvent(shortcut.event));
+                dispatch(shortcut.action());
+            }, shortcut.helpDescription);
+        });
+        break;
+
+    case APP_WILL_UNMOUNT:
+        SHORTCUTS.forEach(({ character }) => APP.keyboardshortcut.unregisterShortcut(character));
+        break;
+    }
+
+    return result;
+});
+
+/**
+ * Places a notification sound which is about to be played where the
+ * participant it is about sits. The audio element plays asynchronously, so it
+ * does not matter whether base/sounds starts it before or after.
+ *
+ * @param {Object} state - The redux state.
+ * @param {Action} action - The {@code PLAY_SOUND} action.
+ * @private
+ * @returns {void}
+ */
+function _placeSound(state, { participantId, soundId }) {
+    const sound = state['features/base/sounds'].get(soundId);
+    const audioElement = sound && sound.audioElement && sound.audioElement.getAudioElement();
+
+    audioElement && spatialAudioEngine.placeSound(
+        soundId, audioElement, areSpatialSoundsEnabled(state) ? participantId : undefined);
+}
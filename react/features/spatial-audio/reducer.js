@@ -0,0 +1,473 @@
+// @flow
+
+import { PersistenceRegistry, ReducerRegistry } from '../base/redux';
+
+import {
+    SET_AMBISONIC_SETTINGS,
+    SET_ATTENTION_SETTINGS,
+    SET_AUDIO_CONTEXT,
+    SET_CHANNELS_SWAPPED,
+    SET_HRTF_DATASET,
+    SET_LOUDNESS_SETTINGS,
+    SET_OUTPUT_DEVICE_TYPE,
+    SET_OUTPUT_FALLBACK,
+    SET_PANNER_SETTINGS,
+    SET_PROXIMITY_SETTINGS,
+    SET_REMOTE_WHISPER,
+    SET_REVERB_SETTINGS,
+    SET_ROOM_POSITION,
+    SET_ROOM_SCENE,
+    SET_SEAT_ORDER,
+    SET_SEAT_STRATEGY,
+    SET_SEATS,
+    SET_SHARED_MEDIA_GAIN,
+    SET_SPATIAL_AUDIO_CONDITION,
+    SET_SPATIAL_AUDIO_ENABLED,
+    SET_SPATIAL_OVERRIDE,
+    SET_SPATIAL_SOUNDS_ENABLED,
+    SET_TILE_POSITIONS,
+    SET_WHISPER_TARGET,
+    UPDATE_SPATIAL_LISTENER
+} from './actionTypes';
+import { DEFAULT_LISTENER } from './constants';
+
+const DEFAULT_STATE = {
+
+    /**
+     * The settings of the Ambisonic renderer chosen at runtime, on top of the
+     * ones from config.js.
+     *
+     * @type {Object}
+     */
+    ambisonicSettings: {},
+
+    /**
+     * The settings of the attention mode chosen at runtime, on top of the
+     * ones from config.js.
+     *
+     * @type {Object}
+     */
+    attentionSettings: {},
+
+    /**
+     * Whether the left and right channels of stereo output are swapped.
+     *
+     * @type {boolean}
+     */
+    channelsSwapped: false,
+
+    /**
+     * The spatial audio settings imposed for a while, e.g. by a condition of a
+     * listening study, on top of the preferences of the local user. They are
+     * not persisted, so that a page closed meanwhile does not keep them.
+     *
+     * @type {Object|undefined}
+     */
+    condition: undefined,
+
+    /**
+     * The {@code AudioContext} shared by all spatialized audio graphs.
+     *
+     * @type {AudioContext|undefined}
+     */
+    context: undefined,
+
+    /**
+     * Whether remote participants' audio is spatialized or played in mono.
+     *
+     * @type {boolean}
+     */
+    enabled: false,
+
+    /**
+     * The URL or the file name of the HRTF dataset the SOFA panning model
+     * renders with, if one is loaded.
+     *
+     * @type {string|undefined}
+     */
+    hrtfName: undefined,
+
+    /**
+     * The pose of the local listener.
+     *
+     * @type {Object}
+     */
+    listener: DEFAULT_LISTENER,
+
+    /**
+     * The settings of loudness normalization chosen at runtime, on top of the
+     * ones from config.js.
+     *
+     * @type {Object}
+     */
+    loudnessSettings: {},
+
+    /**
+     * Whether the audio output devices the local user confirmed are
+     * headphones or loudspeakers, keyed by device label.
+     *
+     * @type {Object}
+     */
+    outputDeviceTypes: {},
+
+    /**
+     * The spatial audio settings a fallback for loudspeakers replaced, to be
+     * restored once headphones are in use again. Persisted like
+     * {@code enabled}, which the fallback to mono turns off.
+     *
+     * @type {Object|undefined}
+     */
+    outputFallback: undefined,
+
+    /**
+     * The ways the local user chose to hear specific participants, keyed by
+     * participant ID.
+     *
+     * @type {Object}
+     */
+    overrides: {},
+
+    /**
+     * The panner settings chosen at runtime, on top of the ones from
+     * config.js.
+     *
+     * @type {Object}
+     */
+    pannerSettings: {},
+
+    /**
+     * The conversation clusters and the levels of murmurs and whispers chosen
+     * at runtime, on top of the ones from config.js.
+     *
+     * @type {Object}
+     */
+    proximitySettings: {},
+
+    /**
+     * The acoustics of the virtual room chosen at runtime, on top of the ones
+     * from config.js.
+     *
+     * @type {Object}
+     */
+    reverbSettings: {},
+
+    /**
+     * The ID of the participant who edited the virtual room last. Undefined
+     * means the local participant.
+     *
+     * @type {string|undefined}
+     */
+    roomAuthor: undefined,
+
+    /**
+     * The spots to which the participants have been dragged in the virtual
+     * room and the directions they face, keyed by participant ID.
+     *
+     * @type {Object}
+     */
+    roomPositions: {},
+
+    /**
+     * The version of the virtual room, incremented by every edit. The scene
+     * with the highest version wins when participants share it.
+     *
+     * @type {number}
+     */
+    roomVersion: 0,
+
+    /**
+     * The order in which a moderator has seated the participants.
+     *
+     * @type {Array<string>}
+     */
+    seatOrder: [],
+
+    /**
+     * The seat index of each remote participant, keyed by participant ID.
+     *
+     * @type {Object}
+     */
+    seats: {},
+
+    /**
+     * The strategy by which participants are seated. Undefined means the one
+     * from config.js is used.
+     *
+     * @type {string|undefined}
+     */
+    seatStrategy: undefined,
+
+    /**
+     * The gain at which the local user hears the media shared by other
+     * participants, on top of the level the sharers play them at.
+     *
+     * @type {number}
+     */
+    sharedMediaGain: 1,
+
+    /**
+     * Whether notification sounds are played from where the participants
+     * they are about sit. Undefined means the choice from config.js is used.
+     *
+     * @type {boolean|undefined}
+     */
+    soundsEnabled: undefined,
+
+    /**
+     * The positions of the remote participants derived from their tiles,
+     * keyed by participant ID. Undefined when tile view is not displayed.
+     *
+     * @type {Object|undefined}
+     */
+    tilePositions: undefined,
+
+    /**
+     * The remote participants who whisper, keyed by participant ID, mapped to
+     * the participants they whisper to.
+     *
+     * @type {Object}
+     */
+    whispers: {},
+
+    /**
+     * The ID of the neighbour the local participant whispers to, if any.
+     *
+     * @type {string|undefined}
+     */
+    whisperTarget: undefined
+};
+
+const STORE_NAME = 'features/spatial-audio';
+
+/**
+ * Sets up the persistence of the spatial audio preferences of the user. The
+ * condition of a study is left out so that it never outlives the study.
+ */
+PersistenceRegistry.register(STORE_NAME, {
+    ambisonicSettings: true,
+    channelsSwapped: true,
+    enabled: true,
+    loudnessSettings: true,
+    outputDeviceTypes: true,
+    outputFallback: true,
+    overrides: true,
+    pannerSettings: true,
+    reverbSettings: true,
+    sharedMediaGain: true,
+    soundsEnabled: true
+}, DEFAULT_STATE);
+
+/**
+ * Reduces the redux actions of the feature spatial audio.
+ */
+ReducerRegistry.register(STORE_NAME, (state = DEFAULT_STATE, action) => {
+    switch (action.type) {
+    case SET_AMBISONIC_SETTINGS:
+        return {
+            ...state,
+            ambisonicSettings: {
+                ...state.ambisonicSettings,
+                ...action.settings
+            }
+        };
+
+    case SET_ATTENTION_SETTINGS:
+        return {
+            ...state,
+            attentionSettings: {
+                ...state.attentionSettings,
+                ...action.settings
+            }
+        };
+
+    case SET_AUDIO_CONTEXT:
+        return {
+            ...state,
+            context: action.context
+        };
+
+    case SET_CHANNELS_SWAPPED:
+        return {
+            ...state,
+            channelsSwapped: action.swapped
+        };
+
+    case SET_HRTF_DATASET:
+        return {
+            ...state,
+            hrtfName: action.name
+        };
+
+    case SET_LOUDNESS_SETTINGS:
+        return {
+            ...state,
+            loudnessSettings: {
+                ...state.loudnessSettings,
+                ...action.settings
+            }
+        };
+
+    case SET_OUTPUT_DEVICE_TYPE:
+        return {
+            ...state,
+            outputDeviceTypes: {
+                ...state.outputDeviceTypes,
+                [action.label]: action.deviceType
+            }
+        };
+
+    case SET_OUTPUT_FALLBACK:
+        return {
+            ...state,
+            outputFallback: action.settings
+        };
+
+    case SET_PANNER_SETTINGS:
+        return {
+            ...state,
+            pannerSettings: {
+                ...state.pannerSettings,
+                ...action.settings
+            }
+        };
+
+    case SET_PROXIMITY_SETTINGS:
+        return {
+            ...state,
+            proximitySettings: {
+                ...state.proximitySettings,
+                ...action.settings
+            }
+        };
+
+    case SET_REMOTE_WHISPER: {
+        const whispers = { ...state.whispers };
+
+        if (action.targetId) {
+            whispers[action.participantId] = action.targetId;
+        } else {
+            delete whispers[action.participantId];
+        }
+
+        return {
+            ...state,
+            whispers
+        };
+    }
+
+    case SET_REVERB_SETTINGS:
+        return {
+            ...state,
+            reverbSettings: {
+                ...state.reverbSettings,
+                ...action.settings
+            }
+        };
+
+    case SET_ROOM_POSITION:
+        return {
+            ...state,
+            roomAuthor: undefined,
+            roomPositions: {
+                ...state.roomPositions,
+                [action.participantId]: {
+                    ...state.roomPositions[action.participantId],
+                    ...action.position
+                }
+            },
+            roomVersion: state.roomVersion + 1
+        };
+
+    case SET_ROOM_SCENE:
+        return {
+            ...state,
+            roomAuthor: action.author,
+            roomPositions: action.positions,
+            roomVersion: action.version
+        };
+
+    case SET_SEAT_ORDER:
+        return {
+            ...state,
+            seatOrder: action.order
+        };
+
+    case SET_SEAT_STRATEGY:
+        return {
+            ...state,
+            seatStrategy: action.strategy
+        };
+
+    case SET_SEATS:
+        return {
+            ...state,
+            seats: action.seats
+        };
+
+    case SET_SHARED_MEDIA_GAIN:
+        return {
+            ...state,
+            sharedMediaGain: action.gain
+        };
+
+    case SET_SPATIAL_AUDIO_CONDITION:
+        return {
+            ...state,
+            condition: action.condition
+        };
+
+    case SET_SPATIAL_AUDIO_ENABLED:
+        return {
+            ...state,
+            enabled: action.enabled
+        };
+
+    case SET_SPATIAL_OVERRIDE: {
+        const override = {
+            ...state.overrides[action.participantId],
+            ...action.override
+        };
+
+        Object.keys(override).forEach(key => {
+            typeof override[key] === 'undefined' && delete override[key];
+        });
+
+        return {
+            ...state,
+            overrides: {
+                ...state.overrides,
+                [action.participantId]: override
+            }
+        };
+    }
+
+    case SET_SPATIAL_SOUNDS_ENABLED:
+        return {
+            ...state,
+            soundsEnabled: action.enabled
+        };
+
+    case SET_TILE_POSITIONS:
+        return {
+            ...state,
+            tilePositions: action.positions
+        };
+
+    case SET_WHISPER_TARGET:
+        return {
+            ...state,
+            whisperTarget: action.participantId
+        };
+
+    case UPDATE_SPATIAL_LISTENER:
+        return {
+            ...state,
+            listener: {
+                ...state.listener,
+                ...action.listener
+            }
+        };
+    }
+
+    return state;
+});
@@ -0,0 +1,277 @@
+// @flow
+
+import { getCurrentConference } from '../base/conference';
+import { getParticipants, isLocalParticipantModerator } from '../base/participants';
+import { StateListenerRegistry, equals } from '../base/redux';
+
+import { loadHrtfDataset, setRoomScene, setSeats, whisperTo } from './actions';
+import { PANNING_MODELS, SEAT_STRATEGIES, SPATIAL_SEATS_COMMAND } from './constants';
+import { spatialAudioEngine } from './engine';
+import {
+    allocateSeats,
+    getAmbisonicSettings,
+    getAttentionSettings,
+    getLoudnessSettings,
+    getLoudspeakerLayout,
+    getMonoParticipants,
+    getPannerSettings,
+    getReceiveGains,
+    getRemoteDominantSpeakerId,
+    getReverbSettings,
+    getSeatStrategy,
+    getSeats,
+    getSharedMediaGain,
+    getSharedMediaParticipants,
+    getSourcePositions,
+    getSpatialListener,
+    isSpatialAudioEnabled
+} from './functions';
+
+/**
+ * Clears the virtual room when the conference changes, is left or fails.
+ */
+StateListenerRegistry.register(
+    /* selector */ getCurrentConference,
+    /* listener */ (conference, { dispatch, getState }, previousConference) => {
+        if (conference !== previousConference) {
+            dispatch(setRoomScene({}, 0));
+            getState()['features/spatial-audio'].whisperTarget && dispatch(whisperTo(undefined));
+        }
+    });
+
+/**
+ * Reallocates the seats of the remote participants whenever somebody joins,
+ * leaves or is renamed, or the seating strategy changes.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => {
+        return {
+            order: state['features/spatial-audio'].seatOrder,
+            participants: getParticipants(state)
+                .filter(p => !p.local)
+                .map(({ id, name }) => {
+                    return {
+                        id,
+                        name
+                    };
+                }),
+            strategy: getSeatStrategy(state)
+        };
+    },
+    /* listener */ ({ order, participants, strategy }, { dispatch, getState }) => {
+        const seats = getSeats(getState());
+        const newSeats = allocateSeats(seats, participants, strategy, order);
+
+        if (!equals(seats, newSeats)) {
+            dispatch(setSeats(newSeats));
+        }
+    }, {
+        deepEquals: true
+    });
+
+/**
+ * Moves the remote participants in the scene when their seats or tiles move.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => getSourcePositions(state),
+    /* listener */ positions => {
+        spatialAudioEngine.setSourcePositions(positions);
+    }, {
+        deepEquals: true
+    });
+
+/**
+ * Spatializes remote participants or plays them in mono as the local user
+ * prefers or, while one is imposed, as the spatial audio condition says.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => isSpatialAudioEnabled(state),
+    /* listener */ enabled => {
+        spatialAudioEngine.setSpatialEnabled(enabled);
+    });
+
+/**
+ * Excludes from spatialization the participants the local user chose to hear
+ * in mono.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => getMonoParticipants(state),
+    /* listener */ participantIds => {
+        spatialAudioEngine.setMonoSources(participantIds);
+    }, {
+        deepEquals: true
+    });
+
+/**
+ * Plays the screen audio which participants share on a channel of its own as
+ * a source of its own, from the stage or the tile of its sharer.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => getSharedMediaParticipants(state),
+    /* listener */ participantIds => {
+        spatialAudioEngine.setSharedMediaSources(participantIds);
+    }, {
+        deepEquals: true
+    });
+
+/**
+ * Plays shared screen audio at the volume the local user chose for shared
+ * media.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => getSharedMediaGain(state),
+    /* listener */ gain => {
+        spatialAudioEngine.setSharedMediaGain(gain);
+    });
+
+/**
+ * Applies the panning and distance models chosen in config.js or at runtime.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => getPannerSettings(state),
+    /* listener */ settings => {
+        spatialAudioEngine.setPannerSettings(settings);
+    }, {
+        deepEquals: true
+    });
+
+/**
+ * Applies the order and the decoder of the Ambisonic renderer chosen in
+ * config.js or at runtime.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => getAmbisonicSettings(state),
+    /* listener */ settings => {
+        spatialAudioEngine.setAmbisonicSettings(settings);
+    }, {
+        deepEquals: true
+    });
+
+/**
+ * Applies loudness normalization as configured in config.js or at runtime.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => getLoudnessSettings(state),
+    /* listener */ settings => {
+        spatialAudioEngine.setLoudnessSettings(settings);
+    }, {
+        deepEquals: true
+    });
+
+/**
+ * Feeds multichannel output to the loudspeakers described in config.js.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => getLoudspeakerLayout(state),
+    /* listener */ layout => {
+        spatialAudioEngine.setLoudspeakerLayout(layout);
+    }, {
+        deepEquals: true
+    });
+
+/**
+ * Swaps the left and right channels of stereo output while the local user
+ * asks for it.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => state['features/spatial-audio'].channelsSwapped,
+    /* listener */ swapped => {
+        spatialAudioEngine.setChannelsSwapped(swapped);
+    });
+
+/**
+ * Brings the dominant speaker forward and ducks the others while the attention
+ * mode is enabled. A local dominant speaker releases everybody.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => {
+        return {
+            participantId: getRemoteDominantSpeakerId(state),
+            settings: getAttentionSettings(state)
+        };
+    },
+    /* listener */ ({ participantId, settings }) => {
+        spatialAudioEngine.setAttention(participantId, settings);
+    }, {
+        deepEquals: true
+    });
+
+/**
+ * Applies the acoustics of the virtual room chosen in config.js or at runtime.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => getReverbSettings(state),
+    /* listener */ settings => {
+        spatialAudioEngine.setReverbSettings(settings);
+    }, {
+        deepEquals: true
+    });
+
+/**
+ * Loads the HRTF dataset configured in config.js once the SOFA panning model
+ * is selected, unless the local user has loaded one already.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => {
+        const { spatialAudio = {} } = state['features/base/config'];
+
+        return getPannerSettings(state).panningModel === PANNING_MODELS.SOFA ? spatialAudio.hrtfUrl : undefined;
+    },
+    /* listener */ (url, { dispatch, getState }) => {
+        if (url && !getState()['features/spatial-audio'].hrtfName) {
+            dispatch(loadHrtfDataset(url));
+        }
+    });
+
+/**
+ * Moves and turns the listener when the local participant moves in the
+ * virtual room or the listener is updated.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => getSpatialListener(state),
+    /* listener */ listener => {
+        spatialAudioEngine.setListener(listener);
+    }, {
+        deepEquals: true
+    });
+
+/**
+ * Shares the order in which a moderator has seated the participants with the
+ * rest of the conference.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => {
+        return {
+            order: state['features/spatial-audio'].seatOrder,
+            strategy: getSeatStrategy(state)
+        };
+    },
+    /* listener */ ({ order, strategy }, { getState }) => {
+        const state = getState();
+        const conference = getCurrentConference(state);
+
+        // Only a moderator is allowed to seat the others.
+        if (!conference
+                || strategy !== SEAT_STRATEGIES.MODERATOR
+                || !isLocalParticipantModerator(state)) {
+            return;
+        }
+
+        conference.sendCommand(
+            SPATIAL_SEATS_COMMAND,
+            { attributes: { order: order.join(',') } }
+        );
+    }, {
+        deepEquals: true
+    });
+
+/**
+ * Turns remote participants down when they whisper to somebody else or are
+ * outside of the conversation of the local participant.
+ */
+StateListenerRegistry.register(
+    /* selector */ getReceiveGains,
+    /* listener */ gains => spatialAudioEngine.setReceiveGains(gains),
+    {
+        deepEquals: true
+    });
@@ -0,0 +1,175 @@
+// @flow
+
+import debounce from 'lodash/debounce';
+
+import { getParticipants } from '../base/participants';
+import { StateListenerRegistry } from '../base/redux';
+import { getCurrentOutputDeviceId } from '../base/settings';
+import { NOTIFICATION_TIMEOUT, showNotification } from '../notifications';
+import { shouldDisplayTileView } from '../video-layout/functions';
+
+import { fallBackToLoudspeakers, restoreFromOutputFallback, setTilePositions } from './actions';
+import { OUTPUT_DEVICE_TYPES, TILE_VIEW_MAX_AZIMUTH, TILE_VIEW_MAX_ELEVATION } from './constants';
+import { spatialAudioEngine } from './engine';
+import {
+    getDirectionalPosition,
+    getOutputDevice,
+    getOutputDeviceSettings,
+    hasSpatialAudioCondition,
+    isBinauralRendering,
+    isMultichannelOutput
+} from './functions';
+
+/**
+ * Warns the local user who renders remote participants binaurally on
+ * loudspeakers, which garbles the directions and makes the echo cancellation
+ * worse, and offers to fall back to stereo or mono; or falls back without
+ * asking if config.js says so. The binaural rendering is restored once
+ * headphones are in use again. A study decides on the rendering itself.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => {
+        return {
+            binaural: isBinauralRendering(state),
+            fallback: Boolean(state['features/spatial-audio'].outputFallback),
+            study: hasSpatialAudioCondition(state),
+            type: getOutputDevice(state).type
+        };
+    },
+    /* listener */ ({ binaural, fallback, study, type }, { dispatch, getState }, previous = {}) => {
+        if (study) {
+            return;
+        }
+
+        const { autoFallback, fallback: fallbackMode } = getOutputDeviceSettings(getState());
+
+        // Binaural rendering on loudspeakers despite a fallback means that the
+        // panning model it replaced was lost on reload, or that the local user
+        // turned binaural rendering back on. Only a switch to loudspeakers or
+        // to binaural rendering warns, not a change of the fallback while
+        // both stay as they were.
+        if (type === OUTPUT_DEVICE_TYPES.SPEAKERS && binaural) {
+            if (previous.type === type && previous.binaural && !previous.study) {
+                return;
+            }
+
+            if (autoFallback) {
+                dispatch(fallBackToLoudspeakers());
+                dispatch(showNotification({
+                    descriptionKey: 'notify.loudspeakersFallbackDescription',
+                    titleKey: `notify.loudspeakersFallback.${fallbackMode}`
+                }, NOTIFICATION_TIMEOUT));
+            } else {
+                dispatch(showNotification({
+                    customActionHandler: () => {
+                        dispatch(fallBackToLoudspeakers());
+
+                        return true;
+                    },
+                    customActionNameKey: `notify.loudspeakersAction.${fallbackMode}`,
+                    descriptionKey: 'notify.loudspeakersWarningDescription',
+                    titleKey: 'notify.loudspeakersWarningTitle'
+                }));
+            }
+        } else if (type === OUTPUT_DEVICE_TYPES.HEADPHONES && fallback) {
+            dispatch(restoreFromOutputFallback());
+            dispatch(showNotification({
+                titleKey: 'notify.headphonesRestored'
+            }, NOTIFICATION_TIMEOUT));
+        }
+    }, {
+        deepEquals: true
+    });
+
+/**
+ * Plays the spatial mix through the audio output device selected in the
+ * settings. When the device is unplugged before another one gets selected,
+ * the mix falls back to the default device. Browsers which cannot play a
+ * multichannel mix through another device play it through the default one,
+ * and the local user is told so.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => {
+        const deviceId = getCurrentOutputDeviceId(state);
+        const { audioOutput } = state['features/base/devices'].availableDevices;
+
+        return {
+            deviceId: audioOutput.length === 0 || audioOutput.some(device => device.deviceId === deviceId)
+                ? deviceId : 'default',
+            multichannel: isMultichannelOutput(state)
+        };
+    },
+    /* listener */ ({ deviceId, multichannel }, { dispatch }) => {
+        spatialAudioEngine.setOutputDevice(deviceId);
+
+        if (multichannel && deviceId && deviceId !== 'default'
+                && !spatialAudioEngine.canChooseMultichannelOutputDevice()) {
+            dispatch(showNotification({
+                descriptionKey: 'notify.multichannelDefaultDeviceDescription',
+                titleKey: 'notify.multichannelDefaultDeviceTitle'
+            }, NOTIFICATION_TIMEOUT));
+        }
+    }, {
+        deepEquals: true
+    });
+
+/**
+ * Derives the positions of the remote voices from the positions of their tiles
+ * whenever the tile layout, the window size or the participants change. The
+ * listener is debounced so that the tiles are measured after they have been
+ * laid out.
+ */
+StateListenerRegistry.register(
+    /* selector */ state => {
+        const tileView = shouldDisplayTileView(state);
+        const { clientHeight, clientWidth } = state['features/base/responsive-ui'];
+
+        return {
+            clientHeight,
+            clientWidth,
+            participantIds: tileView
+                ? getParticipants(state).filter(p => !p.local)
+                    .map(({ id }) => id)
+                : [],
+            tileView,
+            tileViewDimensions: tileView ? state['features/filmstrip'].tileViewDimensions : undefined
+        };
+    },
+    /* listener */ debounce(({ participantIds, tileView }, { dispatch }) => {
+        dispatch(setTilePositions(tileView ? _measureTilePositions(participantIds) : undefined));
+    }, 100), {
+        deepEquals: true
+    });
+
+/**
+ * Maps the center of each participant's tile to a direction: the horizontal
+ * offset from the center of the window to an azimuth and the vertical one to
+ * an elevation.
+ *
+ * @param {Array<string>} participantIds - The IDs of the participants.
+ * @private
+ * @returns {Object} The positions keyed by participant ID.
+ */
+function _measureTilePositions(participantIds) {
+    const { innerHeight, innerWidth } = window;
+    const clamp = value => Math.max(-1, Math.min(1, value));
+    const positions = {};
+
+    participantIds.forEach(id => {
+        const tile = document.getElementById(`participant_${id}`);
+
+        if (!tile) {
+            return;
+        }
+
+        const { height, left, top, width } = tile.getBoundingClientRect();
+        const horizontal = clamp((2 * (left + (width / 2)) / innerWidth) - 1);
+        const vertical = clamp((2 * (top + (height / 2)) / innerHeight) - 1);
+
+        positions[id] = getDirectionalPosition(
+            horizontal * TILE_VIEW_MAX_AZIMUTH,
+            -vertical * TILE_VIEW_MAX_ELEVATION);
+    });
+
+    return positions;
+}
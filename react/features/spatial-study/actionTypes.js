@@ -0,0 +1,83 @@
+/**
+ * The type of (redux) action which records the latest round a moderator
+ * announced, so that only the rounds announced afterwards end a block.
+ *
+ * {
+ *     type: SET_STUDY_ROUND,
+ *     round: number
+ * }
+ */
+export const SET_STUDY_ROUND = 'SET_STUDY_ROUND';
+
+/**
+ * The type of (redux) action which ends the block of the study the local
+ * participant listens to, after which they answer the questionnaire.
+ *
+ * {
+ *     type: STUDY_BLOCK_ENDED,
+ *     timestamp: number
+ * }
+ */
+export const STUDY_BLOCK_ENDED = 'STUDY_BLOCK_ENDED';
+
+/**
+ * The type of (redux) action which starts a block of the study: the local
+ * participant listens to the conference in the condition of the block.
+ *
+ * {
+ *     type: STUDY_BLOCK_STARTED,
+ *     block: number,
+ *     timestamp: number
+ * }
+ */
+export const STUDY_BLOCK_STARTED = 'STUDY_BLOCK_STARTED';
+
+/**
+ * The type of (redux) action which signals that the local participant
+ * answered the questionnaire of the last block.
+ *
+ * {
+ *     type: STUDY_FINISHED,
+ *     timestamp: number
+ * }
+ */
+export const STUDY_FINISHED = 'STUDY_FINISHED';
+
+/**
+ * The type of (redux) action which records the answers of the local
+ * participant to the questionnaire of the block which ended.
+ *
+ * {
+ *     type: STUDY_RESPONSE_SUBMITTED,
+ *     response: {
+ *         comment: string,
+ *         ratings: Object,
+ *         timestamp: number
+ *     }
+ * }
+ */
+export const STUDY_RESPONSE_SUBMITTED = 'STUDY_RESPONSE_SUBMITTED';
+
+/**
+ * The type of (redux) action which starts the study with the order of the
+ * conditions drawn for the local participant.
+ *
+ * {
+ *     type: STUDY_STARTED,
+ *     order: Array<string>,
+ *     participantId: string,
+ *     timestamp: number
+ * }
+ */
+export const STUDY_STARTED = 'STUDY_STARTED';
+
+/**
+ * The type of (redux) action which clears the study when the local
+ * participant leaves the conference, abandoning it if the last block has not
+ * ended.
+ *
+ * {
+ *     type: STUDY_STOPPED
+ * }
+ */
+export const STUDY_STOPPED = 'STUDY_STOPPED';
@@ -0,0 +1,190 @@
+// @flow
+
+import shuffle from 'lodash/shuffle';
+import type { Dispatch } from 'redux';
+
+import { getCurrentConference } from '../base/conference';
+import { getLocalParticipant } from '../base/participants';
+import { downloadCSV } from '../base/util/downloadCSV';
+import { downloadJSON } from '../base/util/downloadJSON';
+
+import {
+    SET_STUDY_ROUND,
+    STUDY_BLOCK_ENDED,
+    STUDY_BLOCK_STARTED,
+    STUDY_FINISHED,
+    STUDY_RESPONSE_SUBMITTED,
+    STUDY_STARTED,
+    STUDY_STOPPED
+} from './actionTypes';
+import { SPATIAL_STUDY_COMMAND, STUDY_PHASES } from './constants';
+import { getStudyResults, getStudyResultsRows, getStudySettings } from './functions';
+import logger from './logger';
+
+/**
+ * Ends the block every participant of the study listens to, on behalf of a
+ * moderator: the other participants are told through a conference command.
+ *
+ * @returns {Function}
+ */
+export function advanceStudy() {
+    return (dispatch: Dispatch<any>, getState: Function) => {
+        const state = getState();
+        const conference = getCurrentConference(state);
+        const { phase, round = 0 } = state['features/spatial-study'];
+
+        if (!conference) {
+            return;
+        }
+
+        logger.info(`Ending study round ${round + 1}`);
+        conference.sendCommand(SPATIAL_STUDY_COMMAND, { attributes: { round: round + 1 } });
+        dispatch(setStudyRound(round + 1));
+        phase === STUDY_PHASES.LISTENING && dispatch(endStudyBlock());
+    };
+}
+
+/**
+ * Downloads the results of the study.
+ *
+ * @param {string} format - Either 'json' or 'csv'.
+ * @returns {Function}
+ */
+export function downloadStudyResults(format: string) {
+    return (dispatch: Dispatch<any>, getState: Function) => {
+        const state = getState();
+        const { participantId, startedAt } = state['features/spatial-study'];
+        const filename = `spatial-study-${participantId}-${startedAt}.${format}`;
+
+        if (format === 'csv') {
+            downloadCSV(getStudyResultsRows(state), filename);
+        } else {
+            downloadJSON(getStudyResults(state), filename);
+        }
+    };
+}
+
+/**
+ * Ends the block of the study the local participant listens to.
+ *
+ * @returns {{
+ *     type: STUDY_BLOCK_ENDED,
+ *     timestamp: number
+ * }}
+ */
+export function endStudyBlock() {
+    return {
+        type: STUDY_BLOCK_ENDED,
+        timestamp: Date.now()
+    };
+}
+
+/**
+ * Signals that the local participant answered the questionnaire of the last
+ * block.
+ *
+ * @returns {{
+ *     type: STUDY_FINISHED,
+ *     timestamp: number
+ * }}
+ */
+export function finishStudy() {
+    return {
+        type: STUDY_FINISHED,
+        timestamp: Date.now()
+    };
+}
+
+/**
+ * Records the latest round a moderator announced.
+ *
+ * @param {number} round - The round.
+ * @returns {{
+ *     type: SET_STUDY_ROUND,
+ *     round: number
+ * }}
+ */
+export function setStudyRound(round: number) {
+    return {
+        type: SET_STUDY_ROUND,
+        round
+    };
+}
+
+/**
+ * Starts the study configured in config.js, with the conditions in an order
+ * drawn for the local participant.
+ *
+ * @returns {Function}
+ */
+export function startStudy() {
+    return (dispatch: Dispatch<any>, getState: Function) => {
+        const state = getState();
+        const localParticipant = getLocalParticipant(state);
+        const order = shuffle(getStudySettings(state).conditions);
+
+        // The order is not logged, to keep the study blind.
+        logger.info('Starting the study');
+        dispatch({
+            type: STUDY_STARTED,
+            order,
+            participantId: localParticipant && localParticipant.id,
+            timestamp: Date.now()
+        });
+    };
+}
+
+/**
+ * Starts a block of the study.
+ *
+ * @param {number} block - The index of the block in the order of the
+ * conditions.
+ * @returns {{
+ *     type: STUDY_BLOCK_STARTED,
+ *     block: number,
+ *     timestamp: number
+ * }}
+ */
+export function startStudyBlock(block: number) {
+    return {
+        type: STUDY_BLOCK_STARTED,
+        block,
+        timestamp: Date.now()
+    };
+}
+
+/**
+ * Clears the study.
+ *
+ * @returns {{
+ *     type: STUDY_STOPPED
+ * }}
+ */
+export function stopStudy() {
+    return {
+        type: STUDY_STOPPED
+    };
+}
+
+/**
+ * Records the answers of the local participant to the questionnaire of the
+ * block which ended.
+ *
+ * @param {Object} ratings - The ratings, from 1 to 5 or null if not given,
+ * keyed by question.
+ * @param {string} comment - The comment of the local participant.
+ * @returns {{
+ *     type: STUDY_RESPONSE_SUBMITTED,
+ *     response: Object
+ * }}
+ */
+export function submitStudyResponse(ratings: Object, comment: string) {
+    return {
+        type: STUDY_RESPONSE_SUBMITTED,
+        response: {
+            comment,
+            ratings,
+            timestamp: Date.now()
+        }
+    };
+}
@@ -0,0 +1,64 @@
+// @flow
+
+import type { Dispatch } from 'redux';
+
+import { translate } from '../../../base/i18n';
+import { IconEventNote } from '../../../base/icons';
+import { isLocalParticipantModerator } from '../../../base/participants';
+import { connect } from '../../../base/redux';
+import { AbstractButton, type AbstractButtonProps } from '../../../base/toolbox/components';
+import { advanceStudy } from '../../actions';
+import { getStudySettings, isStudyRunning } from '../../functions';
+
+/**
+ * The type of the React {@code Component} props of {@link SpatialStudyButton}.
+ */
+type Props = AbstractButtonProps & {
+
+    /**
+     * The redux {@code dispatch} function.
+     */
+    dispatch: Dispatch<any>
+};
+
+/**
+ * Implements a button with which a moderator ends the block every
+ * participant of a study paced by the moderator listens to. It takes the
+ * place of the spatial audio toggle, hidden during a study.
+ */
+class SpatialStudyButton<P: Props> extends AbstractButton<P, *> {
+    accessibilityLabel = 'toolbar.accessibilityLabel.spatialStudy';
+    icon = IconEventNote;
+    label = 'spatialStudy.endBlock';
+    tooltip = 'spatialStudy.endBlock';
+
+    /**
+     * Handles clicking / pressing the button.
+     *
+     * @override
+     * @protected
+     * @returns {void}
+     */
+    _handleClick() {
+        this.props.dispatch(advanceStudy());
+    }
+}
+
+/**
+ * Maps part of the Redux state to the props of this component.
+ *
+ * @param {Object} state - The Redux state.
+ * @param {Object} ownProps - The properties explicitly passed to the component instance.
+ * @returns {Props}
+ */
+function _mapStateToProps(state, ownProps) {
+    const { visible = isStudyRunning(state)
+        && getStudySettings(state).blockDuration <= 0
+        && isLocalParticipantModerator(state) } = ownProps;
+
+    return {
+        visible
+    };
+}
+
+export default translate(connect(_mapStateToProps)(SpatialStudyButton));
@@ -0,0 +1,218 @@
+// @flow
+
+import { FieldTextAreaStateless } from '@atlaskit/field-text-area';
+import React, { Component } from 'react';
+
+import { Dialog } from '../../../base/dialog';
+import { translate } from '../../../base/i18n';
+import { connect } from '../../../base/redux';
+import StarRating from '../../../feedback/components/StarRating';
+import { submitStudyResponse } from '../../actions';
+import { getStudySettings } from '../../functions';
+
+/**
+ * The type of the React {@code Component} props of
+ * {@link StudyQuestionnaireDialog}.
+ */
+type Props = {
+
+    /**
+     * The index of the block which ended.
+     */
+    _block: number,
+
+    /**
+     * The questions the local participant rates the block on.
+     */
+    _questions: Array<string>,
+
+    /**
+     * The redux {@code dispatch} function.
+     */
+    dispatch: Function,
+
+    /**
+     * Invoked to obtain translated strings.
+     */
+    t: Function
+};
+
+/**
+ * The type of the React {@code Component} state of
+ * {@link StudyQuestionnaireDialog}.
+ */
+type State = {
+
+    /**
+     * The currently entered comment.
+     */
+    comment: string,
+
+    /**
+     * The currently selected score selection indexes, keyed by question.
+     */
+    scores: Object
+};
+
+/**
+ * A React {@code Component} for displaying the questionnaire the local
+ * participant of a study answers after every block, with the stars of the
+ * feedback dialog.
+ *
+ * @extends Component
+ */
+class StudyQuestionnaireDialog extends Component<Props, State> {
+    /**
+     * Handlers for the selection of a score, keyed by question. This pattern
+     * is used for binding event handlers only once for each question.
+     */
+    _onScoreSelect: Object;
+
+    /**
+     * Initializes a new {@code StudyQuestionnaireDialog} instance.
+     *
+     * @param {Object} props - The read-only React {@code Component} props with
+     * which the new instance is to be initialized.
+     */
+    constructor(props: Props) {
+        super(props);
+
+        this.state = {
+            comment: '',
+            scores: {}
+        };
+
+        this._onScoreSelect = {};
+        props._questions.forEach(question => {
+            this._onScoreSelect[question] = score => this.setState(({ scores }) => {
+                return {
+                    scores: {
+                        ...scores,
+                        [question]: score
+                    }
+                };
+            });
+        });
+
+        // Bind event handlers so they are only bound once for every instance.
+        this._onCancel = this._onCancel.bind(this);
+        this._onCommentChange = this._onCommentChange.bind(this);
+        this._onSubmit = this._onSubmit.bind(this);
+    }
+
+    /**
+     * Implements React's {@link Component#render()}.
+     *
+     * @inheritdoc
+     * @returns {ReactElement}
+     */
+    render() {
+        const { _block, _questions, t } = this.props;
+        const { comment, scores } = this.state;
+
+        return (
+            <Dialog
+                cancelKey = 'spatialStudy.skip'
+                disableBlanketClickDismiss = { true }
+                okKey = 'dialog.Submit'
+                onCancel = { this._onCancel }
+                onSubmit = { this._onSubmit }
+                titleString = { t('spatialStudy.questionnaireTitle', { number: _block + 1 }) }>
+                <div className = 'feedback-dialog'>
+                    { _questions.map(question => (
+                        <div key = { question }>
+                            <p>
+                                { t(`spatialStudy.questions.${question}`, { defaultValue: question }) }
+                            </p>
+                            <StarRating
+                                labelId = { `studyStarLabel-${question}` }
+                                onChange = { this._onScoreSelect[question] }
+                                score = { typeof scores[question] === 'number' ? scores[question] : -1 } />
+                        </div>
+                    )) }
+                    <div className = 'details'>
+                        <FieldTextAreaStateless
+                            className = 'input-control'
+                            id = 'studyCommentTextArea'
+                            label = { t('spatialStudy.comment') }
+                            onChange = { this._onCommentChange }
+                            shouldFitContainer = { true }
+                            value = { comment } />
+                    </div>
+                </div>
+            </Dialog>
+        );
+    }
+
+    _onCancel: () => boolean;
+
+    /**
+     * Records that the local participant skipped the questionnaire so that
+     * the study goes on.
+     *
+     * @private
+     * @returns {boolean} Returns true to close the dialog.
+     */
+    _onCancel() {
+        const ratings = {};
+
+        this.props._questions.forEach(question => {
+            ratings[question] = null;
+        });
+        this.props.dispatch(submitStudyResponse(ratings, ''));
+
+        return true;
+    }
+
+    _onCommentChange: (Object) => void;
+
+    /**
+     * Updates the known entered comment.
+     *
+     * @param {Object} event - The DOM event from updating the textfield for the
+     * comment.
+     * @private
+     * @returns {void}
+     */
+    _onCommentChange(event) {
+        this.setState({ comment: event.target.value });
+    }
+
+    _onSubmit: () => boolean;
+
+    /**
+     * Records the answers of the local participant. The ratings go from 1 to
+     * 5 and are null for the questions left unanswered.
+     *
+     * @private
+     * @returns {boolean} Returns true to close the dialog.
+     */
+    _onSubmit() {
+        const { comment, scores } = this.state;
+        const ratings = {};
+
+        this.props._questions.forEach(question => {
+            ratings[question] = typeof scores[question] === 'number' ? scores[question] + 1 : null;
+        });
+        this.props.dispatch(submitStudyResponse(ratings, comment));
+
+        return true;
+    }
+}
+
+/**
+ * Maps (parts of) the redux state to the associated
+ * {@code StudyQuestionnaireDialog}'s props.
+ *
+ * @param {Object} state - The redux state.
+ * @private
+ * @returns {Props}
+ */
+function _mapStateToProps(state) {
+    return {
+        _block: state['features/spatial-study'].block,
+        _questions: getStudySettings(state).questions
+    };
+}
+
+export default translate(connect(_mapStateToProps)(StudyQuestionnaireDialog));
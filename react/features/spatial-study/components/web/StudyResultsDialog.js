@@ -0,0 +1,107 @@
+// @flow
+
+import Button from '@atlaskit/button/standard-button';
+import React, { Component } from 'react';
+
+import { Dialog } from '../../../base/dialog';
+import { translate } from '../../../base/i18n';
+import { connect } from '../../../base/redux';
+import { downloadStudyResults } from '../../actions';
+
+/**
+ * The type of the React {@code Component} props of {@link StudyResultsDialog}.
+ */
+type Props = {
+
+    /**
+     * The redux {@code dispatch} function.
+     */
+    dispatch: Function,
+
+    /**
+     * Invoked to obtain translated strings.
+     */
+    t: Function
+};
+
+/**
+ * Implements a React {@link Component} which thanks the local participant at
+ * the end of a study and lets them download its results for the researcher.
+ *
+ * @extends Component
+ */
+class StudyResultsDialog extends Component<Props> {
+    /**
+     * Initializes a new {@code StudyResultsDialog} instance.
+     *
+     * @param {Object} props - The read-only properties with which the new
+     * instance is to be initialized.
+     */
+    constructor(props: Props) {
+        super(props);
+
+        // Bind event handlers so they are only bound once for every instance.
+        this._onDownloadCSV = this._onDownloadCSV.bind(this);
+        this._onDownloadJSON = this._onDownloadJSON.bind(this);
+    }
+
+    /**
+     * Implements React's {@link Component#render}.
+     *
+     * @inheritdoc
+     */
+    render() {
+        const { t } = this.props;
+
+        return (
+            <Dialog
+                disableBlanketClickDismiss = { true }
+                hideCancelButton = { true }
+                okKey = 'dialog.done'
+                titleKey = 'spatialStudy.finishedTitle'
+                width = 'small'>
+                <div className = 'spatial-study-results'>
+                    <p>{ t('spatialStudy.finished') }</p>
+                    <div className = 'spatial-study-results__downloads'>
+                        <Button
+                            appearance = 'primary'
+                            onClick = { this._onDownloadJSON }>
+                            { t('spatialStudy.downloadJSON') }
+                        </Button>
+                        <Button
+                            appearance = 'default'
+                            onClick = { this._onDownloadCSV }>
+                            { t('spatialStudy.downloadCSV') }
+                        </Button>
+                    </div>
+                </div>
+            </Dialog>
+        );
+    }
+
+    _onDownloadCSV: () => void;
+
+    /**
+     * Downloads the results as a CSV file.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onDownloadCSV() {
+        this.props.dispatch(downloadStudyResults('csv'));
+    }
+
+    _onDownloadJSON: () => void;
+
+    /**
+     * Downloads the results as a JSON file.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onDownloadJSON() {
+        this.props.dispatch(downloadStudyResults('json'));
+    }
+}
+
+export default translate(connect()(StudyResultsDialog));
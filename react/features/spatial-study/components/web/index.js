@@ -0,0 +1,5 @@
+// @flow
+
+export { default as SpatialStudyButton } from './SpatialStudyButton';
+export { default as StudyQuestionnaireDialog } from './StudyQuestionnaireDialog';
+export { default as StudyResultsDialog } from './StudyResultsDialog';
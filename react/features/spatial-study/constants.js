@@ -0,0 +1,59 @@
+// @flow
+
+/**
+ * The name of the conference command with which a moderator ends the block
+ * every participant of the study listens to.
+ *
+ * @type {string}
+ */
+export const SPATIAL_STUDY_COMMAND = 'spatial-study-round';
+
+/**
+ * The conditions the participants of a study listen to the conference in:
+ * mono, binaural with HRTFs and stereo panning.
+ *
+ * @type {Object}
+ */
+export const STUDY_CONDITIONS = {
+    HRTF: 'hrtf',
+    MONO: 'mono',
+    STEREO: 'stereo'
+};
+
+/**
+ * The version of the format of the exported results, to be bumped whenever it
+ * changes in a way analysis scripts have to know about.
+ *
+ * @type {number}
+ */
+export const STUDY_DATA_VERSION = 1;
+
+/**
+ * The phases of a block of the study.
+ *
+ * @type {Object}
+ */
+export const STUDY_PHASES = {
+    FINISHED: 'finished',
+    LISTENING: 'listening',
+    QUESTIONNAIRE: 'questionnaire'
+};
+
+/**
+ * The defaults of the study, which config.js overrides: whether it is
+ * enabled, the conditions every participant goes through in random order,
+ * the duration of a block in seconds, 0 for blocks a moderator ends, and the
+ * questions of the questionnaire after every block.
+ *
+ * @type {Object}
+ */
+export const STUDY_SETTINGS = {
+    blockDuration: 300,
+    conditions: [
+        STUDY_CONDITIONS.MONO,
+        STUDY_CONDITIONS.HRTF,
+        STUDY_CONDITIONS.STEREO
+    ],
+    enabled: false,
+    questions: [ 'quality', 'intelligibility', 'localization' ]
+};
@@ -0,0 +1,128 @@
+// @flow
+
+import { toState } from '../base/redux';
+
+import { STUDY_DATA_VERSION, STUDY_PHASES, STUDY_SETTINGS } from './constants';
+
+/**
+ * Returns the condition the local participant listens to in the current
+ * block of the study.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {?string}
+ */
+export function getStudyCondition(stateful: Object | Function) {
+    const { block, order } = toState(stateful)['features/spatial-study'];
+
+    return order[block];
+}
+
+/**
+ * Returns the results of the study: the order of the conditions drawn for
+ * the local participant and, for every block, its timings and the answers to
+ * its questionnaire. Times are in seconds.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Object}
+ */
+export function getStudyResults(stateful: Object | Function) {
+    const state = toState(stateful);
+    const { finishedAt, order, participantId, responses, startedAt } = state['features/spatial-study'];
+    const { blockDuration, questions } = getStudySettings(state);
+
+    return {
+        version: STUDY_DATA_VERSION,
+        participantId,
+        startedAt: startedAt && new Date(startedAt).toISOString(),
+        finishedAt: finishedAt ? new Date(finishedAt).toISOString() : null,
+        blockDuration,
+        order,
+        questions,
+        blocks: responses.map(response => {
+            return {
+                block: response.block + 1,
+                condition: response.condition,
+                startedAt: new Date(response.startedAt).toISOString(),
+                endedAt: new Date(response.endedAt).toISOString(),
+                answeredAt: new Date(response.answeredAt).toISOString(),
+                listeningTime: (response.endedAt - response.startedAt) / 1000,
+                responseTime: (response.answeredAt - response.endedAt) / 1000,
+                ratings: response.ratings,
+                comment: response.comment
+            };
+        })
+    };
+}
+
+/**
+ * Returns the results of the study as the rows of a CSV file: a header and a
+ * row for every block.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Array<Array<any>>}
+ */
+export function getStudyResultsRows(stateful: Object | Function) {
+    const { blocks, participantId, questions } = getStudyResults(stateful);
+
+    return [
+        [
+            'participantId',
+            'block',
+            'condition',
+            'startedAt',
+            'endedAt',
+            'answeredAt',
+            'listeningTime',
+            'responseTime',
+            ...questions,
+            'comment'
+        ],
+        ...blocks.map(block => [
+            participantId,
+            block.block,
+            block.condition,
+            block.startedAt,
+            block.endedAt,
+            block.answeredAt,
+            block.listeningTime,
+            block.responseTime,
+            ...questions.map(question => block.ratings[question]),
+            block.comment
+        ])
+    ];
+}
+
+/**
+ * Returns the settings of the study: the defaults, overridden by the ones
+ * from config.js.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {Object}
+ */
+export function getStudySettings(stateful: Object | Function) {
+    const { spatialAudio = {} } = toState(stateful)['features/base/config'];
+
+    return {
+        ...STUDY_SETTINGS,
+        ...spatialAudio.study
+    };
+}
+
+/**
+ * Returns whether the local participant takes part in a study which has not
+ * finished yet, during which they must not be able to tell or change the
+ * condition they listen to.
+ *
+ * @param {Object|Function} stateful - Object or function that can be resolved
+ * to the Redux state.
+ * @returns {boolean}
+ */
+export function isStudyRunning(stateful: Object | Function) {
+    const { phase } = toState(stateful)['features/spatial-study'];
+
+    return Boolean(phase) && phase !== STUDY_PHASES.FINISHED;
+}
@@ -0,0 +1,4 @@
+export * from './actions';
+export * from './actionTypes';
+export * from './constants';
+export * from './functions';
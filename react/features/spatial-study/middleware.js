@@ -0,0 +1,201 @@
+// @flow
+
+import {
+    CONFERENCE_JOINED,
+    CONFERENCE_WILL_JOIN,
+    CONFERENCE_WILL_LEAVE
+} from '../base/conference/actionTypes';
+import { openDialog } from '../base/dialog';
+import { PARTICIPANT_ROLE, getParticipantById } from '../base/participants';
+import { MiddlewareRegistry } from '../base/redux';
+import { NOTIFICATION_TIMEOUT, showNotification } from '../notifications';
+import { PANNING_MODELS, setSpatialAudioCondition } from '../spatial-audio';
+
+import {
+    STUDY_BLOCK_ENDED,
+    STUDY_BLOCK_STARTED,
+    STUDY_FINISHED,
+    STUDY_RESPONSE_SUBMITTED,
+    STUDY_STARTED,
+    STUDY_STOPPED
+} from './actionTypes';
+import {
+    endStudyBlock,
+    finishStudy,
+    setStudyRound,
+    startStudy,
+    startStudyBlock,
+    stopStudy
+} from './actions';
+import { StudyQuestionnaireDialog, StudyResultsDialog } from './components/web';
+import { SPATIAL_STUDY_COMMAND, STUDY_CONDITIONS, STUDY_PHASES } from './constants';
+import { getStudyCondition, getStudySettings } from './functions';
+import logger from './logger';
+
+/**
+ * The timeout which ends the current block of a study with blocks of a fixed
+ * duration.
+ */
+let _blockTimeout: ?TimeoutID = null;
+
+/**
+ * Implements the middleware of the feature spatial study.
+ *
+ * @param {Store} store - The redux store.
+ * @returns {Function}
+ */
+MiddlewareRegistry.register(store => next => action => {
+    const { dispatch, getState } = store;
+
+    switch (action.type) {
+    case STUDY_STOPPED:
+        clearTimeout(_blockTimeout);
+        _blockTimeout = null;
+        dispatch(setSpatialAudioCondition(undefined));
+        break;
+    }
+
+    const result = next(action);
+
+    switch (action.type) {
+    case CONFERENCE_JOINED:
+        // Rounds which ended before the local participant joined are in the
+        // presence received by now, so the next one is new.
+        getState()['features/spatial-study'].round === undefined && dispatch(setStudyRound(0));
+        getStudySettings(getState()).enabled && dispatch(startStudy());
+        break;
+
+    case CONFERENCE_WILL_JOIN:
+        action.conference.addCommandListener(
+            SPATIAL_STUDY_COMMAND, ({ attributes }, id) => {
+                _onStudyCommand(attributes, id, store);
+            });
+        break;
+
+    case CONFERENCE_WILL_LEAVE:
+        dispatch(stopStudy());
+        break;
+
+    case STUDY_BLOCK_ENDED:
+        clearTimeout(_blockTimeout);
+        _blockTimeout = null;
+        dispatch(openDialog(StudyQuestionnaireDialog));
+        break;
+
+    case STUDY_BLOCK_STARTED: {
+        const state = getState();
+        const { blockDuration } = getStudySettings(state);
+
+        // Neither the log nor the notification name the condition, to keep
+        // the study blind.
+        logger.info(`Study block ${action.block + 1} started`);
+        _applyCondition(getStudyCondition(state), store);
+        dispatch(showNotification({
+            titleArguments: {
+                number: action.block + 1,
+                total: state['features/spatial-study'].order.length
+            },
+            titleKey: 'spatialStudy.blockStarted'
+        }, NOTIFICATION_TIMEOUT));
+
+        if (blockDuration > 0) {
+            _blockTimeout = setTimeout(() => {
+                _blockTimeout = null;
+                dispatch(endStudyBlock());
+            }, blockDuration * 1000);
+        }
+        break;
+    }
+
+    case STUDY_FINISHED:
+        dispatch(setSpatialAudioCondition(undefined));
+        dispatch(openDialog(StudyResultsDialog));
+        break;
+
+    case STUDY_RESPONSE_SUBMITTED: {
+        const { block, order } = getState()['features/spatial-study'];
+
+        dispatch(block + 1 < order.length ? startStudyBlock(block + 1) : finishStudy());
+        break;
+    }
+
+    case STUDY_STARTED:
+        dispatch(startStudyBlock(0));
+        break;
+    }
+
+    return result;
+});
+
+/**
+ * Makes the local participant listen to the conference in a condition of the
+ * study. The condition does not touch the spatial audio preferences of the
+ * local user, so that they apply again after the study, even if it is
+ * interrupted by closing the page.
+ *
+ * @param {string} condition - The condition, one of {@code STUDY_CONDITIONS}.
+ * @param {Object} store - The redux store.
+ * @private
+ * @returns {void}
+ */
+function _applyCondition(condition, { dispatch }) {
+    switch (condition) {
+    case STUDY_CONDITIONS.HRTF:
+        dispatch(setSpatialAudioCondition({
+            enabled: true,
+            pannerSettings: { panningModel: PANNING_MODELS.HRTF }
+        }));
+        break;
+
+    case STUDY_CONDITIONS.MONO:
+        dispatch(setSpatialAudioCondition({ enabled: false }));
+        break;
+
+    case STUDY_CONDITIONS.STEREO:
+        dispatch(setSpatialAudioCondition({
+            enabled: true,
+            pannerSettings: { panningModel: PANNING_MODELS.EQUAL_POWER }
+        }));
+        break;
+
+    default:
+        logger.warn(`Unknown study condition ${condition}`);
+    }
+}
+
+/**
+ * Notifies this instance about a round of the study ended by a moderator.
+ *
+ * @param {Object} attributes - The attributes carried by the command.
+ * @param {string} id - The identifier of the participant who issued the
+ * command. The command may be issued by the local participant.
+ * @param {Object} store - The redux store.
+ * @private
+ * @returns {void}
+ */
+function _onStudyCommand(attributes = {}, id, { dispatch, getState }) {
+    const state = getState();
+    const participant = getParticipantById(state, id);
+    const round = Number(attributes.round);
+    const { phase, round: lastRound } = state['features/spatial-study'];
+
+    if (!participant || participant.local || isNaN(round)) {
+        return;
+    }
+
+    if (participant.role !== PARTICIPANT_ROLE.MODERATOR) {
+        logger.warn('Received spatial study command not from moderator');
+
+        return;
+    }
+
+    if (lastRound !== undefined && round <= lastRound) {
+        return;
+    }
+
+    dispatch(setStudyRound(round));
+
+    // A round found in the presence of the moderator before the local
+    // participant joined ended before they were there.
+    lastRound !== undefined && phase === STUDY_PHASES.LISTENING && dispatch(endStudyBlock());
+}
@@ -0,0 +1,161 @@
+// @flow
+
+import { ReducerRegistry } from '../base/redux';
+
+import {
+    SET_STUDY_ROUND,
+    STUDY_BLOCK_ENDED,
+    STUDY_BLOCK_STARTED,
+    STUDY_FINISHED,
+    STUDY_RESPONSE_SUBMITTED,
+    STUDY_STARTED,
+    STUDY_STOPPED
+} from './actionTypes';
+import { STUDY_PHASES } from './constants';
+
+/**
+ * The default state of the feature spatial study.
+ */
+const DEFAULT_STATE = {
+
+    /**
+     * The index of the current block in {@code order}.
+     *
+     * @type {number}
+     */
+    block: -1,
+
+    /**
+     * The time at which the current block ended.
+     *
+     * @type {number|undefined}
+     */
+    blockEndedAt: undefined,
+
+    /**
+     * The time at which the current block started.
+     *
+     * @type {number|undefined}
+     */
+    blockStartedAt: undefined,
+
+    /**
+     * The time at which the local participant answered the last
+     * questionnaire.
+     *
+     * @type {number|undefined}
+     */
+    finishedAt: undefined,
+
+    /**
+     * The conditions of the blocks, in the order drawn for the local
+     * participant.
+     *
+     * @type {Array<string>}
+     */
+    order: [],
+
+    /**
+     * The ID of the local participant when the study started.
+     *
+     * @type {string|undefined}
+     */
+    participantId: undefined,
+
+    /**
+     * The phase of the current block, one of {@code STUDY_PHASES}, or
+     * undefined when there is no study.
+     *
+     * @type {string|undefined}
+     */
+    phase: undefined,
+
+    /**
+     * The timings of the blocks which ended along with the answers to their
+     * questionnaires.
+     *
+     * @type {Array<Object>}
+     */
+    responses: [],
+
+    /**
+     * The latest round announced by a moderator.
+     *
+     * @type {number|undefined}
+     */
+    round: undefined,
+
+    /**
+     * The time at which the study started.
+     *
+     * @type {number|undefined}
+     */
+    startedAt: undefined
+};
+
+/**
+ * Reduces the redux actions of the feature spatial study.
+ */
+ReducerRegistry.register('features/spatial-study', (state = DEFAULT_STATE, action) => {
+    switch (action.type) {
+    case SET_STUDY_ROUND:
+        return {
+            ...state,
+            round: action.round
+        };
+
+    case STUDY_BLOCK_ENDED:
+        return {
+            ...state,
+            blockEndedAt: action.timestamp,
+            phase: STUDY_PHASES.QUESTIONNAIRE
+        };
+
+    case STUDY_BLOCK_STARTED:
+        return {
+            ...state,
+            block: action.block,
+            blockEndedAt: undefined,
+            blockStartedAt: action.timestamp,
+            phase: STUDY_PHASES.LISTENING
+        };
+
+    case STUDY_FINISHED:
+        return {
+            ...state,
+            finishedAt: action.timestamp,
+            phase: STUDY_PHASES.FINISHED
+        };
+
+    case STUDY_RESPONSE_SUBMITTED:
+        return {
+            ...state,
+            responses: [
+                ...state.responses,
+                {
+                    answeredAt: action.response.timestamp,
+                    block: state.block,
+                    comment: action.response.comment,
+                    condition: state.order[state.block],
+                    endedAt: state.blockEndedAt,
+                    ratings: action.response.ratings,
+                    startedAt: state.blockStartedAt
+                }
+            ]
+        };
+
+    case STUDY_STARTED:
+        return {
+            ...DEFAULT_STATE,
+            order: action.order,
+            participantId: action.participantId,
+            round: state.round,
+            startedAt: action.timestamp
+        };
+
+    case STUDY_STOPPED:
+        return DEFAULT_STATE;
+    }
+
+    return state;
+});
@@ -6,7 +6,8 @@ import { MEDIA_TYPE } from '../../base/media';
 /**
  * Class Implementing the effect interface expected by a JitsiLocalTrack.
  * The AudioMixerEffect, as the name implies, mixes two JitsiLocalTracks containing a audio track. First track is
- * provided at the moment of creation, second is provided through the effect interface.
+ * provided at the moment of creation, second is provided through the effect interface. The tracks can also be kept
+ * apart on the two channels of a stereo track, the second one on the first channel and the first one on the second.
  */
 export class AudioMixerEffect {
     /**
@@ -39,17 +40,30 @@ export class AudioMixerEffect {
      */
     _audioMixer: Object;
 
+    /**
+     * The AudioContext which puts the tracks on separate channels, if they are kept apart.
+     */
+    _audioContext: ?Object;
+
+    /**
+     * Whether the tracks are kept apart on separate channels instead of mixed.
+     */
+    _separateChannels: boolean;
+
     /**
      * Creates AudioMixerEffect.
      *
      * @param {JitsiLocalTrack} mixAudio - JitsiLocalTrack which will be mixed with the original track.
+     * @param {Object} options - Whether the original track is kept on the first channel and {@code mixAudio} on the
+     * second instead of mixing them.
      */
-    constructor(mixAudio: Object) {
+    constructor(mixAudio: Object, { separateChannels = false }: Object = {}) {
         if (mixAudio.getType() !== MEDIA_TYPE.AUDIO) {
             throw new Error('AudioMixerEffect only supports audio JitsiLocalTracks; effect will not work!');
         }
 
         this._mixAudio = mixAudio;
+        this._separateChannels = separateChannels;
     }
 
     /**
@@ -74,11 +88,16 @@ export class AudioMixerEffect {
         this._originalStream = audioStream;
         this._originalTrack = audioStream.getTracks()[0];
 
-        this._audioMixer = JitsiMeetJS.createAudioMixer();
-        this._audioMixer.addMediaStream(this._mixAudio.getOriginalStream());
-        this._audioMixer.addMediaStream(this._originalStream);
+        if (this._separateChannels) {
+            this._mixedMediaStream = this._startSeparateChannels();
+        } else {
+            this._audioMixer = JitsiMeetJS.createAudioMixer();
+            this._audioMixer.addMediaStream(this._mixAudio.getOriginalStream());
+            this._audioMixer.addMediaStream(this._originalStream);
+
+            this._mixedMediaStream = this._audioMixer.start();
+        }
 
-        this._mixedMediaStream = this._audioMixer.start();
         this._mixedMediaTrack = this._mixedMediaStream.getTracks()[0];
 
         // Sync the resulting mixed track enabled state with that of the track using the effect.
@@ -97,7 +116,35 @@ export class AudioMixerEffect {
         // Match state of the original track with that of the mixer track, not doing so can
         // result in an inconsistent state e.g. redux state is muted yet track is enabled.
         this._originalTrack.enabled = this._mixedMediaTrack.enabled;
-        this._audioMixer.reset();
+
+        if (this._audioContext) {
+            this._audioContext.close();
+            this._audioContext = undefined;
+        } else {
+            this._audioMixer.reset();
+        }
+    }
+
+    /**
+     * Puts the original track, downmixed to mono, on the first channel of a stereo stream and the track to mix in on
+     * the second one.
+     *
+     * @returns {MediaStream} - The stereo MediaStream.
+     */
+    _startSeparateChannels() {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        const context = new AudioContext();
+        const merger = context.createChannelMerger(2);
+        const destination = context.createMediaStreamDestination();
+
+        // The inputs of the merger are mono, so each stream is downmixed to its channel.
+        context.createMediaStreamSource(this._originalStream).connect(merger, 0, 0);
+        context.createMediaStreamSource(this._mixAudio.getOriginalStream()).connect(merger, 0, 1);
+        destination.channelCount = 2;
+        merger.connect(destination);
+        this._audioContext = context;
+
+        return destination.stream;
     }
 
     /**
@@ -11,7 +11,8 @@ import { translate } from '../../base/i18n';
 import { IconOrbitAlt } from '../../base/icons';
 import { connect } from '../../base/redux';
 import { AbstractButton, type AbstractButtonProps } from '../../base/toolbox/components';
-import { toggleSpatialAudio } from '../../video-layout/actions';
+import { isSpatialAudioEnabled, toggleSpatialAudio } from '../../spatial-audio';
+import { isStudyRunning } from '../../spatial-study';
 
 /**
  * The type of the React {@code Component} props of {@link SpatialAudioButton}.
@@ -19,7 +20,7 @@ import { toggleSpatialAudio } from '../../video-layout/actions';
 type Props = AbstractButtonProps & {
 
     /**
-     * Audio engine to use.
+     * Whether remote participants' audio is currently spatialized.
      */
     _spatialAudioEnabled: boolean,
 
@@ -55,7 +56,7 @@ class SpatialAudioButton<P: Props> extends AbstractButton<P, *> {
                 'is_enabled': _spatialAudioEnabled
             }));
 
-        dispatch(toggleSpatialAudio()); // probably need to dispatch here
+        dispatch(toggleSpatialAudio());
     }
 
     /**
@@ -78,11 +79,12 @@ class SpatialAudioButton<P: Props> extends AbstractButton<P, *> {
  * @returns {Props}
  */
 function _mapStateToProps(state, ownProps) {
-    const enabled = getFeatureFlag(state, SPATIAL_AUDIO_ENABLED, true);
+    // A study decides the condition the local participant listens to.
+    const enabled = getFeatureFlag(state, SPATIAL_AUDIO_ENABLED, true) && !isStudyRunning(state);
     const { visible = enabled } = ownProps;
 
     return {
-        _spatialAudioEnabled: window.spatialAudio,
+        _spatialAudioEnabled: isSpatialAudioEnabled(state),
         visible
     };
 }
@@ -54,21 +54,24 @@ import {
 } from '../../../recording';
 import { isScreenAudioShared, isScreenAudioSupported } from '../../../screen-share/';
 import SecurityDialogButton from '../../../security/components/security-dialog/SecurityDialogButton';
+import { SessionLogButton } from '../../../session-log/components/web';
 import {
     SETTINGS_TABS,
     SettingsButton,
     openSettingsDialog
 } from '../../../settings';
 import { SharedVideoButton } from '../../../shared-video/components';
+import { toggleSpatialAudio } from '../../../spatial-audio';
+import { SpatialStudyButton } from '../../../spatial-study/components/web';
 import { SpeakerStats } from '../../../speaker-stats';
 import {
     ClosedCaptionButton
 } from '../../../subtitles';
 import {
+    RoomViewButton,
     TileViewButton,
     shouldDisplayTileView,
-    toggleTileView,
-    toggleSpatialAudio
+    toggleTileView
 } from '../../../video-layout';
 import {
     OverflowMenuVideoQualityItem,
@@ -88,6 +91,7 @@ import HangupButton from '../HangupButton';
 import HelpButton from '../HelpButton';
 import MuteEveryoneButton from '../MuteEveryoneButton';
 import MuteEveryonesVideoButton from '../MuteEveryonesVideoButton';
+import SpatialAudioButton from '../SpatialAudioButton';
 
 import AudioSettingsButton from './AudioSettingsButton';
 import OverflowMenuButton from './OverflowMenuButton';
@@ -96,10 +100,6 @@ import ToggleCameraButton from './ToggleCameraButton';
 import ToolbarButton from './ToolbarButton';
 import VideoSettingsButton from './VideoSettingsButton';
 
-import SpatialAudioButton from '../SpatialAudioButton';
-
-
-
 /**
  * The type of the React {@code Component} props of {@link Toolbox}.
  */
@@ -227,6 +227,9 @@ type Props = {
      */
     t: Function,
 
+    /**
+     * Whether or not the local user has enabled spatial audio.
+     */
     _spatialAudioEnabled: boolean
 };
 
@@ -1101,7 +1104,11 @@ class Toolbox extends Component<Props> {
                     icon = { IconPresentation }
                     key = 'stats'
                     onClick = { this._onToolbarOpenSpeakerStats }
-                    text = { t('toolbar.speakerStats') } />
+                    text = { t('toolbar.speakerStats') } />,
+            this._shouldShowButton('eventlog')
+                && <SessionLogButton
+                    key = 'eventlog'
+                    showLabel = { true } />
         ];
 
 
@@ -1274,16 +1281,33 @@ class Toolbox extends Component<Props> {
                         showLabel = { true } />);
         }
 
+        if (this._shouldShowButton('roomview')) {
+            buttons.has('roomview')
+                ? mainMenuAdditionalButtons.push(
+                    <RoomViewButton
+                        key = 'roomview'
+                        showLabel = { false } />)
+                : overflowMenuAdditionalButtons.push(
+                    <RoomViewButton
+                        key = 'roomview'
+                        showLabel = { true } />);
+        }
+
         if (this._shouldShowButton('spatial')) {
             buttons.has('spatial')
                 ? mainMenuAdditionalButtons.push(
                     <SpatialAudioButton
                         key = 'spatial'
-                        showLabel = { false }
-                        toggled = { window.spatialAudio } />)
+                        showLabel = { false } />,
+                    <SpatialStudyButton
+                        key = 'spatialstudy'
+                        showLabel = { false } />)
                 : overflowMenuAdditionalButtons.push(
                     <SpatialAudioButton
                         key = 'spatial'
+                        showLabel = { true } />,
+                    <SpatialStudyButton
+                        key = 'spatialstudy'
                         showLabel = { true } />);
         }
 
@@ -1445,7 +1469,7 @@ function _mapStateToProps(state) {
         _screensharing: (localVideo && localVideo.videoType === 'desktop') || isScreenAudioShared(state),
         _visible: isToolboxVisible(state),
         _visibleButtons: getToolbarButtons(state),
-        _spatialAudioEnabled: window.spatialAudio
+        _spatialAudioEnabled: Boolean(state['features/spatial-audio'].enabled)
     };
 }
 
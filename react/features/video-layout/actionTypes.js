@@ -10,6 +10,17 @@
 export const SCREEN_SHARE_REMOTE_PARTICIPANTS_UPDATED
     = 'SCREEN_SHARE_REMOTE_PARTICIPANTS_UPDATED';
 
+/**
+ * The type of the action which enables or disables the virtual room layout, a
+ * top-down view of the conference in which participants can be moved around.
+ *
+ * @returns {{
+ *     type: SET_ROOM_VIEW,
+ *     enabled: boolean
+ * }}
+ */
+export const SET_ROOM_VIEW = 'SET_ROOM_VIEW';
+
 /**
  * The type of the action which enables or disables the feature for showing
  * video thumbnails in a two-axis tile view.
@@ -20,5 +31,3 @@ export const SCREEN_SHARE_REMOTE_PARTICIPANTS_UPDATED
  * }}
  */
 export const SET_TILE_VIEW = 'SET_TILE_VIEW';
-
-export const TOGGLE_SPATIAL_AUDIO = 'TOGGLE_SPATIAL_AUDIO';
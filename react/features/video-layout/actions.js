@@ -4,11 +4,10 @@ import type { Dispatch } from 'redux';
 
 import {
     SCREEN_SHARE_REMOTE_PARTICIPANTS_UPDATED,
-    SET_TILE_VIEW,
-    TOGGLE_SPATIAL_AUDIO
+    SET_ROOM_VIEW,
+    SET_TILE_VIEW
 } from './actionTypes';
-import { shouldDisplayTileView } from './functions';
-import { showNotification, NOTIFICATION_TIMEOUT } from '../notifications';
+import { shouldDisplayRoomView, shouldDisplayTileView } from './functions';
 
 /**
  * Creates a (redux) action which signals that the list of known remote participants
@@ -28,6 +27,23 @@ export function setRemoteParticipantsWithScreenShare(participantIds: Array<strin
     };
 }
 
+/**
+ * Creates a (redux) action which signals to set the UI layout to be the
+ * virtual room or not.
+ *
+ * @param {boolean} enabled - Whether or not the virtual room should be shown.
+ * @returns {{
+ *     type: SET_ROOM_VIEW,
+ *     enabled: boolean
+ * }}
+ */
+export function setRoomView(enabled: boolean) {
+    return {
+        type: SET_ROOM_VIEW,
+        enabled
+    };
+}
+
 /**
  * Creates a (redux) action which signals to set the UI layout to be tiled view
  * or not.
@@ -59,19 +75,14 @@ export function toggleTileView() {
     };
 }
 
-export function toggleSpatialAudio() {
-    const spatialState = !window.spatialAudio;
-    window.spatialAudio = spatialState;
-    console.warn(`toggleSpatialAudio: ${window.spatialAudio}`)
-
-    const notificationProps = {
-        titleArguments: { state: spatialState ? 'enabled' : 'disabled' },
-        titleKey: 'notify.spatialAudio'
-    }
-    APP.store.dispatch(showNotification(notificationProps, NOTIFICATION_TIMEOUT));
-
-    return {
-        type: TOGGLE_SPATIAL_AUDIO,
-        spatialState
+/**
+ * Creates a (redux) action which signals either to exit the virtual room if
+ * currently displayed or enter it if currently not displayed.
+ *
+ * @returns {Function}
+ */
+export function toggleRoomView() {
+    return (dispatch: Dispatch<any>, getState: Function) => {
+        dispatch(setRoomView(!shouldDisplayRoomView(getState())));
     };
 }
@@ -0,0 +1,93 @@
+// @flow
+
+import type { Dispatch } from 'redux';
+
+import {
+    createToolbarEvent,
+    sendAnalytics
+} from '../../analytics';
+import { translate } from '../../base/i18n';
+import { IconUserGroups } from '../../base/icons';
+import { connect } from '../../base/redux';
+import { AbstractButton, type AbstractButtonProps } from '../../base/toolbox/components';
+import { setRoomView } from '../actions';
+import { shouldDisplayRoomView } from '../functions';
+import logger from '../logger';
+
+/**
+ * The type of the React {@code Component} props of {@link RoomViewButton}.
+ */
+type Props = AbstractButtonProps & {
+
+    /**
+     * Whether or not the virtual room is displayed, i.e. whether the button
+     * is toggled.
+     */
+    _isToggled: boolean,
+
+    /**
+     * Used to dispatch actions from the buttons.
+     */
+    dispatch: Dispatch<any>
+};
+
+/**
+ * Component that renders a toolbar button for toggling the virtual room
+ * layout.
+ *
+ * @extends AbstractButton
+ */
+class RoomViewButton<P: Props> extends AbstractButton<P, *> {
+    accessibilityLabel = 'toolbar.accessibilityLabel.roomView';
+    icon = IconUserGroups;
+    label = 'toolbar.enterRoomView';
+    toggledLabel = 'toolbar.exitRoomView';
+    tooltip = 'toolbar.roomViewToggle';
+
+    /**
+     * Handles clicking / pressing the button.
+     *
+     * @override
+     * @protected
+     * @returns {void}
+     */
+    _handleClick() {
+        const { _isToggled, dispatch } = this.props;
+
+        sendAnalytics(createToolbarEvent(
+            'roomview.button',
+            {
+                'is_enabled': _isToggled
+            }));
+        const value = !_isToggled;
+
+        logger.debug(`Room view ${value ? 'enable' : 'disable'}`);
+        dispatch(setRoomView(value));
+    }
+
+    /**
+     * Indicates whether this button is in toggled state or not.
+     *
+     * @override
+     * @protected
+     * @returns {boolean}
+     */
+    _isToggled() {
+        return this.props._isToggled;
+    }
+}
+
+/**
+ * Maps (parts of) the redux state to the associated props for the
+ * {@code RoomViewButton} component.
+ *
+ * @param {Object} state - The Redux state.
+ * @returns {Props}
+ */
+function _mapStateToProps(state) {
+    return {
+        _isToggled: shouldDisplayRoomView(state)
+    };
+}
+
+export default translate(connect(_mapStateToProps)(RoomViewButton));
@@ -1 +1,2 @@
+export { default as RoomViewButton } from './RoomViewButton';
 export { default as TileViewButton } from './TileViewButton';
@@ -5,6 +5,7 @@
  */
 export const LAYOUTS = {
     HORIZONTAL_FILMSTRIP_VIEW: 'horizontal-filmstrip-view',
+    ROOM_VIEW: 'room-view',
     TILE_VIEW: 'tile-view',
     VERTICAL_FILMSTRIP_VIEW: 'vertical-filmstrip-view'
 };
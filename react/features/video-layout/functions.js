@@ -23,7 +23,9 @@ declare var interfaceConfig: Object;
  * @returns {string}
  */
 export function getCurrentLayout(state: Object) {
-    if (shouldDisplayTileView(state)) {
+    if (shouldDisplayRoomView(state)) {
+        return LAYOUTS.ROOM_VIEW;
+    } else if (shouldDisplayTileView(state)) {
         return LAYOUTS.TILE_VIEW;
     } else if (interfaceConfig.VERTICAL_FILMSTRIP) {
         return LAYOUTS.VERTICAL_FILMSTRIP_VIEW;
@@ -98,6 +100,16 @@ export function getTileViewGridDimensions(state: Object) {
     };
 }
 
+/**
+ * Selector for determining if the UI layout should be the virtual room.
+ *
+ * @param {Object} state - The redux state.
+ * @returns {boolean} True if the virtual room should be displayed.
+ */
+export function shouldDisplayRoomView(state: Object = {}) {
+    return Boolean(state['features/video-layout']?.roomViewEnabled);
+}
+
 /**
  * Selector for determining if the UI layout should be in tile view. Tile view
  * is determined by more than just having the tile view setting enabled, as
@@ -112,7 +124,7 @@ export function shouldDisplayTileView(state: Object = {}) {
     const tileViewEnabledFeatureFlag = getFeatureFlag(state, TILE_VIEW_ENABLED, true);
     const { disableTileView } = state['features/base/config'];
 
-    if (disableTileView || !tileViewEnabledFeatureFlag) {
+    if (disableTileView || !tileViewEnabledFeatureFlag || shouldDisplayRoomView(state)) {
         return false;
     }
 
@@ -5,8 +5,9 @@ import { PIN_PARTICIPANT, pinParticipant, getPinnedParticipant } from '../base/p
 import { MiddlewareRegistry, StateListenerRegistry } from '../base/redux';
 import { SET_DOCUMENT_EDITING_STATUS } from '../etherpad';
 
-import { SET_TILE_VIEW } from './actionTypes';
-import { setTileView } from './actions';
+import { SET_ROOM_VIEW, SET_TILE_VIEW } from './actionTypes';
+import { setRoomView, setTileView } from './actions';
+import { shouldDisplayRoomView } from './functions';
 
 import './subscriber';
 
@@ -43,11 +44,22 @@ MiddlewareRegistry.register(store => next => action => {
         }
         break;
 
+    case SET_ROOM_VIEW:
+        if (action.enabled && getPinnedParticipant(store)) {
+            store.dispatch(pinParticipant(null));
+        }
+        break;
+
     // Things to update when tile view state changes
     case SET_TILE_VIEW:
         if (action.enabled && getPinnedParticipant(store)) {
             store.dispatch(pinParticipant(null));
         }
+
+        // Tile view and the virtual room are mutually exclusive.
+        if (action.enabled && shouldDisplayRoomView(store.getState())) {
+            store.dispatch(setRoomView(false));
+        }
     }
 
 
@@ -63,8 +75,9 @@ StateListenerRegistry.register(
     (conference, { dispatch }, previousConference) => {
         if (conference !== previousConference) {
             // conference changed, left or failed...
-            // Clear tile view state.
+            // Clear tile view and virtual room state.
             dispatch(setTileView());
+            dispatch(setRoomView(false));
         }
     });
 
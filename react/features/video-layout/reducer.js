@@ -4,12 +4,22 @@ import { ReducerRegistry } from '../base/redux';
 
 import {
     SCREEN_SHARE_REMOTE_PARTICIPANTS_UPDATED,
+    SET_ROOM_VIEW,
     SET_TILE_VIEW
 } from './actionTypes';
 
 const DEFAULT_STATE = {
     remoteScreenShares: [],
 
+    /**
+     * The indicator which determines whether the video layout should display
+     * the virtual room.
+     *
+     * @public
+     * @type {boolean}
+     */
+    roomViewEnabled: false,
+
     /**
      * The indicator which determines whether the video layout should display
      * video thumbnails in a tiled layout.
@@ -34,6 +44,12 @@ ReducerRegistry.register(STORE_NAME, (state = DEFAULT_STATE, action) => {
         };
     }
 
+    case SET_ROOM_VIEW:
+        return {
+            ...state,
+            roomViewEnabled: action.enabled
+        };
+
     case SET_TILE_VIEW:
         return {
             ...state,
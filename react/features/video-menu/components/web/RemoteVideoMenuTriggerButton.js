@@ -7,6 +7,8 @@ import { getLocalParticipant, getParticipantById, PARTICIPANT_ROLE } from '../..
 import { Popover } from '../../../base/popover';
 import { connect } from '../../../base/redux';
 import { requestRemoteControl, stopController } from '../../../remote-control';
+import { isSpatialAudioEnabled } from '../../../spatial-audio';
+import { isStudyRunning } from '../../../spatial-study';
 import { getCurrentLayout, LAYOUTS } from '../../../video-layout';
 
 import MuteEveryoneElseButton from './MuteEveryoneElseButton';
@@ -20,8 +22,10 @@ import {
     KickButton,
     PrivateMessageMenuButton,
     RemoteControlButton,
+    SpatialOverrideMenu,
     VideoMenu,
-    VolumeSlider
+    VolumeSlider,
+    WhisperButton
 } from './';
 
 declare var $: Object;
@@ -70,6 +74,11 @@ type Props = {
      */
     _remoteControlState: number,
 
+    /**
+     * Whether spatial audio is enabled, i.e. whether the spatial overrides
+     * are to be displayed.
+     */
+    _spatialAudioEnabled: boolean,
 
     /**
      * The redux dispatch function.
@@ -147,6 +156,7 @@ class RemoteVideoMenuTriggerButton extends Component<Props> {
             initialVolumeValue,
             onVolumeChange,
             _remoteControlState,
+            _spatialAudioEnabled,
             participantID
         } = this.props;
 
@@ -217,6 +227,12 @@ class RemoteVideoMenuTriggerButton extends Component<Props> {
                 participantID = { participantID } />
         );
 
+        buttons.push(
+            <WhisperButton
+                key = 'whisper'
+                participantID = { participantID } />
+        );
+
         if (onVolumeChange && typeof initialVolumeValue === 'number' && !isNaN(initialVolumeValue)) {
             buttons.push(
                 <VolumeSlider
@@ -226,6 +242,14 @@ class RemoteVideoMenuTriggerButton extends Component<Props> {
             );
         }
 
+        if (_spatialAudioEnabled) {
+            buttons.push(
+                <SpatialOverrideMenu
+                    key = 'spatial-override'
+                    participantID = { participantID } />
+            );
+        }
+
         if (buttons.length > 0) {
             return (
                 <VideoMenu id = { participantID }>
@@ -292,7 +316,8 @@ function _mapStateToProps(state, ownProps) {
         _remoteControlState,
         _menuPosition,
         _overflowDrawer: overflowDrawer,
-        _disableGrantModerator: Boolean(disableGrantModerator)
+        _disableGrantModerator: Boolean(disableGrantModerator),
+        _spatialAudioEnabled: isSpatialAudioEnabled(state) && !isStudyRunning(state)
     };
 }
 
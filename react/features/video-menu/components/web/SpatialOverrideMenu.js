@@ -0,0 +1,243 @@
+// @flow
+
+import React, { Component } from 'react';
+
+import { translate } from '../../../base/i18n';
+import {
+    Icon,
+    IconArrowLeft,
+    IconOrbitAlt,
+    IconPin,
+    IconVolumeEmpty
+} from '../../../base/icons';
+import { connect } from '../../../base/redux';
+import {
+    OVERRIDE_DISTANCE_RANGE,
+    getSourceDistance,
+    getSpatialOverride,
+    setSpatialOverride
+} from '../../../spatial-audio';
+
+import VideoMenuButton from './VideoMenuButton';
+
+/**
+ * The angle, in degrees, on either side of straight ahead a participant can
+ * be pinned to.
+ */
+const MAX_PINNED_AZIMUTH = 90;
+
+/**
+ * The type of the React {@code Component} props of {@link SpatialOverrideMenu}.
+ */
+type Props = {
+
+    /**
+     * The distance at which the local user hears the participant, within the
+     * range of the distance slider.
+     */
+    _distance: number,
+
+    /**
+     * The way the local user chose to hear the participant.
+     */
+    _override: Object,
+
+    /**
+     * The redux {@code dispatch} function.
+     */
+    dispatch: Function,
+
+    /**
+     * The ID of the participant the menu acts on.
+     */
+    participantID: string,
+
+    /**
+     * Invoked to obtain translated strings.
+     */
+    t: Function
+};
+
+/**
+ * Implements the items of the remote video menu which change how the local
+ * user hears a participant in the spatial audio scene: pinned to an azimuth,
+ * closer or farther, or in mono.
+ *
+ * @extends Component
+ */
+class SpatialOverrideMenu extends Component<Props> {
+    /**
+     * Initializes a new {@code SpatialOverrideMenu} instance.
+     *
+     * @param {Object} props - The read-only properties with which the new
+     * instance is to be initialized.
+     */
+    constructor(props: Props) {
+        super(props);
+
+        // Bind event handlers so they are only bound once for every instance.
+        this._onAzimuthChange = this._onAzimuthChange.bind(this);
+        this._onDistanceChange = this._onDistanceChange.bind(this);
+        this._onMonoToggle = this._onMonoToggle.bind(this);
+        this._onPinToggle = this._onPinToggle.bind(this);
+    }
+
+    /**
+     * Implements React's {@link Component#render()}.
+     *
+     * @inheritdoc
+     * @returns {ReactElement}
+     */
+    render() {
+        const { _distance, _override, participantID, t } = this.props;
+        const { azimuth, mono } = _override;
+        const pinned = typeof azimuth === 'number';
+
+        return (
+            <>
+                <VideoMenuButton
+                    buttonText = { t(mono ? 'videothumbnail.spatialInclude' : 'videothumbnail.spatialExclude') }
+                    icon = { IconOrbitAlt }
+                    id = { `spatialmonolink_${participantID}` }
+                    onClick = { this._onMonoToggle } />
+                { !mono && <VideoMenuButton
+                    buttonText = { t(pinned ? 'videothumbnail.spatialUnpin' : 'videothumbnail.spatialPin') }
+                    icon = { IconPin }
+                    id = { `spatialpinlink_${participantID}` }
+                    onClick = { this._onPinToggle } /> }
+                { !mono && pinned && this._renderSlider({
+                    icon: IconArrowLeft,
+                    label: t('videothumbnail.spatialAzimuth'),
+                    max: MAX_PINNED_AZIMUTH,
+                    min: -MAX_PINNED_AZIMUTH,
+                    onChange: this._onAzimuthChange,
+                    step: 5,
+                    value: azimuth
+                }) }
+                { !mono && this._renderSlider({
+                    icon: IconVolumeEmpty,
+                    label: t('videothumbnail.spatialDistance'),
+                    max: OVERRIDE_DISTANCE_RANGE.max,
+                    min: OVERRIDE_DISTANCE_RANGE.min,
+                    onChange: this._onDistanceChange,
+                    step: 0.1,
+                    value: _distance
+                }) }
+            </>
+        );
+    }
+
+    _onAzimuthChange: (Object) => void;
+
+    /**
+     * Pins the participant to the azimuth chosen with the slider.
+     *
+     * @param {Object} event - DOM Event for slider change.
+     * @private
+     * @returns {void}
+     */
+    _onAzimuthChange(event) {
+        const { dispatch, participantID } = this.props;
+
+        dispatch(setSpatialOverride(participantID, { azimuth: Number(event.currentTarget.value) }));
+    }
+
+    _onDistanceChange: (Object) => void;
+
+    /**
+     * Moves the participant to the distance chosen with the slider.
+     *
+     * @param {Object} event - DOM Event for slider change.
+     * @private
+     * @returns {void}
+     */
+    _onDistanceChange(event) {
+        const { dispatch, participantID } = this.props;
+
+        dispatch(setSpatialOverride(participantID, { distance: Number(event.currentTarget.value) }));
+    }
+
+    _onMonoToggle: () => void;
+
+    /**
+     * Excludes the participant from spatialization or includes them back.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onMonoToggle() {
+        const { _override, dispatch, participantID } = this.props;
+
+        dispatch(setSpatialOverride(participantID, { mono: !_override.mono }));
+    }
+
+    _onPinToggle: () => void;
+
+    /**
+     * Pins the participant straight ahead or unpins them.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onPinToggle() {
+        const { _override, dispatch, participantID } = this.props;
+
+        dispatch(setSpatialOverride(participantID, {
+            azimuth: typeof _override.azimuth === 'number' ? undefined : 0
+        }));
+    }
+
+    /**
+     * Renders a slider item of the menu.
+     *
+     * @param {Object} options - The icon, the accessible label, the range,
+     * the value and the change handler of the slider.
+     * @private
+     * @returns {ReactElement}
+     */
+    _renderSlider({ icon, label, max, min, onChange, step, value }) {
+        return (
+            <li className = 'popupmenu__item'>
+                <div className = 'popupmenu__contents'>
+                    <span className = 'popupmenu__icon'>
+                        <Icon src = { icon } />
+                    </span>
+                    <div className = 'popupmenu__slider_container'>
+                        <input
+                            aria-label = { label }
+                            className = 'popupmenu__slider'
+                            max = { max }
+                            min = { min }
+                            onChange = { onChange }
+                            step = { step }
+                            title = { label }
+                            type = 'range'
+                            value = { value } />
+                    </div>
+                </div>
+            </li>
+        );
+    }
+}
+
+/**
+ * Maps (parts of) the redux state to the associated
+ * {@code SpatialOverrideMenu}'s props.
+ *
+ * @param {Object} state - The redux state.
+ * @param {Object} ownProps - The own props of the component.
+ * @private
+ * @returns {Props}
+ */
+function _mapStateToProps(state, ownProps) {
+    const { participantID } = ownProps;
+    const { max, min } = OVERRIDE_DISTANCE_RANGE;
+    const distance = getSourceDistance(state, participantID) ?? 1;
+
+    return {
+        _distance: Math.max(min, Math.min(max, Math.round(distance * 10) / 10)),
+        _override: getSpatialOverride(state, participantID)
+    };
+}
+
+export default translate(connect(_mapStateToProps)(SpatialOverrideMenu));
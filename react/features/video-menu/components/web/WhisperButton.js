@@ -0,0 +1,107 @@
+// @flow
+
+import React, { Component } from 'react';
+
+import { translate } from '../../../base/i18n';
+import { IconMicrophoneHollow } from '../../../base/icons';
+import { connect } from '../../../base/redux';
+import { whisperTo } from '../../../spatial-audio';
+
+import VideoMenuButton from './VideoMenuButton';
+
+/**
+ * The type of the React {@code Component} props of {@link WhisperButton}.
+ */
+type Props = {
+
+    /**
+     * Whether the local user whispers to the participant.
+     */
+    _whispering: boolean,
+
+    /**
+     * The redux {@code dispatch} function.
+     */
+    dispatch: Function,
+
+    /**
+     * The ID of the participant the button acts on.
+     */
+    participantID: string,
+
+    /**
+     * Invoked to obtain translated strings.
+     */
+    t: Function
+};
+
+/**
+ * Implements the item of the remote video menu which lets the local user
+ * whisper to a participant. Whispering only changes the level at which the
+ * others receive the local user, so it does not depend on spatialization.
+ *
+ * @extends Component
+ */
+class WhisperButton extends Component<Props> {
+    /**
+     * Initializes a new {@code WhisperButton} instance.
+     *
+     * @param {Object} props - The read-only properties with which the new
+     * instance is to be initialized.
+     */
+    constructor(props: Props) {
+        super(props);
+
+        // Bind event handlers so they are only bound once for every instance.
+        this._onClick = this._onClick.bind(this);
+    }
+
+    /**
+     * Implements React's {@link Component#render()}.
+     *
+     * @inheritdoc
+     * @returns {ReactElement}
+     */
+    render() {
+        const { _whispering, participantID, t } = this.props;
+
+        return (
+            <VideoMenuButton
+                buttonText = { t(_whispering ? 'videothumbnail.stopWhispering' : 'videothumbnail.whisper') }
+                icon = { IconMicrophoneHollow }
+                id = { `whisperlink_${participantID}` }
+                onClick = { this._onClick } />
+        );
+    }
+
+    _onClick: () => void;
+
+    /**
+     * Starts whispering to the participant or stops.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onClick() {
+        const { _whispering, dispatch, participantID } = this.props;
+
+        dispatch(whisperTo(_whispering ? undefined : participantID));
+    }
+}
+
+/**
+ * Maps (parts of) the redux state to the associated {@code WhisperButton}'s
+ * props.
+ *
+ * @param {Object} state - The redux state.
+ * @param {Object} ownProps - The own props of the component.
+ * @private
+ * @returns {Props}
+ */
+function _mapStateToProps(state, ownProps) {
+    return {
+        _whispering: state['features/spatial-audio'].whisperTarget === ownProps.participantID
+    };
+}
+
+export default translate(connect(_mapStateToProps)(WhisperButton));